@@ -266,14 +266,9 @@ async function runOrchestrationDemo() {
 
   console.log(chalk.green("\n✅ Demo completed successfully!"));
   console.log("═".repeat(60));
-  console.log(
-    chalk.blue(
-      "The enhanced orchestration system is now ready for production use.",
-    ),
-  );
   console.log(
     chalk.gray(
-      "All patterns from ORCHESTRATION-IMPLEMENTATION.md have been implemented.",
+      "NeuroLintOrchestrator is deprecated; new code should use createEngine (see README.md).",
     ),
   );
 }
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Writes schema/neurolint.schema.json from ConfigSchema.getSchema()
+ * Run after adding rules or config settings: npm run build:schema
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ConfigSchema } from "../src/utils/ConfigSchema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schemaPath = path.join(
+  __dirname,
+  "..",
+  "schema",
+  "neurolint.schema.json",
+);
+
+fs.mkdirSync(path.dirname(schemaPath), { recursive: true });
+fs.writeFileSync(
+  schemaPath,
+  `${JSON.stringify(ConfigSchema.getSchema(), null, 2)}\n`,
+);
+
+console.log(`Wrote ${path.relative(process.cwd(), schemaPath)}`);
@@ -0,0 +1,537 @@
+/**
+ * Type declarations for the NeuroLint library entry (@neurolint/cli/api)
+ */
+
+export type LayerId = 1 | 2 | 3 | 4 | 5 | 6;
+
+export type Severity = "critical" | "high" | "medium" | "low" | "info";
+
+/**
+ * A rule's entry in the "rules" section of .neurolint.json: "off", "on",
+ * a severity, or { enabled, severity }
+ */
+export type RuleSettingValue =
+  | "off"
+  | "on"
+  | boolean
+  | Severity
+  | { enabled?: boolean; severity?: Severity };
+
+/**
+ * The contents of .neurolint.json
+ * Only the sections the engine reads are typed; the rest pass through.
+ */
+export interface NeuroLintConfig {
+  version?: string;
+  /** Built-in presets, relative paths or npm packages to build on */
+  extends?: string | string[];
+  /** Stop looking for config files in parent directories */
+  root?: boolean;
+  layers?: {
+    enabled?: LayerId[];
+    config?: Record<string, LayerConfig>;
+  };
+  rules?: Record<string, RuleSettingValue>;
+  files?: {
+    include?: string[];
+    exclude?: string[];
+  };
+  output?: {
+    format?: string;
+    verbose?: boolean;
+    showSuccessfulLayers?: boolean;
+  };
+  performance?: {
+    maxFileSize?: number;
+    maxFiles?: number;
+    parallelProcessing?: boolean;
+    cache?: {
+      enabled?: boolean;
+      dir?: string;
+      maxEntries?: number;
+      maxSize?: number;
+    };
+  };
+  /** Plugin packages or paths loaded with --plugins */
+  plugins?: string[];
+  [key: string]: unknown;
+}
+
+export interface LayerConfig {
+  name?: string;
+  description?: string;
+  timeout?: number;
+  enabled?: boolean;
+}
+
+export interface LayerInfo {
+  number: LayerId;
+  name: string;
+  available: boolean;
+  config?: Record<string, unknown>;
+  supportsAST: boolean;
+  critical: boolean;
+}
+
+/**
+ * Text replacing a 1-based source range; the end points just past it
+ */
+export interface FixEdit {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  text: string;
+}
+
+/**
+ * How to fix one issue: text replacing the issue's own range, plus any
+ * edits elsewhere in the file the fix needs
+ */
+export interface IssueFix {
+  text: string;
+  edits?: FixEdit[];
+}
+
+/**
+ * An issue a layer can fix, with its source range when known
+ */
+export interface Issue {
+  file: string;
+  line?: number;
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+  snippet?: string;
+  fix?: IssueFix;
+  rule: string;
+  layer: LayerId;
+  type: string;
+  severity: Severity;
+  message: string;
+  /** The workspace package the file belongs to */
+  package?: string;
+}
+
+/**
+ * A neurolint-disable directive that silenced nothing
+ */
+export interface UnusedSuppression {
+  file: string;
+  line: number;
+  type: "disable" | "disable-line" | "disable-next-line";
+  rules: string[];
+  message: string;
+}
+
+export interface Change {
+  type: string;
+  rule: string;
+  description: string;
+  file?: string;
+  layer?: LayerId;
+}
+
+/**
+ * A cache for engine.fix results: a ResultCache, or anything with get and set
+ */
+export interface FixCache {
+  get(key: string): unknown;
+  set(key: string, value: unknown): unknown;
+}
+
+export interface AnalyzeOptions {
+  filePath?: string;
+  layers?: LayerId[];
+}
+
+export interface AnalyzeResult {
+  filePath: string;
+  issues: Issue[];
+  suppressed: Issue[];
+  unusedSuppressions: UnusedSuppression[];
+}
+
+export interface AnalyzeFilesOptions {
+  layers?: LayerId[];
+  cache?: FixCache;
+  concurrency?: number;
+  smart?: boolean;
+  /** Source to analyze per file in place of the file on disk */
+  contents?: Map<string, string | null>;
+}
+
+export interface LayerAnalysis {
+  layer: LayerId;
+  name: string;
+  issues: Issue[];
+  suppressed: Issue[];
+}
+
+/**
+ * Results in the shape the analyze reporters take
+ */
+export interface AnalysisResults {
+  summary: {
+    filesAnalyzed: number;
+    layersUsed: LayerId[];
+    issuesFound: number;
+    issuesSuppressed: number;
+    timestamp: string;
+  };
+  issues: Issue[];
+  suppressed: Issue[];
+  files: { filePath: string; issues: Issue[] }[];
+  layers: Partial<Record<LayerId, LayerAnalysis>>;
+  unusedSuppressions: UnusedSuppression[];
+  source?: "api" | "local";
+  /** Per-package totals when run in a workspace */
+  packages?: {
+    name: string;
+    dir: string;
+    nextApp: boolean;
+    layersUsed: LayerId[];
+    filesAnalyzed: number;
+    issuesFound: number;
+  }[];
+}
+
+export interface FixOptions {
+  filePath?: string;
+  layers?: LayerId[];
+  cache?: FixCache;
+  smart?: boolean;
+}
+
+export interface LayerFixResult {
+  layer: LayerId;
+  name: string;
+  success: boolean;
+  code: string;
+  changes: Change[];
+  changeCount: number;
+  improvements: string[];
+  executionTime: number;
+  error?: string;
+  revertReason?: string;
+}
+
+export interface FixResult {
+  filePath: string;
+  code: string;
+  originalCode: string;
+  success: boolean;
+  changes: Change[];
+  layers: LayerFixResult[];
+  skipped: LayerId[];
+  warnings: string[];
+  summary: {
+    totalLayers: number;
+    successfulLayers: number;
+    failedLayers: number;
+    totalChanges: number;
+    improvements: string[];
+  };
+  fromCache: boolean;
+  executionTime: number;
+}
+
+export interface FixFilesOptions {
+  layers?: LayerId[];
+  dryRun?: boolean;
+  cwd?: string;
+  concurrency?: number;
+  /** Create the files layers 4 and 6 scaffold when missing (default true) */
+  scaffold?: boolean;
+}
+
+export interface FileFixError {
+  file: string;
+  message: string;
+  layer?: LayerId;
+}
+
+export interface FixFilesResult {
+  changes: Change[];
+  errors: FileFixError[];
+  layers: Partial<
+    Record<
+      LayerId,
+      {
+        layer: LayerId;
+        name: string;
+        changes: Change[];
+        errors: FileFixError[];
+        error?: string;
+      }
+    >
+  >;
+}
+
+/**
+ * The NeuroLint engine, bound to a configuration
+ */
+export class NeuroLintEngine {
+  constructor(config?: NeuroLintConfig);
+  readonly config: NeuroLintConfig;
+  readonly layers: LayerId[];
+
+  getLayers(): LayerInfo[];
+  analyze(code: string, options?: AnalyzeOptions): Promise<AnalyzeResult>;
+  analyzeFiles(
+    files: string[],
+    options?: AnalyzeFilesOptions,
+  ): Promise<AnalysisResults>;
+  reportIssues(
+    files: string[],
+    layers: LayerId[],
+    issues: Issue[],
+    contents?: Map<string, string | null> | null,
+  ): AnalysisResults;
+  fix(code: string, options?: FixOptions): Promise<FixResult>;
+  fixFiles(files: string[], options?: FixFilesOptions): Promise<FixFilesResult>;
+}
+
+export function createEngine(config?: NeuroLintConfig): NeuroLintEngine;
+
+export class ConfigManager {
+  static readonly CONFIG_FILES: string[];
+  static getConfigPath(cwd?: string): string;
+  static findConfigFile(dir: string): string | null;
+  static findConfigFiles(cwd?: string): string[];
+  static getConfigChain(
+    cwd?: string,
+  ): { path: string; config: NeuroLintConfig }[];
+  static loadConfigFile(configPath: string): NeuroLintConfig;
+  static getConfig(cwd?: string): NeuroLintConfig;
+  static getPackageConfig(
+    rootConfig: NeuroLintConfig,
+    packageDir: string,
+    root?: string,
+  ): NeuroLintConfig;
+  static saveConfig(config: NeuroLintConfig, cwd?: string): void;
+  static updateConfig(changes: NeuroLintConfig, cwd?: string): void;
+  static validateConfig(config: NeuroLintConfig): boolean;
+  static getDefaultConfig(): NeuroLintConfig;
+  static createConfig(options?: {
+    layers?: LayerId[];
+    apiUrl?: string;
+    outputFormat?: string;
+  }): NeuroLintConfig;
+  static isInitialized(cwd?: string): boolean;
+}
+
+/**
+ * A config value that breaks the schema, e.g.
+ * { path: "layers.config.3.timeout", message: "must be a number" }
+ */
+export interface ConfigError {
+  path: string;
+  message: string;
+}
+
+export class ConfigSchema {
+  static getSchema(): Record<string, unknown>;
+  static validate(
+    config: unknown,
+    schema?: Record<string, unknown>,
+  ): ConfigError[];
+  static assertValid(config: unknown, source?: string): void;
+}
+
+export class ConfigPresets {
+  static has(name: string): boolean;
+  static get(name: string): NeuroLintConfig | null;
+  static list(): string[];
+}
+
+export interface Rule {
+  id: string;
+  layer: LayerId;
+  name: string;
+  description: string;
+  severity: Severity;
+  fixable: boolean;
+}
+
+export class RuleRegistry {
+  static readonly SEVERITIES: Severity[];
+  static getRule(ruleId: string): Rule | null;
+  static getRules(layer?: LayerId | null): Rule[];
+  static getRuleSetting(
+    ruleId: string,
+    config?: NeuroLintConfig,
+  ): { enabled: boolean; severity: Severity };
+  static isRuleEnabled(ruleId: string, config?: NeuroLintConfig): boolean;
+  static getDisabledRules(
+    config?: NeuroLintConfig,
+    layer?: LayerId | null,
+  ): string[];
+  static applyRuleConfig<T extends { rule?: string }>(
+    issues: T[],
+    config?: NeuroLintConfig,
+  ): T[];
+  static meetsSeverity(severity: Severity, threshold: Severity): boolean;
+  static validateRulesConfig(rules: NeuroLintConfig["rules"]): true;
+}
+
+export class SuppressionManager {
+  static filterIssues<T extends { rule?: string; line?: number }>(
+    issues: T[],
+    code: string,
+    layers?: LayerId[],
+    filePath?: string,
+  ): {
+    issues: T[];
+    suppressed: T[];
+    unused: Omit<UnusedSuppression, "file">[];
+  };
+  static restoreSuppressedLines(
+    before: string,
+    after: string,
+    ruleId: string,
+    filePath?: string,
+  ): string;
+  static createNextLineDirective(
+    code: string,
+    line: number,
+    rules: string,
+    filePath?: string,
+  ): string;
+}
+
+/**
+ * The layers worth running on one source, and why
+ */
+export interface LayerRecommendation {
+  recommendedLayers: LayerId[];
+  reasoning: string[];
+  /** Between 0 and 1 */
+  confidence: number;
+  estimatedImpact: {
+    level: "high" | "medium" | "low";
+    description: string;
+    estimatedFixTime: string;
+  };
+}
+
+export class SmartLayerSelector {
+  static analyzeAndRecommend(
+    code: string,
+    filePath?: string,
+  ): LayerRecommendation;
+  static getRelevantLayers(
+    code: string,
+    filePath?: string,
+    layers?: LayerId[],
+  ): LayerId[];
+}
+
+export interface TransformResult {
+  code: string;
+  changes: Change[];
+  /** Issues the layer finds in the input code */
+  issues: Issue[];
+  /** Issues silenced by neurolint-disable comments */
+  suppressed: Issue[];
+}
+
+export interface LayerTransform {
+  transform(
+    code: string,
+    options?: { filePath?: string; config?: NeuroLintConfig },
+  ): TransformResult;
+  SCAFFOLD_FILES?: ScaffoldFile[];
+}
+
+export interface ScaffoldFile {
+  path: string;
+  content: string;
+  rule: string;
+}
+
+export function getLayerTransform(layerId: LayerId): LayerTransform;
+export function transformLayer(
+  layerId: LayerId,
+  code: string,
+  options?: { filePath?: string; config?: NeuroLintConfig },
+): TransformResult;
+export function getScaffoldFiles(
+  layerId: LayerId,
+  config?: NeuroLintConfig,
+): ScaffoldFile[];
+
+export interface ReporterOptions {
+  cwd?: string;
+  outputFile?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * A reporter selectable with --reporter; returning a string prints it or
+ * writes it to outputFile
+ */
+export interface ReporterDefinition {
+  name: string;
+  description?: string;
+  machineReadable?: boolean;
+  analyze?(
+    results: AnalysisResults,
+    options?: ReporterOptions,
+  ): string | void | Promise<string | void>;
+  fix?(
+    results: Record<string, unknown>,
+    options?: ReporterOptions,
+  ): string | void | Promise<string | void>;
+}
+
+export class ReporterRegistry {
+  /** Throws when another source already registered the reporter's name */
+  static register(reporter: ReporterDefinition, source?: string): void;
+  static unregisterSource(source: string): void;
+  static has(name: string): boolean;
+  static get(name: string): (ReporterDefinition & { source: string }) | null;
+  static list(command?: "analyze" | "fix" | null): ReporterDefinition[];
+  static isMachineReadable(name: string): boolean;
+  static resolve(command: "analyze" | "fix", name: string): ReporterDefinition;
+  static report(
+    command: "analyze" | "fix",
+    name: string,
+    results: unknown,
+    options?: ReporterOptions,
+  ): Promise<void>;
+}
+
+export class Reporter {
+  static formatLocation(issue: Issue): string;
+}
+
+export class TableReporter extends Reporter {
+  static analyze(results: AnalysisResults): void;
+  static fix(results: Record<string, unknown>, options?: ReporterOptions): void;
+}
+
+export class SummaryReporter extends Reporter {
+  static analyze(results: AnalysisResults): void;
+}
+
+export class JsonReporter extends Reporter {
+  static analyze(results: AnalysisResults): string;
+  static fix(results: Record<string, unknown>): string;
+}
+
+export class GithubReporter extends Reporter {
+  static analyze(results: AnalysisResults): string;
+}
+
+export class SarifReporter extends Reporter {
+  static analyze(results: AnalysisResults, options?: ReporterOptions): string;
+}
+
+export class JUnitReporter extends Reporter {
+  static analyze(results: AnalysisResults): string;
+}
+
+export class CheckstyleReporter extends Reporter {
+  static analyze(results: AnalysisResults): string;
+}
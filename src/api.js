@@ -0,0 +1,33 @@
+/**
+ * NeuroLint library entry point (@neurolint/cli/api)
+ *
+ * Importing this module has no side effects: it does not read argv, print,
+ * or exit. The CLI lives in src/index.js and is built on the same exports.
+ *
+ *   import { createEngine, ConfigManager } from "@neurolint/cli/api";
+ *
+ *   const engine = createEngine(ConfigManager.getConfig());
+ *   const { issues } = await engine.analyze(code, { filePath });
+ */
+
+export { NeuroLintEngine, createEngine } from "./core/NeuroLintEngine.js";
+export { ConfigManager } from "./utils/ConfigManager.js";
+export { ConfigPresets } from "./utils/ConfigPresets.js";
+export { ConfigSchema } from "./utils/ConfigSchema.js";
+export { RuleRegistry } from "./layers/RuleRegistry.js";
+export { SuppressionManager } from "./layers/SuppressionManager.js";
+export { SmartLayerSelector } from "./layers/SmartLayerSelector.js";
+export {
+  getLayerTransform,
+  transformLayer,
+  getScaffoldFiles,
+} from "./layers/transforms/index.js";
+export { ReporterRegistry } from "./reporters/ReporterRegistry.js";
+export { Reporter } from "./reporters/Reporter.js";
+export { TableReporter } from "./reporters/TableReporter.js";
+export { SummaryReporter } from "./reporters/SummaryReporter.js";
+export { JsonReporter } from "./reporters/JsonReporter.js";
+export { GithubReporter } from "./reporters/GithubReporter.js";
+export { SarifReporter } from "./reporters/SarifReporter.js";
+export { JUnitReporter } from "./reporters/JUnitReporter.js";
+export { CheckstyleReporter } from "./reporters/CheckstyleReporter.js";
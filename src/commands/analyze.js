@@ -5,11 +5,15 @@ import path from "path";
 import { glob } from "glob";
 import { ApiClient } from "../utils/ApiClient.js";
 import { ConfigManager } from "../utils/ConfigManager.js";
-import {
-  NeuroLintOrchestrator,
-  analyzeCode,
-} from "../core/NeuroLintOrchestrator.js";
+import { createEngine } from "../core/NeuroLintEngine.js";
 import { SmartLayerSelector } from "../layers/SmartLayerSelector.js";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+import { ReporterRegistry } from "../reporters/ReporterRegistry.js";
+import { GitFiles } from "../utils/GitFiles.js";
+import { FileWatcher } from "../utils/FileWatcher.js";
+import { ResultCache } from "../utils/ResultCache.js";
+import { WorkerPool } from "../utils/WorkerPool.js";
+import { Workspaces } from "../utils/Workspaces.js";
 
 async function analyzeCommand(targetPath, options) {
   const spinner = ora("Initializing analysis...").start();
@@ -18,64 +22,144 @@ async function analyzeCommand(targetPath, options) {
     // Validate target path
     if (!fs.existsSync(targetPath)) {
       spinner.fail(`Path not found: ${targetPath}`);
+      process.exitCode = 1;
       return;
     }
 
+    // --output is the original name for --reporter
+    const reporter = options.reporter || options.output;
+    ReporterRegistry.resolve("analyze", reporter);
+
+    if (options.changedLines && !GitFiles.isIncremental(options)) {
+      spinner.fail("--changed-lines requires --staged, --changed or --since");
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.failOn && !RuleRegistry.SEVERITIES.includes(options.failOn)) {
+      spinner.fail(
+        `Invalid --fail-on severity: ${options.failOn}. Use one of: ${RuleRegistry.SEVERITIES.join(", ")}`,
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const log = ReporterRegistry.isMachineReadable(reporter)
+      ? console.error
+      : console.log;
+
     // Load configuration
     const config = ConfigManager.getConfig();
     const layers = options.layers.split(",").map((l) => parseInt(l.trim()));
+    const concurrency = WorkerPool.getConcurrency(config, options);
+
+    const workspace = await Workspaces.detect();
+
+    if (options.workspace && !workspace) {
+      spinner.fail("--workspace requires an npm, yarn or pnpm workspace");
+      process.exitCode = 1;
+      return;
+    }
 
     spinner.text = "Collecting files...";
 
-    // Collect files to analyze
-    const files = await collectFiles(targetPath, options);
+    // Collect files to analyze, split by workspace package
+    const groups = Workspaces.groupFiles(
+      await collectFiles(targetPath, options),
+      workspace,
+      config,
+      layers,
+      options,
+    );
+    const files = groups.flatMap((group) => group.files);
 
     if (files.length === 0) {
-      spinner.warn("No files found to analyze");
+      spinner.warn(
+        GitFiles.isIncremental(options)
+          ? "No changed files found to analyze"
+          : "No files found to analyze",
+      );
       return;
     }
 
     spinner.succeed(`Found ${files.length} files to analyze`);
 
+    // --staged checks what is about to be committed, not the working tree
+    const contents = options.staged ? GitFiles.readStagedFiles(files) : null;
+
     // Smart layer recommendations
-    console.log(chalk.blue("🧠 Smart Layer Analysis"));
-    console.log(chalk.gray("=".repeat(50)));
+    log(chalk.blue("🧠 Smart Layer Analysis"));
+    log(chalk.gray("=".repeat(50)));
 
-    const smartRecommendations = await analyzeFilesForRecommendations(files);
+    const smartRecommendations = await analyzeFilesForRecommendations(
+      files,
+      contents,
+    );
     if (smartRecommendations.recommendedLayers.length > 0) {
-      console.log(
+      log(
         chalk.green(
           `Recommended layers: ${smartRecommendations.recommendedLayers.join(", ")}`,
         ),
       );
-      console.log(
+      log(
         chalk.gray(
           `Confidence: ${Math.round(smartRecommendations.confidence * 100)}%`,
         ),
       );
       smartRecommendations.reasoning.forEach((reason) => {
-        console.log(chalk.gray(`  • ${reason}`));
+        log(chalk.gray(`  • ${reason}`));
       });
-      console.log();
+      log();
     }
 
     // Execute analysis
-    console.log(chalk.blue("Starting NeuroLint Analysis"));
-    console.log(chalk.gray("=".repeat(50)));
+    log(chalk.blue("Starting NeuroLint Analysis"));
+    log(chalk.gray("=".repeat(50)));
 
-    const results = await executeAnalysis(files, layers, options);
+    const results = await analyzeGroups(
+      groups,
+      { ...options, concurrency, contents },
+      log,
+    );
 
     // Display results
-    displayResults(results, options.output);
+    await ReporterRegistry.report("analyze", reporter, results, options);
+
+    if (options.failOn) {
+      const failing = results.issues.filter((issue) =>
+        RuleRegistry.meetsSeverity(issue.severity, options.failOn),
+      );
+
+      if (failing.length > 0) {
+        console.error(
+          chalk.red(
+            `${failing.length} issues at or above ${options.failOn} severity`,
+          ),
+        );
+        process.exitCode = 1;
+      }
+    }
+
+    if (options.watch) {
+      await watchAnalysis(
+        targetPath,
+        workspace,
+        layers,
+        config,
+        reporter,
+        options,
+        log,
+      );
+    }
   } catch (error) {
     spinner.fail(`Analysis failed: ${error.message}`);
+    process.exitCode = 1;
     if (options.debug) {
       console.error(error.stack);
     }
   }
 }
 
-async function analyzeFilesForRecommendations(files) {
+async function analyzeFilesForRecommendations(files, contents = null) {
   let allRecommendations = {
     recommendedLayers: [],
     reasoning: [],
@@ -85,7 +169,7 @@ async function analyzeFilesForRecommendations(files) {
   for (const file of files.slice(0, 10)) {
     // Analyze first 10 files for recommendations
     try {
-      const code = fs.readFileSync(file, "utf8");
+      const code = contents?.get(file) ?? fs.readFileSync(file, "utf8");
       const recommendations = SmartLayerSelector.analyzeAndRecommend(
         code,
         file,
@@ -116,7 +200,7 @@ async function collectFiles(targetPath, options) {
   const isDirectory = fs.statSync(targetPath).isDirectory();
 
   if (!isDirectory) {
-    return [targetPath];
+    return GitFiles.filterFiles([targetPath], options);
   }
 
   const pattern = options.recursive
@@ -127,167 +211,290 @@ async function collectFiles(targetPath, options) {
     ignore: options.exclude.split(",").map((p) => p.trim()),
   });
 
-  return files.filter((file) => {
+  const collected = files.filter((file) => {
     const stat = fs.statSync(file);
     return stat.isFile() && stat.size < 10 * 1024 * 1024; // 10MB limit
   });
+
+  return GitFiles.filterFiles(collected, options);
+}
+
+/**
+ * Analyze each workspace package with its own config and layers, and
+ * combine the results; outside a workspace there is a single group
+ */
+async function analyzeGroups(groups, options, log) {
+  const groupResults = [];
+
+  for (const group of groups) {
+    if (group.package) {
+      log(
+        chalk.blue(
+          `📦 ${group.package.name} (${group.package.dir}, layers ${group.layers.join(", ")})`,
+        ),
+      );
+    }
+
+    const results = await executeAnalysis(
+      group.files,
+      group.layers,
+      group.config,
+      options,
+    );
+
+    if (options.changedLines) {
+      restrictToChangedLines(results, options);
+    }
+    groupResults.push(results);
+  }
+
+  return groups[0].package
+    ? mergePackageResults(groups, groupResults)
+    : groupResults[0];
 }
 
-async function executeAnalysis(files, layers, options) {
-  const layerExecutor = new LayerExecutor();
+/**
+ * Combine per-package results into one report: each issue and file is
+ * tagged with its package, and results.packages summarizes the packages
+ */
+function mergePackageResults(groups, groupResults) {
   const results = {
     summary: {
-      filesAnalyzed: files.length,
-      layersUsed: layers,
+      filesAnalyzed: 0,
+      layersUsed: [],
       issuesFound: 0,
+      issuesSuppressed: 0,
       timestamp: new Date().toISOString(),
     },
     issues: [],
+    suppressed: [],
+    files: [],
     layers: {},
+    unusedSuppressions: [],
+    packages: [],
+    source: groupResults[0].source,
   };
 
-  // Try API analysis first, fall back to local
-  try {
-    const apiClient = new ApiClient();
-    const apiResults = await apiClient.analyzeFiles(files, layers);
-
-    if (apiResults.success) {
-      results.issues = apiResults.issues || [];
-      results.summary.issuesFound = results.issues.length;
-      results.source = "api";
-      return results;
-    }
-  } catch (error) {
-    console.log(chalk.yellow("API unavailable, using local analysis"));
-  }
-
-  // Local analysis using layer scripts
-  for (const layer of layers) {
-    const spinner = ora(`Running Layer ${layer}...`).start();
+  groupResults.forEach((packageResults, index) => {
+    const pkg = groups[index].package;
+    const tag = (issue) => ({ ...issue, package: pkg.name });
+
+    results.issues.push(...packageResults.issues.map(tag));
+    results.suppressed.push(...packageResults.suppressed.map(tag));
+    results.files.push(
+      ...packageResults.files.map((file) => ({
+        ...file,
+        package: pkg.name,
+        issues: file.issues.map(tag),
+      })),
+    );
+    results.unusedSuppressions.push(...packageResults.unusedSuppressions);
+    results.summary.filesAnalyzed += packageResults.summary.filesAnalyzed;
+    results.summary.issuesSuppressed += packageResults.summary.issuesSuppressed;
 
-    try {
-      const layerResults = await layerExecutor.executeLayer(layer, files);
-      results.layers[layer] = layerResults;
-      results.issues.push(...layerResults.issues);
+    packageResults.summary.layersUsed.forEach((layer) => {
+      if (!results.summary.layersUsed.includes(layer)) {
+        results.summary.layersUsed.push(layer);
+      }
+    });
 
-      spinner.succeed(
-        `Layer ${layer} completed (${layerResults.issues.length} issues)`,
+    Object.entries(packageResults.layers).forEach(([layer, layerResults]) => {
+      if (!results.layers[layer]) {
+        results.layers[layer] = {
+          layer: layerResults.layer,
+          name: layerResults.name,
+          issues: [],
+          suppressed: [],
+        };
+      }
+      results.layers[layer].issues.push(...layerResults.issues.map(tag));
+      results.layers[layer].suppressed.push(
+        ...layerResults.suppressed.map(tag),
       );
-    } catch (error) {
-      spinner.fail(`Layer ${layer} failed: ${error.message}`);
-    }
-  }
+    });
+
+    results.packages.push({
+      name: pkg.name,
+      dir: pkg.dir,
+      nextApp: pkg.nextApp,
+      layersUsed: packageResults.summary.layersUsed,
+      filesAnalyzed: packageResults.summary.filesAnalyzed,
+      issuesFound: packageResults.issues.length,
+    });
+  });
 
+  results.summary.layersUsed.sort((a, b) => a - b);
   results.summary.issuesFound = results.issues.length;
-  results.source = "local";
 
   return results;
 }
 
-function displayResults(results, format) {
-  console.log();
+async function executeAnalysis(files, layers, config, options) {
+  const engine = createEngine(config);
+
+  // Try API analysis first, fall back to local; the API only sees the
+  // working tree, so staged content is always analyzed locally
+  if (!options.contents) {
+    const results = await executeApiAnalysis(files, layers, config, options);
+    if (results) return results;
+  }
 
-  switch (format) {
-    case "json":
-      console.log(JSON.stringify(results, null, 2));
-      break;
+  // Local analysis, spread over worker threads for larger file sets
+  const cache = ResultCache.fromConfig(config, options);
+  const threads = WorkerPool.shouldUse(files.length, options.concurrency)
+    ? ` on ${options.concurrency} threads`
+    : "";
+  const spinner = ora(
+    `Running layers ${layers.join(", ")}${threads}...`,
+  ).start();
+  let results;
 
-    case "summary":
-      displaySummary(results);
-      break;
+  try {
+    results = await engine.analyzeFiles(files, {
+      layers,
+      cache,
+      concurrency: options.concurrency,
+      contents: options.contents,
+    });
+    spinner.stop();
 
-    case "table":
-    default:
-      displayTable(results);
-      break;
+    layers.forEach((layer) => {
+      ora().succeed(
+        `Layer ${layer} completed (${results.layers[layer].issues.length} issues)`,
+      );
+    });
+  } catch (error) {
+    spinner.fail(`Analysis failed: ${error.message}`);
+    process.exitCode = 1;
+    results = engine.reportIssues(files, layers, [], options.contents);
   }
+
+  cache.flush();
+  results.source = "local";
+
+  return results;
 }
 
-function displaySummary(results) {
-  console.log(chalk.bold("Analysis Summary"));
-  console.log(chalk.gray("=================="));
-  console.log(`Files analyzed: ${chalk.white(results.summary.filesAnalyzed)}`);
-  console.log(`Issues found: ${chalk.white(results.summary.issuesFound)}`);
-  console.log(
-    `Layers used: ${chalk.white(results.summary.layersUsed.join(", "))}`,
-  );
-  console.log(`Source: ${chalk.white(results.source || "unknown")}`);
+async function executeApiAnalysis(files, layers, config, options) {
+  try {
+    const apiClient = new ApiClient();
+    const apiResults = await apiClient.analyzeFiles(files, layers);
 
-  if (results.summary.issuesFound > 0) {
-    console.log(
-      chalk.yellow(`\nRun 'neurolint fix' to automatically fix issues`),
-    );
-  } else {
-    console.log(chalk.green("\nNo issues found!"));
+    if (apiResults.success) {
+      const results = createEngine(config).reportIssues(
+        files,
+        layers,
+        RuleRegistry.applyRuleConfig(apiResults.issues || [], config),
+      );
+      results.source = "api";
+      return results;
+    }
+  } catch (error) {
+    const log = ReporterRegistry.isMachineReadable(
+      options.reporter || options.output,
+    )
+      ? console.error
+      : console.log;
+    log(chalk.yellow("API unavailable, using local analysis"));
   }
+
+  return null;
 }
 
-function displayTable(results) {
-  const { summary, issues } = results;
+/**
+ * Re-analyze files as they change and report each batch, with each
+ * workspace package's config and layers
+ * The watcher keeps the process alive until it is interrupted
+ */
+async function watchAnalysis(
+  targetPath,
+  workspace,
+  layers,
+  config,
+  reporter,
+  options,
+  log,
+) {
+  const isDirectory = fs.statSync(targetPath).isDirectory();
+  const root = isDirectory ? targetPath : path.dirname(targetPath);
+  const patterns = isDirectory
+    ? config.files
+    : { include: [path.basename(targetPath)], exclude: [] };
+
+  const cache = ResultCache.fromConfig(config, options);
+  const watcher = new FileWatcher(root, patterns, async (changed) => {
+    const groups = Workspaces.groupFiles(
+      changed.map((file) => path.relative(process.cwd(), file)),
+      workspace,
+      config,
+      layers,
+      options,
+    );
+    // --workspace leaves out other packages' files
+    if (groups.length === 0) return;
+
+    log();
+    log(
+      chalk.blue(
+        `[${new Date().toLocaleTimeString()}] Changed: ${groups
+          .flatMap((group) => group.files)
+          .join(", ")}`,
+      ),
+    );
 
-  // Header
-  console.log(
-    chalk.bold("┌─────────────────────────────────────────────────┐"),
-  );
-  console.log(
-    chalk.bold("│                Analysis Results                 │"),
-  );
-  console.log(
-    chalk.bold("├─────────────────────────────────────────────────┤"),
-  );
-  console.log(
-    `│ Files analyzed: ${String(summary.filesAnalyzed).padEnd(31)} │`,
-  );
-  console.log(`│ Issues found: ${String(summary.issuesFound).padEnd(33)} │`);
-  console.log(
-    `│ Layers used: [${summary.layersUsed.join(", ")}]${" ".repeat(31 - summary.layersUsed.join(", ").length)} │`,
-  );
-  console.log(
-    chalk.bold("└─────────────────────────────────��───────────────┘"),
-  );
+    const groupResults = [];
+    for (const group of groups) {
+      groupResults.push(await analyzeChangedFiles(group, cache));
+    }
+    const results = groups[0].package
+      ? mergePackageResults(groups, groupResults)
+      : groupResults[0];
 
-  if (issues.length > 0) {
-    console.log();
-    console.log(chalk.bold("Issues Found:"));
-    console.log(chalk.gray("=".repeat(50)));
+    await ReporterRegistry.report("analyze", reporter, results, options);
+  });
 
-    issues.slice(0, 10).forEach((issue, index) => {
-      const severity = getSeverityLevel(issue.severity);
-      console.log(`[${severity}] ${chalk.blue(issue.file)}`);
-      console.log(
-        `   ${chalk.yellow(issue.rule || issue.type)}: ${issue.message}`,
-      );
-      if (issue.layer) {
-        console.log(`   ${chalk.gray(`Layer ${issue.layer}`)}`);
-      }
-      console.log();
-    });
+  const watched = await watcher.start();
+  log();
+  log(
+    chalk.blue(
+      `Watching ${watched.size} files in ${root} for changes (Ctrl+C to stop)`,
+    ),
+  );
+}
 
-    if (issues.length > 10) {
-      console.log(chalk.gray(`... and ${issues.length - 10} more issues`));
-    }
+/**
+ * Analyze a group's changed files, running only the layers with issues in
+ * each file
+ */
+async function analyzeChangedFiles({ files, layers, config }, cache) {
+  const results = await createEngine(config).analyzeFiles(files, {
+    layers,
+    cache,
+    smart: true,
+  });
 
-    console.log(
-      chalk.yellow(`Run 'neurolint fix' to automatically fix issues`),
-    );
-  } else {
-    console.log(chalk.green("\nNo issues found! Your code looks great."));
-  }
+  cache.flush();
+  results.source = "local";
+
+  return results;
 }
 
-function getSeverityLevel(severity) {
-  switch (severity) {
-    case "critical":
-      return "CRIT";
-    case "high":
-      return "HIGH";
-    case "medium":
-      return "MED ";
-    case "low":
-      return "LOW ";
-    default:
-      return "INFO";
-  }
+/**
+ * Drop issues outside the lines changed since the --staged, --changed or
+ * --since base
+ */
+function restrictToChangedLines(results, options) {
+  const changedLines = GitFiles.getChangedLines(options);
+
+  results.issues = GitFiles.filterIssuesToChangedLines(
+    results.issues,
+    changedLines,
+  );
+  results.files = results.files.map((file) => ({
+    ...file,
+    issues: GitFiles.filterIssuesToChangedLines(file.issues, changedLines),
+  }));
+  results.summary.issuesFound = results.issues.length;
 }
 
 export { analyzeCommand };
@@ -0,0 +1,62 @@
+import chalk from "chalk";
+import path from "path";
+import { ConfigManager } from "../utils/ConfigManager.js";
+import { ResultCache } from "../utils/ResultCache.js";
+
+async function cacheCommand(action) {
+  // Limits come from the config when there is one; the cache works without
+  const config = ConfigManager.isInitialized() ? ConfigManager.getConfig() : {};
+  const cache = ResultCache.fromConfig(config);
+
+  switch (action) {
+    case "clear":
+      clearCache(cache);
+      break;
+    case "stats":
+      displayStats(cache);
+      break;
+    default:
+      throw new Error(`Unknown cache action: ${action}. Use clear or stats.`);
+  }
+}
+
+function clearCache(cache) {
+  const removed = cache.clear();
+  console.log(
+    chalk.green(
+      `Removed ${removed} cache entries from ${path.relative(process.cwd(), cache.dir)}`,
+    ),
+  );
+}
+
+function displayStats(cache) {
+  const stats = cache.getStats();
+  const lookups = stats.hits + stats.misses;
+  const hitRate = lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0;
+
+  console.log(chalk.bold("Result Cache"));
+  console.log(chalk.gray("=".repeat(50)));
+  console.log(
+    `Location:  ${path.relative(process.cwd(), stats.dir)}${stats.enabled ? "" : chalk.yellow(" (disabled)")}`,
+  );
+  console.log(`Entries:   ${stats.entries} / ${stats.maxEntries}`);
+  console.log(
+    `Size:      ${formatSize(stats.size)} / ${formatSize(stats.maxSize)}`,
+  );
+  console.log(
+    `Hits:      ${stats.hits} of ${lookups} lookups (${hitRate}% hit rate)`,
+  );
+
+  if (stats.oldest) {
+    console.log(`Oldest:    ${stats.oldest.toISOString()}`);
+    console.log(`Newest:    ${stats.newest.toISOString()}`);
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export { cacheCommand };
@@ -1,5 +1,4 @@
 import chalk from "chalk";
-import fs from "fs";
 import path from "path";
 import { ConfigManager } from "../utils/ConfigManager.js";
 import { createRequire } from "module";
@@ -35,6 +34,13 @@ async function showConfig() {
     // Basic Info
     console.log(chalk.yellow("📋 Basic Information:"));
     console.log(`   Version: ${chalk.white(config.version)}`);
+    console.log(
+      `   Config files: ${chalk.white(
+        ConfigManager.getConfigChain()
+          .map((source) => path.relative(process.cwd(), source.path))
+          .join(", "),
+      )}`,
+    );
     console.log(
       `   Enabled Layers: ${chalk.white(config.layers.enabled.join(", "))}`,
     );
@@ -71,7 +77,11 @@ async function showConfig() {
     console.log(`   Retries: ${chalk.white(config.api.retries)}`);
   } catch (error) {
     console.log(
-      chalk.red("No configuration found. Run `neurolint init` first."),
+      chalk.red(
+        ConfigManager.isInitialized()
+          ? error.message
+          : "No configuration found. Run `neurolint init` first.",
+      ),
     );
   }
 }
@@ -86,12 +96,13 @@ async function setConfig(keyValue) {
 
   try {
     const config = ConfigManager.getConfig();
+    const section = key.split(".")[0];
 
     // Set the value using dot notation
     setNestedValue(config, key, parseValue(value));
 
-    // Save updated config
-    ConfigManager.saveConfig(config);
+    // Save the updated section to the nearest config file
+    ConfigManager.updateConfig({ [section]: config[section] });
 
     console.log(chalk.green(`Configuration updated: ${key} = ${value}`));
   } catch (error) {
@@ -116,10 +127,7 @@ async function resetConfig() {
 
   if (answer.toLowerCase() === "y" || answer.toLowerCase() === "yes") {
     try {
-      const configPath = path.join(process.cwd(), ".neurolint.json");
-      if (fs.existsSync(configPath)) {
-        fs.unlinkSync(configPath);
-      }
+      ConfigManager.removeConfig();
 
       console.log(
         chalk.green(
@@ -197,7 +205,11 @@ async function interactiveConfig() {
     }
 
     // Save configuration
-    ConfigManager.saveConfig(config);
+    ConfigManager.updateConfig({
+      layers: { enabled: config.layers.enabled },
+      output: { format: config.output.format },
+      api: { url: config.api.url },
+    });
     console.log();
     console.log(chalk.green("Configuration saved successfully!"));
   } catch (error) {
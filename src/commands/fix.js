@@ -5,11 +5,17 @@ import path from "path";
 import { glob } from "glob";
 import { ApiClient } from "../utils/ApiClient.js";
 import { ConfigManager } from "../utils/ConfigManager.js";
-import {
-  NeuroLintOrchestrator,
-  executeNeuroLint,
-  executeBatchNeuroLint,
-} from "../core/NeuroLintOrchestrator.js";
+import { createEngine } from "../core/NeuroLintEngine.js";
+import { ReporterRegistry } from "../reporters/ReporterRegistry.js";
+import { GitFiles } from "../utils/GitFiles.js";
+import { FixJournal } from "../utils/FixJournal.js";
+import { FixWorkspace } from "../utils/FixWorkspace.js";
+import { HunkReview } from "../utils/HunkReview.js";
+import { UnifiedDiff } from "../utils/UnifiedDiff.js";
+import { FileWatcher } from "../utils/FileWatcher.js";
+import { SmartLayerSelector } from "../layers/SmartLayerSelector.js";
+import { WorkerPool } from "../utils/WorkerPool.js";
+import { Workspaces } from "../utils/Workspaces.js";
 
 async function fixCommand(targetPath, options) {
   const spinner = ora("Initializing fixes...").start();
@@ -18,20 +24,52 @@ async function fixCommand(targetPath, options) {
     // Validate target path
     if (!fs.existsSync(targetPath)) {
       spinner.fail(`Path not found: ${targetPath}`);
+      process.exitCode = 1;
       return;
     }
 
+    ReporterRegistry.resolve("fix", options.reporter);
+
+    if (options.watch && options.interactive) {
+      spinner.fail("--watch cannot be combined with --interactive");
+      process.exitCode = 1;
+      return;
+    }
+    const log = ReporterRegistry.isMachineReadable(options.reporter)
+      ? console.error
+      : console.log;
+
     // Load configuration
     const config = ConfigManager.getConfig();
     const layers = options.layers.split(",").map((l) => parseInt(l.trim()));
+    const concurrency = WorkerPool.getConcurrency(config, options);
+
+    const workspace = await Workspaces.detect();
+
+    if (options.workspace && !workspace) {
+      spinner.fail("--workspace requires an npm, yarn or pnpm workspace");
+      process.exitCode = 1;
+      return;
+    }
 
     spinner.text = "Collecting files...";
 
-    // Collect files to fix
-    const files = await collectFiles(targetPath, options);
+    // Collect files to fix, split by workspace package
+    const groups = Workspaces.groupFiles(
+      await collectFiles(targetPath, options),
+      workspace,
+      config,
+      layers,
+      options,
+    );
+    const files = groups.flatMap((group) => group.files);
 
     if (files.length === 0) {
-      spinner.warn("No files found to fix");
+      spinner.warn(
+        GitFiles.isIncremental(options)
+          ? "No changed files found to fix"
+          : "No files found to fix",
+      );
       return;
     }
 
@@ -43,31 +81,161 @@ async function fixCommand(targetPath, options) {
     }
 
     // Execute fixes
-    console.log(chalk.blue("Starting NeuroLint Fixes"));
-    console.log(chalk.gray("=".repeat(50)));
+    log(chalk.blue("Starting NeuroLint Fixes"));
+    log(chalk.gray("=".repeat(50)));
 
     if (options.dryRun) {
-      console.log(chalk.yellow("DRY RUN MODE - No changes will be made"));
-      console.log();
+      log(chalk.yellow("DRY RUN MODE - No changes will be made"));
+      log();
     }
 
-    const results = await executeFixes(files, layers, options);
+    const results = await runFixes(groups, { ...options, concurrency }, log);
 
     // Display results
-    displayFixResults(results, options);
+    await ReporterRegistry.report("fix", options.reporter, results, options);
+
+    if (options.watch) {
+      await watchFixes(
+        targetPath,
+        workspace,
+        layers,
+        config,
+        { ...options, concurrency },
+        log,
+      );
+    }
   } catch (error) {
     spinner.fail(`Fix operation failed: ${error.message}`);
+    process.exitCode = 1;
     if (options.debug) {
       console.error(error.stack);
     }
   }
 }
 
+/**
+ * Run the fixes for groups of files (one per workspace package, or a
+ * single group) and write (or preview) the results
+ */
+async function runFixes(groups, options, log) {
+  // Local fixes run on a scratch copy so their edits can be reviewed and
+  // recorded in the fix journal before anything is written. With --staged
+  // the copy holds the staged content, which is what gets fixed.
+  const files = groups.flatMap((group) => group.files);
+  const workspace =
+    isReview(options) || !options.dryRun || options.staged
+      ? new FixWorkspace(
+          files,
+          process.cwd(),
+          options.staged ? (file) => GitFiles.readStaged(file) : null,
+        )
+      : null;
+  let results;
+
+  try {
+    workspace?.skipped.forEach((file) => {
+      log(chalk.yellow(`Skipping ${file}: outside the current directory`));
+    });
+
+    results = await executeFixes(groups, options, workspace);
+
+    if (workspace && results.source === "local") {
+      await applyWorkspaceChanges(
+        workspace.collectChanges(),
+        results,
+        options,
+        log,
+      );
+    }
+  } finally {
+    workspace?.dispose();
+  }
+
+  return results;
+}
+
+/**
+ * Re-run fixes on files as they change, with each workspace package's
+ * config and running only the layers with issues in each file. The
+ * watcher keeps the process alive.
+ */
+async function watchFixes(
+  targetPath,
+  workspace,
+  layers,
+  config,
+  options,
+  log,
+) {
+  const isDirectory = fs.statSync(targetPath).isDirectory();
+  const root = isDirectory ? targetPath : path.dirname(targetPath);
+  const patterns = isDirectory
+    ? config.files
+    : { include: [path.basename(targetPath)], exclude: [] };
+  // Content this process wrote, so its own writes do not trigger new runs
+  const written = new Map();
+
+  const watcher = new FileWatcher(root, patterns, async (changed) => {
+    const packageGroups = Workspaces.groupFiles(
+      changed.filter(
+        (file) => written.get(file) !== fs.readFileSync(file, "utf8"),
+      ),
+      workspace,
+      config,
+      layers,
+      options,
+    );
+    const groups = new Map();
+
+    packageGroups.forEach((packageGroup) => {
+      packageGroup.files.forEach((file) => {
+        const fileLayers = SmartLayerSelector.getRelevantLayers(
+          fs.readFileSync(file, "utf8"),
+          file,
+          packageGroup.layers,
+        );
+        if (fileLayers.length === 0) return;
+
+        const key = `${packageGroup.package?.path}:${fileLayers.join(",")}`;
+        if (!groups.has(key)) {
+          groups.set(key, { ...packageGroup, layers: fileLayers, files: [] });
+        }
+        groups.get(key).files.push(path.relative(process.cwd(), file));
+      });
+    });
+
+    for (const group of groups.values()) {
+      log();
+      log(
+        chalk.blue(
+          `[${new Date().toLocaleTimeString()}] Fixing ${group.files.join(", ")} (layers ${group.layers.join(", ")})`,
+        ),
+      );
+
+      const results = await runFixes([group], options, log);
+      (results.writtenFiles || []).forEach((file) => {
+        const filePath = path.resolve(file);
+        written.set(filePath, fs.readFileSync(filePath, "utf8"));
+      });
+
+      await ReporterRegistry.report("fix", options.reporter, results, options);
+    }
+  });
+
+  const watched = await watcher.start();
+  log();
+  log(
+    chalk.blue(
+      `Watching ${watched.size} files in ${root} for changes (Ctrl+C to stop)`,
+    ),
+  );
+}
+
 async function collectFiles(targetPath, options) {
   const isDirectory = fs.statSync(targetPath).isDirectory();
 
   if (!isDirectory) {
-    return [targetPath];
+    return GitFiles.filterFiles([targetPath], options);
   }
 
   const pattern = options.recursive
@@ -75,13 +243,15 @@ async function collectFiles(targetPath, options) {
     : `${targetPath}/*.{ts,tsx,js,jsx}`;
 
   const files = await glob(pattern, {
-    ignore: ["node_modules/**", "dist/**", "build/**"],
+    ignore: ["**/node_modules/**", "**/dist/**", "**/build/**"],
   });
 
-  return files.filter((file) => {
+  const collected = files.filter((file) => {
     const stat = fs.statSync(file);
     return stat.isFile() && stat.size < 10 * 1024 * 1024; // 10MB limit
   });
+
+  return GitFiles.filterFiles(collected, options);
 }
 
 async function createBackups(files) {
@@ -105,8 +275,11 @@ async function createBackups(files) {
   console.log(chalk.green(`Backup created: ${backupDir}`));
 }
 
-async function executeFixes(files, layers, options) {
-  const layerExecutor = new LayerExecutor();
+async function executeFixes(groups, options, workspace = null) {
+  const files = groups.flatMap((group) => group.files);
+  const layers = [...new Set(groups.flatMap((group) => group.layers))].sort(
+    (a, b) => a - b,
+  );
   const results = {
     summary: {
       filesProcessed: files.length,
@@ -120,6 +293,91 @@ async function executeFixes(files, layers, options) {
   };
 
   // Try API fixes first, fall back to local
+  // Reviewed fixes always run locally, where their edits can be diffed, and
+  // so do workspaces, whose packages each have their own config, and
+  // staged runs, as the API only sees the working tree
+  if (
+    !isReview(options) &&
+    !options.staged &&
+    !groups[0].package &&
+    (await executeApiFixes(files, layers, options, results))
+  ) {
+    return results;
+  }
+
+  // Local fixes; workspace edits are only proposals, so they are written
+  // to the scratch copy freely
+  const spinner = ora(`Applying layers ${layers.join(", ")}...`).start();
+  const seen = new Set();
+
+  for (const group of groups) {
+    const fixes = await createEngine(group.config).fixFiles(
+      workspace ? workspace.getFiles(group.files) : group.files,
+      {
+        layers: group.layers,
+        concurrency: options.concurrency,
+        scaffold: options.scaffold !== false,
+        ...(workspace ? { cwd: workspace.dir } : { dryRun: options.dryRun }),
+      },
+    );
+    // Project files every group touches, like the root tsconfig.json, are
+    // reported once
+    const changes = fixes.changes.filter((change) => {
+      const key = `${change.layer}:${change.rule}:${change.file}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    group.layers.forEach((layer) => {
+      const layerResults = fixes.layers[layer];
+
+      if (!results.layers[layer]) {
+        results.layers[layer] = { ...layerResults, changes: [], errors: [] };
+      }
+      results.layers[layer].changes.push(
+        ...changes.filter((change) => change.layer === layer),
+      );
+      results.layers[layer].errors.push(...layerResults.errors);
+      if (layerResults.error) {
+        results.layers[layer].error = layerResults.error;
+      }
+    });
+    results.changes.push(...changes);
+
+    if (group.package) {
+      results.packages = results.packages || [];
+      results.packages.push({
+        name: group.package.name,
+        dir: group.package.dir,
+        nextApp: group.package.nextApp,
+        layersUsed: group.layers,
+        filesProcessed: group.files.length,
+        changesApplied: changes.length,
+      });
+    }
+  }
+  spinner.stop();
+
+  layers.forEach((layer) => {
+    const layerResults = results.layers[layer];
+
+    if (layerResults.error) {
+      ora().fail(`Layer ${layer} failed: ${layerResults.error}`);
+    } else {
+      ora().succeed(
+        `Layer ${layer} completed (${layerResults.changes.length} changes)`,
+      );
+    }
+  });
+
+  results.summary.changesApplied = results.changes.length;
+  results.source = "local";
+
+  return results;
+}
+
+async function executeApiFixes(files, layers, options, results) {
   try {
     const apiClient = new ApiClient();
     const apiResults = await apiClient.fixFiles(files, layers, options.dryRun);
@@ -131,181 +389,225 @@ async function executeFixes(files, layers, options) {
 
       // Apply changes if not dry run
       if (!options.dryRun) {
-        await applyApiChanges(apiResults.changes);
+        await applyApiChanges(apiResults.changes, results, options);
       }
 
-      return results;
+      return true;
     }
   } catch (error) {
-    console.log(chalk.yellow("API unavailable, using local fixes"));
+    const log = ReporterRegistry.isMachineReadable(options.reporter)
+      ? console.error
+      : console.log;
+    log(chalk.yellow("API unavailable, using local fixes"));
   }
 
-  // Local fixes using layer scripts
-  for (const layer of layers) {
-    const spinner = ora(`Applying Layer ${layer} fixes...`).start();
+  return false;
+}
 
-    try {
-      const layerResults = await layerExecutor.executeLayerFixes(
-        layer,
-        files,
-        options.dryRun,
-      );
-      results.layers[layer] = layerResults;
-      results.changes.push(...layerResults.changes);
+function isReview(options) {
+  return Boolean(options.diff || options.writePatch || options.interactive);
+}
 
-      spinner.succeed(
-        `Layer ${layer} completed (${layerResults.changes.length} changes)`,
+/**
+ * Show, review and write the edits collected from a fix workspace
+ */
+async function applyWorkspaceChanges(changes, results, options, log) {
+  let contents = new Map(changes.map((change) => [change.file, change.after]));
+
+  if (options.diff) {
+    changes.forEach((change) => {
+      log(
+        HunkReview.colorize(
+          UnifiedDiff.createPatch(change.file, change.before, change.after),
+        ),
       );
-    } catch (error) {
-      spinner.fail(`Layer ${layer} failed: ${error.message}`);
+    });
+    if (changes.length === 0) {
+      log(chalk.gray("No differences"));
     }
+    log();
   }
 
-  results.summary.changesApplied = results.changes.length;
-  results.source = "local";
+  if (options.interactive && changes.length > 0) {
+    const review = await HunkReview.review(
+      changes,
+      log === console.error ? process.stderr : process.stdout,
+    );
+    contents = review.contents;
+    results.summary.hunksAccepted = review.accepted;
+    results.summary.hunksSkipped = review.skipped;
+  }
 
-  return results;
+  const accepted = changes.filter((change) => contents.has(change.file));
+
+  if (options.writePatch) {
+    const patch = accepted
+      .map((change) =>
+        UnifiedDiff.createPatch(
+          change.file,
+          change.before,
+          contents.get(change.file),
+        ),
+      )
+      .filter(Boolean)
+      .join("\n");
+
+    fs.writeFileSync(options.writePatch, patch ? `${patch}\n` : "");
+    console.error(chalk.green(`Patch written to ${options.writePatch}`));
+  }
+
+  results.summary.filesChanged = accepted.length;
+
+  if (options.dryRun) return;
+
+  writeFiles(
+    accepted.map((change) => ({
+      file: change.file,
+      before: change.before,
+      after: contents.get(change.file),
+    })),
+    results,
+    options,
+  );
 }
 
-async function applyApiChanges(changes) {
+async function applyApiChanges(changes, results, options) {
+  const writes = new Map();
+  const read = (file) =>
+    writes.has(file)
+      ? writes.get(file).after
+      : fs.existsSync(file)
+        ? fs.readFileSync(file, "utf8")
+        : null;
+
   for (const change of changes) {
+    let newContent;
+
     if (change.type === "file-replace") {
-      fs.writeFileSync(change.file, change.newContent);
+      newContent = change.newContent;
     } else if (change.type === "file-patch") {
       // Apply patch-style changes
-      const content = fs.readFileSync(change.file, "utf8");
-      const newContent = applyPatch(content, change.patch);
-      fs.writeFileSync(change.file, newContent);
+      newContent = applyPatch(read(change.file), change.patch);
+    } else {
+      continue;
     }
-  }
-}
 
-function applyPatch(content, patch) {
-  // Simple patch application - in production would use a proper patch library
-  const lines = content.split("\n");
-
-  for (const operation of patch.operations) {
-    if (operation.type === "replace") {
-      lines[operation.line] = operation.newText;
-    } else if (operation.type === "insert") {
-      lines.splice(operation.line, 0, operation.text);
-    } else if (operation.type === "delete") {
-      lines.splice(operation.line, 1);
-    }
+    writes.set(change.file, {
+      file: change.file,
+      before: writes.has(change.file)
+        ? writes.get(change.file).before
+        : read(change.file),
+      after: newContent,
+    });
   }
 
-  return lines.join("\n");
+  writeFiles([...writes.values()], results, options);
 }
 
-function displayFixResults(results, options) {
-  console.log();
+/**
+ * Record a run in the fix journal, then write its files
+ * With --restage, the fixes are also applied to the git index
+ */
+function writeFiles(writes, results, options) {
+  // --staged fixes the staged content, so only staged files are written;
+  // the working tree may have unstaged edits on top of it, which the fixes
+  // are merged with
+  let fileWrites = options.staged
+    ? mergeWrites(filterStaged(writes), readFile, "in the working tree")
+    : writes;
+
+  // Only the fixes are staged, not unstaged edits in the same files. A fix
+  // is written to both or neither, so the next `git add` cannot undo it.
+  let indexWrites = [];
+  if (options.restage) {
+    const merged = new Set(fileWrites.map((write) => write.file));
+    indexWrites = mergeWrites(
+      filterStaged(writes).filter((write) => merged.has(write.file)),
+      (file) => GitFiles.readStaged(file),
+      "in the git index",
+    );
+    const staged = new Set(indexWrites.map((write) => write.file));
+    fileWrites = fileWrites.filter((write) => staged.has(write.file));
+  }
 
-  const { summary, changes } = results;
+  const run = FixJournal.record(fileWrites, {
+    command: "fix",
+    layers: results.summary.layersUsed,
+  });
 
-  // Header
-  console.log(
-    chalk.bold("┌─────────────────────────────────────────────────┐"),
-  );
-  console.log(
-    chalk.bold("│                 Fix Results                     │"),
-  );
-  console.log(
-    chalk.bold("├─────────────────────────────────────────────────┤"),
-  );
-  console.log(
-    `│ Files processed: ${String(summary.filesProcessed).padEnd(30)} │`,
-  );
-  console.log(
-    `│ Changes applied: ${String(summary.changesApplied).padEnd(30)} │`,
-  );
-  console.log(
-    `│ Layers used: [${summary.layersUsed.join(", ")}]${" ".repeat(32 - summary.layersUsed.join(", ").length)} │`,
-  );
+  fileWrites.forEach((write) => {
+    fs.mkdirSync(path.dirname(path.resolve(write.file)), { recursive: true });
+    fs.writeFileSync(write.file, write.after);
+  });
+
+  results.writtenFiles = fileWrites.map((write) => write.file);
 
-  if (summary.dryRun) {
-    console.log(`│ Mode: ${chalk.yellow("DRY RUN").padEnd(41)} │`);
+  if (run) {
+    results.summary.runId = run.id;
   }
 
-  console.log(
-    chalk.bold("└���────────────────────────────────────────────────┘"),
+  indexWrites.forEach((write) =>
+    GitFiles.stageContent(write.file, write.after),
   );
+}
 
-  if (changes.length > 0) {
-    console.log();
-    console.log(chalk.bold("Changes Made:"));
-    console.log(chalk.gray("=".repeat(50)));
-
-    const groupedChanges = groupChangesByFile(changes);
-
-    Object.entries(groupedChanges)
-      .slice(0, 10)
-      .forEach(([file, fileChanges]) => {
-        console.log(`📝 ${chalk.blue(file)} (${fileChanges.length} changes)`);
-
-        fileChanges.slice(0, 3).forEach((change) => {
-          const changeType = getChangeType(change.type);
-          console.log(
-            `   ${changeType} ${change.description || change.rule || change.type}`,
-          );
-          if (change.layer) {
-            console.log(`      ${chalk.gray(`Layer ${change.layer}`)}`);
-          }
-        });
-
-        if (fileChanges.length > 3) {
-          console.log(
-            `   ${chalk.gray(`... and ${fileChanges.length - 3} more changes`)}`,
-          );
-        }
-        console.log();
-      });
+// Writes to files staged in git; layer 1's project files and the scaffold
+// files are left alone unless the user staged them
+function filterStaged(writes) {
+  const staged = GitFiles.getChangedFiles({ staged: true });
+  return writes.filter((write) => staged.has(path.resolve(write.file)));
+}
 
-    if (Object.keys(groupedChanges).length > 10) {
-      console.log(
-        chalk.gray(
-          `... and ${Object.keys(groupedChanges).length - 10} more files`,
+function readFile(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+/**
+ * Rebase writes onto another version of their files, such as the working
+ * tree or the index, as { file, before, after } writes of that version.
+ * Files the version lacks get the new content; fixes that conflict with
+ * the version's own changes are left out with a warning.
+ */
+function mergeWrites(writes, read, where) {
+  return writes.flatMap((write) => {
+    const current = read(write.file);
+
+    if (current === write.before || current === null) {
+      return [{ ...write, before: current }];
+    }
+
+    const after =
+      write.before === null
+        ? null
+        : GitFiles.mergeContent(current, write.before, write.after);
+    if (after === null) {
+      console.error(
+        chalk.yellow(
+          `Not fixing ${write.file} ${where}: the fix conflicts with its changes there`,
         ),
       );
+      return [];
     }
 
-    if (options.dryRun) {
-      console.log(chalk.yellow("Run without --dry-run to apply these changes"));
-    } else {
-      console.log(chalk.green("All fixes have been applied successfully!"));
-    }
-  } else {
-    console.log(
-      chalk.green("\nNo fixes needed! Your code is already optimized."),
-    );
-  }
+    return [{ file: write.file, before: current, after }];
+  });
 }
 
-function groupChangesByFile(changes) {
-  return changes.reduce((groups, change) => {
-    const file = change.file || "unknown";
-    if (!groups[file]) {
-      groups[file] = [];
-    }
-    groups[file].push(change);
-    return groups;
-  }, {});
-}
+function applyPatch(content, patch) {
+  // Simple patch application - in production would use a proper patch library
+  const lines = content.split("\n");
 
-function getChangeType(type) {
-  switch (type) {
-    case "fix":
-      return "[FIX]";
-    case "refactor":
-      return "[REF]";
-    case "optimize":
-      return "[OPT]";
-    case "style":
-      return "[STY]";
-    case "security":
-      return "[SEC]";
-    default:
-      return "[CHG]";
+  for (const operation of patch.operations) {
+    if (operation.type === "replace") {
+      lines[operation.line] = operation.newText;
+    } else if (operation.type === "insert") {
+      lines.splice(operation.line, 0, operation.text);
+    } else if (operation.type === "delete") {
+      lines.splice(operation.line, 1);
+    }
   }
+
+  return lines.join("\n");
 }
 
 export { fixCommand };
@@ -0,0 +1,120 @@
+import chalk from "chalk";
+import path from "path";
+import { ConfigManager } from "../utils/ConfigManager.js";
+import { HookInstaller } from "../utils/HookInstaller.js";
+import { analyzeCommand } from "./analyze.js";
+import { fixCommand } from "./fix.js";
+
+async function hooksCommand(action, options) {
+  switch (action) {
+    case "install":
+      installHooks(options);
+      break;
+    case "uninstall":
+      uninstallHooks();
+      break;
+    case "run":
+      await runPreCommit();
+      break;
+    default:
+      throw new Error(
+        `Unknown hooks action: ${action}. Use install, uninstall or run.`,
+      );
+  }
+}
+
+function installHooks(options = {}) {
+  const changes = {};
+  if (options.mode) changes.mode = options.mode;
+  if (options.failOn) changes.failOn = options.failOn;
+  if (options.layers) {
+    changes.layers = options.layers.split(",").map((l) => parseInt(l.trim()));
+  }
+
+  ConfigManager.validateHookConfig(changes);
+  const result = HookInstaller.install({ force: options.force });
+
+  if (Object.keys(changes).length > 0) {
+    ConfigManager.updateHookConfig(changes);
+  }
+  const location = path.relative(process.cwd(), result.path);
+
+  if (result.status === "already-installed") {
+    console.log(
+      chalk.gray(`Pre-commit hook already installed (${result.manager})`),
+    );
+  } else if (result.status === "manual") {
+    console.log(
+      chalk.yellow(
+        `${location} already has a pre-commit section. Add this command to it:`,
+      ),
+    );
+    console.log(result.snippet);
+  } else {
+    console.log(
+      chalk.green(`Pre-commit hook installed in ${location} (${result.manager})`),
+    );
+  }
+
+  const hook = ConfigManager.getHookConfig();
+  console.log(
+    chalk.gray(
+      `Mode: ${hook.mode}, fail on: ${hook.failOn || "never"}, layers: ${hook.layers.join(", ")}`,
+    ),
+  );
+}
+
+function uninstallHooks() {
+  const result = HookInstaller.uninstall();
+  const location = path.relative(process.cwd(), result.path);
+
+  if (result.status === "removed") {
+    console.log(chalk.green(`Pre-commit hook removed from ${location}`));
+  } else if (result.status === "manual") {
+    console.log(
+      chalk.yellow(`Remove the neurolint command from ${location} by hand`),
+    );
+  } else {
+    console.log(chalk.gray("No NeuroLint pre-commit hook installed"));
+  }
+}
+
+/**
+ * Entry point for the installed hook: check (or fix and re-stage) the
+ * staged files, failing the commit at the configured severity
+ */
+async function runPreCommit() {
+  const hook = ConfigManager.getHookConfig();
+  const common = {
+    recursive: true,
+    staged: true,
+    layers: hook.layers.join(","),
+  };
+
+  if (hook.mode === "fix") {
+    // A commit should only contain the files the user staged, so no new
+    // files are scaffolded
+    await fixCommand(".", {
+      ...common,
+      restage: true,
+      scaffold: false,
+      reporter: "table",
+    });
+  }
+
+  await analyzeCommand(".", {
+    ...common,
+    output: "summary",
+    failOn: hook.failOn,
+    include: "**/*.{ts,tsx,js,jsx}",
+    exclude: "node_modules/**,dist/**,build/**",
+  });
+
+  if (process.exitCode) {
+    console.error(
+      chalk.red("Commit blocked by NeuroLint. Use --no-verify to skip."),
+    );
+  }
+}
+
+export { hooksCommand, installHooks };
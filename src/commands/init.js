@@ -3,6 +3,8 @@ import ora from "ora";
 import fs from "fs";
 import path from "path";
 import { ConfigManager } from "../utils/ConfigManager.js";
+import { ResultCache } from "../utils/ResultCache.js";
+import { installHooks } from "./hooks.js";
 
 async function initCommand(options) {
   const spinner = ora("Initializing NeuroLint...").start();
@@ -11,7 +13,7 @@ async function initCommand(options) {
     const configPath = path.join(process.cwd(), ".neurolint.json");
 
     // Check if config already exists
-    if (fs.existsSync(configPath) && !options.force) {
+    if (ConfigManager.findConfigFile(process.cwd()) && !options.force) {
       spinner.warn(
         "NeuroLint is already initialized. Use --force to overwrite.",
       );
@@ -32,6 +34,11 @@ async function initCommand(options) {
 
     // Display next steps
     displayNextSteps(config);
+
+    if (options.hooks) {
+      console.log();
+      installHooks();
+    }
   } catch (error) {
     spinner.fail(`Initialization failed: ${error.message}`);
     if (options.debug) {
@@ -89,6 +96,10 @@ function createDefaultConfig(enabledLayers) {
         },
       },
     },
+    rules: {},
+    hooks: {
+      preCommit: ConfigManager.getDefaultHookConfig(),
+    },
     files: {
       include: [
         "**/*.{ts,tsx,js,jsx}",
@@ -122,6 +133,7 @@ function createDefaultConfig(enabledLayers) {
       maxFileSize: 10485760,
       maxFiles: 1000,
       parallelProcessing: true,
+      cache: ResultCache.getDefaultCacheConfig(),
     },
     advanced: {
       enableExperimentalFeatures: false,
@@ -0,0 +1,18 @@
+import { LanguageServer } from "../integration/LanguageServer.js";
+
+/**
+ * Run the language server on stdin/stdout until the client exits
+ */
+async function lspCommand() {
+  // stdout carries the protocol; send any stray logging to stderr instead
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+
+  const server = new LanguageServer(process.stdin, process.stdout);
+  server.start();
+
+  process.stdin.on("end", () => process.exit(0));
+}
+
+export { lspCommand };
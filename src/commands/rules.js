@@ -0,0 +1,68 @@
+import chalk from "chalk";
+import { ConfigManager } from "../utils/ConfigManager.js";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+
+async function rulesCommand(options) {
+  try {
+    if (options.enable) {
+      ConfigManager.enableRule(options.enable);
+      console.log(chalk.green(`Enabled rule ${options.enable}`));
+    } else if (options.disable) {
+      ConfigManager.disableRule(options.disable);
+      console.log(chalk.green(`Disabled rule ${options.disable}`));
+    } else if (options.severity) {
+      const [ruleId, severity] = options.severity.split("=");
+      if (!ruleId || !severity) {
+        console.log(
+          chalk.red("Invalid format. Use: --severity <rule>=<level>"),
+        );
+        return;
+      }
+      ConfigManager.setRuleSeverity(ruleId, severity);
+      console.log(chalk.green(`Set ${ruleId} severity to ${severity}`));
+    } else {
+      displayRules(options);
+    }
+  } catch (error) {
+    console.error(chalk.red("Rules error:"), error.message);
+    if (options.debug) {
+      console.error(error.stack);
+    }
+  }
+}
+
+function displayRules(options) {
+  const config = ConfigManager.isInitialized() ? ConfigManager.getConfig() : {};
+  const layer = options.layer ? parseInt(options.layer) : null;
+  const rules = RuleRegistry.getRules(layer);
+
+  console.log(chalk.bold("NeuroLint Rules"));
+  console.log(chalk.gray("=".repeat(50)));
+
+  let currentLayer = null;
+  rules.forEach((rule) => {
+    if (rule.layer !== currentLayer) {
+      currentLayer = rule.layer;
+      console.log();
+      console.log(chalk.yellow(`Layer ${rule.layer}:`));
+    }
+
+    const setting = RuleRegistry.getRuleSetting(rule.id, config);
+    const status = setting.enabled ? chalk.green("[ON] ") : chalk.gray("[OFF]");
+    const fixable = rule.fixable ? "" : chalk.gray(" (detect only)");
+
+    console.log(
+      `   ${status} ${chalk.white(rule.id.padEnd(32))} ${setting.severity.padEnd(8)}${fixable}`,
+    );
+    console.log(`         ${chalk.gray(rule.description)}`);
+  });
+
+  console.log();
+  console.log(
+    chalk.gray(
+      'Configure rules in .neurolint.json, e.g. "rules": { "L2/console-log": "off" }',
+    ),
+  );
+}
+
+export { rulesCommand };
@@ -46,7 +46,7 @@ async function checkProjectStatus() {
   };
 
   // Check if NeuroLint is initialized
-  projectInfo.initialized = fs.existsSync(path.join(cwd, ".neurolint.json"));
+  projectInfo.initialized = ConfigManager.isInitialized(cwd);
 
   // Check for common project files
   projectInfo.packageJson = fs.existsSync(path.join(cwd, "package.json"));
@@ -0,0 +1,57 @@
+import chalk from "chalk";
+import { FixJournal } from "../utils/FixJournal.js";
+
+async function undoCommand(runId, options) {
+  if (options.list) {
+    displayHistory();
+    return;
+  }
+
+  let run;
+  let conflicts;
+  try {
+    run = FixJournal.getRun(runId);
+    ({ conflicts } = FixJournal.undo(run, { force: options.force }));
+  } catch (error) {
+    console.error(chalk.red(`❌ Undo failed: ${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  conflicts.forEach((entry) => {
+    console.log(chalk.yellow(`Overwrote later changes to ${entry.file}`));
+  });
+
+  run.files.forEach((entry) => {
+    console.log(
+      entry.before === null
+        ? `   ${chalk.red("deleted")}  ${entry.file}`
+        : `   ${chalk.green("restored")} ${entry.file}`,
+    );
+  });
+
+  console.log(
+    chalk.green(`Undid fix run ${run.id} (${run.files.length} files)`),
+  );
+}
+
+function displayHistory() {
+  const runs = FixJournal.list();
+
+  if (runs.length === 0) {
+    console.log(chalk.gray("No fix runs recorded in .neurolint/history"));
+    return;
+  }
+
+  console.log(chalk.bold("Fix History"));
+  console.log(chalk.gray("=".repeat(50)));
+
+  runs.forEach((run) => {
+    const status = run.undoneAt ? chalk.gray(" (undone)") : "";
+    console.log(
+      `${chalk.white(run.id)}  ${chalk.gray(run.timestamp)}  ${run.files.length} files${status}`,
+    );
+  });
+}
+
+export { undoCommand };
@@ -1,6 +1,6 @@
 import chalk from "chalk";
 import { performance } from "perf_hooks";
-import { EnhancedLayerOrchestrator } from "./EnhancedLayerOrchestrator.js";
+import { createEngine } from "./NeuroLintEngine.js";
 import { ErrorRecoverySystem } from "./ErrorRecoverySystem.js";
 
 /**
@@ -11,7 +11,9 @@ import { ErrorRecoverySystem } from "./ErrorRecoverySystem.js";
 class LayerOrchestrationTester {
   constructor() {
     this.testResults = [];
-    this.orchestrator = new EnhancedLayerOrchestrator({ verbose: false });
+    this.engine = createEngine();
+    // Kept in memory so the tests leave the on-disk result cache alone
+    this.cache = new Map();
   }
 
   /**
@@ -203,6 +205,7 @@ export { sum };`,
           shouldOptimize: true,
           maxLayersExecuted: 2,
         },
+        options: { smart: true },
         category: "optimization",
       },
     ];
@@ -333,11 +336,9 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         console.log(chalk.gray(`  Running: ${test.name}`));
       }
 
-      const result = await this.orchestrator.executeLayers(
-        test.input,
-        [test.layer],
-        { verbose: false, dryRun: false },
-      );
+      const result = await this.engine.fix(test.input, {
+        layers: [test.layer],
+      });
 
       const executionTime = performance.now() - startTime;
       const success = this.validateUnitTestResult(result, test);
@@ -350,10 +351,10 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         executionTime,
         details: {
           input: test.input,
-          output: result.finalCode,
+          output: result.code,
           expectedChanges: test.expectedChanges,
           actualChanges: result.summary?.improvements || [],
-          layersExecuted: result.results?.length || 0,
+          layersExecuted: result.layers.length || 0,
         },
       });
 
@@ -384,11 +385,10 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         console.log(chalk.gray(`  Running: ${test.name}`));
       }
 
-      const result = await this.orchestrator.executeLayers(
-        test.input,
-        test.layers,
-        { verbose: false, dryRun: false },
-      );
+      const result = await this.engine.fix(test.input, {
+        layers: test.layers,
+        ...test.options,
+      });
 
       const executionTime = performance.now() - startTime;
       const success = this.validateIntegrationTestResult(result, test);
@@ -403,9 +403,9 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
           expectedResults: test.expectedResults,
           actualResults: {
             succeeded: result.success,
-            layersExecuted: result.results?.length || 0,
+            layersExecuted: result.layers.length || 0,
             totalChanges: result.summary?.totalChanges || 0,
-            finalCodeSameAsInput: result.finalCode === test.input,
+            finalCodeSameAsInput: result.code === test.input,
           },
         },
       });
@@ -437,11 +437,9 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         console.log(chalk.gray(`  Running: ${test.name}`));
       }
 
-      const result = await this.orchestrator.executeLayers(
-        test.input,
-        test.layers,
-        { verbose: false, dryRun: false },
-      );
+      const result = await this.engine.fix(test.input, {
+        layers: test.layers,
+      });
 
       const executionTime = performance.now() - startTime;
       const success = this.validateRegressionTestResult(result, test);
@@ -496,11 +494,10 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         // Cache efficiency test
         let cacheHits = 0;
         for (let i = 0; i < test.repetitions; i++) {
-          const result = await this.orchestrator.executeLayers(
-            test.input,
-            test.layers,
-            { verbose: false, useCache: true },
-          );
+          const result = await this.engine.fix(test.input, {
+            layers: test.layers,
+            cache: this.cache,
+          });
           if (result.fromCache) cacheHits++;
         }
 
@@ -511,11 +508,9 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         // Multiple files test
         const results = [];
         for (const input of test.inputs) {
-          const result = await this.orchestrator.executeLayers(
-            input,
-            test.layers,
-            { verbose: false },
-          );
+          const result = await this.engine.fix(input, {
+            layers: test.layers,
+          });
           results.push(result);
         }
 
@@ -526,11 +521,9 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
         success = totalTime <= test.maxTotalTime;
       } else {
         // Single file test
-        const result = await this.orchestrator.executeLayers(
-          test.input,
-          test.layers,
-          { verbose: false },
-        );
+        const result = await this.engine.fix(test.input, {
+          layers: test.layers,
+        });
 
         const executionTime = performance.now() - startTime;
         const memoryAfter = process.memoryUsage();
@@ -601,16 +594,16 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
       return false;
     if (
       expected.layersExecuted &&
-      (result.results?.length || 0) !== expected.layersExecuted
+      (result.layers.length || 0) !== expected.layersExecuted
     )
       return false;
-    if (expected.finalCodeSameAsInput && result.finalCode !== test.input)
+    if (expected.finalCodeSameAsInput && result.code !== test.input)
       return false;
-    if (expected.shouldOptimize && result.optimizations?.length === 0)
+    if (expected.shouldOptimize && result.skipped.length === 0)
       return false;
     if (
       expected.maxLayersExecuted &&
-      (result.results?.length || 0) > expected.maxLayersExecuted
+      (result.layers.length || 0) > expected.maxLayersExecuted
     )
       return false;
 
@@ -621,13 +614,13 @@ function useApi<T extends Record<string, any>>(): ApiResponse<T> | null {
     if (test.shouldNotCorrupt && !result.success) return false;
     if (
       test.shouldPreserveExistingKeys &&
-      result.finalCode.includes("key=") &&
+      result.code.includes("key=") &&
       !test.input.includes("key=")
     )
       return false;
     if (
       test.shouldPreserveTypes &&
-      !result.finalCode.includes("interface") &&
+      !result.code.includes("interface") &&
       test.input.includes("interface")
     )
       return false;
@@ -0,0 +1,444 @@
+import fs from "fs";
+import { performance } from "perf_hooks";
+import { LayerExecutor } from "../layers/LayerExecutor.js";
+import { LayerDependencyManager } from "../layers/LayerDependencyManager.js";
+import { TransformationValidator } from "../layers/TransformationValidator.js";
+import { SmartLayerSelector } from "../layers/SmartLayerSelector.js";
+import { SuppressionManager } from "../layers/SuppressionManager.js";
+import { ResultCache } from "../utils/ResultCache.js";
+import { transformLayer } from "../layers/transforms/index.js";
+
+const ALL_LAYERS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * The NeuroLint engine: the one programmatic API behind the CLI commands,
+ * the API server and the VS Code bridge
+ *
+ * An engine is bound to a configuration, the contents of .neurolint.json.
+ * Its rules decide which fixes run and which issues are reported, and
+ * layers.enabled is the default layer set. Nothing is printed; every
+ * method returns plain data.
+ *
+ *   const engine = createEngine(config);
+ *   await engine.analyze(code, { filePath });    // issues in a source
+ *   await engine.analyzeFiles(files);            // issues in files on disk
+ *   await engine.fix(code, { filePath });        // fixed source, in memory
+ *   await engine.fixFiles(files, { dryRun });    // fixes files on disk
+ */
+class NeuroLintEngine {
+  constructor(config = {}) {
+    this.config = config;
+    this.layers = config.layers?.enabled || ALL_LAYERS;
+    this.executor = new LayerExecutor();
+  }
+
+  /**
+   * Describe the six layers: number, name and whether they are critical
+   */
+  getLayers() {
+    return this.executor.getAllLayersInfo();
+  }
+
+  /**
+   * Issues the layers can fix in one source, by rule ID
+   *
+   * Issues silenced by neurolint-disable comments are returned as
+   * suppressed, and directives that silence nothing as unusedSuppressions.
+   */
+  async analyze(code, options = {}) {
+    const { filePath = "", layers = this.layers } = options;
+
+    const detected = layers.flatMap((layer) => {
+      const { issues, suppressed } = this.executor.detectLayerIssues(
+        layer,
+        filePath,
+        code,
+        { config: this.config },
+      );
+      return [...issues, ...suppressed];
+    });
+    // Filtered again across all layers to find unused directives
+    const filtered = SuppressionManager.filterIssues(
+      detected,
+      code,
+      layers,
+      filePath,
+    );
+
+    return {
+      filePath,
+      issues: filtered.issues,
+      suppressed: filtered.suppressed,
+      unusedSuppressions: filtered.unused.map((directive) => ({
+        file: filePath,
+        ...directive,
+      })),
+    };
+  }
+
+  /**
+   * Issues in files on disk, in the shape the analyze reporters take
+   *
+   * options.cache is a ResultCache reused for unchanged files, and
+   * options.concurrency spreads larger file sets over worker threads.
+   * With options.smart, each file only runs the layers that detect
+   * something in it. options.contents maps files to the source to analyze
+   * in place of what is on disk, such as their staged version.
+   */
+  async analyzeFiles(files, options = {}) {
+    const { layers = this.layers, cache, smart = false, contents } = options;
+    const read = (file) => contents?.get(file) ?? fs.readFileSync(file, "utf8");
+    let layerResults;
+    let layersUsed = layers;
+
+    if (smart) {
+      const relevant = new Map(
+        files.map((file) => [
+          file,
+          SmartLayerSelector.getRelevantLayers(read(file), file, layers),
+        ]),
+      );
+      layersUsed = layers.filter((layer) =>
+        [...relevant.values()].some((fileLayers) => fileLayers.includes(layer)),
+      );
+      layerResults = {};
+
+      for (const layer of layersUsed) {
+        layerResults[layer] = await this.executor.executeLayer(
+          layer,
+          files.filter((file) => relevant.get(file).includes(layer)),
+          { config: this.config, cache, contents },
+        );
+      }
+    } else {
+      layerResults = await this.executor.analyzeFiles(files, layers, {
+        config: this.config,
+        cache,
+        concurrency: options.concurrency,
+        contents,
+      });
+    }
+
+    const results = this.reportIssues(
+      files,
+      layers,
+      layersUsed.flatMap((layer) => [
+        ...layerResults[layer].issues,
+        ...layerResults[layer].suppressed,
+      ]),
+      contents,
+    );
+    results.summary.layersUsed = layersUsed;
+    results.layers = layerResults;
+
+    return results;
+  }
+
+  /**
+   * Build analysis results from issues found in files, such as those the
+   * NeuroLint API returns, dropping issues silenced by neurolint-disable
+   * comments. `contents` is analyzeFiles()' options.contents.
+   */
+  reportIssues(files, layers, issues, contents = null) {
+    const results = {
+      summary: {
+        filesAnalyzed: files.length,
+        layersUsed: layers,
+        issuesFound: 0,
+        issuesSuppressed: 0,
+        timestamp: new Date().toISOString(),
+      },
+      issues: [],
+      suppressed: [],
+      files: [],
+      layers: {},
+      unusedSuppressions: [],
+    };
+
+    files.forEach((file) => {
+      const fileIssues = issues.filter((issue) => issue.file === file);
+      let code;
+
+      try {
+        code = contents?.get(file) ?? fs.readFileSync(file, "utf8");
+      } catch (error) {
+        results.issues.push(...fileIssues);
+        results.files.push({ filePath: file, issues: fileIssues });
+        return;
+      }
+
+      const filtered = SuppressionManager.filterIssues(
+        fileIssues,
+        code,
+        layers,
+        file,
+      );
+      results.issues.push(...filtered.issues);
+      results.files.push({ filePath: file, issues: filtered.issues });
+      results.suppressed.push(...filtered.suppressed);
+      results.summary.issuesSuppressed += filtered.suppressed.length;
+      results.unusedSuppressions.push(
+        ...filtered.unused.map((directive) => ({ file, ...directive })),
+      );
+    });
+
+    // Issues attributed to files outside the analyzed set are kept
+    results.issues.push(
+      ...issues.filter((issue) => !files.includes(issue.file)),
+    );
+    results.summary.issuesFound = results.issues.length;
+
+    return results;
+  }
+
+  /**
+   * Run the layers over one source in memory
+   *
+   * Layers the requested ones depend on are added. A layer that throws, or
+   * whose output fails validation, is rolled back and the next layer runs
+   * on the code from before it. options.filePath enables path-specific
+   * fixes, options.cache is a ResultCache for whole results, and with
+   * options.smart the layers that detect nothing are skipped.
+   */
+  async fix(code, options = {}) {
+    const startTime = performance.now();
+    const { filePath = "", cache, smart = false } = options;
+    const { correctedLayers, warnings } =
+      LayerDependencyManager.validateAndCorrectLayers(
+        options.layers || this.layers,
+      );
+
+    const key =
+      cache &&
+      ResultCache.createKey(code, {
+        layers: correctedLayers,
+        rules: this.config.rules,
+        scope: `fix${smart ? ":smart" : ""}:${filePath}`,
+      });
+    const cached = cache?.get(key);
+    if (cached) {
+      return {
+        ...cached,
+        fromCache: true,
+        executionTime: performance.now() - startTime,
+      };
+    }
+
+    const layers = smart
+      ? SmartLayerSelector.getRelevantLayers(code, filePath, correctedLayers)
+      : correctedLayers;
+    const validate = TransformationValidator.canValidate(filePath);
+    const layerResults = [];
+    let current = code;
+
+    for (const layer of layers) {
+      const layerResult = this.runLayer(layer, current, filePath, validate);
+      layerResults.push(layerResult);
+      current = layerResult.code;
+    }
+
+    const result = {
+      filePath,
+      code: current,
+      originalCode: code,
+      success: layerResults.every((layerResult) => layerResult.success),
+      changes: layerResults.flatMap((layerResult) => layerResult.changes),
+      layers: layerResults,
+      skipped: correctedLayers.filter((layer) => !layers.includes(layer)),
+      warnings,
+      summary: {
+        totalLayers: layerResults.length,
+        successfulLayers: layerResults.filter((r) => r.success).length,
+        failedLayers: layerResults.filter((r) => !r.success).length,
+        totalChanges: layerResults.reduce((sum, r) => sum + r.changeCount, 0),
+        improvements: layerResults.flatMap((r) => r.improvements),
+      },
+      fromCache: false,
+      executionTime: performance.now() - startTime,
+    };
+
+    if (result.success) {
+      cache?.set(key, result);
+    }
+    return result;
+  }
+
+  runLayer(layer, code, filePath, validate) {
+    const startTime = performance.now();
+    const layerResult = {
+      layer,
+      name: this.executor.layerDescriptions[layer],
+      success: true,
+      code,
+      changes: [],
+      changeCount: 0,
+      improvements: [],
+    };
+
+    try {
+      const transformed = transformLayer(layer, code, {
+        filePath,
+        config: this.config,
+      });
+      const validation = validate
+        ? TransformationValidator.validateTransformation(code, transformed.code)
+        : { shouldRevert: false };
+
+      if (validation.shouldRevert) {
+        layerResult.success = false;
+        layerResult.revertReason = validation.reason;
+      } else {
+        layerResult.code = transformed.code;
+        layerResult.changes = transformed.changes.map((change) => ({
+          ...change,
+          layer,
+        }));
+        layerResult.changeCount = this.calculateChanges(
+          code,
+          transformed.code,
+        );
+        layerResult.improvements = this.detectImprovements(
+          code,
+          transformed.code,
+          layer,
+        );
+      }
+    } catch (error) {
+      layerResult.success = false;
+      layerResult.error = error.message;
+    }
+
+    layerResult.executionTime = performance.now() - startTime;
+    return layerResult;
+  }
+
+  /**
+   * Apply the layers' fixes to files on disk, one layer at a time
+   *
+   * Layer 1 also fixes the project's config files, and layers 4 and 6
+   * create their scaffold files when missing, unless options.scaffold is
+   * false. options.cwd is the
+   * directory files resolve against, a dry run collects the same changes
+   * without writing anything, and options.concurrency spreads larger file
+   * sets over worker threads.
+   */
+  async fixFiles(files, options = {}) {
+    const { layers = this.layers, dryRun = false, cwd, scaffold } = options;
+    const results = { changes: [], errors: [], layers: {} };
+    const pool = this.executor.createWorkerPool(files.length, {
+      config: this.config,
+      concurrency: options.concurrency,
+    });
+
+    try {
+      // Each layer runs on what the previous one wrote
+      for (const layer of layers) {
+        let layerResults;
+
+        try {
+          layerResults = await this.executor.executeLayerFixes(
+            layer,
+            files,
+            dryRun,
+            { config: this.config, cwd, pool, scaffold },
+          );
+        } catch (error) {
+          layerResults = {
+            layer,
+            name: this.executor.layerDescriptions[layer],
+            changes: [],
+            errors: [],
+            error: error.message,
+          };
+        }
+
+        results.layers[layer] = layerResults;
+        results.changes.push(...layerResults.changes);
+        results.errors.push(
+          ...layerResults.errors.map((error) => ({ ...error, layer })),
+        );
+      }
+    } finally {
+      await pool?.destroy();
+    }
+
+    return results;
+  }
+
+  /**
+   * Count the non-blank lines that differ between two versions
+   */
+  calculateChanges(before, after) {
+    if (before === after) return 0;
+
+    const beforeLines = before.split("\n").filter((line) => line.trim());
+    const afterLines = after.split("\n").filter((line) => line.trim());
+
+    let changes = Math.abs(beforeLines.length - afterLines.length);
+    const minLength = Math.min(beforeLines.length, afterLines.length);
+
+    for (let i = 0; i < minLength; i++) {
+      if (beforeLines[i].trim() !== afterLines[i].trim()) {
+        changes++;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Summarize what a layer improved, for people reading the results
+   */
+  detectImprovements(before, after, layer) {
+    const count = (code, pattern) => (code.match(pattern) || []).length;
+    const improvements = [];
+
+    switch (layer) {
+      case 1:
+        if (
+          before.includes('"target": "es5"') &&
+          after.includes('"target": "es2022"')
+        ) {
+          improvements.push("Upgraded TypeScript target to ES2022");
+        }
+        break;
+
+      case 2: {
+        const entities = /&quot;|&amp;|&lt;|&gt;/g;
+        const fixed = count(before, entities) - count(after, entities);
+        if (fixed > 0) {
+          improvements.push(`Fixed ${fixed} HTML entity corruptions`);
+        }
+        break;
+      }
+
+      case 3: {
+        const added = count(after, /key=/g) - count(before, /key=/g);
+        if (added > 0) {
+          improvements.push(`Added ${added} missing key props`);
+        }
+        break;
+      }
+
+      case 4: {
+        const guards = /typeof window/g;
+        const added = count(after, guards) - count(before, guards);
+        if (added > 0) {
+          improvements.push(`Added ${added} SSR guards`);
+        }
+        break;
+      }
+    }
+
+    return improvements;
+  }
+}
+
+/**
+ * Create an engine bound to a configuration (.neurolint.json contents)
+ */
+function createEngine(config = {}) {
+  return new NeuroLintEngine(config);
+}
+
+export { NeuroLintEngine, createEngine };
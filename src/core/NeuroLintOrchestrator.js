@@ -1,25 +1,20 @@
-import { EnhancedLayerOrchestrator } from "./EnhancedLayerOrchestrator.js";
+import { createEngine } from "./NeuroLintEngine.js";
 import { ErrorRecoverySystem } from "./ErrorRecoverySystem.js";
-import { EnhancedPerformanceOptimizer } from "./EnhancedPerformanceOptimizer.js";
 import { LayerOrchestrationTester } from "./LayerOrchestrationTester.js";
 import { SmartLayerSelector } from "../layers/SmartLayerSelector.js";
+import { ResultCache } from "../utils/ResultCache.js";
 import chalk from "chalk";
 import { performance } from "perf_hooks";
 
 /**
- * Main NeuroLint Orchestrator that combines all enhanced patterns
- * Implements comprehensive orchestration following all patterns from ORCHESTRATION-IMPLEMENTATION.md
+ * Metrics and error reports around the engine (NeuroLintEngine.js)
  *
- * Features:
- * - Safe Layer Execution with rollback
- * - AST vs Regex Fallback Strategy
- * - Incremental Validation System
- * - Layer Dependency Management
- * - Pipeline State Tracking
- * - Smart Layer Selection
- * - Error Recovery and Reporting
- * - Performance Optimization
- * - Comprehensive Testing
+ * A thin wrapper kept for existing callers: every file goes through
+ * engine.fix or engine.analyze, with smart layer selection, error recovery
+ * suggestions and an execution history added on top.
+ *
+ * @deprecated Use createEngine from the library entry point (src/api.js);
+ * engine.fixFiles also runs batches over worker threads.
  */
 class NeuroLintOrchestrator {
   constructor(options = {}) {
@@ -28,7 +23,6 @@ class NeuroLintOrchestrator {
       dryRun: false,
       useCache: true,
       skipUnnecessary: true,
-      enablePerformanceOptimization: true,
       enableErrorRecovery: true,
       enableSmartSelection: true,
       maxExecutionTime: 300000, // 5 minutes
@@ -36,8 +30,8 @@ class NeuroLintOrchestrator {
     };
 
     // Initialize components
-    this.layerOrchestrator = new EnhancedLayerOrchestrator(this.options);
-    this.performanceOptimizer = new EnhancedPerformanceOptimizer();
+    this.engine = createEngine(this.options.config);
+    this.cache = new ResultCache();
     this.tester = new LayerOrchestrationTester();
 
     this.executionHistory = [];
@@ -54,7 +48,8 @@ class NeuroLintOrchestrator {
    */
   async execute(code, filePath = "", options = {}) {
     const startTime = performance.now();
-    const mergedOptions = { ...this.options, ...options };
+    // The layers use the path for file-specific fixes
+    const mergedOptions = { ...this.options, ...options, filePath };
 
     this.log("🚀 Starting NeuroLint Orchestration...", mergedOptions.verbose);
 
@@ -81,33 +76,24 @@ class NeuroLintOrchestrator {
         }
       }
 
-      // Step 2: Performance-optimized execution
-      let result;
-
-      if (mergedOptions.enablePerformanceOptimization) {
-        result = await this.performanceOptimizer.executeOptimized(
-          code,
-          layers,
-          (code, layers, opts) =>
-            this.layerOrchestrator.executeLayers(code, layers, opts),
-          mergedOptions,
-        );
-      } else {
-        // Standard execution
-        const executionResult = await this.layerOrchestrator.executeLayers(
-          code,
-          layers,
-          mergedOptions,
-        );
-        result = {
-          result: executionResult.finalCode,
-          fromCache: false,
-          executionTime: executionResult.executionTime,
-          optimizations: [],
-          layerResults: executionResult.results,
-          metrics: {},
-        };
-      }
+      // Step 2: Run the layers, skipping those that detect nothing
+      const fixed = await this.engine.fix(code, {
+        filePath,
+        layers,
+        cache: mergedOptions.useCache ? this.cache : undefined,
+        smart: mergedOptions.skipUnnecessary,
+      });
+      const result = {
+        result: fixed.code,
+        fromCache: fixed.fromCache,
+        optimizations: fixed.skipped.map(
+          (layer) => `Skipped Layer ${layer} (no issues detected)`,
+        ),
+        layerResults: fixed.layers.map(({ layer, ...layerResult }) => ({
+          layerId: layer,
+          ...layerResult,
+        })),
+      };
 
       // Step 3: Error recovery (if needed and enabled)
       if (
@@ -185,17 +171,41 @@ class NeuroLintOrchestrator {
   }
 
   /**
-   * Batch processing for multiple files
+   * Batch processing for multiple files, one at a time
    */
   async executeBatch(files, options = {}) {
     const startTime = performance.now();
-    const results = [];
 
     this.log(
       `📦 Starting batch processing of ${files.length} files...`,
       options.verbose,
     );
 
+    const results = await this.executeBatchSequentially(files, options);
+
+    const totalTime = performance.now() - startTime;
+    const successful = results.filter((r) => r.success).length;
+
+    this.log(
+      `📊 Batch completed: ${successful}/${files.length} successful in ${totalTime.toFixed(0)}ms`,
+      true,
+    );
+
+    return {
+      results,
+      summary: {
+        totalFiles: files.length,
+        successful,
+        failed: files.length - successful,
+        totalExecutionTime: totalTime,
+        averageTimePerFile: totalTime / files.length,
+      },
+    };
+  }
+
+  async executeBatchSequentially(files, options) {
+    const results = [];
+
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
 
@@ -224,24 +234,7 @@ class NeuroLintOrchestrator {
       }
     }
 
-    const totalTime = performance.now() - startTime;
-    const successful = results.filter((r) => r.success).length;
-
-    this.log(
-      `📊 Batch completed: ${successful}/${files.length} successful in ${totalTime.toFixed(0)}ms`,
-      true,
-    );
-
-    return {
-      results,
-      summary: {
-        totalFiles: files.length,
-        successful,
-        failed: files.length - successful,
-        totalExecutionTime: totalTime,
-        averageTimePerFile: totalTime / files.length,
-      },
-    };
+    return results;
   }
 
   /**
@@ -254,12 +247,14 @@ class NeuroLintOrchestrator {
       code,
       filePath,
     );
-    const complexity = this.performanceOptimizer.analyzeCodeComplexity(code);
+    const complexity = this.analyzeCodeComplexity(code);
+    const { issues } = await this.engine.analyze(code, { filePath });
 
     return {
       recommendation,
       complexity,
       filePath,
+      issues,
       codeStats: {
         lines: code.split("\n").length,
         characters: code.length,
@@ -283,26 +278,25 @@ class NeuroLintOrchestrator {
    * Get performance metrics and statistics
    */
   getMetrics() {
-    const performanceMetrics =
-      this.performanceOptimizer.generatePerformanceReport();
-
     return {
       global: this.globalMetrics,
-      performance: performanceMetrics,
       history: this.executionHistory.slice(-10), // Last 10 executions
       cache: {
-        size: this.performanceOptimizer.cache.size,
-        hits: this.performanceOptimizer.metrics.cacheHits,
-        misses: this.performanceOptimizer.metrics.cacheMisses,
+        size: this.cache.size,
+        hits: this.cache.hits,
+        misses: this.cache.misses,
       },
     };
   }
 
   /**
-   * Clear caches and reset metrics
+   * Reset the execution history and metrics
+   * The result cache is shared on disk with the CLI, so its entries are
+   * kept and only this instance's hit counts start over
    */
   reset() {
-    this.performanceOptimizer.clearCache();
+    this.cache.hits = 0;
+    this.cache.misses = 0;
     this.executionHistory = [];
     this.globalMetrics = {
       totalExecutions: 0,
@@ -366,16 +360,71 @@ class NeuroLintOrchestrator {
           result.layerResults?.reduce((sum, r) => sum + r.executionTime, 0) ||
           0,
       },
-      metrics: result.metrics || {},
       errorReport: result.errorReport,
       recoverySuggestions: result.recoverySuggestions,
     };
   }
 
+  /**
+   * Score code size and branching from 0 (simple) to 1 (complex)
+   */
+  analyzeCodeComplexity(code) {
+    const metrics = {
+      lines: code.split("\n").length,
+      characters: code.length,
+      functions: (code.match(/function\s+\w+|=>\s*{|const\s+\w+\s*=/g) || [])
+        .length,
+      components: (
+        code.match(/<[A-Z]\w*|function\s+[A-Z]\w*|const\s+[A-Z]\w*\s*=/g) || []
+      ).length,
+      imports: (code.match(/import\s+.*from|require\s*\(/g) || []).length,
+      complexity: this.calculateCyclomaticComplexity(code),
+    };
+
+    // Calculate complexity score (0-1)
+    const lineWeight = Math.min(metrics.lines / 1000, 1) * 0.3;
+    const functionWeight = Math.min(metrics.functions / 50, 1) * 0.3;
+    const componentWeight = Math.min(metrics.components / 20, 1) * 0.2;
+    const complexityWeight = Math.min(metrics.complexity / 20, 1) * 0.2;
+
+    const score =
+      lineWeight + functionWeight + componentWeight + complexityWeight;
+
+    return {
+      ...metrics,
+      score,
+      level: score < 0.3 ? "simple" : score < 0.7 ? "moderate" : "complex",
+    };
+  }
+
+  calculateCyclomaticComplexity(code) {
+    const complexityPatterns = [
+      /if\s*\(/g,
+      /else\s+if\s*\(/g,
+      /while\s*\(/g,
+      /for\s*\(/g,
+      /switch\s*\(/g,
+      /case\s+.*:/g,
+      /catch\s*\(/g,
+      /&&|\|\|/g,
+      /\?\s*.*\s*:/g, // Ternary operators
+    ];
+
+    let complexity = 1; // Base complexity
+
+    complexityPatterns.forEach((pattern) => {
+      const matches = code.match(pattern);
+      if (matches) {
+        complexity += matches.length;
+      }
+    });
+
+    return complexity;
+  }
+
   estimateProcessingTime(code, layers) {
     const baseTime = 100; // Base processing time in ms
-    const codeComplexity =
-      this.performanceOptimizer.analyzeCodeComplexity(code);
+    const codeComplexity = this.analyzeCodeComplexity(code);
     const layerMultiplier = layers.length * 200; // 200ms per layer
     const complexityMultiplier = codeComplexity.score * 1000; // Up to 1s for complex code
 
@@ -11,15 +11,21 @@ import boxen from "boxen";
 import { ErrorHandler } from "./utils/ErrorHandler.js";
 import { PluginManager } from "./plugins/PluginManager.js";
 import { VSCodeBridge } from "./integration/VSCodeBridge.js";
+import { ReporterRegistry } from "./reporters/ReporterRegistry.js";
 
 // Import commands
 import { analyzeCommand } from "./commands/analyze.js";
 import { fixCommand } from "./commands/fix.js";
+import { undoCommand } from "./commands/undo.js";
+import { hooksCommand } from "./commands/hooks.js";
+import { cacheCommand } from "./commands/cache.js";
 import { initCommand } from "./commands/init.js";
 import { statusCommand } from "./commands/status.js";
 import { loginCommand } from "./commands/auth.js";
 import { configCommand } from "./commands/config.js";
+import { rulesCommand } from "./commands/rules.js";
 import { interactiveCommand } from "./commands/interactive.js";
+import { lspCommand } from "./commands/lsp.js";
 
 // Import package.json
 import { createRequire } from "module";
@@ -61,6 +67,7 @@ program
     "comma-separated list of layers to enable",
     "1,2,3,4",
   )
+  .option("--hooks", "install the git pre-commit hook")
   .action(async (options) => {
     errorHandler.pushContext("init");
     try {
@@ -86,9 +93,29 @@ program
   )
   .option(
     "-o, --output <format>",
-    "output format (table|json|summary)",
+    "output format (table|json|summary|github|sarif|junit|checkstyle)",
     "table",
   )
+  .option("--reporter <name>", "reporter to use, including plugin reporters")
+  .option("--output-file <path>", "write the report to a file")
+  .option("--staged", "only analyze files staged in git")
+  .option("--changed", "only analyze files changed in the working tree")
+  .option("--since <ref>", "only analyze files changed since a git ref")
+  .option("--changed-lines", "only report issues on changed lines")
+  .option(
+    "--workspace <names>",
+    "only analyze these workspace packages (comma-separated)",
+  )
+  .option("-w, --watch", "re-analyze files as they change")
+  .option("--no-cache", "ignore the result cache in .neurolint/cache")
+  .option(
+    "--concurrency <n>",
+    "worker threads to analyze files on (defaults to the CPU count)",
+  )
+  .option(
+    "--fail-on <severity>",
+    "exit with code 1 if issues at or above this severity are found",
+  )
   .option(
     "-i, --include <pattern>",
     "include file pattern",
@@ -97,13 +124,16 @@ program
   .option(
     "-e, --exclude <pattern>",
     "exclude file pattern",
-    "node_modules/**,dist/**,build/**",
+    "**/node_modules/**,**/dist/**,**/build/**",
   )
   .action(async (path, options) => {
     errorHandler.pushContext("analyze");
     try {
-      // Load plugins if requested
-      if (program.opts().plugins) {
+      // Load plugins if requested or needed for a plugin reporter
+      if (
+        program.opts().plugins ||
+        (options.reporter && !ReporterRegistry.has(options.reporter))
+      ) {
         await pluginManager.loadPlugins();
       }
 
@@ -121,6 +151,9 @@ program
   .description("Fix issues automatically using NeuroLint layers")
   .argument("[path]", "path to fix", ".")
   .option("--dry-run", "preview changes without applying them")
+  .option("--diff", "print a unified diff of the changes")
+  .option("--write-patch <file>", "write the changes to a git-style patch")
+  .option("--interactive", "review each hunk before it is written")
   .option("--backup", "create backup files before fixing")
   .option(
     "-l, --layers <layers>",
@@ -128,10 +161,29 @@ program
     "1,2,3,4,5,6",
   )
   .option("-r, --recursive", "fix recursively")
+  .option("--staged", "only fix files staged in git")
+  .option("--changed", "only fix files changed in the working tree")
+  .option("--since <ref>", "only fix files changed since a git ref")
+  .option("--restage", "add fixed files back to the git index")
+  .option("--no-scaffold", "do not create the files layers 4 and 6 add")
+  .option(
+    "--concurrency <n>",
+    "worker threads to fix files on (defaults to the CPU count)",
+  )
+  .option(
+    "--workspace <names>",
+    "only fix these workspace packages (comma-separated)",
+  )
+  .option("-w, --watch", "re-run fixes on files as they change")
+  .option("--reporter <name>", "reporter to use (table|json)", "table")
+  .option("--output-file <path>", "write the report to a file")
   .action(async (path, options) => {
     errorHandler.pushContext("fix");
     try {
-      if (program.opts().plugins) {
+      if (
+        program.opts().plugins ||
+        !ReporterRegistry.has(options.reporter)
+      ) {
         await pluginManager.loadPlugins();
       }
 
@@ -144,6 +196,63 @@ program
     }
   });
 
+program
+  .command("undo")
+  .description("Restore the files changed by a fix run")
+  .argument("[runId]", "fix run to undo (defaults to the latest)")
+  .option("-f, --force", "undo even if files changed after the run")
+  .option("--list", "list recorded fix runs")
+  .action(async (runId, options) => {
+    errorHandler.pushContext("undo");
+    try {
+      await undoCommand(runId, options);
+    } catch (error) {
+      errorHandler.handleError(error, "undo", options);
+      process.exit(1);
+    } finally {
+      errorHandler.popContext();
+    }
+  });
+
+program
+  .command("hooks")
+  .description("Manage the git pre-commit hook")
+  .argument("<action>", "install, uninstall or run")
+  .option("--mode <mode>", "what the hook runs (analyze|fix)")
+  .option(
+    "--fail-on <severity>",
+    "block commits with issues at or above this severity",
+  )
+  .option("-l, --layers <layers>", "comma-separated layers the hook uses")
+  .option("-f, --force", "replace an existing plain git pre-commit hook")
+  .action(async (action, options) => {
+    errorHandler.pushContext("hooks");
+    try {
+      await hooksCommand(action, { ...options, ...program.opts() });
+    } catch (error) {
+      errorHandler.handleError(error, "hooks", options);
+      process.exit(1);
+    } finally {
+      errorHandler.popContext();
+    }
+  });
+
+program
+  .command("cache")
+  .description("Manage the result cache in .neurolint/cache")
+  .argument("<action>", "clear or stats")
+  .action(async (action, options) => {
+    errorHandler.pushContext("cache");
+    try {
+      await cacheCommand(action);
+    } catch (error) {
+      errorHandler.handleError(error, "cache", options);
+      process.exit(1);
+    } finally {
+      errorHandler.popContext();
+    }
+  });
+
 program
   .command("status")
   .description("Check project NeuroLint status")
@@ -173,12 +282,35 @@ program
   .option("--reset", "reset to default configuration")
   .action(configCommand);
 
+program
+  .command("rules")
+  .description("List and configure individual NeuroLint rules")
+  .option("-l, --layer <layer>", "only list rules for one layer")
+  .option("--enable <rule>", "enable a rule by ID")
+  .option("--disable <rule>", "disable a rule by ID")
+  .option("--severity <rule=level>", "set the severity reported for a rule")
+  .action(rulesCommand);
+
 program
   .command("interactive")
   .alias("i")
   .description("Start interactive mode")
   .action(interactiveCommand);
 
+// Language server for editors without a NeuroLint extension
+program
+  .command("lsp")
+  .description("Start the Language Server Protocol server")
+  .option("--stdio", "communicate over stdin/stdout (the default)")
+  .action(async (options) => {
+    try {
+      await lspCommand(options);
+    } catch (error) {
+      errorHandler.handleError(error, "lsp", options);
+      process.exit(1);
+    }
+  });
+
 // Plugin management commands
 program
   .command("plugins")
@@ -196,6 +328,11 @@ program
         plugins.forEach((plugin) => {
           console.log(`  ${chalk.white(plugin.name)} v${plugin.version}`);
           console.log(`    ${chalk.gray(plugin.description)}`);
+          if (plugin.reporters.length > 0) {
+            console.log(
+              `    ${chalk.gray(`Reporters: ${plugin.reporters.join(", ")}`)}`,
+            );
+          }
         });
       } else if (options.install) {
         await pluginManager.installPlugin(options.install);
@@ -0,0 +1,107 @@
+/**
+ * JSON-RPC 2.0 over a byte stream with the Content-Length framing the
+ * Language Server Protocol uses
+ *
+ * Incoming requests and notifications go to the listen() handler; what it
+ * returns for a request is sent back as the result. An error it throws is
+ * sent back with its `code`, or as an internal error.
+ */
+class JsonRpcConnection {
+  static PARSE_ERROR = -32700;
+  static METHOD_NOT_FOUND = -32601;
+  static INTERNAL_ERROR = -32603;
+  static SERVER_NOT_INITIALIZED = -32002;
+
+  constructor(input, output) {
+    this.input = input;
+    this.output = output;
+    this.buffer = Buffer.alloc(0);
+    this.handler = null;
+  }
+
+  /**
+   * Start reading; handler(method, params, isRequest) may be async
+   */
+  listen(handler) {
+    this.handler = handler;
+    this.input.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readMessages();
+    });
+  }
+
+  readMessages() {
+    while (true) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.subarray(0, headerEnd).toString("ascii");
+      const length = header.match(/Content-Length:\s*(\d+)/i);
+      const bodyStart = headerEnd + 4;
+
+      if (!length) {
+        // Unframed input; drop the bad header and resynchronize
+        this.buffer = this.buffer.subarray(bodyStart);
+        continue;
+      }
+
+      const bodyEnd = bodyStart + parseInt(length[1]);
+      if (this.buffer.length < bodyEnd) return;
+
+      const body = this.buffer.subarray(bodyStart, bodyEnd).toString("utf8");
+      this.buffer = this.buffer.subarray(bodyEnd);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        this.sendError(null, JsonRpcConnection.PARSE_ERROR, error.message);
+        continue;
+      }
+
+      this.dispatch(message);
+    }
+  }
+
+  async dispatch(message) {
+    // Responses to requests we sent; the server sends none it waits on
+    if (!message.method) return;
+
+    const isRequest = message.id !== undefined && message.id !== null;
+
+    try {
+      const result = await this.handler(
+        message.method,
+        message.params,
+        isRequest,
+      );
+      if (isRequest) {
+        this.send({ jsonrpc: "2.0", id: message.id, result: result ?? null });
+      }
+    } catch (error) {
+      if (isRequest) {
+        this.sendError(
+          message.id,
+          error.code || JsonRpcConnection.INTERNAL_ERROR,
+          error.message,
+        );
+      }
+    }
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: "2.0", method, params });
+  }
+
+  sendError(id, code, message) {
+    this.send({ jsonrpc: "2.0", id, error: { code, message } });
+  }
+
+  send(message) {
+    const body = Buffer.from(JSON.stringify(message), "utf8");
+    this.output.write(`Content-Length: ${body.length}\r\n\r\n`);
+    this.output.write(body);
+  }
+}
+
+export { JsonRpcConnection };
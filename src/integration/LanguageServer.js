@@ -0,0 +1,463 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createEngine } from "../core/NeuroLintEngine.js";
+import { ConfigManager } from "../utils/ConfigManager.js";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+import { SuppressionManager } from "../layers/SuppressionManager.js";
+import { JsonRpcConnection } from "./JsonRpcConnection.js";
+import { createRequire } from "module";
+const require = createRequire(import.meta.url);
+
+const SEVERITY = { Error: 1, Warning: 2, Information: 3, Hint: 4 };
+const MESSAGE_TYPE_ERROR = 1;
+const FIX_ALL_KIND = "source.fixAll.neurolint";
+
+/**
+ * Language Server Protocol server for editors other than VS Code
+ *
+ * Open documents are analyzed as they change and their issues published as
+ * diagnostics. Code actions offer each issue's fix, fixing every issue of a
+ * rule, a suppression comment, and fixing the whole file; formatting the
+ * document applies every fix. Documents use the config that applies to
+ * their directory, or the defaults when there is none.
+ */
+class LanguageServer {
+  // Delay before re-analyzing a document after an edit
+  static DEBOUNCE_MS = 200;
+
+  constructor(input = process.stdin, output = process.stdout) {
+    this.connection = new JsonRpcConnection(input, output);
+    this.documents = new Map();
+    this.pending = new Map();
+    this.initialized = false;
+    this.shutdownRequested = false;
+    this.configError = null;
+    this.onExit = (code) => process.exit(code);
+  }
+
+  start() {
+    this.connection.listen((method, params, isRequest) =>
+      this.handle(method, params, isRequest),
+    );
+  }
+
+  async handle(method, params, isRequest) {
+    if (method === "initialize") {
+      this.initialized = true;
+      return this.getInitializeResult();
+    }
+
+    if (method === "exit") {
+      this.onExit(this.shutdownRequested ? 0 : 1);
+      return null;
+    }
+
+    if (!this.initialized) {
+      if (!isRequest) return null;
+      throw Object.assign(new Error("Server not initialized"), {
+        code: JsonRpcConnection.SERVER_NOT_INITIALIZED,
+      });
+    }
+
+    switch (method) {
+      case "initialized":
+        return null;
+      case "shutdown":
+        this.shutdownRequested = true;
+        return null;
+      case "textDocument/didOpen":
+        this.openDocument(params.textDocument);
+        return null;
+      case "textDocument/didChange":
+        this.changeDocument(params.textDocument, params.contentChanges);
+        return null;
+      case "textDocument/didSave":
+        this.scheduleValidation(params.textDocument.uri, 0);
+        return null;
+      case "textDocument/didClose":
+        this.closeDocument(params.textDocument.uri);
+        return null;
+      case "workspace/didChangeConfiguration":
+      case "workspace/didChangeWatchedFiles":
+        // A config file may have changed; re-check everything open
+        this.documents.forEach((document, uri) => {
+          this.scheduleValidation(uri, 0);
+        });
+        return null;
+      case "textDocument/codeAction":
+        return this.getCodeActions(params);
+      case "textDocument/formatting":
+        return this.formatDocument(params.textDocument.uri);
+      default:
+        if (!isRequest) return null;
+        throw Object.assign(new Error(`Unhandled method ${method}`), {
+          code: JsonRpcConnection.METHOD_NOT_FOUND,
+        });
+    }
+  }
+
+  getInitializeResult() {
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: 1, // Full document text on every change
+          save: { includeText: false },
+        },
+        codeActionProvider: {
+          codeActionKinds: ["quickfix", FIX_ALL_KIND],
+        },
+        documentFormattingProvider: true,
+      },
+      serverInfo: {
+        name: "neurolint",
+        version: require("../../package.json").version,
+      },
+    };
+  }
+
+  openDocument({ uri, text, version }) {
+    this.documents.set(uri, { uri, text, version });
+    this.scheduleValidation(uri, 0);
+  }
+
+  changeDocument({ uri, version }, contentChanges) {
+    const document = this.documents.get(uri);
+    // Full sync: the last change carries the whole text
+    const last = contentChanges[contentChanges.length - 1];
+    if (!document || !last) return;
+
+    document.text = last.text;
+    document.version = version;
+    this.scheduleValidation(uri, LanguageServer.DEBOUNCE_MS);
+  }
+
+  closeDocument(uri) {
+    clearTimeout(this.pending.get(uri));
+    this.pending.delete(uri);
+    this.documents.delete(uri);
+    this.connection.notify("textDocument/publishDiagnostics", {
+      uri,
+      diagnostics: [],
+    });
+  }
+
+  scheduleValidation(uri, delay) {
+    clearTimeout(this.pending.get(uri));
+    this.pending.set(
+      uri,
+      setTimeout(() => {
+        this.pending.delete(uri);
+        this.validate(uri);
+      }, delay),
+    );
+  }
+
+  async validate(uri) {
+    const document = this.documents.get(uri);
+    if (!document) return;
+
+    const { version, text } = document;
+    const engine = this.getEngine(uri);
+    if (!engine) return;
+
+    const { issues } = await engine.analyze(text, {
+      filePath: this.getFilePath(uri),
+    });
+
+    // Drop results for a version the client has already replaced
+    if (this.documents.get(uri)?.version !== version) return;
+
+    this.connection.notify("textDocument/publishDiagnostics", {
+      uri,
+      version,
+      diagnostics: issues.map((issue) => this.toDiagnostic(issue, text)),
+    });
+  }
+
+  async getCodeActions({ textDocument, range, context }) {
+    const document = this.documents.get(textDocument.uri);
+    const engine = document && this.getEngine(textDocument.uri);
+    if (!engine) return [];
+
+    const only = context.only;
+    const wants = (kind) =>
+      !only || only.some((prefix) => kind.startsWith(prefix));
+    const diagnostics = context.diagnostics.filter(
+      (diagnostic) =>
+        diagnostic.source === "neurolint" &&
+        this.overlaps(diagnostic.range, range),
+    );
+    const actions = [];
+
+    if (wants("quickfix")) {
+      diagnostics.forEach((diagnostic) => {
+        if (diagnostic.data?.fix) {
+          actions.push({
+            title: `Fix: ${diagnostic.message}`,
+            kind: "quickfix",
+            diagnostics: [diagnostic],
+            isPreferred: true,
+            edit: this.createWorkspaceEdit(
+              document.uri,
+              this.getIssueEdits(diagnostic),
+            ),
+          });
+        }
+      });
+
+      for (const ruleId of new Set(diagnostics.map((d) => d.code))) {
+        const action = await this.getFixRuleAction(
+          document,
+          ruleId,
+          diagnostics.filter((diagnostic) => diagnostic.code === ruleId),
+        );
+        if (action) actions.push(action);
+      }
+
+      diagnostics.forEach((diagnostic) => {
+        actions.push(this.getSuppressAction(document, diagnostic));
+      });
+    }
+
+    // Fixing the file means running every layer, so only offer it when
+    // asked for or next to an issue, not on every cursor move
+    if (wants(FIX_ALL_KIND) && (only || diagnostics.length > 0)) {
+      const edits = await this.getFixEdits(document, engine);
+      if (edits.length > 0) {
+        actions.push({
+          title: "Fix all NeuroLint issues",
+          kind: FIX_ALL_KIND,
+          edit: this.createWorkspaceEdit(document.uri, edits),
+        });
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * The edits for one issue's fix: its text over the issue's range, and
+   * the fix's other edits
+   */
+  getIssueEdits(diagnostic) {
+    const { text, edits = [] } = diagnostic.data.fix;
+    return [
+      { range: diagnostic.range, newText: text },
+      ...edits.map((edit) => ({
+        range: this.toRange(edit),
+        newText: edit.text,
+      })),
+    ];
+  }
+
+  /**
+   * Fix every issue of one rule in the document, with every other rule off
+   */
+  async getFixRuleAction(document, ruleId, diagnostics) {
+    const rule = RuleRegistry.getRule(ruleId);
+    const engine = this.getEngine(document.uri);
+    if (!rule?.fixable || !engine) return null;
+
+    const rules = Object.fromEntries(
+      RuleRegistry.getRules().map((other) => [
+        other.id,
+        other.id === ruleId ? "on" : "off",
+      ]),
+    );
+    const ruleEngine = createEngine({ ...engine.config, rules });
+    const edits = await this.getFixEdits(document, ruleEngine, [rule.layer]);
+    if (edits.length === 0) return null;
+
+    return {
+      title: `Fix all ${ruleId} issues in this file`,
+      kind: "quickfix",
+      diagnostics,
+      edit: this.createWorkspaceEdit(document.uri, edits),
+    };
+  }
+
+  /**
+   * Silence one issue with a neurolint-disable-next-line comment, written
+   * as a JSX comment among JSX children
+   */
+  getSuppressAction(document, diagnostic) {
+    const line = diagnostic.range.start.line;
+    const indent = document.text.split("\n")[line].match(/^\s*/)[0];
+    const directive = SuppressionManager.createNextLineDirective(
+      document.text,
+      line,
+      diagnostic.code,
+      this.getFilePath(document.uri),
+    );
+
+    return {
+      title: `Disable ${diagnostic.code} for this line`,
+      kind: "quickfix",
+      diagnostics: [diagnostic],
+      edit: this.createWorkspaceEdit(document.uri, [
+        {
+          range: {
+            start: { line, character: 0 },
+            end: { line, character: 0 },
+          },
+          newText: `${indent}${directive}\n`,
+        },
+      ]),
+    };
+  }
+
+  async formatDocument(uri) {
+    const document = this.documents.get(uri);
+    const engine = document && this.getEngine(uri);
+    return engine ? this.getFixEdits(document, engine) : [];
+  }
+
+  /**
+   * Edits that turn the document into what the engine's fixes produce
+   */
+  async getFixEdits(document, engine, layers = engine.layers) {
+    const result = await engine.fix(document.text, {
+      filePath: this.getFilePath(document.uri),
+      layers,
+    });
+    return this.createTextEdits(document.text, result.code);
+  }
+
+  /**
+   * A single edit replacing the span between the common prefix and suffix
+   * of the two texts, so the cursor outside it stays put
+   */
+  createTextEdits(before, after) {
+    if (before === after) return [];
+
+    let start = 0;
+    while (
+      start < before.length &&
+      start < after.length &&
+      before[start] === after[start]
+    ) {
+      start++;
+    }
+
+    let end = 0;
+    while (
+      end < before.length - start &&
+      end < after.length - start &&
+      before[before.length - 1 - end] === after[after.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    return [
+      {
+        range: {
+          start: this.toPosition(before, start),
+          end: this.toPosition(before, before.length - end),
+        },
+        newText: after.slice(start, after.length - end),
+      },
+    ];
+  }
+
+  createWorkspaceEdit(uri, edits) {
+    return { changes: { [uri]: edits } };
+  }
+
+  toDiagnostic(issue, text) {
+    const range = issue.line
+      ? this.toRange(issue)
+      : { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+    if (!issue.endLine) {
+      range.end = {
+        line: range.start.line,
+        character: (text.split("\n")[range.start.line] || "").length,
+      };
+    }
+
+    return {
+      range,
+      severity: this.toSeverity(issue.severity),
+      code: issue.rule,
+      source: "neurolint",
+      message: issue.message,
+      data: { layer: issue.layer, fix: issue.fix },
+    };
+  }
+
+  /**
+   * LSP range of a 1-based issue or fix edit range
+   */
+  toRange({ line, column, endLine, endColumn }) {
+    return {
+      start: { line: line - 1, character: (column || 1) - 1 },
+      end: {
+        line: (endLine || line) - 1,
+        character: (endColumn || 1) - 1,
+      },
+    };
+  }
+
+  toSeverity(severity) {
+    switch (severity) {
+      case "critical":
+      case "high":
+        return SEVERITY.Error;
+      case "medium":
+        return SEVERITY.Warning;
+      case "low":
+        return SEVERITY.Information;
+      default:
+        return SEVERITY.Hint;
+    }
+  }
+
+  toPosition(text, offset) {
+    const lines = text.slice(0, offset).split("\n");
+    return {
+      line: lines.length - 1,
+      character: lines[lines.length - 1].length,
+    };
+  }
+
+  overlaps(a, b) {
+    const before = (x, y) =>
+      x.line < y.line || (x.line === y.line && x.character <= y.character);
+    return before(a.start, b.end) && before(b.start, a.end);
+  }
+
+  getFilePath(uri) {
+    return uri.startsWith("file:") ? fileURLToPath(uri) : "";
+  }
+
+  /**
+   * An engine bound to the config for the document's directory
+   * Config errors are shown to the user, and the document is skipped.
+   */
+  getEngine(uri) {
+    const filePath = this.getFilePath(uri);
+    const dir = filePath ? path.dirname(filePath) : process.cwd();
+
+    try {
+      const engine = createEngine(
+        ConfigManager.isInitialized(dir)
+          ? ConfigManager.getConfig(dir)
+          : ConfigManager.migrate({}),
+      );
+      this.configError = null;
+      return engine;
+    } catch (error) {
+      // Show each config error once, not on every keystroke
+      if (error.message === this.configError) return null;
+      this.configError = error.message;
+
+      this.connection.notify("window/showMessage", {
+        type: MESSAGE_TYPE_ERROR,
+        message: `NeuroLint: ${error.message}`,
+      });
+      return null;
+    }
+  }
+}
+
+export { LanguageServer };
@@ -2,6 +2,9 @@ import fs from "fs";
 import path from "path";
 import WebSocket from "ws";
 import chalk from "chalk";
+import { glob } from "glob";
+import { createEngine } from "../core/NeuroLintEngine.js";
+import { ConfigManager } from "../utils/ConfigManager.js";
 import { createRequire } from "module";
 const require = createRequire(import.meta.url);
 
@@ -95,32 +98,17 @@ class VSCodeBridge {
 
   async handleAnalyzeRequest(ws, data) {
     try {
-      const { files, layers, options = {} } = data;
+      const { files, layers } = data;
 
       this.send(ws, {
         type: "analysis-started",
         data: { files: files.length, layers },
       });
 
-      // Import and use the analyze command
-      const { analyzeCommand } = await import("../commands/analyze.js");
-
-      // Capture results by overriding console methods temporarily
-      const originalLog = console.log;
-      const results = [];
-
-      console.log = (...args) => {
-        results.push(args.join(" "));
-        originalLog(...args);
-      };
-
-      await analyzeCommand(files[0] || ".", {
-        layers: layers.join(","),
-        output: "json",
-        ...options,
-      });
-
-      console.log = originalLog;
+      const results = await this.getEngine().analyzeFiles(
+        await this.resolveFiles(files),
+        { layers },
+      );
 
       this.send(ws, {
         type: "analysis-complete",
@@ -140,29 +128,55 @@ class VSCodeBridge {
         data: { files: files.length, layers },
       });
 
-      const { fixCommand } = await import("../commands/fix.js");
-
-      await fixCommand(files[0] || ".", {
-        layers: layers.join(","),
-        dryRun: options.preview || false,
-        backup: options.backup !== false,
-        ...options,
-      });
+      const results = await this.getEngine().fixFiles(
+        await this.resolveFiles(files),
+        { layers, dryRun: options.preview || false },
+      );
 
       this.send(ws, {
         type: "fix-complete",
-        data: { message: "Fixes applied successfully" },
+        data: {
+          message: options.preview
+            ? "Fixes previewed"
+            : "Fixes applied successfully",
+          results,
+        },
       });
     } catch (error) {
       this.sendError(ws, `Fix failed: ${error.message}`);
     }
   }
 
+  /**
+   * An engine bound to the project's current .neurolint.json
+   */
+  getEngine() {
+    return createEngine(ConfigManager.getConfig());
+  }
+
+  /**
+   * Expand directories the extension sends into the source files inside
+   */
+  async resolveFiles(files) {
+    const resolved = [];
+
+    for (const file of files.length > 0 ? files : ["."]) {
+      if (fs.statSync(file).isDirectory()) {
+        resolved.push(
+          ...(await glob(`${file}/**/*.{ts,tsx,js,jsx}`, {
+            ignore: ["**/node_modules/**", "**/dist/**", "**/build/**"],
+          })),
+        );
+      } else {
+        resolved.push(file);
+      }
+    }
+
+    return resolved;
+  }
+
   async handleStatusRequest(ws, data) {
     try {
-      const { statusCommand } = await import("../commands/status.js");
-      const { ConfigManager } = await import("../utils/ConfigManager.js");
-
       const config = ConfigManager.getConfig();
       const status = {
         configured: !!config,
@@ -182,8 +196,6 @@ class VSCodeBridge {
 
   async handleConfigRequest(ws, data) {
     try {
-      const { ConfigManager } = await import("../utils/ConfigManager.js");
-
       if (data.action === "get") {
         const config = ConfigManager.getConfig();
         this.send(ws, {
@@ -1,26 +1,22 @@
 import fs from "fs";
 import path from "path";
-import { spawn } from "child_process";
-import chalk from "chalk";
+import { RuleRegistry } from "./RuleRegistry.js";
 import { TransformationValidator } from "./TransformationValidator.js";
-import { LayerDependencyManager } from "./LayerDependencyManager.js";
-import { TransformationPipeline } from "./TransformationPipeline.js";
+import { ResultCache } from "../utils/ResultCache.js";
+import { WorkerPool } from "../utils/WorkerPool.js";
+import {
+  LAYER_TRANSFORMS,
+  PROJECT_FILES,
+  getScaffoldFiles,
+  transformLayer,
+} from "./transforms/index.js";
 
 /**
- * Advanced Layer Executor with Safe Execution Patterns
- * Implements comprehensive error recovery, state tracking, and validation
+ * Runs layers over files on disk for the engine (src/core/NeuroLintEngine.js)
+ * and the worker threads: issue detection with caching, and fixes
  */
 class LayerExecutor {
   constructor() {
-    this.layerScripts = {
-      1: "fix-layer-1-config.js",
-      2: "fix-layer-2-patterns.js",
-      3: "fix-layer-3-components.js",
-      4: "fix-layer-4-hydration.js",
-      5: "fix-layer-5-nextjs.js",
-      6: "fix-layer-6-testing.js",
-    };
-
     this.layerDescriptions = {
       1: "Configuration Validation",
       2: "Pattern & Entity Fixes",
@@ -31,447 +27,287 @@ class LayerExecutor {
     };
 
     this.layerConfig = {
-      1: { supportsAST: false, critical: true, timeout: 30000 },
-      2: { supportsAST: false, critical: false, timeout: 45000 },
-      3: { supportsAST: true, critical: false, timeout: 60000 },
-      4: { supportsAST: true, critical: false, timeout: 45000 },
-      5: { supportsAST: true, critical: false, timeout: 60000 },
-      6: { supportsAST: false, critical: false, timeout: 75000 },
+      1: { supportsAST: false, critical: true },
+      2: { supportsAST: true, critical: false },
+      3: { supportsAST: true, critical: false },
+      4: { supportsAST: true, critical: false },
+      5: { supportsAST: true, critical: false },
+      6: { supportsAST: false, critical: false },
     };
   }
 
   /**
-   * Execute layers with comprehensive safety and rollback capability
-   * Implements the Safe Layer Execution Pattern from the orchestration guide
+   * Detect the issues a layer can fix, reported by rule ID
+   * Issues silenced by neurolint-disable comments are returned separately
+   * Pass a ResultCache as options.cache to reuse results for unchanged files
+   * and a map of file contents as options.contents to analyze those instead
+   * of the files on disk
    */
-  async executeLayers(code, enabledLayers, options = {}) {
-    const { dryRun = false, verbose = false } = options;
-
-    // Validate and correct layer dependencies
-    const { correctedLayers, warnings } =
-      LayerDependencyManager.validateAndCorrectLayers(enabledLayers);
-
-    if (warnings.length > 0 && verbose) {
-      warnings.forEach((warning) =>
-        console.log(chalk.yellow(`⚠️  ${warning}`)),
-      );
-    }
-
-    // Create transformation pipeline for state tracking
-    const pipeline = new TransformationPipeline(code);
-
-    let current = code;
-    const results = [];
-    const states = [code]; // Track all intermediate states
-
-    console.log(
-      chalk.blue(
-        `Executing ${correctedLayers.length} layers with safety validation`,
-      ),
-    );
+  async executeLayer(layerId, files, options = {}) {
+    const issues = [];
+    const suppressed = [];
 
-    for (let i = 0; i < correctedLayers.length; i++) {
-      const layerId = correctedLayers[i];
-      const previous = current;
-      const startTime = performance.now();
+    for (const file of files) {
+      const code = this.readFile(file, options.contents);
+      const filtered = this.detectLayerIssues(layerId, file, code, options);
 
-      if (verbose) {
-        console.log(`\nLayer ${layerId}: ${this.layerDescriptions[layerId]}`);
-      }
-
-      try {
-        // Execute transformation with fallback strategy
-        const transformed = await this.executeLayerWithFallback(
-          layerId,
-          current,
-          options,
-        );
-
-        // Validate transformation safety
-        const validation = TransformationValidator.validateTransformation(
-          previous,
-          transformed,
-        );
-
-        if (validation.shouldRevert) {
-          console.warn(
-            chalk.yellow(
-              `⚠️  Reverting Layer ${layerId}: ${validation.reason}`,
-            ),
-          );
-          current = previous; // Rollback to safe state
-
-          results.push({
-            layerId,
-            success: false,
-            code: previous,
-            executionTime: performance.now() - startTime,
-            changeCount: 0,
-            revertReason: validation.reason,
-            name: this.layerDescriptions[layerId],
-          });
-        } else {
-          current = transformed; // Accept changes
-          states.push(current);
-
-          const changeCount = this.calculateChanges(previous, transformed);
-          const improvements = this.detectImprovements(
-            previous,
-            transformed,
-            layerId,
-          );
-
-          results.push({
-            layerId,
-            success: true,
-            code: current,
-            executionTime: performance.now() - startTime,
-            changeCount,
-            improvements,
-            name: this.layerDescriptions[layerId],
-          });
-
-          if (verbose) {
-            console.log(chalk.green(`Applied ${changeCount} changes`));
-            if (improvements.length > 0) {
-              improvements.slice(0, 3).forEach((imp) => {
-                console.log(chalk.gray(`   ${imp}`));
-              });
-            }
-          }
-        }
-      } catch (error) {
-        console.error(chalk.red(`Layer ${layerId} failed: ${error.message}`));
-
-        results.push({
-          layerId,
-          success: false,
-          code: previous, // Keep previous safe state
-          executionTime: performance.now() - startTime,
-          changeCount: 0,
-          error: error.message,
-          name: this.layerDescriptions[layerId],
-        });
-
-        // Continue with previous code (don't break the chain)
-        current = previous;
-      }
+      issues.push(...filtered.issues);
+      suppressed.push(...filtered.suppressed);
     }
 
     return {
-      finalCode: current,
-      results,
-      states,
-      totalExecutionTime: results.reduce((sum, r) => sum + r.executionTime, 0),
-      successfulLayers: results.filter((r) => r.success).length,
-      totalChanges: results.reduce((sum, r) => sum + r.changeCount, 0),
-      pipeline: pipeline.getState(),
+      layer: layerId,
+      name: this.layerDescriptions[layerId],
+      issues,
+      suppressed,
     };
   }
 
   /**
-   * Execute layer with AST vs Regex fallback strategy
-   * Implements intelligent transformation with graceful degradation
+   * Detect issues for several layers in one pass over the files, spread
+   * over options.concurrency worker threads when there are enough files
    */
-  async executeLayerWithFallback(layerId, code, options = {}) {
-    const layerConfig = this.layerConfig[layerId];
-    const scriptPath = path.join(process.cwd(), this.layerScripts[layerId]);
-
-    if (!fs.existsSync(scriptPath)) {
-      throw new Error(`Layer script not found: ${scriptPath}`);
-    }
+  async analyzeFiles(files, layers, options = {}) {
+    const { cache, contents } = options;
+    const pool = this.createWorkerPool(files.length, options);
+    let fileResults;
 
-    // For layers 3-4, try AST first, fallback to regex
-    if (layerConfig.supportsAST && this.shouldUseAST(code)) {
+    if (pool) {
       try {
-        if (options.verbose) {
-          console.log(chalk.gray(`   Using AST transformation`));
-        }
-        return await this.runLayerScript(scriptPath, code, {
-          ...options,
-          mode: "ast",
-        });
-      } catch (astError) {
-        console.warn(
-          chalk.yellow(
-            `   AST failed, using regex fallback: ${astError.message}`,
-          ),
-        );
-        return await this.runLayerScript(scriptPath, code, {
-          ...options,
-          mode: "regex",
+        fileResults = await pool.map(files, "analyze", (file) => ({
+          file,
+          layers,
+          code: contents?.get(file),
+        }));
+      } finally {
+        await pool.destroy();
+      }
+
+      if (cache) {
+        fileResults.forEach((result) => {
+          cache.hits += result.hits;
+          cache.misses += result.misses;
         });
       }
     } else {
-      // Layers 1-2 or when AST not suitable: use regex
-      if (options.verbose && layerConfig.supportsAST) {
-        console.log(
-          chalk.gray(`   Using regex transformation (complex code structure)`),
-        );
-      }
-      return await this.runLayerScript(scriptPath, code, {
-        ...options,
-        mode: "regex",
+      fileResults = files.map((file) => {
+        const code = this.readFile(file, contents);
+        return {
+          layers: Object.fromEntries(
+            layers.map((layer) => [
+              layer,
+              this.detectLayerIssues(layer, file, code, options),
+            ]),
+          ),
+        };
       });
     }
+
+    return Object.fromEntries(
+      layers.map((layer) => [
+        layer,
+        {
+          layer,
+          name: this.layerDescriptions[layer],
+          issues: fileResults.flatMap((result) => result.layers[layer].issues),
+          suppressed: fileResults.flatMap(
+            (result) => result.layers[layer].suppressed,
+          ),
+        },
+      ]),
+    );
+  }
+
+  // A file's code from options.contents, else from disk
+  readFile(file, contents = null) {
+    return contents?.get(file) ?? fs.readFileSync(file, "utf8");
   }
 
   /**
-   * Determine if code is suitable for AST transformation
+   * Layer worker threads for a run of taskCount files, or null when the
+   * run is too small to be worth starting them; options.concurrency caps
+   * the threads, which share options.config and options.cache's settings
    */
-  shouldUseAST(code) {
-    // Skip AST for very large files or files with syntax issues
-    if (code.length > 100000) return false; // 100KB limit
-
-    // Basic syntax check - if this fails, AST will definitely fail
-    try {
-      // Simple checks for common syntax issues
-      const brackets =
-        (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
-      const parens =
-        (code.match(/\(/g) || []).length - (code.match(/\)/g) || []).length;
-
-      return Math.abs(brackets) <= 1 && Math.abs(parens) <= 1; // Allow minor mismatches
-    } catch {
-      return false;
-    }
+  createWorkerPool(taskCount, options = {}) {
+    const { cache, config } = options;
+    const concurrency = WorkerPool.resolveConcurrency(options.concurrency);
+    if (!WorkerPool.shouldUse(taskCount, concurrency)) return null;
+
+    return new WorkerPool(
+      new URL("../workers/layerWorker.js", import.meta.url),
+      {
+        concurrency,
+        workerData: {
+          config,
+          cache: cache
+            ? {
+                dir: cache.dir,
+                enabled: cache.enabled,
+                maxEntries: cache.maxEntries,
+                maxSize: cache.maxSize,
+              }
+            : { enabled: false },
+        },
+      },
+    );
   }
 
   /**
-   * Run layer script with comprehensive error handling and timeout
+   * A layer's issues in one file, as its transform reports them, split
+   * into reported and suppressed
    */
-  async runLayerScript(scriptPath, code, options = {}) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
-      const timeout = this.layerConfig[options.layer]?.timeout || 60000;
-
-      // Prepare environment
-      const env = {
-        ...process.env,
-        NEUROLINT_MODE: options.mode || "analyze",
-        NEUROLINT_LAYER: options.layer?.toString() || "1",
-        NEUROLINT_DRY_RUN: options.dryRun ? "true" : "false",
-        NEUROLINT_INPUT_CODE: Buffer.from(code).toString("base64"), // Safe transfer
-      };
-
-      const child = spawn("node", [scriptPath], {
-        env,
-        stdio: ["pipe", "pipe", "pipe"],
-        cwd: process.cwd(),
+  detectLayerIssues(layerId, file, code, options = {}) {
+    const { cache, config } = options;
+    // Detection also depends on the file name, e.g. tsconfig.json
+    const key =
+      cache &&
+      ResultCache.createKey(code, {
+        layers: [layerId],
+        rules: config?.rules,
+        scope: `issues:${file}`,
       });
 
-      let stdout = "";
-      let stderr = "";
+    const cached = cache?.get(key);
+    if (cached) return cached;
 
-      child.stdout.on("data", (data) => {
-        stdout += data.toString();
+    let result;
+    try {
+      // The issues the layer's own fixes find, so analyze and fix agree
+      const { issues, suppressed } = transformLayer(layerId, code, {
+        filePath: file,
+        config,
       });
+      result = { issues, suppressed };
+    } catch (error) {
+      // Code the layer cannot parse is skipped, as fix skips it
+      result = { issues: [], suppressed: [] };
+    }
 
-      child.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
+    cache?.set(key, result);
+    return result;
+  }
 
-      child.on("close", (code) => {
-        const executionTime = Date.now() - startTime;
-
-        if (code === 0) {
-          try {
-            // Parse script output
-            const result = this.parseScriptOutput(stdout);
-            resolve(result.transformedCode || result.code || code);
-          } catch (parseError) {
-            // If parsing fails, try to extract code from stdout
-            const extractedCode = this.extractCodeFromOutput(stdout);
-            resolve(extractedCode || code); // Fallback to original
-          }
-        } else {
-          reject(
-            new Error(
-              `Layer script failed with code ${code}: ${stderr || "Unknown error"}`,
-            ),
-          );
-        }
-      });
+  /**
+   * Apply a layer's fixes to the given files, skipping disabled rules and
+   * lines covered by neurolint-disable comments
+   *
+   * Files resolve against options.cwd, a scratch copy of the project when
+   * fixes are previewed as diffs. Layer 1 also fixes the project's config
+   * files, and layers 4 and 6 create their scaffold files when missing,
+   * unless options.scaffold is false. A dry run collects the same changes without writing anything.
+   */
+  async executeLayerFixes(layerId, files, dryRun = false, options = {}) {
+    const { config } = options;
+    const cwd = options.cwd || process.cwd();
+    const changes = [];
+    const errors = [];
 
-      child.on("error", (error) => {
-        reject(new Error(`Failed to run layer script: ${error.message}`));
+    const addChanges = (fileChanges, file) => {
+      fileChanges.forEach((change) => {
+        changes.push({ ...change, file, layer: layerId });
       });
+    };
 
-      // Set timeout
-      const timer = setTimeout(() => {
-        child.kill("SIGKILL");
-        reject(
-          new Error(`Layer script execution timed out after ${timeout}ms`),
-        );
-      }, timeout);
-
-      child.on("close", () => {
-        clearTimeout(timer);
-      });
+    const scaffolds =
+      options.scaffold === false ? [] : getScaffoldFiles(layerId, config);
+    scaffolds.forEach((scaffold) => {
+      const filePath = path.join(cwd, scaffold.path);
+      if (fs.existsSync(filePath)) return;
 
-      // Send input code to script
-      if (child.stdin) {
-        child.stdin.write(code);
-        child.stdin.end();
+      if (!dryRun) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, scaffold.content);
       }
+      addChanges(
+        [
+          {
+            type: "fix",
+            rule: scaffold.rule,
+            description: RuleRegistry.getRule(scaffold.rule).name,
+          },
+        ],
+        scaffold.path,
+      );
     });
-  }
 
-  /**
-   * Parse script output with multiple fallback strategies
-   */
-  parseScriptOutput(stdout) {
-    const lines = stdout.split("\n");
-
-    // Look for JSON output first
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
-        try {
-          return JSON.parse(trimmed);
-        } catch {
-          continue;
-        }
-      }
-    }
-
-    // Look for base64 encoded output
-    for (const line of lines) {
-      if (line.startsWith("NEUROLINT_OUTPUT:")) {
-        try {
-          const encoded = line.replace("NEUROLINT_OUTPUT:", "");
-          return { transformedCode: Buffer.from(encoded, "base64").toString() };
-        } catch {
-          continue;
-        }
+    // Files are independent within a layer, so options.pool, a pool from
+    // createWorkerPool(), can fix them in parallel
+    const targets = this.getFixTargets(layerId, files, cwd);
+    const toTask = (file) => ({
+      layerId,
+      file,
+      filePath: path.resolve(cwd, file),
+      dryRun,
+    });
+    const fileResults = options.pool
+      ? await options.pool.map(targets, "fix", toTask)
+      : targets.map((file) => this.fixFile({ ...toTask(file), config }));
+
+    fileResults.forEach((result, index) => {
+      if (result.error) {
+        errors.push({ file: targets[index], message: result.error });
+      } else {
+        addChanges(result.changes, targets[index]);
       }
-    }
+    });
 
-    // Fallback: return original structure
     return {
-      transformedCode: stdout,
-      changes: this.extractChangesFromText(stdout),
-      summary: { output: stdout, parsedFromText: true },
+      layer: layerId,
+      name: this.layerDescriptions[layerId],
+      changes,
+      errors,
     };
   }
 
   /**
-   * Extract code from mixed output
+   * Apply one layer's fixes to one file, writing it unless this is a dry
+   * run; returns the layer's { changes }, or { error } for a file the
+   * layer could not transform. Script output that fails validation is
+   * rolled back, leaving the file as it was.
    */
-  extractCodeFromOutput(output) {
-    // Look for code blocks or return the last substantial content
-    const lines = output.split("\n");
-    let codeStart = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes("TRANSFORMED_CODE_START")) {
-        codeStart = i + 1;
-        break;
-      }
-    }
+  fixFile({ layerId, file, filePath, dryRun, config }) {
+    try {
+      const code = fs.readFileSync(filePath, "utf8");
+      const result = transformLayer(layerId, code, {
+        filePath: file,
+        config,
+      });
+      const validation = TransformationValidator.canValidate(file)
+        ? TransformationValidator.validateTransformation(code, result.code)
+        : { shouldRevert: false };
 
-    if (codeStart >= 0) {
-      const codeLines = [];
-      for (let i = codeStart; i < lines.length; i++) {
-        if (lines[i].includes("TRANSFORMED_CODE_END")) break;
-        codeLines.push(lines[i]);
+      if (validation.shouldRevert) {
+        return { error: `Reverted: ${validation.reason}` };
       }
-      return codeLines.join("\n");
-    }
-
-    return null;
-  }
 
-  /**
-   * Extract changes from text output for reporting
-   */
-  extractChangesFromText(text) {
-    const changes = [];
-    const lines = text.split("\n");
-
-    for (const line of lines) {
-      if (
-        line.includes("FIXED:") ||
-        line.includes("CHANGED:") ||
-        line.includes("UPDATED:")
-      ) {
-        changes.push({
-          type: "fix",
-          description: line.trim(),
-          file: "current",
-        });
+      if (!dryRun && result.code !== code) {
+        fs.writeFileSync(filePath, result.code);
       }
+      return { changes: result.changes };
+    } catch (error) {
+      // Unparseable files are skipped rather than patched blindly
+      return { error: error.message };
     }
-
-    return changes;
   }
 
   /**
-   * Calculate meaningful changes between code versions
+   * Files a layer fixes: the given files, plus the project config files
+   * for layer 1
    */
-  calculateChanges(before, after) {
-    if (before === after) return 0;
-
-    const beforeLines = before.split("\n").filter((line) => line.trim());
-    const afterLines = after.split("\n").filter((line) => line.trim());
-
-    let changes = Math.abs(beforeLines.length - afterLines.length);
-    const minLength = Math.min(beforeLines.length, afterLines.length);
+  getFixTargets(layerId, files, cwd) {
+    if (layerId !== 1) return files;
 
-    for (let i = 0; i < minLength; i++) {
-      if (beforeLines[i].trim() !== afterLines[i].trim()) {
-        changes++;
+    const targets = new Map(
+      files.map((file) => [path.resolve(cwd, file), file]),
+    );
+    PROJECT_FILES.forEach((file) => {
+      const filePath = path.join(cwd, file);
+      if (!targets.has(filePath) && fs.existsSync(filePath)) {
+        targets.set(filePath, file);
       }
-    }
-
-    return changes;
-  }
-
-  /**
-   * Detect specific improvements made by layer
-   */
-  detectImprovements(before, after, layerId) {
-    const improvements = [];
-
-    switch (layerId) {
-      case 1:
-        if (
-          before.includes('"target": "es5"') &&
-          after.includes('"target": "es2022"')
-        ) {
-          improvements.push("Upgraded TypeScript target to ES2022");
-        }
-        break;
-
-      case 2:
-        const entityCount =
-          (before.match(/&quot;|&amp;|&lt;|&gt;/g) || []).length -
-          (after.match(/&quot;|&amp;|&lt;|&gt;/g) || []).length;
-        if (entityCount > 0) {
-          improvements.push(`Fixed ${entityCount} HTML entity corruptions`);
-        }
-        break;
-
-      case 3:
-        const keyCount =
-          (after.match(/key=/g) || []).length -
-          (before.match(/key=/g) || []).length;
-        if (keyCount > 0) {
-          improvements.push(`Added ${keyCount} missing key props`);
-        }
-        break;
-
-      case 4:
-        const guardCount =
-          (after.match(/typeof window/g) || []).length -
-          (before.match(/typeof window/g) || []).length;
-        if (guardCount > 0) {
-          improvements.push(`Added ${guardCount} SSR guards`);
-        }
-        break;
-    }
+    });
 
-    return improvements;
+    return [...targets.values()];
   }
 
   /**
@@ -481,10 +317,7 @@ class LayerExecutor {
     return {
       number: layerNumber,
       name: this.layerDescriptions[layerNumber],
-      script: this.layerScripts[layerNumber],
-      available: fs.existsSync(
-        path.join(process.cwd(), this.layerScripts[layerNumber]),
-      ),
+      available: Boolean(LAYER_TRANSFORMS[layerNumber]),
       config: this.layerConfig[layerNumber],
       supportsAST: this.layerConfig[layerNumber]?.supportsAST || false,
       critical: this.layerConfig[layerNumber]?.critical || false,
@@ -495,7 +328,7 @@ class LayerExecutor {
    * Get all available layers with their current status
    */
   getAllLayersInfo() {
-    return Object.keys(this.layerScripts).map((layer) =>
+    return Object.keys(this.layerDescriptions).map((layer) =>
       this.getLayerInfo(parseInt(layer)),
     );
   }
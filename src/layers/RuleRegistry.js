@@ -0,0 +1,458 @@
+/**
+ * Registry of every named fix across the six layers
+ * Gives each fix a stable rule ID (e.g. "L2/console-log") that can be
+ * enabled, disabled and assigned a severity in .neurolint.json
+ */
+class RuleRegistry {
+  static SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+  static RULES = {
+    // Layer 1: Configuration
+    "L1/tsconfig-modernize": {
+      layer: 1,
+      name: "TypeScript Configuration",
+      description: "Modernizes tsconfig.json compiler options",
+      severity: "high",
+      fixable: true,
+    },
+    "L1/next-config": {
+      layer: 1,
+      name: "Next.js Configuration",
+      description: "Removes deprecated next.config.js options",
+      severity: "high",
+      fixable: true,
+    },
+    "L1/package-scripts": {
+      layer: 1,
+      name: "Package.json Scripts",
+      description: "Standardizes package.json scripts",
+      severity: "low",
+      fixable: true,
+    },
+
+    // Layer 2: Patterns
+    "L2/html-entities": {
+      layer: 2,
+      name: "HTML Entity Cleanup",
+      description: "Replaces corrupted HTML entities in JSX text",
+      severity: "medium",
+      fixable: true,
+    },
+    "L2/fragment-shorthand": {
+      layer: 2,
+      name: "React Fragment Shorthand",
+      description: "Converts <React.Fragment> to <> shorthand",
+      severity: "low",
+      fixable: true,
+    },
+    "L2/console-log": {
+      layer: 2,
+      name: "Console Log to Debug",
+      description: "Converts console.log calls to console.debug",
+      severity: "medium",
+      fixable: true,
+    },
+    "L2/unused-react-import": {
+      layer: 2,
+      name: "Unused React Import",
+      description: "Removes React imports that are never referenced",
+      severity: "low",
+      fixable: true,
+    },
+    "L2/var-declarations": {
+      layer: 2,
+      name: "Var Declarations",
+      description: "Reports var declarations that should use let or const",
+      severity: "medium",
+      fixable: false,
+    },
+
+    // Layer 3: Components
+    "L3/button-variant": {
+      layer: 3,
+      name: "Button Variant Props",
+      description: "Adds a default variant to Button components",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/tabs-structure": {
+      layer: 3,
+      name: "Tabs Structure",
+      description: "Checks Tabs components for TabsList and TabsContent",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/input-type": {
+      layer: 3,
+      name: "Input Type Props",
+      description: "Adds a type prop to Input components",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/form-field-structure": {
+      layer: 3,
+      name: "Form Field Structure",
+      description: "Checks FormField components for a render prop",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/icon-size": {
+      layer: 3,
+      name: "Icon Size Props",
+      description: "Adds standard sizing classes to icon components",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/missing-key": {
+      layer: 3,
+      name: "Missing Key Props",
+      description: "Adds key props to elements returned from .map()",
+      severity: "high",
+      fixable: true,
+    },
+    "L3/prop-interface-extends": {
+      layer: 3,
+      name: "Component Prop Interfaces",
+      description: "Extends component prop interfaces with HTML attributes",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/forwardref-display-name": {
+      layer: 3,
+      name: "ForwardRef Components",
+      description: "Adds displayName to forwardRef components",
+      severity: "low",
+      fixable: true,
+    },
+    "L3/shadcn-button-variant": {
+      layer: 3,
+      name: "Shadcn Button Variants",
+      description: "Maps legacy Button variants to shadcn/ui variants",
+      severity: "medium",
+      fixable: true,
+    },
+    "L3/shadcn-size": {
+      layer: 3,
+      name: "Shadcn Size Props",
+      description: "Maps legacy size props to shadcn/ui sizes",
+      severity: "medium",
+      fixable: true,
+    },
+    "L3/missing-component-imports": {
+      layer: 3,
+      name: "Missing Component Imports",
+      description: "Adds imports for known UI components used in JSX",
+      severity: "high",
+      fixable: true,
+    },
+    "L3/missing-hook-imports": {
+      layer: 3,
+      name: "Missing Hook Imports",
+      description: "Reports React hooks used without being imported",
+      severity: "high",
+      fixable: false,
+    },
+    "L3/img-alt": {
+      layer: 3,
+      name: "Image Alt Text",
+      description: "Reports <img> elements without an alt attribute",
+      severity: "medium",
+      fixable: false,
+    },
+
+    // Layer 4: Hydration
+    "L4/localstorage-ssr-guard": {
+      layer: 4,
+      name: "LocalStorage SSR Guard",
+      description: "Guards localStorage access against server rendering",
+      severity: "high",
+      fixable: true,
+    },
+    "L4/window-ssr-guard": {
+      layer: 4,
+      name: "Window SSR Guard",
+      description: "Guards window access against server rendering",
+      severity: "high",
+      fixable: true,
+    },
+    "L4/document-ssr-guard": {
+      layer: 4,
+      name: "Document SSR Guard",
+      description: "Guards document access against server rendering",
+      severity: "high",
+      fixable: true,
+    },
+    "L4/client-only-effect": {
+      layer: 4,
+      name: "Client-Only useEffect",
+      description: "Adds a mounted state to effects that touch browser APIs",
+      severity: "medium",
+      fixable: true,
+    },
+    "L4/theme-provider-hydration": {
+      layer: 4,
+      name: "Theme Provider Hydration",
+      description: "Defers theme provider rendering until mounted",
+      severity: "medium",
+      fixable: true,
+    },
+    "L4/client-only-wrapper": {
+      layer: 4,
+      name: "Client-Only Component Wrapper",
+      description: "Wraps browser-only components in a dynamic import",
+      severity: "medium",
+      fixable: true,
+    },
+    "L4/stable-keys": {
+      layer: 4,
+      name: "Proper Key Props",
+      description: "Replaces index-based keys with stable keys",
+      severity: "medium",
+      fixable: true,
+    },
+    "L4/missing-files": {
+      layer: 4,
+      name: "Missing Files",
+      description: "Creates missing manifest and NoSSR helper files",
+      severity: "low",
+      fixable: true,
+    },
+    "L4/theme-toggle": {
+      layer: 4,
+      name: "ThemeToggle Hydration",
+      description: "Rewrites ThemeToggle to avoid hydration mismatches",
+      severity: "medium",
+      fixable: true,
+    },
+
+    // Layer 5: Next.js
+    "L5/corrupted-imports": {
+      layer: 5,
+      name: "Corrupted Import Statements",
+      description: "Repairs incomplete and duplicated import statements",
+      severity: "critical",
+      fixable: true,
+    },
+    "L5/misplaced-use-client": {
+      layer: 5,
+      name: "Misplaced Use Client Directive",
+      description: "Moves 'use client' to the top of the file",
+      severity: "high",
+      fixable: true,
+    },
+    "L5/missing-use-client": {
+      layer: 5,
+      name: "Missing Use Client for Hooks",
+      description: "Adds 'use client' to components that use hooks",
+      severity: "high",
+      fixable: true,
+    },
+    "L5/use-client-spacing": {
+      layer: 5,
+      name: "Import Order After Use Client",
+      description: "Normalizes spacing after the 'use client' directive",
+      severity: "low",
+      fixable: true,
+    },
+    "L5/react-import": {
+      layer: 5,
+      name: "React Import Cleanup",
+      description: "Adds a React import to client components using hooks",
+      severity: "medium",
+      fixable: true,
+    },
+
+    // Layer 6: Testing
+    "L6/error-boundary": {
+      layer: 6,
+      name: "Missing Error Boundaries",
+      description: "Wraps stateful components in an error boundary",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/prop-types": {
+      layer: 6,
+      name: "Missing Prop Types",
+      description: "Adds a props interface to destructured components",
+      severity: "low",
+      fixable: true,
+    },
+    "L6/loading-states": {
+      layer: 6,
+      name: "Missing Loading States",
+      description: "Adds a loading state to components that fetch data",
+      severity: "low",
+      fixable: true,
+    },
+    "L6/default-export": {
+      layer: 6,
+      name: "Invalid Component Exports",
+      description: "Adds a default export to component files",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/button-aria-label": {
+      layer: 6,
+      name: "Missing Accessibility Attributes",
+      description: "Adds aria-label to buttons without one",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/react-memo": {
+      layer: 6,
+      name: "Missing React.memo for Pure Components",
+      description: "Wraps pure components in React.memo",
+      severity: "low",
+      fixable: true,
+    },
+    "L6/circular-deps": {
+      layer: 6,
+      name: "Potential Circular Dependencies",
+      description: "Flags relative imports that may be circular",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/strict-any": {
+      layer: 6,
+      name: "TypeScript Strict Mode Issues",
+      description: "Replaces any with unknown in typed modules",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/async-error-handling": {
+      layer: 6,
+      name: "Missing Error Handling",
+      description: "Wraps async arrow functions in try/catch",
+      severity: "medium",
+      fixable: true,
+    },
+    "L6/test-scaffolding": {
+      layer: 6,
+      name: "Test Scaffolding",
+      description: "Creates missing component test files",
+      severity: "info",
+      fixable: true,
+    },
+  };
+
+  /**
+   * Get a rule definition by ID
+   */
+  static getRule(ruleId) {
+    const rule = this.RULES[ruleId];
+    return rule ? { id: ruleId, ...rule } : null;
+  }
+
+  /**
+   * Get all rule definitions, optionally limited to one layer
+   */
+  static getRules(layer = null) {
+    return Object.keys(this.RULES)
+      .map((ruleId) => this.getRule(ruleId))
+      .filter((rule) => layer === null || rule.layer === layer);
+  }
+
+  /**
+   * Resolve the effective setting for a rule from the "rules" config section
+   * Accepts "off", "on", a severity name, or { enabled, severity }
+   */
+  static getRuleSetting(ruleId, config = {}) {
+    const rule = this.RULES[ruleId];
+    const value = config.rules?.[ruleId];
+    const setting = {
+      enabled: true,
+      severity: rule ? rule.severity : "medium",
+    };
+
+    if (value === undefined || value === "on") {
+      return setting;
+    }
+
+    if (value === "off" || value === false) {
+      return { ...setting, enabled: false };
+    }
+
+    if (typeof value === "string") {
+      return { ...setting, severity: value };
+    }
+
+    return {
+      enabled: value.enabled !== false,
+      severity: value.severity || setting.severity,
+    };
+  }
+
+  static isRuleEnabled(ruleId, config = {}) {
+    return this.getRuleSetting(ruleId, config).enabled;
+  }
+
+  /**
+   * List disabled rule IDs, optionally limited to one layer
+   */
+  static getDisabledRules(config = {}, layer = null) {
+    return this.getRules(layer)
+      .filter((rule) => !this.isRuleEnabled(rule.id, config))
+      .map((rule) => rule.id);
+  }
+
+  /**
+   * Drop issues from disabled rules and apply configured severities
+   */
+  static applyRuleConfig(issues, config = {}) {
+    return issues
+      .filter((issue) => !issue.rule || this.isRuleEnabled(issue.rule, config))
+      .map((issue) => {
+        if (!issue.rule) return issue;
+
+        const { severity } = this.getRuleSetting(issue.rule, config);
+        return { ...issue, severity };
+      });
+  }
+
+  /**
+   * Check whether a severity is at least as serious as a threshold
+   */
+  static meetsSeverity(severity, threshold) {
+    const rank = this.SEVERITIES.indexOf(severity);
+    return rank !== -1 && rank <= this.SEVERITIES.indexOf(threshold);
+  }
+
+  /**
+   * Validate the "rules" config section, throwing on the first bad entry
+   */
+  static validateRulesConfig(rules) {
+    if (typeof rules !== "object" || rules === null || Array.isArray(rules)) {
+      throw new Error("rules must be an object keyed by rule ID");
+    }
+
+    Object.entries(rules).forEach(([ruleId, value]) => {
+      if (!this.RULES[ruleId]) {
+        throw new Error(
+          `Unknown rule: ${ruleId}. Run "neurolint rules" to list available rules`,
+        );
+      }
+
+      const severity =
+        typeof value === "object" && value !== null ? value.severity : value;
+
+      if (
+        typeof value === "boolean" ||
+        value === "on" ||
+        value === "off" ||
+        (typeof value === "object" && value !== null && !severity)
+      ) {
+        return;
+      }
+
+      if (!this.SEVERITIES.includes(severity)) {
+        throw new Error(
+          `Invalid setting for rule ${ruleId}. Use "off", "on" or one of: ${this.SEVERITIES.join(", ")}`,
+        );
+      }
+    });
+
+    return true;
+  }
+}
+
+export { RuleRegistry };
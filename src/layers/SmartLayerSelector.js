@@ -1,3 +1,8 @@
+import { parseCode, walk } from "./transforms/ast.js";
+
+// Files detection parses to find issues the AST can pin down
+const SCRIPT_FILE = /\.([cm]?js|jsx|ts|tsx)$/;
+
 /**
  * Intelligent layer selection based on code analysis
  * Recommends optimal layer combinations for specific issues
@@ -21,110 +26,415 @@ class SmartLayerSelector {
 
   /**
    * Detect specific issues in code that layers can fix
+   * These only guide layer selection: the issues analyze reports come from
+   * the layer transforms, in the same pass that makes their fixes.
    */
   static detectIssues(code, filePath) {
     const issues = [];
+    const ast = this.parse(code, filePath);
 
     // Layer 1: Configuration issues
     if (
       filePath &&
       (filePath.includes("tsconfig") || filePath.includes("next.config"))
     ) {
-      if (
-        code.includes('"target": "es5"') ||
-        code.includes("reactStrictMode: false")
-      ) {
+      const [location] = this.findMatchLocations(
+        code,
+        /"target": "es5"|reactStrictMode: false/g,
+      );
+
+      if (location) {
         issues.push({
           type: "config",
+          rule: filePath.includes("tsconfig")
+            ? "L1/tsconfig-modernize"
+            : "L1/next-config",
           severity: "high",
           description: "Outdated configuration detected",
           fixedByLayer: 1,
           pattern: "Configuration modernization needed",
+          ...location,
         });
       }
     }
 
     // Layer 2: Entity and pattern issues
     const entityPatterns = [
-      { pattern: /&quot;/g, name: "HTML quote entities" },
-      { pattern: /&amp;/g, name: "HTML ampersand entities" },
-      { pattern: /&lt;|&gt;/g, name: "HTML bracket entities" },
-      { pattern: /console\.log\(/g, name: "Console.log usage" },
-      { pattern: /\bvar\s+/g, name: "Var declarations" },
+      {
+        pattern: /&quot;|&#x27;|&#39;|&apos;/g,
+        name: "HTML quote entities",
+        rule: "L2/html-entities",
+      },
+      {
+        pattern: /&amp;/g,
+        name: "HTML ampersand entities",
+        rule: "L2/html-entities",
+      },
+      {
+        pattern: /&lt;|&gt;/g,
+        name: "HTML bracket entities",
+        rule: "L2/html-entities",
+      },
+      {
+        pattern: /console\.log\(/g,
+        name: "Console.log usage",
+        rule: "L2/console-log",
+      },
+      {
+        pattern: /\bvar\s+/g,
+        name: "Var declarations",
+        rule: "L2/var-declarations",
+      },
     ];
 
-    entityPatterns.forEach(({ pattern, name }) => {
-      const matches = code.match(pattern);
-      if (matches) {
+    entityPatterns.forEach(({ pattern, name, rule }) => {
+      this.findMatchLocations(code, pattern).forEach((location) => {
         issues.push({
           type: "pattern",
+          rule,
           severity: "medium",
-          description: `${name} found (${matches.length} occurrences)`,
+          description: `${name} found`,
           fixedByLayer: 2,
           pattern: name,
-          count: matches.length,
+          ...location,
         });
-      }
+      });
     });
 
     // Layer 3: Component issues
     if (this.isReactComponent(code)) {
       // Missing key props in map functions
-      const mapWithoutKey = /\.map\s*\([^)]*\)\s*=>\s*<[^>]*(?!.*key=)/g;
-      const mapMatches = code.match(mapWithoutKey);
-      if (mapMatches) {
+      const keyLocations = ast
+        ? this.toLocations(code, this.findMissingKeys(ast, code))
+        : [];
+      keyLocations.forEach((location) => {
         issues.push({
           type: "component",
+          rule: "L3/missing-key",
           severity: "high",
-          description: `Missing key props in ${mapMatches.length} map operations`,
+          description: "Missing key prop in map operation",
           fixedByLayer: 3,
           pattern: "Missing key props",
-          count: mapMatches.length,
+          ...location,
         });
-      }
+      });
 
       // Missing React imports
       if (code.includes("useState") && !code.includes("import { useState")) {
         issues.push({
           type: "component",
+          rule: "L3/missing-hook-imports",
           severity: "high",
           description: "Missing React hook imports",
           fixedByLayer: 3,
           pattern: "Missing imports",
+          ...this.findMatchLocations(code, /useState/g)[0],
         });
       }
 
-      // Accessibility issues
+      // Accessibility issues, reported without a fix: only the author
+      // knows what the alt text should say
       const imgWithoutAlt = /<img(?![^>]*alt=)[^>]*>/g;
-      const imgMatches = code.match(imgWithoutAlt);
-      if (imgMatches) {
+      this.findMatchLocations(code, imgWithoutAlt).forEach((location) => {
         issues.push({
           type: "component",
+          rule: "L3/img-alt",
           severity: "medium",
-          description: `${imgMatches.length} images missing alt attributes`,
+          description: "Image missing alt attribute",
           fixedByLayer: 3,
           pattern: "Accessibility issues",
-          count: imgMatches.length,
+          ...location,
         });
-      }
+      });
     }
 
     // Layer 4: Hydration issues
     if (code.includes("localStorage") && !code.includes("typeof window")) {
-      const localStorageMatches = code.match(/localStorage\./g);
+      const storageLocations = ast
+        ? this.toLocations(code, this.findStorageAccesses(ast, code))
+        : this.findMatchLocations(code, /localStorage\./g);
+      storageLocations.forEach((location) => {
+        issues.push({
+          type: "hydration",
+          rule: "L4/localstorage-ssr-guard",
+          severity: "high",
+          description: "Unguarded localStorage usage",
+          fixedByLayer: 4,
+          pattern: "SSR safety",
+          ...location,
+        });
+      });
+    }
+
+    // Layer 5: Next.js issues
+    const misplacedDirective = this.findMisplacedUseClient(code);
+    if (misplacedDirective) {
       issues.push({
-        type: "hydration",
+        type: "nextjs",
+        rule: "L5/misplaced-use-client",
         severity: "high",
-        description: `${localStorageMatches?.length || 1} unguarded localStorage usage`,
-        fixedByLayer: 4,
-        pattern: "SSR safety",
-        count: localStorageMatches?.length || 1,
+        description: "'use client' must come before any other statement",
+        fixedByLayer: 5,
+        pattern: "Misplaced directives",
+        ...misplacedDirective,
       });
     }
 
     return issues;
   }
 
+  /**
+   * The file's AST, or null when it is not a script or does not parse
+   */
+  static parse(code, filePath) {
+    if (!this.isScriptFile(filePath)) return null;
+
+    const extension = filePath ? filePath.split(".").pop() : "tsx";
+    try {
+      return parseCode(code, extension.replace(/^[cm]/, ""));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a file is JavaScript or TypeScript; code without a path is
+   * treated as TSX
+   */
+  static isScriptFile(filePath) {
+    return !filePath || SCRIPT_FILE.test(filePath);
+  }
+
+  /**
+   * Elements returned from .map() callbacks without a key attribute, as
+   * { start, end, text } source ranges. Each range covers the start of the
+   * opening tag; text adds the key layer 3 would, the index when the
+   * callback takes one, else the item's id, and is null when the callback
+   * destructures its parameters. A spread attribute may carry a key, so
+   * elements with one are left alone.
+   */
+  static findMissingKeys(ast, code) {
+    const ranges = [];
+
+    walk(ast, (node) => {
+      if (!this.isMapCall(node)) return;
+
+      const callback = node.arguments[0];
+      this.getReturnedElements(callback).forEach((element) => {
+        const opening = element.openingElement;
+        const hasKey = opening.attributes.some(
+          (attribute) =>
+            attribute.type === "JSXSpreadAttribute" ||
+            attribute.name.name === "key",
+        );
+        if (hasKey) return;
+
+        const key = this.getKeyProp(callback.params);
+        ranges.push({
+          start: opening.start,
+          end: opening.name.end,
+          text: key && `${code.slice(opening.start, opening.name.end)} ${key}`,
+        });
+      });
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Add the missing key props layer 3 fixes to the code
+   */
+  static addMissingKeys(code, filePath) {
+    const ast = this.parse(code, filePath);
+    return ast ? this.applyRanges(code, this.findMissingKeys(ast, code)) : code;
+  }
+
+  /**
+   * Guard the localStorage reads layer 4 fixes in the code
+   */
+  static addStorageGuards(code, filePath) {
+    const ast = this.parse(code, filePath);
+    return ast
+      ? this.applyRanges(code, this.findStorageAccesses(ast, code))
+      : code;
+  }
+
+  // Replace each range that has a text; ranges must not overlap
+  static applyRanges(code, ranges) {
+    return ranges
+      .filter(({ text }) => text !== null)
+      .sort((a, b) => b.start - a.start)
+      .reduce(
+        (result, { start, end, text }) =>
+          result.slice(0, start) + text + result.slice(end),
+        code,
+      );
+  }
+
+  static isMapCall(node) {
+    const callee = node.callee;
+    const callback = node.arguments?.[0];
+
+    return (
+      (node.type === "CallExpression" ||
+        node.type === "OptionalCallExpression") &&
+      (callee.type === "MemberExpression" ||
+        callee.type === "OptionalMemberExpression") &&
+      !callee.computed &&
+      callee.property.name === "map" &&
+      Boolean(callback) &&
+      (callback.type === "ArrowFunctionExpression" ||
+        callback.type === "FunctionExpression")
+    );
+  }
+
+  // JSX elements a callback returns directly or from top-level returns
+  static getReturnedElements(callback) {
+    const { body } = callback;
+
+    if (body.type === "JSXElement") return [body];
+    if (body.type !== "BlockStatement") return [];
+
+    return body.body
+      .filter(
+        (statement) =>
+          statement.type === "ReturnStatement" &&
+          statement.argument?.type === "JSXElement",
+      )
+      .map((statement) => statement.argument);
+  }
+
+  static getKeyProp([item, index]) {
+    if (index?.type === "Identifier") return `key={${index.name}}`;
+    if (item?.type === "Identifier") {
+      return `key={${item.name}.id || ${item.name}}`;
+    }
+    return null;
+  }
+
+  /**
+   * Each unguarded localStorage access, as { start, end, text } source
+   * ranges. Only getItem() reads carry a fix: the call is guarded in place,
+   * in parentheses so the guard keeps its precedence in any expression.
+   * Writes and other calls would need their statement wrapped in a guard,
+   * so they are reported without one. Reads already guarded that way are
+   * skipped, so applying the fix again changes nothing.
+   */
+  static findStorageAccesses(ast, code) {
+    const ranges = [];
+    const guarded = new Set();
+
+    walk(ast, (node, parent) => {
+      if (this.isWindowGuard(node, code)) {
+        guarded.add(node.right);
+        return;
+      }
+
+      if (
+        (node.type !== "MemberExpression" &&
+          node.type !== "OptionalMemberExpression") ||
+        node.object.type !== "Identifier" ||
+        node.object.name !== "localStorage"
+      ) {
+        return;
+      }
+
+      const isRead =
+        !node.computed &&
+        node.property.name === "getItem" &&
+        (parent.type === "CallExpression" ||
+          parent.type === "OptionalCallExpression") &&
+        parent.callee === node;
+
+      if (isRead && guarded.has(parent)) return;
+
+      ranges.push(
+        isRead
+          ? {
+              start: parent.start,
+              end: parent.end,
+              text: `(typeof window !== "undefined" && ${code.slice(
+                parent.start,
+                parent.end,
+              )})`,
+            }
+          : { start: node.start, end: node.end, text: null },
+      );
+    });
+
+    return ranges;
+  }
+
+  /**
+   * A 'use client' directive with code above it, as layer 5 moves it. The
+   * issue spans the directive's whole line so its fix can delete it, and
+   * the fix re-inserts the directive above the first line of code.
+   */
+  static findMisplacedUseClient(code) {
+    const lines = code.split("\n");
+    const isCode = (line) =>
+      line.trim() !== "" &&
+      !line.trim().startsWith("//") &&
+      !line.trim().startsWith("/*");
+    const directive = lines.findIndex(
+      (line) => line.trim() === "'use client';",
+    );
+    const firstCode = lines.findIndex(isCode);
+
+    if (directive === -1 || firstCode === directive) return null;
+
+    const hasNextLine = directive + 1 < lines.length;
+    return {
+      line: directive + 1,
+      column: 1,
+      endLine: hasNextLine ? directive + 2 : directive + 1,
+      endColumn: hasNextLine ? 1 : lines[directive].length + 1,
+      snippet: lines[directive].trim(),
+      fix: {
+        text: "",
+        edits: [
+          {
+            line: firstCode + 1,
+            column: 1,
+            endLine: firstCode + 1,
+            endColumn: 1,
+            text: "'use client';\n\n",
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Layers with issues detected in a file, limited to the requested layers
+   */
+  static getRelevantLayers(code, filePath, layers = [1, 2, 3, 4, 5, 6]) {
+    const detected = new Set(
+      this.detectIssues(code, filePath).map((issue) => issue.fixedByLayer),
+    );
+    return layers.filter((layer) => detected.has(layer));
+  }
+
+  /**
+   * Convert a detected issue into the shape reporters and clients consume
+   */
+  static toReportedIssue(issue, file) {
+    return {
+      file,
+      line: issue.line,
+      column: issue.column,
+      endLine: issue.endLine,
+      endColumn: issue.endColumn,
+      snippet: issue.snippet,
+      fix: issue.fix,
+      rule: issue.rule,
+      layer: issue.fixedByLayer,
+      type: issue.type,
+      severity: issue.severity,
+      message: issue.description,
+    };
+  }
+
   /**
    * Generate layer recommendations based on detected issues
    */
@@ -176,6 +486,90 @@ class SmartLayerSelector {
     };
   }
 
+  // `typeof window !== "undefined" && ...`
+  static isWindowGuard(node, code) {
+    return (
+      node.type === "LogicalExpression" &&
+      node.operator === "&&" &&
+      /^typeof window !==? ["']undefined["']$/.test(
+        code.slice(node.left.start, node.left.end),
+      )
+    );
+  }
+
+  /**
+   * Locate every match of a global pattern. Lines and columns are 1-based;
+   * endLine/endColumn point just past the match, as in ESLint. The snippet
+   * is the trimmed source line where the match starts. When a fix function
+   * is given, each location also carries the text that replaces the match,
+   * unless the function returns null for it.
+   */
+  static findMatchLocations(code, pattern, fix = null) {
+    return this.toLocations(
+      code,
+      Array.from(code.matchAll(pattern), (match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: fix ? fix(match[0]) : null,
+      })),
+    );
+  }
+
+  /**
+   * Locations for { start, end, text } source ranges, in the form
+   * findMatchLocations() returns; a non-null text becomes the fix
+   */
+  static toLocations(code, ranges) {
+    const lines = code.split("\n");
+    const toPosition = this.createPositionLookup(code);
+
+    return ranges.map(({ start: startOffset, end: endOffset, text }) => {
+      const start = toPosition(startOffset);
+      // Zero-width ranges still span one character so editors can show them
+      const end = toPosition(Math.max(endOffset, startOffset + 1));
+
+      const location = {
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        snippet: lines[start.line - 1].trim(),
+      };
+
+      if (text !== null && text !== undefined) {
+        location.fix = { text };
+      }
+
+      return location;
+    });
+  }
+
+  /**
+   * A function mapping 0-based offsets in code to 1-based positions
+   */
+  static createPositionLookup(code) {
+    const lines = code.split("\n");
+    const lineStarts = [0];
+    lines.forEach((text, index) => {
+      lineStarts.push(lineStarts[index] + text.length + 1);
+    });
+
+    // Binary search for the last line starting at or before the offset
+    return (offset) => {
+      let low = 0;
+      let high = lines.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+  }
+
   static isReactComponent(code) {
     return (
       code.includes("import React") ||
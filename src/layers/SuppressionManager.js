@@ -0,0 +1,307 @@
+import { LineDiff } from "../utils/LineDiff.js";
+import { SmartLayerSelector } from "./SmartLayerSelector.js";
+import { walk } from "./transforms/ast.js";
+
+/**
+ * Inline suppression comments, following ESLint conventions:
+ *
+ *   // neurolint-disable-next-line L4/localstorage-ssr-guard
+ *   foo(); // neurolint-disable-line L2/console-log
+ *   /* neurolint-disable L6 *\/ ... /* neurolint-enable L6 *\/
+ *   /* neurolint-disable *\/  (at the top of a file, disables every rule)
+ *
+ * A directive with no rules applies to every rule. Rules may be full IDs
+ * ("L2/console-log") or whole layers ("L2" or "L2/*"). Text after "--" is
+ * treated as a description. A disable without a matching enable runs to
+ * the end of the file. Directives are read from the parser's comment
+ * tokens, so text in strings never counts as one.
+ *
+ * Pure and browser-safe so every executor can share it.
+ */
+class SuppressionManager {
+  static DIRECTIVE_PATTERN =
+    /^\s*neurolint-(disable-next-line|disable-line|disable|enable)(?=\s|$)([\s\S]*)$/;
+
+  // Comments in files that are not parsed as scripts, like tsconfig.json
+  static TEXT_COMMENT_PATTERN = /\/\/([^\n]*)|\/\*([\s\S]*?)\*\//g;
+
+  /**
+   * Parse every suppression in a file into line ranges (1-based, inclusive)
+   */
+  static parse(code, filePath = "") {
+    const suppressions = [];
+    const openBlocks = [];
+
+    this.findDirectives(code, filePath).forEach((directive) => {
+      const { type, line, endLine } = directive;
+      const rules = this.parseRuleList(directive.text);
+
+      if (type === "disable-next-line") {
+        suppressions.push(
+          this.createSuppression(type, line, endLine + 1, endLine + 1, rules),
+        );
+      } else if (type === "disable-line") {
+        suppressions.push(
+          this.createSuppression(type, line, line, line, rules),
+        );
+      } else if (type === "disable") {
+        const suppression = this.createSuppression(
+          type,
+          line,
+          line,
+          Infinity,
+          rules,
+        );
+        suppressions.push(suppression);
+        openBlocks.push(suppression);
+      } else {
+        // neurolint-enable closes matching open blocks
+        for (let i = openBlocks.length - 1; i >= 0; i--) {
+          const block = openBlocks[i];
+          const closes =
+            rules.length === 0 ||
+            block.rules.some((rule) => rules.includes(rule));
+
+          if (closes) {
+            block.endLine = line;
+            openBlocks.splice(i, 1);
+          }
+        }
+      }
+    });
+
+    return suppressions;
+  }
+
+  /**
+   * The directive comments in a file, in source order, as { type, text,
+   * line, endLine }. Scripts are parsed so only real comments count; code
+   * that does not parse has no directives.
+   */
+  static findDirectives(code, filePath) {
+    if (!code.includes("neurolint-")) return [];
+
+    const comments = SmartLayerSelector.isScriptFile(filePath)
+      ? SmartLayerSelector.parse(code, filePath)?.comments || []
+      : Array.from(code.matchAll(this.TEXT_COMMENT_PATTERN), (match) => ({
+          value: match[1] ?? match[2],
+          start: match.index,
+          end: match.index + match[0].length,
+        }));
+
+    const toPosition = SmartLayerSelector.createPositionLookup(code);
+    return comments.flatMap(({ value, start, end }) => {
+      const match = value.match(this.DIRECTIVE_PATTERN);
+      if (!match) return [];
+
+      return [
+        {
+          type: match[1],
+          text: match[2],
+          line: toPosition(start).line,
+          endLine: toPosition(end - 1).line,
+        },
+      ];
+    });
+  }
+
+  static createSuppression(type, line, startLine, endLine, rules) {
+    return { type, line, startLine, endLine, rules, used: false };
+  }
+
+  static parseRuleList(text) {
+    return text
+      .split("--")[0]
+      .split(/[\s,]+/)
+      .map((rule) => rule.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a suppression's rule list covers a rule ID
+   */
+  static matchesRule(suppression, ruleId) {
+    if (suppression.rules.length === 0) return true;
+    if (!ruleId) return false;
+
+    const layer = ruleId.split("/")[0];
+    return suppression.rules.some(
+      (rule) => rule === ruleId || rule === layer || rule === `${layer}/*`,
+    );
+  }
+
+  /**
+   * Check whether a suppression's rule list covers any rule in a layer
+   */
+  static matchesLayer(suppression, layerId) {
+    if (suppression.rules.length === 0) return true;
+
+    return suppression.rules.some(
+      (rule) => rule.split("/")[0] === `L${layerId}`,
+    );
+  }
+
+  /**
+   * Check whether a rule is suppressed on a line, marking the suppression used
+   * Issues without a line are only covered by block disables that run to EOF
+   */
+  static isSuppressed(suppressions, ruleId, line) {
+    const match = suppressions.find((suppression) => {
+      if (!this.matchesRule(suppression, ruleId)) return false;
+
+      if (!line) {
+        return (
+          suppression.type === "disable" && suppression.endLine === Infinity
+        );
+      }
+
+      return line >= suppression.startLine && line <= suppression.endLine;
+    });
+
+    if (match) {
+      match.used = true;
+    }
+
+    return Boolean(match);
+  }
+
+  /**
+   * Split one file's issues into kept and suppressed, and report suppressions
+   * that matched nothing. Only suppressions aimed at the analyzed layers are
+   * reported as unused.
+   */
+  static filterIssues(issues, code, layers = [1, 2, 3, 4, 5, 6], filePath) {
+    const suppressions = this.parse(code, filePath);
+    const kept = [];
+    const suppressed = [];
+
+    issues.forEach((issue) => {
+      if (this.isSuppressed(suppressions, issue.rule, issue.line)) {
+        suppressed.push(issue);
+      } else {
+        kept.push(issue);
+      }
+    });
+
+    const unused = suppressions
+      .filter(
+        (suppression) =>
+          !suppression.used &&
+          layers.some((layerId) => this.matchesLayer(suppression, layerId)),
+      )
+      .map((suppression) => ({
+        line: suppression.line,
+        type: suppression.type,
+        rules: suppression.rules,
+        message: `Unused neurolint-${suppression.type} directive (${
+          suppression.rules.length > 0
+            ? `no issues reported for ${suppression.rules.join(", ")}`
+            : "no issues reported"
+        })`,
+      }));
+
+    return { issues: kept, suppressed, unused };
+  }
+
+  /**
+   * The comment to insert before a 0-based line to disable rules on it
+   * Among JSX children a // comment would render as text, so lines there
+   * get a {/* ... *\/} comment instead.
+   */
+  static createNextLineDirective(code, line, rules, filePath = "") {
+    const directive = `neurolint-disable-next-line ${rules}`;
+    return this.isJsxChildLine(code, line, filePath)
+      ? `{/* ${directive} */}`
+      : `// ${directive}`;
+  }
+
+  // Whether the start of a 0-based line falls among a JSX element's children
+  static isJsxChildLine(code, line, filePath) {
+    const ast = SmartLayerSelector.parse(code, filePath);
+    if (!ast) return false;
+
+    const offset = code
+      .split("\n")
+      .slice(0, line)
+      .reduce((length, text) => length + text.length + 1, 0);
+    let innermost = null;
+    walk(ast, (node) => {
+      if (node.start < offset && offset < node.end) innermost = node;
+    });
+
+    if (innermost?.type === "JSXText") return true;
+    if (innermost?.type !== "JSXElement" && innermost?.type !== "JSXFragment") {
+      return false;
+    }
+
+    const opening = innermost.openingElement || innermost.openingFragment;
+    const closing = innermost.closingElement || innermost.closingFragment;
+    return Boolean(closing) && offset >= opening.end && offset <= closing.start;
+  }
+
+  /**
+   * Undo a rule's edits on lines where that rule is suppressed
+   * Insertions count as touching the original line they are placed before
+   */
+  static restoreSuppressedLines(before, after, ruleId, filePath) {
+    if (before === after) return after;
+
+    const suppressions = this.parse(before, filePath).filter((suppression) =>
+      this.matchesRule(suppression, ruleId),
+    );
+
+    if (suppressions.length === 0) return after;
+
+    const isProtected = (line) =>
+      suppressions.some(
+        (suppression) =>
+          line >= suppression.startLine && line <= suppression.endLine,
+      );
+
+    const { oldLines, newLines, hunks } = LineDiff.diff(before, after);
+    const result = [];
+    let oldIndex = 0;
+
+    hunks.forEach((hunk) => {
+      result.push(...oldLines.slice(oldIndex, hunk.oldStart));
+
+      const oldCount = hunk.oldEnd - hunk.oldStart;
+      const newCount = hunk.newEnd - hunk.newStart;
+
+      if (oldCount === newCount) {
+        // Line-for-line rewrites are restored one line at a time
+        for (let i = 0; i < oldCount; i++) {
+          result.push(
+            isProtected(hunk.oldStart + i + 1)
+              ? oldLines[hunk.oldStart + i]
+              : newLines[hunk.newStart + i],
+          );
+        }
+      } else {
+        // Lines are 1-based; a pure insertion is checked against its neighbour
+        const firstLine = hunk.oldStart + 1;
+        const lastLine = Math.max(hunk.oldEnd, firstLine);
+        let touchesSuppressed = false;
+        for (let line = firstLine; line <= lastLine; line++) {
+          if (isProtected(Math.min(line, oldLines.length))) {
+            touchesSuppressed = true;
+            break;
+          }
+        }
+
+        result.push(
+          ...(touchesSuppressed
+            ? oldLines.slice(hunk.oldStart, hunk.oldEnd)
+            : newLines.slice(hunk.newStart, hunk.newEnd)),
+        );
+      }
+
+      oldIndex = hunk.oldEnd;
+    });
+
+    result.push(...oldLines.slice(oldIndex));
+    return result.join("\n");
+  }
+}
+
+export { SuppressionManager };
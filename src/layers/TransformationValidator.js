@@ -5,6 +5,17 @@ import { parse } from "@babel/parser";
  * Catches syntax errors, corruption, and logical issues
  */
 class TransformationValidator {
+  // Only script sources can be checked by parsing them after a layer runs
+  static SCRIPT_FILE = /\.[cm]?[jt]sx?$/;
+
+  /**
+   * Whether a layer's output for a file can be validated; code without a
+   * path is treated as a script
+   */
+  static canValidate(filePath) {
+    return !filePath || this.SCRIPT_FILE.test(filePath);
+  }
+
   /**
    * Main validation entry point
    */
@@ -0,0 +1,58 @@
+import { parse } from "@babel/parser";
+
+/**
+ * Parsing and traversal shared by the AST codemods and issue detection
+ */
+
+// AST node keys that never hold child nodes worth visiting
+const SKIP_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+]);
+
+// Walk every AST node, calling visit(node, parent) in source order
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== "string") {
+    return;
+  }
+
+  visit(node, parent);
+
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => walk(item, visit, node));
+    } else if (child && typeof child.type === "string") {
+      walk(child, visit, node);
+    }
+  }
+}
+
+/**
+ * Parse a source file with the syntax plugins its file type allows
+ * Throws a SyntaxError for code @babel/parser cannot parse.
+ */
+function parseCode(code, fileType) {
+  // `.ts` files cannot enable JSX: `<T>value` would parse as an element
+  const plugins =
+    fileType === "ts"
+      ? ["typescript"]
+      : fileType === "tsx"
+        ? ["typescript", "jsx"]
+        : ["jsx"];
+
+  return parse(code, {
+    sourceType: "unambiguous",
+    plugins,
+    allowReturnOutsideFunction: true,
+  });
+}
+
+export { parseCode, walk };
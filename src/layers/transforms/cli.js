@@ -0,0 +1,87 @@
+import fs from "fs";
+import { globSync } from "glob";
+import { LayerExecutor } from "../LayerExecutor.js";
+
+// Source files fixed under a directory given on the command line
+const SOURCE_FILES = "**/*.{ts,tsx,js,jsx}";
+
+/**
+ * Shared body of the fix-layer-N scripts, which are thin command-line
+ * wrappers around the layer transforms
+ *
+ * Fixes the files, directories or globs given as arguments, or else the
+ * files matching `patterns` under the current directory. The NeuroLint
+ * CLI used to drive the scripts through environment variables, which are
+ * still honored: NEUROLINT_DISABLED_RULES (comma-separated rule IDs),
+ * NEUROLINT_DRY_RUN ("true") and NEUROLINT_MODE, which adds a
+ * "FIXED: <rule-id> <file>" line per fix.
+ */
+async function runLayerCli(layerId, title, patterns = []) {
+  console.log(`🔧 Layer ${layerId}: ${title}`);
+
+  const disabledRules = (process.env.NEUROLINT_DISABLED_RULES || "")
+    .split(",")
+    .filter(Boolean);
+  const config = {
+    rules: Object.fromEntries(disabledRules.map((rule) => [rule, "off"])),
+  };
+  const dryRun = process.env.NEUROLINT_DRY_RUN === "true";
+
+  try {
+    const files = findFiles(process.argv.slice(2), patterns);
+    console.log(`📁 Processing ${files.length} files...`);
+
+    const result = await new LayerExecutor().executeLayerFixes(
+      layerId,
+      files,
+      dryRun,
+      { config },
+    );
+
+    result.changes.forEach((change) => {
+      console.log(
+        `  ✓ ${change.description} in ${change.file} [${change.rule}]`,
+      );
+      if (process.env.NEUROLINT_MODE) {
+        console.log(`FIXED: ${change.rule} ${change.file}`);
+      }
+    });
+    result.errors.forEach((error) => {
+      console.error(`❌ Error processing ${error.file}: ${error.message}`);
+    });
+
+    const filesChanged = new Set(result.changes.map((change) => change.file));
+    console.log(
+      `\n🎉 Layer ${layerId} completed: ${result.changes.length} fixes applied to ${filesChanged.size} files`,
+    );
+  } catch (error) {
+    console.error(`❌ Layer ${layerId} fixes failed:`, error.message);
+    process.exit(1);
+  }
+}
+
+// The files named by command-line paths, falling back to the patterns
+function findFiles(paths, patterns) {
+  const globs =
+    paths.length > 0
+      ? paths.map((target) =>
+          fs.existsSync(target) && fs.statSync(target).isDirectory()
+            ? `${target.replace(/[\\/]+$/, "")}/${SOURCE_FILES}`
+            : target,
+        )
+      : patterns;
+
+  return [
+    ...new Set(
+      globs.flatMap((pattern) =>
+        globSync(pattern, {
+          nodir: true,
+          ignore: "**/node_modules/**",
+          windowsPathsNoEscape: true,
+        }),
+      ),
+    ),
+  ].sort();
+}
+
+export { runLayerCli };
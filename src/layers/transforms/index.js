@@ -0,0 +1,60 @@
+import { RuleRegistry } from "../RuleRegistry.js";
+import * as layer1 from "./layer-1-config.js";
+import * as layer2 from "./layer-2-patterns.js";
+import * as layer3 from "./layer-3-components.js";
+import * as layer4 from "./layer-4-hydration.js";
+import * as layer5 from "./layer-5-nextjs.js";
+import * as layer6 from "./layer-6-testing.js";
+
+/**
+ * The six layers as pure functions over one file's code
+ *
+ * Each layer module exports transform(code, { filePath, config }), which
+ * returns { code, changes, issues, suppressed } and never touches the file
+ * system.
+ * filePath selects path-specific fixes (tsconfig.json for layer 1, the
+ * project's ThemeToggle for layer 4, ...) and config supplies the rule
+ * settings from .neurolint.json. Files a layer creates in the project are
+ * listed separately as SCAFFOLD_FILES for the caller to write.
+ */
+const LAYER_TRANSFORMS = {
+  1: layer1,
+  2: layer2,
+  3: layer3,
+  4: layer4,
+  5: layer5,
+  6: layer6,
+};
+
+// Project root files layer 1 fixes, whichever files a run targets
+const { PROJECT_FILES } = layer1;
+
+function getLayerTransform(layerId) {
+  const layer = LAYER_TRANSFORMS[layerId];
+  if (!layer) {
+    throw new Error(`Unknown layer: ${layerId}. Use a layer from 1 to 6.`);
+  }
+  return layer;
+}
+
+function transformLayer(layerId, code, options = {}) {
+  return getLayerTransform(layerId).transform(code, options);
+}
+
+/**
+ * Scaffold files for a layer whose rule is enabled in the config
+ */
+function getScaffoldFiles(layerId, config = {}) {
+  const { SCAFFOLD_FILES = [] } = getLayerTransform(layerId);
+  return SCAFFOLD_FILES.filter((file) =>
+    RuleRegistry.isRuleEnabled(file.rule, config),
+  );
+}
+
+export {
+  LAYER_TRANSFORMS,
+  PROJECT_FILES,
+  getLayerTransform,
+  transformLayer,
+  getScaffoldFiles,
+};
@@ -0,0 +1,144 @@
+import { createFixContext, createResult, parseFilePath } from "./shared.js";
+
+/**
+ * Layer 1: Configuration Fixes
+ * - TypeScript configuration optimization
+ * - Next.js configuration cleanup
+ * - Package.json optimization
+ *
+ * Each fix applies to one project file, picked by the file's name.
+ */
+
+const LAYER = 1;
+
+// Project root files this layer rewrites
+const PROJECT_FILES = ["tsconfig.json", "next.config.js", "package.json"];
+
+const NEXT_CONFIG = `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  experimental: {
+    // Remove deprecated appDir option
+  },
+  typescript: {
+    ignoreBuildErrors: false,
+  },
+  eslint: {
+    ignoreDuringBuilds: false,
+  },
+  images: {
+    domains: [],
+  },
+  // Optimize for production
+  swcMinify: true,
+  compress: true,
+  poweredByHeader: false,
+  generateEtags: false,
+  // Security headers
+  async headers() {
+    return [
+      {
+        source: '/(.*)',
+        headers: [
+          {
+            key: 'X-Frame-Options',
+            value: 'DENY',
+          },
+          {
+            key: 'X-Content-Type-Options',
+            value: 'nosniff',
+          },
+          {
+            key: 'Referrer-Policy',
+            value: 'origin-when-cross-origin',
+          },
+        ],
+      },
+    ];
+  },
+};
+
+module.exports = nextConfig;
+`;
+
+// Ensure modern TypeScript settings
+function fixTsConfig(content) {
+  const tsConfig = JSON.parse(content);
+
+  tsConfig.compilerOptions = {
+    ...tsConfig.compilerOptions,
+    target: "ES2020",
+    lib: ["dom", "dom.iterable", "es6", "ES2020"],
+    downlevelIteration: true,
+    allowSyntheticDefaultImports: true,
+    esModuleInterop: true,
+    forceConsistentCasingInFileNames: true,
+    strict: true,
+    noEmit: true,
+    incremental: true,
+    skipLibCheck: true,
+    isolatedModules: true,
+    jsx: "preserve",
+    plugins: [{ name: "next" }],
+    baseUrl: ".",
+    paths: {
+      "@/*": ["./src/*"],
+    },
+  };
+
+  return JSON.stringify(tsConfig, null, 2);
+}
+
+// Optimize package.json scripts
+function fixPackageJson(content) {
+  const packageJson = JSON.parse(content);
+
+  packageJson.scripts = {
+    ...packageJson.scripts,
+    dev: "next dev",
+    build: "next build",
+    start: "next start",
+    lint: "next lint",
+    "lint:fix": "next lint --fix",
+    "type-check": "tsc --noEmit",
+    "fix-all":
+      "node scripts/fix-layer-1-config.js && node scripts/fix-layer-2-patterns.js && node scripts/fix-layer-3-components.js",
+    clean: "rm -rf .next out dist",
+  };
+
+  return JSON.stringify(packageJson, null, 2);
+}
+
+/**
+ * Fix one configuration file; code from any other file is returned as is
+ */
+function transform(code, options = {}) {
+  const context = createFixContext(LAYER, code, options);
+
+  switch (options.filePath && parseFilePath(options.filePath).base) {
+    case "tsconfig.json":
+      context.apply(
+        "L1/tsconfig-modernize",
+        fixTsConfig,
+        "Outdated TypeScript compiler options",
+      );
+      break;
+    case "next.config.js":
+      context.apply(
+        "L1/next-config",
+        () => NEXT_CONFIG,
+        "Outdated Next.js configuration",
+      );
+      break;
+    case "package.json":
+      context.apply(
+        "L1/package-scripts",
+        fixPackageJson,
+        "Missing standard package.json scripts",
+      );
+      break;
+  }
+
+  return createResult(LAYER, code, context);
+}
+
+export { LAYER, PROJECT_FILES, transform };
@@ -0,0 +1,382 @@
+import { SmartLayerSelector } from "../SmartLayerSelector.js";
+import { parseCode, walk } from "./ast.js";
+import { createFixContext, createResult } from "./shared.js";
+
+/**
+ * Layer 2: Bulk Pattern Fixes
+ * - Fix HTML entity corruption in JSX text
+ * - Convert React.Fragment to fragment shorthand
+ * - Convert console.log to console.debug
+ * - Remove unused React imports
+ *
+ * Every fix is an AST codemod: code is parsed with @babel/parser and each
+ * visitor records source-range edits, so untouched code keeps its exact
+ * formatting. String literals, template literals and comments are never
+ * edited because no visitor targets them.
+ *
+ * The issues the layer reports are the codemods' own findings in the
+ * input, so analysis flags exactly what a fix would change.
+ */
+
+const LAYER = 2;
+
+// Entities that render identically when written as plain JSX text
+const JSX_TEXT_ENTITIES = {
+  "&quot;": '"',
+  "&#x27;": "'",
+  "&#39;": "'",
+  "&apos;": "'",
+  "&amp;": "&",
+};
+
+// Only unescape ampersands that cannot start a new entity
+const JSX_TEXT_ENTITY = /&quot;|&#x27;|&#39;|&apos;|&amp;(?![a-zA-Z0-9#]+;)/g;
+
+// Brackets cannot be written as plain JSX text, so these are only reported
+const JSX_TEXT_BRACKET = /&lt;|&gt;/g;
+
+// Codemod definitions for bulk fixes
+// Each visitor calls report(range, edits) once per finding: the source
+// range the issue is reported at, and the edits that fix it
+const CODEMODS = [
+  // Fix HTML entity corruption
+  {
+    id: "L2/html-entities",
+    message: "HTML entity in JSX text",
+    fileTypes: ["tsx", "jsx", "js"],
+    visitor: {
+      JSXText(node, { code, report }) {
+        const raw = code.slice(node.start, node.end);
+
+        for (const match of raw.matchAll(JSX_TEXT_ENTITY)) {
+          const start = node.start + match.index;
+          const end = start + match[0].length;
+          report({ start, end }, [
+            { start, end, text: JSX_TEXT_ENTITIES[match[0]] },
+          ]);
+        }
+
+        for (const match of raw.matchAll(JSX_TEXT_BRACKET)) {
+          const start = node.start + match.index;
+          report({ start, end: start + match[0].length });
+        }
+      },
+    },
+  },
+
+  // Fix React patterns
+  {
+    id: "L2/fragment-shorthand",
+    message: "React.Fragment can use the <> shorthand",
+    fileTypes: ["tsx", "jsx", "js"],
+    visitor: {
+      JSXElement(node, { report }) {
+        const opening = node.openingElement;
+        if (!isReactFragment(opening.name) || opening.attributes.length > 0) {
+          return; // Keyed fragments cannot use the shorthand
+        }
+
+        if (opening.selfClosing) {
+          report(opening, [
+            { start: opening.start, end: opening.end, text: "<></>" },
+          ]);
+          return;
+        }
+
+        report(opening, [
+          { start: opening.start, end: opening.end, text: "<>" },
+          {
+            start: node.closingElement.start,
+            end: node.closingElement.end,
+            text: "</>",
+          },
+        ]);
+      },
+    },
+  },
+
+  // Fix console statements for production
+  {
+    id: "L2/console-log",
+    message: "console.log call",
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+    test: (ast) => !declaresName(ast, "console"),
+    visitor: {
+      CallExpression: rewriteConsoleLog,
+      OptionalCallExpression: rewriteConsoleLog,
+    },
+  },
+
+  // Remove unused imports
+  {
+    id: "L2/unused-react-import",
+    message: "React is imported but never used",
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+    visitor: {
+      ImportDeclaration(node, { ast, code, report }) {
+        if (node.source.value !== "react" || node.importKind === "type") {
+          return;
+        }
+
+        const specifier = node.specifiers.find(
+          (s) =>
+            s.type === "ImportDefaultSpecifier" ||
+            s.type === "ImportNamespaceSpecifier",
+        );
+
+        // Classic JSX runtime needs React in scope, so JSX counts as a use
+        if (!specifier || containsJSX(ast) || isReferenced(ast, specifier)) {
+          return;
+        }
+
+        if (node.specifiers.length === 1) {
+          const lineEnd = code.slice(node.end).match(/^[ \t]*\r?\n/);
+          const end = node.end + (lineEnd ? lineEnd[0].length : 0);
+          report({ start: node.start, end }, [
+            { start: node.start, end, text: "" },
+          ]);
+        } else {
+          // `import React, { useState }` keeps the named specifiers
+          const next = node.specifiers[node.specifiers.indexOf(specifier) + 1];
+          const openBrace = code.lastIndexOf("{", next.start);
+          const range = { start: specifier.start, end: openBrace };
+          report(range, [{ ...range, text: "" }]);
+        }
+      },
+    },
+  },
+
+  // Report var declarations; there is no safe automatic fix
+  {
+    id: "L2/var-declarations",
+    message: "var declaration should use let or const",
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+    visitor: {
+      VariableDeclaration(node, { report }) {
+        if (node.kind === "var") {
+          report({ start: node.start, end: node.start + "var".length });
+        }
+      },
+    },
+  },
+];
+
+function rewriteConsoleLog(node, { report }) {
+  const callee = node.callee;
+
+  if (
+    (callee.type === "MemberExpression" ||
+      callee.type === "OptionalMemberExpression") &&
+    !callee.computed &&
+    callee.object.type === "Identifier" &&
+    callee.object.name === "console" &&
+    callee.property.type === "Identifier" &&
+    callee.property.name === "log"
+  ) {
+    report(callee, [
+      { start: callee.property.start, end: callee.property.end, text: "debug" },
+    ]);
+  }
+}
+
+function isReactFragment(name) {
+  return (
+    name.type === "JSXMemberExpression" &&
+    name.object.type === "JSXIdentifier" &&
+    name.object.name === "React" &&
+    name.property.name === "Fragment"
+  );
+}
+
+function containsJSX(ast) {
+  let found = false;
+  walk(ast, (node) => {
+    if (node.type === "JSXElement" || node.type === "JSXFragment") {
+      found = true;
+    }
+  });
+  return found;
+}
+
+function isReferenced(ast, specifier) {
+  const name = specifier.local.name;
+  let referenced = false;
+
+  walk(ast, (node, parent) => {
+    if (
+      (node.type === "Identifier" || node.type === "JSXIdentifier") &&
+      node.name === name &&
+      node !== specifier.local &&
+      // `obj.React` and `{ React: value }` name a property, not the binding
+      !(
+        parent &&
+        parent.type === "MemberExpression" &&
+        parent.property === node &&
+        !parent.computed
+      ) &&
+      !(
+        parent &&
+        parent.type === "ObjectProperty" &&
+        parent.key === node &&
+        !parent.computed
+      )
+    ) {
+      referenced = true;
+    }
+  });
+
+  return referenced;
+}
+
+function declaresName(ast, name) {
+  let declared = false;
+
+  walk(ast, (node, parent) => {
+    if (node.type !== "Identifier" || node.name !== name || !parent) return;
+
+    if (
+      (parent.type === "VariableDeclarator" && parent.id === node) ||
+      (parent.type.endsWith("Function") && parent.params.includes(node)) ||
+      (parent.type.startsWith("Function") && parent.id === node) ||
+      parent.type === "ImportSpecifier" ||
+      parent.type === "ImportDefaultSpecifier" ||
+      parent.type === "ImportNamespaceSpecifier"
+    ) {
+      declared = true;
+    }
+  });
+
+  return declared;
+}
+
+// Apply recorded edits back to front so earlier offsets stay valid
+function applyEdits(code, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  let result = code;
+  let boundary = Infinity;
+
+  for (const edit of sorted) {
+    if (edit.end > boundary) continue; // Overlaps an edit already applied
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    boundary = edit.start;
+  }
+
+  return result;
+}
+
+// A codemod's findings in parsed code, each { range, edits }
+function findReports(codemod, ast, code) {
+  if (codemod.test && !codemod.test(ast)) return [];
+
+  const reports = [];
+  const context = {
+    ast,
+    code,
+    report: (range, edits = []) => reports.push({ range, edits }),
+  };
+
+  walk(ast, (node) => {
+    const visit = codemod.visitor[node.type];
+    if (visit) visit(node, context);
+  });
+
+  return reports;
+}
+
+// Run one codemod over freshly parsed code
+function runCodemod(codemod, code, fileType) {
+  const edits = findReports(codemod, parseCode(code, fileType), code).flatMap(
+    (report) => report.edits,
+  );
+
+  return edits.length > 0 ? applyEdits(code, edits) : code;
+}
+
+// The issue fix for a report: edits inside the reported range become the
+// text replacing it, and any others are separate edits
+function toIssueFix(code, range, edits, toPosition) {
+  const inside = edits
+    .filter((edit) => edit.start >= range.start && edit.end <= range.end)
+    .sort((a, b) => a.start - b.start);
+  let text = "";
+  let offset = range.start;
+
+  inside.forEach((edit) => {
+    text += code.slice(offset, edit.start) + edit.text;
+    offset = edit.end;
+  });
+  text += code.slice(offset, range.end);
+
+  const others = edits
+    .filter((edit) => !inside.includes(edit))
+    .map((edit) => {
+      const start = toPosition(edit.start);
+      const end = toPosition(edit.end);
+      return {
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        text: edit.text,
+      };
+    });
+
+  return others.length > 0 ? { text, edits: others } : { text };
+}
+
+// Every codemod's findings in the input, as detected issues; those with
+// edits carry the fix the codemod would make
+function detectIssues(code, codemods, fileType) {
+  if (codemods.length === 0) return [];
+
+  const ast = parseCode(code, fileType);
+  const lines = code.split("\n");
+  const toPosition = SmartLayerSelector.createPositionLookup(code);
+
+  return codemods.flatMap((codemod) =>
+    findReports(codemod, ast, code).map(({ range, edits }) => {
+      const start = toPosition(range.start);
+      const end = toPosition(range.end);
+
+      return {
+        ...(edits.length > 0 && {
+          fix: toIssueFix(code, range, edits, toPosition),
+        }),
+        type: "pattern",
+        rule: codemod.id,
+        severity: "medium",
+        description: codemod.message,
+        fixedByLayer: LAYER,
+        pattern: codemod.message,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        snippet: lines[start.line - 1].trim(),
+      };
+    }),
+  );
+}
+
+/**
+ * Apply every enabled codemod, re-parsing after each one
+ * Throws a SyntaxError for code @babel/parser cannot parse, rather than
+ * patching it blindly.
+ */
+function transform(code, options = {}) {
+  const context = createFixContext(LAYER, code, options);
+  const codemods = CODEMODS.filter((codemod) =>
+    codemod.fileTypes.includes(context.fileType),
+  );
+  const issues = detectIssues(code, codemods, context.fileType);
+
+  codemods.forEach((codemod) => {
+    context.apply(codemod.id, (current) =>
+      runCodemod(codemod, current, context.fileType),
+    );
+  });
+
+  return createResult(LAYER, code, context, issues);
+}
+
+export { LAYER, transform };
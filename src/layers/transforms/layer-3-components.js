@@ -0,0 +1,344 @@
+import { SmartLayerSelector } from "../SmartLayerSelector.js";
+import { walk } from "./ast.js";
+import { createFixContext, createResult } from "./shared.js";
+
+/**
+ * Layer 3: Component-Specific Fixes
+ * - Button component variants and props
+ * - Tabs component props and structure
+ * - Form component enhancements
+ * - Icon component standardization
+ * - Layout component optimizations
+ */
+
+const LAYER = 3;
+
+// Component-specific fix patterns
+const COMPONENT_FIXES = [
+  // Button component fixes
+  {
+    id: "L3/button-variant",
+    message: "Button has no variant prop",
+    pattern: /<Button\s+([^>]*?)>/g,
+    replacement: (match, props) => {
+      // Ensure Button has proper variant prop
+      if (!props.includes("variant=")) {
+        return `<Button variant="default" ${props}>`;
+      }
+      return match;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Tabs component fixes
+  {
+    id: "L3/tabs-structure",
+    message: "Tabs is missing TabsList or TabsContent",
+    pattern: /<Tabs([^>]*?)>(.*?)<\/Tabs>/gs,
+    replacement: (match, props, content) => {
+      // Ensure Tabs has proper structure with TabsList and TabsContent
+      if (!content.includes("TabsList") || !content.includes("TabsContent")) {
+        return match; // Keep original if structure is too complex to auto-fix
+      }
+      return match;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Input component fixes
+  {
+    id: "L3/input-type",
+    message: "Input has no type prop",
+    pattern: /<Input\s+([^>]*?)>/g,
+    replacement: (match, props) => {
+      // Ensure Input has type prop
+      if (!props.includes("type=")) {
+        return `<Input type="text" ${props}>`;
+      }
+      return match;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Form component fixes
+  {
+    id: "L3/form-field-structure",
+    message: "FormField has no FormControl or render prop",
+    pattern: /<FormField([^>]*?)>(.*?)<\/FormField>/gs,
+    replacement: (match, props, content) => {
+      // Ensure FormField has proper control and render structure
+      if (!content.includes("FormControl") && !content.includes("render=")) {
+        return match; // Keep original if structure is complex
+      }
+      return match;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Icon component standardization
+  {
+    id: "L3/icon-size",
+    message: "Icon has no size",
+    pattern: /<(\w+Icon)\s+([^>]*?)>/g,
+    replacement: (match, iconName, props) => {
+      // Ensure icons have consistent size props
+      if (!props.includes("className=") && !props.includes("size=")) {
+        return `<${iconName} className="w-4 h-4" ${props}>`;
+      }
+      return match;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Shadcn/ui Button fixes
+  {
+    id: "L3/shadcn-button-variant",
+    message: "Button variant is not a shadcn/ui variant",
+    pattern: /variant="(primary|secondary|danger|success)"/g,
+    replacement: (match, variant) => {
+      const variantMap = {
+        primary: "default",
+        secondary: "secondary",
+        danger: "destructive",
+        success: "default",
+      };
+      return `variant="${variantMap[variant] || "default"}"`;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Shadcn/ui size props
+  {
+    id: "L3/shadcn-size",
+    message: "Size is not a shadcn/ui size",
+    pattern: /size="(xs|sm|md|lg|xl)"/g,
+    replacement: (match, size) => {
+      const sizeMap = {
+        xs: "sm",
+        sm: "sm",
+        md: "default",
+        lg: "lg",
+        xl: "lg",
+      };
+      return `size="${sizeMap[size] || "default"}"`;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+];
+
+// Advanced component fixes
+const ADVANCED_FIXES = [
+  // Fix missing key props in lists
+  {
+    id: "L3/missing-key",
+    message: "Missing key prop in map operation",
+    test: (content) => content.includes(".map("),
+    find: (content, context) => {
+      const ast = SmartLayerSelector.parse(content, context.filePath);
+      return ast ? SmartLayerSelector.findMissingKeys(ast, content) : [];
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Fix component prop interfaces
+  {
+    id: "L3/prop-interface-extends",
+    message: "Props interface does not extend HTML attributes",
+    test: (content) =>
+      content.includes("interface") &&
+      content.includes("Props") &&
+      !content.includes("extends"),
+    // Add common prop extensions for component interfaces
+    pattern: /interface (\w+)Props \{/g,
+    replacement:
+      "interface $1Props extends React.HTMLAttributes<HTMLDivElement> {",
+    fileTypes: ["tsx"],
+  },
+
+  // Fix forwardRef components
+  {
+    id: "L3/forwardref-display-name",
+    message: "forwardRef component has no displayName",
+    test: (content) =>
+      content.includes("forwardRef") && !content.includes("displayName"),
+    // Add displayName to forwardRef components
+    pattern: /(const (\w+) = forwardRef[^}]+\}\);?)/g,
+    replacement: '$1\n$2.displayName = "$2";',
+    fileTypes: ["tsx"],
+  },
+
+  // Report hooks called without an import; which module they come from is
+  // left to the author
+  {
+    id: "L3/missing-hook-imports",
+    message: "React hook used without an import",
+    test: (content) => /\buse[A-Z]/.test(content),
+    find: (content, context) => {
+      const ast = SmartLayerSelector.parse(content, context.filePath);
+      return ast ? findUnimportedHooks(ast) : [];
+    },
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+  },
+
+  // Report images without alt text; only the author knows what it says
+  {
+    id: "L3/img-alt",
+    message: "Image missing alt attribute",
+    test: (content) => content.includes("<img"),
+    find: (content, context) => {
+      const ast = SmartLayerSelector.parse(content, context.filePath);
+      return ast ? findImagesWithoutAlt(ast) : [];
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+];
+
+const REACT_HOOKS = new Set([
+  "useState",
+  "useEffect",
+  "useContext",
+  "useReducer",
+  "useCallback",
+  "useMemo",
+  "useRef",
+  "useLayoutEffect",
+]);
+
+// The first call of each React hook the module neither imports nor
+// declares, as report-only ranges
+function findUnimportedHooks(ast) {
+  const bound = new Set();
+  const calls = [];
+
+  walk(ast, (node) => {
+    if (node.type.startsWith("Import") && node.type.endsWith("Specifier")) {
+      bound.add(node.local.name);
+    } else if (
+      (node.type === "FunctionDeclaration" ||
+        node.type === "VariableDeclarator") &&
+      node.id?.type === "Identifier"
+    ) {
+      bound.add(node.id.name);
+    } else if (
+      node.type === "CallExpression" &&
+      node.callee.type === "Identifier" &&
+      REACT_HOOKS.has(node.callee.name)
+    ) {
+      calls.push(node.callee);
+    }
+  });
+
+  const reported = new Set();
+  return calls
+    .filter(({ name }) => {
+      if (bound.has(name) || reported.has(name)) return false;
+      reported.add(name);
+      return true;
+    })
+    .map((callee) => ({ start: callee.start, end: callee.end, text: null }));
+}
+
+// <img> elements without an alt attribute or a spread that may carry one
+function findImagesWithoutAlt(ast) {
+  const ranges = [];
+
+  walk(ast, (node) => {
+    if (
+      node.type !== "JSXOpeningElement" ||
+      node.name.type !== "JSXIdentifier" ||
+      node.name.name !== "img"
+    ) {
+      return;
+    }
+
+    const hasAlt = node.attributes.some(
+      (attribute) =>
+        attribute.type === "JSXSpreadAttribute" ||
+        attribute.name.name === "alt",
+    );
+    if (!hasAlt) ranges.push({ start: node.start, end: node.end, text: null });
+  });
+
+  return ranges;
+}
+
+// Files the component fixes and the missing-imports step apply to
+const COMPONENT_FILE_TYPES = ["tsx", "jsx"];
+
+// Common component imports that might be missing
+const COMPONENT_IMPORTS = [
+  { component: "Button", from: "@/components/ui/button" },
+  { component: "Input", from: "@/components/ui/input" },
+  { component: "Label", from: "@/components/ui/label" },
+  { component: "Card", from: "@/components/ui/card" },
+  { component: "Tabs", from: "@/components/ui/tabs" },
+  { component: "Form", from: "@/components/ui/form" },
+  { component: "Select", from: "@/components/ui/select" },
+  { component: "Dialog", from: "@/components/ui/dialog" },
+  { component: "Alert", from: "@/components/ui/alert" },
+];
+
+// Add missing component imports
+function addMissingImports(content) {
+  const imports = new Set();
+  const existingImports =
+    content.match(/import.*from.*['"][^'"]+['"]/g) || [];
+  const existingImportNames = existingImports.join(" ");
+
+  COMPONENT_IMPORTS.forEach(({ component, from }) => {
+    if (
+      content.includes(`<${component}`) &&
+      !existingImportNames.includes(component)
+    ) {
+      imports.add(`import { ${component} } from "${from}";`);
+    }
+  });
+
+  if (imports.size === 0) {
+    return content;
+  }
+
+  const importStatements = Array.from(imports).join("\n");
+  const firstImportIndex = content.indexOf("import");
+  if (firstImportIndex !== -1) {
+    return (
+      content.slice(0, firstImportIndex) +
+      importStatements +
+      "\n" +
+      content.slice(firstImportIndex)
+    );
+  }
+  return importStatements + "\n\n" + content;
+}
+
+/**
+ * Apply the component fixes, then add imports for components they use;
+ * missing hook imports and image alt text are reported without a fix
+ */
+function transform(code, options = {}) {
+  const context = createFixContext(LAYER, code, options);
+
+  COMPONENT_FIXES.forEach((fix) => {
+    if (fix.fileTypes.includes(context.fileType)) {
+      context.applyFix(fix);
+    }
+  });
+
+  ADVANCED_FIXES.forEach((fix) => {
+    if (fix.fileTypes.includes(context.fileType) && fix.test(context.code)) {
+      context.applyFix(fix);
+    }
+  });
+
+  if (COMPONENT_FILE_TYPES.includes(context.fileType)) {
+    context.apply(
+      "L3/missing-component-imports",
+      addMissingImports,
+      "UI component used without an import",
+    );
+  }
+
+  return createResult(LAYER, code, context);
+}
+
+export { LAYER, transform };
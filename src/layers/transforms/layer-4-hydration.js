@@ -0,0 +1,394 @@
+import { SmartLayerSelector } from "../SmartLayerSelector.js";
+import {
+  createFixContext,
+  createResult,
+  matchesProjectPath,
+} from "./shared.js";
+
+/**
+ * Layer 4: Hydration and SSR Fixes
+ * - Fix hydration mismatches
+ * - Add proper client-side guards
+ * - Fix theme provider issues
+ * - Add missing manifest files
+ * - Fix dynamic imports for client-only components
+ */
+
+const LAYER = 4;
+
+// Hydration fix patterns
+const HYDRATION_FIXES = [
+  // Fix window access in SSR
+  {
+    id: "L4/window-ssr-guard",
+    message: "window.matchMedia is called during server rendering",
+    pattern: /window\.matchMedia\(/g,
+    replacement: 'typeof window !== "undefined" && window.matchMedia(',
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+  },
+
+  // Fix document access in SSR
+  {
+    id: "L4/document-ssr-guard",
+    message: "document.documentElement is read during server rendering",
+    pattern: /document\.documentElement/g,
+    replacement: 'typeof document !== "undefined" && document.documentElement',
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+  },
+
+  // Fix useEffect for client-only operations
+  {
+    id: "L4/client-only-effect",
+    message: "Effect reads localStorage without a window check",
+    pattern: /useEffect\(\(\) => \{[\s\S]*?localStorage/g,
+    replacement: (match) => {
+      return match.replace(
+        "useEffect(() => {",
+        'useEffect(() => {\n    if (typeof window === "undefined") return;',
+      );
+    },
+    fileTypes: ["ts", "tsx"],
+  },
+];
+
+// Advanced hydration fixes
+const ADVANCED_FIXES = [
+  // Fix localStorage reads in SSR, the same ones analyze reports
+  {
+    id: "L4/localstorage-ssr-guard",
+    message: "Unguarded localStorage usage",
+    test: (content) => content.includes("localStorage"),
+    find: (content, context) => {
+      const ast = SmartLayerSelector.parse(content, context.filePath);
+      return ast ? SmartLayerSelector.findStorageAccesses(ast, content) : [];
+    },
+    fileTypes: ["ts", "tsx", "js", "jsx"],
+  },
+
+  // Fix theme provider hydration
+  {
+    id: "L4/theme-provider-hydration",
+    message: "Theme provider renders before it is mounted",
+    test: (content) =>
+      content.includes("ThemeProvider") &&
+      content.includes("useState") &&
+      !content.includes("mounted"),
+    fix: (content) => {
+      // Add mounted state to prevent hydration mismatch
+      const mountedStatePattern =
+        /const \[theme, setTheme\] = useState<Theme>\('light'\);/;
+      if (mountedStatePattern.test(content)) {
+        return content
+          .replace(
+            mountedStatePattern,
+            `const [theme, setTheme] = useState<Theme>('light');
+  const [mounted, setMounted] = useState(false);
+
+  useEffect(() => {
+    setMounted(true);
+  }, []);`,
+          )
+          .replace(
+            /return \(\s*<ThemeContext\.Provider/,
+            `if (!mounted) {
+    return <ThemeContext.Provider value={{ theme: 'light', setTheme: () => {} }}>{children}</ThemeContext.Provider>;
+  }
+
+  return (
+    <ThemeContext.Provider`,
+          );
+      }
+      return content;
+    },
+    fileTypes: ["tsx"],
+  },
+
+  // Fix client-only components
+  {
+    id: "L4/client-only-wrapper",
+    message: "Component using useTheme is rendered on the server",
+    test: (content) =>
+      content.includes("useTheme") &&
+      !content.includes("dynamic") &&
+      !content.includes("NoSSR"),
+    fix: (content) => {
+      // Add dynamic import for client-only components
+      if (
+        content.includes("export default function") &&
+        content.includes("useTheme")
+      ) {
+        return `import dynamic from 'next/dynamic';
+
+const ClientOnlyComponent = dynamic(() => Promise.resolve(function ClientComponent() {
+${content.split("export default function")[1]}
+}), { ssr: false });
+
+export default ClientOnlyComponent;`;
+      }
+      return content;
+    },
+    fileTypes: ["tsx"],
+  },
+
+  // Fix missing key props with proper keys
+  {
+    id: "L4/stable-keys",
+    message: "List item key is its index",
+    test: (content) =>
+      content.includes(".map(") &&
+      content.includes("key=") &&
+      content.includes("key={index}"),
+    // Replace index-based keys with proper unique keys
+    pattern: /\.map\(\(([^,)]+),\s*index\)\s*=>\s*<(\w+)[^>]*key=\{index\}/g,
+    replacement: ".map(($1, index) => <$2 key={`$2-${index}-${$1.id || $1}`}",
+    fileTypes: ["tsx", "jsx"],
+  },
+];
+
+// Project files this layer creates when they are missing
+const SCAFFOLD_FILES = [
+  // Web manifest
+  {
+    rule: "L4/missing-files",
+    path: "public/site.webmanifest",
+    content: `{
+  "name": "Taxfy - South African Tax Calculator",
+  "short_name": "Taxfy",
+  "description": "Professional South African tax refund calculator and analysis tool",
+  "start_url": "/",
+  "display": "standalone",
+  "background_color": "#0A1628",
+  "theme_color": "#CCA43B",
+  "icons": [
+    {
+      "src": "/icon-192x192.png",
+      "sizes": "192x192",
+      "type": "image/png"
+    },
+    {
+      "src": "/icon-512x512.png",
+      "sizes": "512x512",
+      "type": "image/png"
+    }
+  ]
+}`,
+  },
+
+  // Robots.txt
+  {
+    rule: "L4/missing-files",
+    path: "public/robots.txt",
+    content: `User-agent: *
+Allow: /
+
+Sitemap: https://taxfy.co.za/sitemap.xml`,
+  },
+
+  // NoSSR component for client-only rendering
+  {
+    rule: "L4/missing-files",
+    path: "src/components/NoSSR.tsx",
+    content: `'use client';
+
+import { useEffect, useState } from 'react';
+
+interface NoSSRProps {
+  children: React.ReactNode;
+  fallback?: React.ReactNode;
+}
+
+export default function NoSSR({ children, fallback = null }: NoSSRProps) {
+  const [mounted, setMounted] = useState(false);
+
+  useEffect(() => {
+    setMounted(true);
+  }, []);
+
+  if (!mounted) {
+    return <>{fallback}</>;
+  }
+
+  return <>{children}</>;
+}`,
+  },
+];
+
+const THEME_TOGGLE_PATH = "src/components/ThemeToggle.tsx";
+
+const THEME_TOGGLE = `'use client';
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { Sun, Moon, Contrast } from 'lucide-react';
+
+type Theme = 'light' | 'dark' | 'high-contrast';
+
+interface ThemeContextType {
+  theme: Theme;
+  setTheme: (theme: Theme) => void;
+}
+
+const ThemeContext = createContext<ThemeContextType | undefined>(undefined);
+
+export function ThemeProvider({ children }: { children: React.ReactNode }) {
+  const [theme, setTheme] = useState<Theme>('light');
+  const [mounted, setMounted] = useState(false);
+
+  useEffect(() => {
+    setMounted(true);
+    
+    // Load theme from localStorage only on client
+    if (typeof window !== 'undefined') {
+      const savedTheme = localStorage.getItem('taxfy-theme') as Theme;
+      if (savedTheme && ['light', 'dark', 'high-contrast'].includes(savedTheme)) {
+        setTheme(savedTheme);
+      } else {
+        // Check system preference
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        setTheme(prefersDark ? 'dark' : 'light');
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!mounted) return;
+    
+    // Apply theme to document
+    if (typeof document !== 'undefined') {
+      const root = document.documentElement;
+      root.classList.remove('light', 'dark', 'high-contrast');
+      root.classList.add(theme);
+    }
+    
+    // Save to localStorage
+    if (typeof window !== 'undefined') {
+      localStorage.setItem('taxfy-theme', theme);
+    }
+  }, [theme, mounted]);
+
+  // Prevent hydration mismatch by returning consistent initial state
+  if (!mounted) {
+    return (
+      <ThemeContext.Provider value={{ theme: 'light', setTheme: () => {} }}>
+        {children}
+      </ThemeContext.Provider>
+    );
+  }
+
+  return (
+    <ThemeContext.Provider value={{ theme, setTheme }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (context === undefined) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+}
+
+function ThemeToggleComponent() {
+  const { theme, setTheme } = useTheme();
+  const [mounted, setMounted] = useState(false);
+
+  useEffect(() => {
+    setMounted(true);
+  }, []);
+
+  const cycleTheme = () => {
+    const themes: Theme[] = ['light', 'dark', 'high-contrast'];
+    const currentIndex = themes.indexOf(theme);
+    const nextIndex = (currentIndex + 1) % themes.length;
+    setTheme(themes[nextIndex]);
+  };
+
+  const getIcon = () => {
+    switch (theme) {
+      case 'light':
+        return <Sun className="w-4 h-4" />;
+      case 'dark':
+        return <Moon className="w-4 h-4" />;
+      case 'high-contrast':
+        return <Contrast className="w-4 h-4" />;
+      default:
+        return <Sun className="w-4 h-4" />;
+    }
+  };
+
+  const getLabel = () => {
+    switch (theme) {
+      case 'light':
+        return 'Light theme';
+      case 'dark':
+        return 'Dark theme';
+      case 'high-contrast':
+        return 'High contrast theme';
+      default:
+        return 'Light theme';
+    }
+  };
+
+  // Prevent hydration mismatch by not rendering until mounted
+  if (!mounted) {
+    return (
+      <button
+        className="p-2 rounded-lg transition-colors duration-200 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        aria-label="Loading theme toggle"
+        disabled
+      >
+        <Sun className="w-4 h-4" />
+      </button>
+    );
+  }
+
+  return (
+    <button
+      onClick={cycleTheme}
+      className="p-2 rounded-lg transition-colors duration-200 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      aria-label={\`Switch to next theme (current: \${getLabel()})\`}
+      title={getLabel()}
+    >
+      {getIcon()}
+    </button>
+  );
+}
+
+export default ThemeToggleComponent;`;
+
+/**
+ * Apply the hydration guards; the project's ThemeToggle component is
+ * rewritten first when it reads localStorage without a mounted check
+ */
+function transform(code, options = {}) {
+  const context = createFixContext(LAYER, code, options);
+
+  if (
+    matchesProjectPath(options.filePath, THEME_TOGGLE_PATH) &&
+    code.includes("localStorage") &&
+    !code.includes("mounted")
+  ) {
+    context.apply(
+      "L4/theme-toggle",
+      () => THEME_TOGGLE,
+      "ThemeToggle reads localStorage before it is mounted",
+    );
+  }
+
+  HYDRATION_FIXES.forEach((fix) => {
+    if (fix.fileTypes.includes(context.fileType)) {
+      context.applyFix(fix);
+    }
+  });
+
+  ADVANCED_FIXES.forEach((fix) => {
+    if (fix.fileTypes.includes(context.fileType) && fix.test(context.code)) {
+      context.applyFix(fix);
+    }
+  });
+
+  return createResult(LAYER, code, context);
+}
+
+export { LAYER, SCAFFOLD_FILES, transform };
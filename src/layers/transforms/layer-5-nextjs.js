@@ -0,0 +1,267 @@
+import {
+  createFixContext,
+  createResult,
+  matchesProjectPath,
+} from "./shared.js";
+
+/**
+ * Layer 5: Next.js App Router Fixes
+ * - Fix misplaced 'use client' directives
+ * - Ensure proper client component structure
+ * - Fix import order issues
+ * - Add missing 'use client' directives
+ * - Fix corrupted import statements
+ */
+
+const LAYER = 5;
+
+// Next.js App Router fix patterns
+const NEXTJS_FIXES = [
+  // Fix corrupted import statements
+  {
+    id: "L5/corrupted-imports",
+    message: "Import statement is incomplete or duplicated",
+    test: (content) => {
+      // Check for incomplete import statements or malformed imports
+      return (
+        /import\s*{\s*$|import\s*{\s*\n\s*import/m.test(content) ||
+        /import\s*{\s*[^}]*\n\s*[^}]*from/m.test(content)
+      );
+    },
+    fix: (content) => {
+      // Fix incomplete import statements
+      let fixed = content;
+
+      // Fix pattern: import {\n import { ... } from "..."
+      fixed = fixed.replace(
+        /import\s*{\s*\n\s*import\s*{([^}]+)}\s*from\s*["']([^"']+)["']/gm,
+        'import { $1 } from "$2"',
+      );
+
+      // Fix pattern: import {\n  SomeComponent,\n} from "..."
+      fixed = fixed.replace(
+        /import\s*{\s*\n\s*([^}]+)\n\s*}\s*from\s*["']([^"']+)["']/gm,
+        'import {\n  $1\n} from "$2"',
+      );
+
+      // Fix standalone import { without closing
+      fixed = fixed.replace(/^import\s*{\s*$/gm, "");
+
+      // Clean up duplicate imports
+      const lines = fixed.split("\n");
+      const cleanedLines = [];
+      const seenImports = new Set();
+
+      for (const line of lines) {
+        if (line.trim().startsWith("import ")) {
+          const importKey = line.trim().replace(/\s+/g, " ");
+          if (!seenImports.has(importKey)) {
+            seenImports.add(importKey);
+            cleanedLines.push(line);
+          }
+        } else {
+          cleanedLines.push(line);
+        }
+      }
+
+      return cleanedLines.join("\n");
+    },
+    fileTypes: ["tsx", "jsx", "ts", "js"],
+  },
+
+  // Fix misplaced 'use client' directives
+  {
+    id: "L5/misplaced-use-client",
+    message: "'use client' must come before any other statement",
+    test: (content) => {
+      const lines = content.split("\n");
+      const useClientIndex = lines.findIndex(
+        (line) => line.trim() === "'use client';",
+      );
+      if (useClientIndex === -1) return false;
+
+      // Check if there are imports or other statements before 'use client'
+      for (let i = 0; i < useClientIndex; i++) {
+        const line = lines[i].trim();
+        if (line && !line.startsWith("//") && !line.startsWith("/*")) {
+          return true;
+        }
+      }
+      return false;
+    },
+    fix: (content) => {
+      const lines = content.split("\n");
+
+      // Remove all 'use client' directives
+      const filteredLines = lines.filter(
+        (line) => line.trim() !== "'use client';",
+      );
+
+      // Find the first non-comment, non-empty line
+      let insertIndex = 0;
+      for (let i = 0; i < filteredLines.length; i++) {
+        const line = filteredLines[i].trim();
+        if (line && !line.startsWith("//") && !line.startsWith("/*")) {
+          insertIndex = i;
+          break;
+        }
+      }
+
+      // Insert 'use client' at the top
+      filteredLines.splice(insertIndex, 0, "'use client';", "");
+
+      return filteredLines.join("\n");
+    },
+    fileTypes: ["tsx", "jsx", "ts", "js"],
+  },
+
+  // Add missing 'use client' for components using hooks
+  {
+    id: "L5/missing-use-client",
+    message: "Component uses hooks without 'use client'",
+    test: (content) => {
+      const hasHooks =
+        /use(State|Effect|Router|Context|Reducer|Callback|Memo|Ref|ImperativeHandle|LayoutEffect|DebugValue)/.test(
+          content,
+        );
+      const hasUseClient = content.includes("'use client'");
+      const isComponent =
+        content.includes("export default function") ||
+        content.includes("export function");
+
+      return hasHooks && !hasUseClient && isComponent;
+    },
+    fix: (content) => {
+      return "'use client';\n\n" + content;
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+
+  // Fix import order after adding 'use client'
+  {
+    id: "L5/use-client-spacing",
+    message: "Extra blank lines after 'use client'",
+    test: (content) => {
+      return (
+        content.startsWith("'use client';") && content.includes("\n\nimport")
+      );
+    },
+    fix: (content) => {
+      // Ensure proper spacing after 'use client'
+      return content.replace(/^'use client';\n+/, "'use client';\n\n");
+    },
+    fileTypes: ["tsx", "jsx", "ts", "js"],
+  },
+
+  // Fix React import issues
+  {
+    id: "L5/react-import",
+    message: "Client component uses hooks without importing React",
+    test: (content) => {
+      return (
+        content.includes("'use client'") &&
+        !content.includes("import React") &&
+        (content.includes("useState") || content.includes("useEffect"))
+      );
+    },
+    fix: (content) => {
+      const lines = content.split("\n");
+      const useClientIndex = lines.findIndex(
+        (line) => line.trim() === "'use client';",
+      );
+
+      if (useClientIndex !== -1) {
+        // Add React import after 'use client'
+        lines.splice(useClientIndex + 1, 0, "", "import React from 'react';");
+      }
+
+      return lines.join("\n");
+    },
+    fileTypes: ["tsx", "jsx"],
+  },
+];
+
+// Project files with known problems, fixed before the general patterns
+const PROBLEMATIC_FILES = [
+  "src/components/IRP5Upload.tsx",
+  "src/components/ManualEntryForm.tsx",
+  "src/components/Layout.tsx",
+];
+
+// Specific fix for the Layout.tsx import corruption
+function fixLayoutImports(content) {
+  let fixed = content.replace(
+    /import\s*{\s*\nimport\s*{([^}]+)}\s*from\s*["']([^"']+)["']/gm,
+    'import {\n  $1\n} from "$2"',
+  );
+
+  fixed = fixed.replace(
+    /import\s*{\s*\nimport\s*{\s*AnimatePresence,\s*motion\s*}\s*from\s*["']framer-motion["'];/gm,
+    'import { AnimatePresence, motion } from "framer-motion";',
+  );
+
+  // Fix missing Sidebar imports
+  if (!fixed.includes("Sidebar,") && fixed.includes("SidebarProvider")) {
+    fixed = fixed.replace(
+      /import\s*{\s*\n\s*Sidebar,/gm,
+      "import {\n  Sidebar,",
+    );
+  }
+
+  return fixed;
+}
+
+function findUseClient(content) {
+  return content
+    .split("\n")
+    .findIndex((line) => line.trim() === "'use client';");
+}
+
+function fixProblematicFile(context, filePath) {
+  const usesHooks =
+    context.code.includes("useState") || context.code.includes("useEffect");
+
+  if (matchesProjectPath(filePath, "src/components/Layout.tsx")) {
+    context.apply("L5/corrupted-imports", fixLayoutImports);
+  }
+
+  // Move a misplaced 'use client' to the top
+  context.apply("L5/misplaced-use-client", (content) => {
+    if (findUseClient(content) <= 0) return content;
+
+    const lines = content.split("\n");
+    lines.splice(findUseClient(content), 1);
+    lines.unshift("'use client';", "");
+    return lines.join("\n");
+  });
+
+  context.apply("L5/missing-use-client", (content) =>
+    findUseClient(content) === -1 && usesHooks
+      ? "'use client';\n\n" + content
+      : content,
+  );
+}
+
+/**
+ * Apply the App Router fixes, after the targeted fixes for the project's
+ * known problematic components
+ */
+function transform(code, options = {}) {
+  const context = createFixContext(LAYER, code, options);
+
+  if (
+    PROBLEMATIC_FILES.some((file) => matchesProjectPath(options.filePath, file))
+  ) {
+    fixProblematicFile(context, options.filePath);
+  }
+
+  NEXTJS_FIXES.forEach((fix) => {
+    if (fix.fileTypes.includes(context.fileType) && fix.test(context.code)) {
+      context.applyFix(fix);
+    }
+  });
+
+  return createResult(LAYER, code, context);
+}
+
+export { LAYER, transform };
@@ -0,0 +1,441 @@
+import { LineDiff } from "../../utils/LineDiff.js";
+import { RuleRegistry } from "../RuleRegistry.js";
+import { SmartLayerSelector } from "../SmartLayerSelector.js";
+import { SuppressionManager } from "../SuppressionManager.js";
+
+// The issue type each layer reports its findings as
+const ISSUE_TYPES = {
+  1: "config",
+  2: "pattern",
+  3: "component",
+  4: "hydration",
+  5: "nextjs",
+  6: "testing",
+};
+
+/**
+ * Working state for one layer run over one file's code
+ *
+ * Fixes go through `apply`, `applyRanges`, `replace` or `applyFix`, which
+ * skip rules disabled in the config, undo edits on lines covered by
+ * neurolint-disable comments, and record a change when anything is left.
+ * Every edit a rule makes is also recorded as an issue against the input
+ * code, so analyze reports what fix changes.
+ */
+function createFixContext(layerId, code, { filePath, config } = {}) {
+  const disabledRules = new Set(RuleRegistry.getDisabledRules(config, layerId));
+  const inputLines = code.split("\n");
+  const toInputPosition = SmartLayerSelector.createPositionLookup(code);
+  // Spans of the current code still as they are in the input, each with
+  // the input offset it starts at
+  let spans = [{ start: 0, end: code.length, inputStart: 0 }];
+  // Input ranges the issue fixes so far replace; editors apply every fix
+  // in one pass, so a fix overlapping one of them is left out
+  const fixedRanges = [];
+
+  // The input offsets of a range in the current code, or null when part of
+  // it was written by an earlier fix
+  function mapRange(start, end) {
+    const span = spans.find((item) => start >= item.start && end <= item.end);
+    return span
+      ? {
+          start: span.inputStart + start - span.start,
+          end: span.inputStart + end - span.start,
+        }
+      : null;
+  }
+
+  // The input offset nearest to an offset in the current code
+  function toInputOffset(offset) {
+    const span = spans.filter((item) => item.start <= offset).pop();
+    return span
+      ? span.inputStart + Math.min(offset, span.end) - span.start
+      : 0;
+  }
+
+  // One issue for edits to the current code, reported where the first edit
+  // that starts in input code is. The fix is only kept when every edit maps
+  // to the input and no earlier fix touches it; edits to code an earlier
+  // fix wrote are reported on the input line nearest to them.
+  function recordIssue(ruleId, message, edits) {
+    const edit =
+      edits.find(({ start }) => mapRange(start, start)) || edits[0];
+    const rule = RuleRegistry.getRule(ruleId);
+    const others = edits.filter((other) => other !== edit);
+    const range = mapRange(edit.start, edit.end);
+    const otherRanges = others.map((other) => mapRange(other.start, other.end));
+    let location;
+
+    if (range) {
+      // Zero-width ranges still span one character so editors can show
+      // them; the fix puts the character back
+      const widen = range.start === range.end && range.end < code.length;
+      const shown = { ...range, end: widen ? range.end + 1 : range.end };
+      const start = toInputPosition(shown.start);
+      const end = toInputPosition(shown.end);
+
+      location = {
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+      };
+
+      const fixRanges = [shown, ...otherRanges];
+      if (
+        edits.every(({ text }) => text !== null) &&
+        otherRanges.every(Boolean) &&
+        !fixRanges.some(overlapsFix)
+      ) {
+        fixedRanges.push(...fixRanges);
+        const text = widen ? edit.text + code[range.start] : edit.text;
+        const fixEdits = otherRanges.map((other, index) => {
+          const otherStart = toInputPosition(other.start);
+          const otherEnd = toInputPosition(other.end);
+          return {
+            line: otherStart.line,
+            column: otherStart.column,
+            endLine: otherEnd.line,
+            endColumn: otherEnd.column,
+            text: others[index].text,
+          };
+        });
+        location.fix =
+          fixEdits.length > 0 ? { text, edits: fixEdits } : { text };
+      }
+    } else {
+      const { line } = toInputPosition(toInputOffset(edit.start));
+      location = {
+        line,
+        column: 1,
+        endLine: line,
+        endColumn: inputLines[line - 1].length + 1,
+      };
+    }
+
+    context.issues.push({
+      type: ISSUE_TYPES[layerId],
+      rule: ruleId,
+      severity: rule ? rule.severity : "medium",
+      description: message || (rule ? rule.name : ruleId),
+      fixedByLayer: layerId,
+      pattern: rule ? rule.name : ruleId,
+      ...location,
+      snippet: inputLines[location.line - 1].trim(),
+    });
+  }
+
+  // Edits at the same point count as overlapping, as their order is unclear
+  function overlapsFix({ start, end }) {
+    return fixedRanges.some(
+      (fixed) =>
+        fixed.start === start || (fixed.start < end && start < fixed.end),
+    );
+  }
+
+  // Keep a rule's fixed code, less its edits on suppressed lines; edits
+  // are the ones that produced the fixed code, when known
+  function commit(ruleId, before, fixed, edits) {
+    const after = SuppressionManager.restoreSuppressedLines(
+      before,
+      fixed,
+      ruleId,
+      filePath,
+    );
+    if (after === before) return;
+
+    const rule = RuleRegistry.getRule(ruleId);
+    const applied = after === fixed ? edits : toLineEdits(before, after);
+    spans = updateSpans(
+      spans,
+      applied.map((edit) => narrowEdit(before, edit)),
+    );
+    context.code = after;
+    context.changes.push({
+      type: "fix",
+      rule: ruleId,
+      description: rule ? rule.name : ruleId,
+      ...(filePath && { file: filePath }),
+    });
+  }
+
+  const context = {
+    code,
+    filePath,
+    config,
+    // Code without a path is treated as TSX, which every layer accepts
+    fileType: filePath ? parseFilePath(filePath).ext.slice(1) : "tsx",
+    changes: [],
+    issues: [],
+
+    isEnabled(ruleId) {
+      return !disabledRules.has(ruleId);
+    },
+
+    /**
+     * Run a fix over the whole code; the code it changes is reported as one
+     * issue
+     */
+    apply(ruleId, fix, message) {
+      if (disabledRules.has(ruleId)) return;
+
+      const before = context.code;
+      const fixed = fix(before);
+      const edits = toLineEdits(before, fixed).map((edit) =>
+        narrowEdit(before, edit),
+      );
+
+      if (edits.length > 0) recordIssue(ruleId, message, edits);
+      commit(ruleId, before, fixed, edits);
+    },
+
+    /**
+     * Replace the { start, end, text } ranges find() returns in the code,
+     * reporting each as an issue; ranges with a null text are only reported
+     */
+    applyRanges(ruleId, find, message) {
+      if (disabledRules.has(ruleId)) return;
+
+      const before = context.code;
+      const ranges = find(before);
+
+      ranges.forEach((range) => recordIssue(ruleId, message, [range]));
+      commit(
+        ruleId,
+        before,
+        SmartLayerSelector.applyRanges(before, ranges),
+        ranges.filter(({ text }) => text !== null),
+      );
+    },
+
+    /**
+     * String.replace() with a global pattern, reporting each match it
+     * changes as an issue
+     */
+    replace(ruleId, pattern, replacement, message) {
+      context.applyRanges(
+        ruleId,
+        (content) => findReplacements(content, pattern, replacement),
+        message,
+      );
+    },
+
+    /**
+     * Apply a fix from a layer's table: { find } ranges, a { pattern,
+     * replacement } or a fix(content, context) over the whole code
+     */
+    applyFix(fix) {
+      if (fix.find) {
+        context.applyRanges(
+          fix.id,
+          (content) => fix.find(content, context),
+          fix.message,
+        );
+      } else if (fix.pattern) {
+        context.replace(fix.id, fix.pattern, fix.replacement, fix.message);
+      } else {
+        context.apply(
+          fix.id,
+          (content) => fix.fix(content, context),
+          fix.message,
+        );
+      }
+    },
+  };
+
+  return context;
+}
+
+// The line hunks between two versions of the code, as { start, end, text }
+// ranges of the first
+function toLineEdits(before, after) {
+  if (before === after) return [];
+
+  const { oldLines, newLines, hunks } = LineDiff.diffLines(
+    before.split("\n"),
+    after.split("\n"),
+  );
+  const starts = [0];
+  oldLines.forEach((line, index) => {
+    starts.push(starts[index] + line.length + 1);
+  });
+
+  return hunks.map(({ oldStart, oldEnd, newStart, newEnd }) => {
+    const added = newLines.slice(newStart, newEnd);
+
+    if (oldEnd < oldLines.length) {
+      return {
+        start: starts[oldStart],
+        end: starts[oldEnd],
+        text: added.map((line) => `${line}\n`).join(""),
+      };
+    }
+
+    // A hunk at the end of the code takes the line break before it instead
+    return oldStart > 0
+      ? {
+          start: starts[oldStart] - 1,
+          end: before.length,
+          text: added.map((line) => `\n${line}`).join(""),
+        }
+      : { start: 0, end: before.length, text: added.join("\n") };
+  });
+}
+
+// An edit without the text it leaves as it was at either end
+function narrowEdit(code, { start, end, text }) {
+  const old = code.slice(start, end);
+  let prefix = 0;
+  while (
+    prefix < old.length &&
+    prefix < text.length &&
+    old[prefix] === text[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < old.length - prefix &&
+    suffix < text.length - prefix &&
+    old[old.length - 1 - suffix] === text[text.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return {
+    start: start + prefix,
+    end: end - suffix,
+    text: text.slice(prefix, text.length - suffix),
+  };
+}
+
+// The unchanged spans left after non-overlapping edits, moved to where
+// they are in the edited code
+function updateSpans(spans, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  const shift = (offset) =>
+    sorted
+      .filter((edit) => edit.end <= offset)
+      .reduce(
+        (total, edit) => total + edit.text.length - (edit.end - edit.start),
+        0,
+      );
+
+  return spans.flatMap((span) => {
+    const pieces = [];
+    let start = span.start;
+
+    sorted.forEach((edit) => {
+      if (edit.end < start || edit.start > span.end) return;
+      if (edit.start > start) pieces.push({ start, end: edit.start });
+      start = Math.max(start, edit.end);
+    });
+    if (start < span.end) pieces.push({ start, end: span.end });
+
+    return pieces.map((piece) => ({
+      start: piece.start + shift(piece.start),
+      end: piece.end + shift(piece.start),
+      inputStart: span.inputStart + piece.start - span.start,
+    }));
+  });
+}
+
+// The matches String.replace() would change, as { start, end, text } ranges
+function findReplacements(code, pattern, replacement) {
+  return Array.from(code.matchAll(pattern), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    text:
+      typeof replacement === "function"
+        ? replacement(...match, match.index, code)
+        : replacement.replace(/\$(\d|&)/g, (reference, group) =>
+            group === "&" ? match[0] : (match[group] ?? ""),
+          ),
+  })).filter(({ start, end, text }) => text !== code.slice(start, end));
+}
+
+/**
+ * The { code, changes, issues, suppressed } result every layer transform
+ * returns
+ *
+ * Issues are the ones the layer's fixes recorded against the input code,
+ * after the rule config is applied; those silenced by neurolint-disable
+ * comments are returned as suppressed. A layer that finds issues itself
+ * passes them as `detected`, in SmartLayerSelector.detectIssues() form.
+ */
+function createResult(layerId, input, context, detected = null) {
+  const { filePath } = context;
+  const issues = (detected || context.issues).map((issue) =>
+    SmartLayerSelector.toReportedIssue(issue, filePath),
+  );
+  const filtered = SuppressionManager.filterIssues(
+    RuleRegistry.applyRuleConfig(issues, context.config),
+    input,
+    [layerId],
+    filePath,
+  );
+
+  return {
+    code: context.code,
+    changes: context.changes,
+    issues: filtered.issues,
+    suppressed: filtered.suppressed,
+  };
+}
+
+/**
+ * Whether a path points at a project file, e.g. "src/components/Layout.tsx",
+ * whatever the directory it is relative to
+ */
+function matchesProjectPath(filePath, projectPath) {
+  if (!filePath) return false;
+
+  const normalized = filePath.replace(/\\/g, "/");
+  return normalized === projectPath || normalized.endsWith(`/${projectPath}`);
+}
+
+/**
+ * A file path's directory, base name and extension, split on either
+ * separator. The transforms use this rather than Node's path module so the
+ * web dashboard can run them in the browser.
+ */
+function parseFilePath(filePath) {
+  const normalized = filePath.replace(/\\/g, "/");
+  const slash = normalized.lastIndexOf("/");
+  const base = normalized.slice(slash + 1);
+  const dot = base.lastIndexOf(".");
+  const ext = dot > 0 ? base.slice(dot) : "";
+
+  return {
+    dir: slash === -1 ? "." : normalized.slice(0, slash) || "/",
+    base,
+    name: base.slice(0, base.length - ext.length),
+    ext,
+  };
+}
+
+/**
+ * Join a relative path onto a directory, resolving "." and ".." segments
+ */
+function joinPath(dir, relative) {
+  const parts = [];
+
+  `${dir}/${relative}`.split(/[\\/]/).forEach((part) => {
+    if (part === ".." && parts.length > 0 && parts.at(-1) !== "..") {
+      parts.pop();
+    } else if (part && part !== ".") {
+      parts.push(part);
+    }
+  });
+
+  return parts.join("/");
+}
+
+export {
+  createFixContext,
+  createResult,
+  joinPath,
+  matchesProjectPath,
+  parseFilePath,
+};
@@ -3,6 +3,8 @@ import path from "path";
 import { fileURLToPath } from "url";
 import chalk from "chalk";
 import { createRequire } from "module";
+import { ReporterRegistry } from "../reporters/ReporterRegistry.js";
+import { ConfigManager } from "../utils/ConfigManager.js";
 const require = createRequire(import.meta.url);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,8 +20,12 @@ class PluginManager {
     ];
   }
 
+  /**
+   * Load every plugin found or configured; progress goes to stderr so it
+   * never mixes with a reporter's output
+   */
   async loadPlugins() {
-    console.log(chalk.blue("🔌 Loading plugins..."));
+    console.error(chalk.blue("🔌 Loading plugins..."));
 
     for (const dir of this.pluginDirs) {
       if (fs.existsSync(dir)) {
@@ -27,7 +33,36 @@ class PluginManager {
       }
     }
 
-    console.log(chalk.green(`✅ Loaded ${this.plugins.size} plugins`));
+    for (const pluginPath of this.getConfiguredPlugins()) {
+      await this.loadPlugin(pluginPath);
+    }
+
+    console.error(chalk.green(`✅ Loaded ${this.plugins.size} plugins`));
+  }
+
+  /**
+   * Plugins listed under "plugins" in the config, as package names or
+   * paths resolved from the project
+   */
+  getConfiguredPlugins() {
+    if (!ConfigManager.isInitialized()) return [];
+
+    const projectRequire = createRequire(
+      path.join(process.cwd(), "package.json"),
+    );
+
+    return (ConfigManager.getConfig().plugins || [])
+      .map((name) => {
+        try {
+          return projectRequire.resolve(
+            name.startsWith(".") ? path.resolve(name) : name,
+          );
+        } catch (error) {
+          console.warn(chalk.yellow(`Warning: Could not find plugin ${name}`));
+          return null;
+        }
+      })
+      .filter(Boolean);
   }
 
   async loadPluginsFromDirectory(directory) {
@@ -62,6 +97,17 @@ class PluginManager {
         return;
       }
 
+      // Register plugin reporters for --reporter; throws on invalid ones
+      // and on names already taken, leaving none of the plugin's behind
+      try {
+        this.getPluginReporters(plugin).forEach((reporter) => {
+          ReporterRegistry.register(reporter, plugin.name);
+        });
+      } catch (error) {
+        ReporterRegistry.unregisterSource(plugin.name);
+        throw error;
+      }
+
       this.plugins.set(plugin.name, plugin);
 
       // Register plugin hooks
@@ -71,7 +117,7 @@ class PluginManager {
         });
       }
 
-      console.log(chalk.gray(`  • Loaded plugin: ${plugin.name}`));
+      console.error(chalk.gray(`  • Loaded plugin: ${plugin.name}`));
     } catch (error) {
       console.warn(
         chalk.yellow(`Failed to load plugin ${pluginPath}: ${error.message}`),
@@ -83,10 +129,27 @@ class PluginManager {
     return (
       plugin &&
       typeof plugin.name === "string" &&
-      (plugin.analyze || plugin.fix || plugin.hooks)
+      (plugin.analyze || plugin.fix || plugin.hooks || plugin.reporters)
     );
   }
 
+  /**
+   * Normalize a plugin's `reporters` export, given as an array of reporters
+   * or an object keyed by reporter name
+   */
+  getPluginReporters(plugin) {
+    if (!plugin.reporters) return [];
+
+    if (Array.isArray(plugin.reporters)) {
+      return plugin.reporters;
+    }
+
+    return Object.entries(plugin.reporters).map(([name, reporter]) => ({
+      name,
+      ...reporter,
+    }));
+  }
+
   registerHook(hookName, handler, pluginName) {
     if (!this.hooks.has(hookName)) {
       this.hooks.set(hookName, []);
@@ -188,6 +251,7 @@ class PluginManager {
       hooks: plugin.hooks ? Object.keys(plugin.hooks) : [],
       hasAnalyzer: !!plugin.analyze,
       hasFixer: !!plugin.fix,
+      reporters: this.getPluginReporters(plugin).map((r) => r.name),
     }));
   }
 
@@ -200,6 +264,7 @@ class PluginManager {
   unloadPlugin(pluginName) {
     if (this.plugins.has(pluginName)) {
       this.plugins.delete(pluginName);
+      ReporterRegistry.unregisterSource(pluginName);
 
       // Remove hooks from this plugin
       for (const [hookName, hooks] of this.hooks) {
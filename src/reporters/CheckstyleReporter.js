@@ -0,0 +1,49 @@
+import { XmlReporter } from "./XmlReporter.js";
+
+/**
+ * Formats analysis results as Checkstyle XML
+ * Each analyzed file gets a <file> entry with one <error> per issue
+ */
+class CheckstyleReporter extends XmlReporter {
+  static analyze(results) {
+    const files = (results.files || []).map((file) => {
+      const errors = file.issues.map(
+        (issue) =>
+          `    <error${this.attributes({
+            line: issue.line || 1,
+            column: issue.column,
+            severity: this.getSeverity(issue.severity),
+            message: issue.message,
+            source: `neurolint.${issue.rule || issue.type}`,
+          })} />`,
+      );
+
+      return [
+        `  <file${this.attributes({ name: file.filePath })}>`,
+        ...errors,
+        "  </file>",
+      ].join("\n");
+    });
+
+    return [
+      this.HEADER,
+      '<checkstyle version="4.3">',
+      ...files,
+      "</checkstyle>",
+    ].join("\n");
+  }
+
+  static getSeverity(severity) {
+    switch (severity) {
+      case "critical":
+      case "high":
+        return "error";
+      case "medium":
+        return "warning";
+      default:
+        return "info";
+    }
+  }
+}
+
+export { CheckstyleReporter };
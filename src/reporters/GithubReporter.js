@@ -0,0 +1,70 @@
+import { Reporter } from "./Reporter.js";
+
+/**
+ * Formats issues as GitHub Actions workflow commands so CI annotates the diff
+ */
+class GithubReporter extends Reporter {
+  static analyze(results) {
+    const annotations = results.issues.map((issue) => {
+      const properties = { file: issue.file };
+      if (issue.line) {
+        properties.line = issue.line;
+        properties.col = issue.column || 1;
+        properties.endLine = issue.endLine || issue.line;
+        if (issue.endColumn) {
+          properties.endColumn = issue.endColumn;
+        }
+      }
+      properties.title = issue.rule || issue.type;
+
+      return this.formatAnnotation(
+        this.getAnnotationLevel(issue.severity),
+        properties,
+        issue.message,
+      );
+    });
+
+    (results.unusedSuppressions || []).forEach((directive) => {
+      annotations.push(
+        this.formatAnnotation(
+          "notice",
+          { file: directive.file, line: directive.line },
+          directive.message,
+        ),
+      );
+    });
+
+    return annotations.join("\n");
+  }
+
+  static getAnnotationLevel(severity) {
+    switch (severity) {
+      case "critical":
+      case "high":
+        return "error";
+      case "info":
+        return "notice";
+      default:
+        return "warning";
+    }
+  }
+
+  static formatAnnotation(level, properties, message) {
+    const escapeData = (value) =>
+      String(value)
+        .replace(/%/g, "%25")
+        .replace(/\r/g, "%0D")
+        .replace(/\n/g, "%0A");
+
+    const props = Object.entries(properties)
+      .map(
+        ([key, value]) =>
+          `${key}=${escapeData(value).replace(/:/g, "%3A").replace(/,/g, "%2C")}`,
+      )
+      .join(",");
+
+    return `::${level} ${props}::${escapeData(message)}`;
+  }
+}
+
+export { GithubReporter };
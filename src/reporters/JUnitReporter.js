@@ -0,0 +1,64 @@
+import { XmlReporter } from "./XmlReporter.js";
+
+/**
+ * Formats analysis results as JUnit XML
+ * Each analyzed file is a testcase and each issue in it a failure
+ */
+class JUnitReporter extends XmlReporter {
+  static analyze(results) {
+    const files = results.files || [];
+    const tests = files.length;
+    const failures = files.filter((file) => file.issues.length > 0).length;
+    const timestamp = results.summary?.timestamp || new Date().toISOString();
+
+    const testcases = files.map((file) => this.formatTestcase(file));
+
+    return [
+      this.HEADER,
+      `<testsuites${this.attributes({ name: "NeuroLint", tests, failures })}>`,
+      `  <testsuite${this.attributes({
+        name: "NeuroLint",
+        tests,
+        failures,
+        errors: 0,
+        skipped: 0,
+        timestamp: timestamp.replace(/\.\d+Z$/, ""),
+      })}>`,
+      ...testcases,
+      "  </testsuite>",
+      "</testsuites>",
+    ].join("\n");
+  }
+
+  static formatTestcase(file) {
+    const attributes = this.attributes({
+      classname: "neurolint",
+      name: file.filePath,
+      file: file.filePath,
+    });
+
+    if (file.issues.length === 0) {
+      return `    <testcase${attributes} />`;
+    }
+
+    const failures = file.issues.map((issue) => {
+      const details = [
+        `${this.formatLocation(issue)} [${issue.severity}] ${issue.message}`,
+        issue.snippet ? `> ${issue.snippet}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      return `      <failure${this.attributes({
+        message: `${issue.rule || issue.type}: ${issue.message}`,
+        type: issue.rule || issue.type,
+      })}>${this.escape(details)}</failure>`;
+    });
+
+    return [`    <testcase${attributes}>`, ...failures, "    </testcase>"].join(
+      "\n",
+    );
+  }
+}
+
+export { JUnitReporter };
@@ -0,0 +1,16 @@
+import { Reporter } from "./Reporter.js";
+
+/**
+ * Raw results as JSON, for scripts and other tools
+ */
+class JsonReporter extends Reporter {
+  static analyze(results) {
+    return JSON.stringify(results, null, 2);
+  }
+
+  static fix(results) {
+    return JSON.stringify(results, null, 2);
+  }
+}
+
+export { JsonReporter };
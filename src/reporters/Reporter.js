@@ -0,0 +1,23 @@
+/**
+ * Base class for the built-in reporters
+ *
+ * A reporter is any object with a `name` and an `analyze(results, options)`
+ * and/or `fix(results, options)` function. Returning a string sends it to
+ * stdout, or to --output-file when given; returning nothing means the
+ * reporter printed its own output. Reporters that set `machineReadable`
+ * get progress messages moved to stderr so their output can be piped.
+ * Plugins add reporters through a `reporters` export.
+ */
+class Reporter {
+  /**
+   * Format an issue position as file:line:col for editors and terminals
+   */
+  static formatLocation(issue) {
+    if (!issue.line) return issue.file;
+    return issue.column
+      ? `${issue.file}:${issue.line}:${issue.column}`
+      : `${issue.file}:${issue.line}`;
+  }
+}
+
+export { Reporter };
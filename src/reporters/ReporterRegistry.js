@@ -0,0 +1,178 @@
+import fs from "fs";
+import chalk from "chalk";
+import { TableReporter } from "./TableReporter.js";
+import { SummaryReporter } from "./SummaryReporter.js";
+import { JsonReporter } from "./JsonReporter.js";
+import { GithubReporter } from "./GithubReporter.js";
+import { SarifReporter } from "./SarifReporter.js";
+import { JUnitReporter } from "./JUnitReporter.js";
+import { CheckstyleReporter } from "./CheckstyleReporter.js";
+
+/**
+ * Registry of reporters selectable with --reporter
+ * Holds the built-in reporters plus any registered by plugins
+ */
+class ReporterRegistry {
+  static reporters = new Map();
+
+  static BUILTIN_REPORTERS = [
+    {
+      name: "table",
+      description: "Boxed terminal report (default)",
+      reporter: TableReporter,
+    },
+    {
+      name: "summary",
+      description: "Brief terminal summary",
+      reporter: SummaryReporter,
+    },
+    {
+      name: "json",
+      description: "Raw results as JSON",
+      reporter: JsonReporter,
+      machineReadable: true,
+    },
+    {
+      name: "github",
+      description: "GitHub Actions annotations",
+      reporter: GithubReporter,
+    },
+    {
+      name: "sarif",
+      description: "SARIF 2.1.0 log for code scanning",
+      reporter: SarifReporter,
+      machineReadable: true,
+    },
+    {
+      name: "junit",
+      description: "JUnit XML, one testcase per file",
+      reporter: JUnitReporter,
+      machineReadable: true,
+    },
+    {
+      name: "checkstyle",
+      description: "Checkstyle XML",
+      reporter: CheckstyleReporter,
+      machineReadable: true,
+    },
+  ];
+
+  /**
+   * Register a reporter: { name, description?, machineReadable?, analyze?, fix? }
+   * A name another source already registered is rejected.
+   */
+  static register(reporter, source = "builtin") {
+    if (!reporter || typeof reporter.name !== "string" || !reporter.name) {
+      throw new Error("Reporter must have a name");
+    }
+
+    const existing = this.reporters.get(reporter.name);
+    if (existing && existing.source !== source) {
+      throw new Error(
+        `Reporter ${reporter.name} is already registered by ${existing.source}`,
+      );
+    }
+
+    if (
+      typeof reporter.analyze !== "function" &&
+      typeof reporter.fix !== "function"
+    ) {
+      throw new Error(
+        `Reporter ${reporter.name} must implement analyze(results) or fix(results)`,
+      );
+    }
+
+    this.reporters.set(reporter.name, { ...reporter, source });
+  }
+
+  static unregisterSource(source) {
+    for (const [name, reporter] of this.reporters) {
+      if (reporter.source === source) {
+        this.reporters.delete(name);
+      }
+    }
+  }
+
+  static has(name) {
+    return this.reporters.has(name);
+  }
+
+  static get(name) {
+    return this.reporters.get(name) || null;
+  }
+
+  /**
+   * List reporters, optionally only those supporting a command
+   */
+  static list(command = null) {
+    return Array.from(this.reporters.values()).filter(
+      (reporter) => !command || typeof reporter[command] === "function",
+    );
+  }
+
+  static isMachineReadable(name) {
+    return Boolean(this.get(name)?.machineReadable);
+  }
+
+  /**
+   * Look up a reporter that supports a command, throwing if there is none
+   */
+  static resolve(command, name) {
+    const reporter = this.get(name);
+
+    if (!reporter || typeof reporter[command] !== "function") {
+      const available = this.list(command).map((r) => r.name);
+      throw new Error(
+        `Unknown ${command} reporter: ${name}. Available reporters: ${available.join(", ")}`,
+      );
+    }
+
+    return reporter;
+  }
+
+  /**
+   * Run a reporter for a command and route its output
+   */
+  static async report(command, name, results, options = {}) {
+    const reporter = this.resolve(command, name);
+    const output = await reporter[command](results, options);
+
+    if (typeof output !== "string") {
+      if (options.outputFile) {
+        console.log(
+          chalk.yellow(
+            `--output-file is ignored by the ${name} reporter, which prints directly`,
+          ),
+        );
+      }
+      return;
+    }
+
+    if (options.outputFile) {
+      fs.writeFileSync(options.outputFile, `${output}\n`);
+      console.error(chalk.green(`Report written to ${options.outputFile}`));
+    } else {
+      console.log(output);
+    }
+  }
+}
+
+ReporterRegistry.BUILTIN_REPORTERS.forEach(
+  ({ name, description, reporter, machineReadable = false }) => {
+    ReporterRegistry.register({
+      name,
+      description,
+      machineReadable,
+      analyze:
+        typeof reporter.analyze === "function"
+          ? (results, options) => reporter.analyze(results, options)
+          : undefined,
+      fix:
+        typeof reporter.fix === "function"
+          ? (results, options) => reporter.fix(results, options)
+          : undefined,
+    });
+  },
+);
+
+export { ReporterRegistry };
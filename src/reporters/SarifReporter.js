@@ -0,0 +1,165 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { createRequire } from "module";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+import { Reporter } from "./Reporter.js";
+
+const require = createRequire(import.meta.url);
+const packageJson = require("../../package.json");
+
+/**
+ * Formats analysis results as a SARIF 2.1.0 log for code-scanning tools
+ * Every NeuroLint rule gets a descriptor; issues become results with
+ * physical locations, and issues with a known replacement carry a fix
+ */
+class SarifReporter extends Reporter {
+  static SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+  static analyze(results, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const rules = RuleRegistry.getRules();
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    const sarifResults = [
+      ...results.issues.map((issue) =>
+        this.createResult(issue, ruleIndex, cwd),
+      ),
+      // Suppressed issues stay in the log, marked as suppressed in source
+      ...(results.suppressed || []).map((issue) => ({
+        ...this.createResult(issue, ruleIndex, cwd),
+        suppressions: [{ kind: "inSource" }],
+      })),
+    ];
+
+    const log = {
+      $schema: this.SCHEMA,
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "NeuroLint",
+              version: packageJson.version,
+              informationUri: packageJson.homepage,
+              rules: rules.map((rule) => this.createRuleDescriptor(rule)),
+            },
+          },
+          originalUriBaseIds: {
+            SRCROOT: { uri: pathToFileURL(cwd + path.sep).href },
+          },
+          results: sarifResults,
+        },
+      ],
+    };
+
+    return JSON.stringify(log, null, 2);
+  }
+
+  static createRuleDescriptor(rule) {
+    return {
+      id: rule.id,
+      name: rule.name.replace(/[^A-Za-z0-9]/g, ""),
+      shortDescription: { text: rule.name },
+      fullDescription: { text: rule.description },
+      defaultConfiguration: { level: this.getLevel(rule.severity) },
+      properties: {
+        layer: rule.layer,
+        fixable: rule.fixable,
+        severity: rule.severity,
+      },
+    };
+  }
+
+  static createResult(issue, ruleIndex, cwd) {
+    const result = {
+      ruleId: issue.rule || issue.type,
+      level: this.getLevel(issue.severity),
+      message: { text: issue.message },
+      locations: [{ physicalLocation: this.createLocation(issue, cwd) }],
+      properties: { severity: issue.severity, layer: issue.layer },
+    };
+
+    if (ruleIndex.has(issue.rule)) {
+      result.ruleIndex = ruleIndex.get(issue.rule);
+    }
+
+    if (issue.fix && issue.line) {
+      const rule = RuleRegistry.getRule(issue.rule);
+      result.fixes = [
+        {
+          description: { text: rule ? rule.description : issue.message },
+          artifactChanges: [
+            {
+              artifactLocation: this.createArtifactLocation(issue.file, cwd),
+              replacements: [
+                {
+                  deletedRegion: this.createRegion(issue),
+                  insertedContent: { text: issue.fix.text },
+                },
+                ...(issue.fix.edits || []).map((edit) => ({
+                  deletedRegion: this.createRegion(edit),
+                  insertedContent: { text: edit.text },
+                })),
+              ],
+            },
+          ],
+        },
+      ];
+    }
+
+    return result;
+  }
+
+  static createLocation(issue, cwd) {
+    const location = {
+      artifactLocation: this.createArtifactLocation(issue.file, cwd),
+    };
+
+    if (issue.line) {
+      location.region = this.createRegion(issue);
+      // The snippet is the whole source line, so it belongs to the context
+      if (issue.snippet) {
+        location.contextRegion = {
+          startLine: issue.line,
+          snippet: { text: issue.snippet },
+        };
+      }
+    }
+
+    return location;
+  }
+
+  // SARIF uses the same 1-based, end-exclusive columns as NeuroLint issues
+  static createRegion(issue) {
+    const region = { startLine: issue.line };
+
+    if (issue.column) region.startColumn = issue.column;
+    if (issue.endLine) region.endLine = issue.endLine;
+    if (issue.endColumn) region.endColumn = issue.endColumn;
+
+    return region;
+  }
+
+  static createArtifactLocation(file, cwd) {
+    const relative = path.relative(cwd, path.resolve(cwd, file));
+
+    return {
+      uri: relative.split(path.sep).map(encodeURIComponent).join("/"),
+      uriBaseId: "SRCROOT",
+    };
+  }
+
+  static getLevel(severity) {
+    switch (severity) {
+      case "critical":
+      case "high":
+        return "error";
+      case "medium":
+        return "warning";
+      default:
+        return "note";
+    }
+  }
+}
+
+export { SarifReporter };
@@ -0,0 +1,39 @@
+import chalk from "chalk";
+import { Reporter } from "./Reporter.js";
+import { TableReporter } from "./TableReporter.js";
+
+/**
+ * Brief terminal summary of an analysis run
+ */
+class SummaryReporter extends Reporter {
+  static analyze(results) {
+    console.log();
+    console.log(chalk.bold("Analysis Summary"));
+    console.log(chalk.gray("=================="));
+    console.log(
+      `Files analyzed: ${chalk.white(results.summary.filesAnalyzed)}`,
+    );
+    console.log(`Issues found: ${chalk.white(results.summary.issuesFound)}`);
+    console.log(
+      `Layers used: ${chalk.white(results.summary.layersUsed.join(", "))}`,
+    );
+    console.log(`Source: ${chalk.white(results.source || "unknown")}`);
+
+    if (results.summary.issuesSuppressed > 0) {
+      console.log(
+        `Suppressed: ${chalk.white(results.summary.issuesSuppressed)}`,
+      );
+    }
+    TableReporter.displayUnusedSuppressions(results.unusedSuppressions);
+
+    if (results.summary.issuesFound > 0) {
+      console.log(
+        chalk.yellow(`\nRun 'neurolint fix' to automatically fix issues`),
+      );
+    } else {
+      console.log(chalk.green("\nNo issues found!"));
+    }
+  }
+}
+
+export { SummaryReporter };
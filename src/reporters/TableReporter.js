@@ -0,0 +1,267 @@
+import chalk from "chalk";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+import { Reporter } from "./Reporter.js";
+
+// Text columns between the summary box's "│ " and " │"
+const BOX_WIDTH = 47;
+const ANSI_ESCAPE = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Default terminal reporter: boxed summary followed by the first findings
+ */
+class TableReporter extends Reporter {
+  static analyze(results) {
+    const { summary, issues } = results;
+
+    console.log();
+
+    // Header
+    console.log(
+      chalk.bold("┌─────────────────────────────────────────────────┐"),
+    );
+    console.log(
+      chalk.bold("│                Analysis Results                 │"),
+    );
+    console.log(
+      chalk.bold("├─────────────────────────────────────────────────┤"),
+    );
+    console.log(this.boxRow(`Files analyzed: ${summary.filesAnalyzed}`));
+    console.log(this.boxRow(`Issues found: ${summary.issuesFound}`));
+    console.log(this.boxRow(`Layers used: [${summary.layersUsed.join(", ")}]`));
+    console.log(
+      chalk.bold("└─────────────────────────────────────────────────┘"),
+    );
+
+    this.displayPackages(
+      results.packages,
+      "filesAnalyzed",
+      "issuesFound",
+      "issues",
+    );
+
+    if (issues.length > 0) {
+      console.log();
+      console.log(chalk.bold("Issues Found:"));
+      console.log(chalk.gray("=".repeat(50)));
+
+      // Issues arrive grouped by package in workspaces
+      let currentPackage;
+      issues.slice(0, 10).forEach((issue) => {
+        if (issue.package && issue.package !== currentPackage) {
+          currentPackage = issue.package;
+          console.log(chalk.bold(`📦 ${issue.package}`));
+        }
+        this.displayIssue(issue);
+      });
+
+      if (issues.length > 10) {
+        console.log(chalk.gray(`... and ${issues.length - 10} more issues`));
+      }
+
+      console.log(
+        chalk.yellow(`Run 'neurolint fix' to automatically fix issues`),
+      );
+    } else {
+      console.log(chalk.green("\nNo issues found! Your code looks great."));
+    }
+
+    this.displayUnusedSuppressions(results.unusedSuppressions);
+  }
+
+  static displayIssue(issue) {
+    const severity = this.getSeverityLevel(issue.severity);
+    console.log(`[${severity}] ${chalk.blue(this.formatLocation(issue))}`);
+    console.log(`   ${chalk.yellow(issue.rule || issue.type)}: ${issue.message}`);
+    const rule = issue.rule && RuleRegistry.getRule(issue.rule);
+    if (rule) {
+      console.log(`   ${chalk.gray(rule.description)}`);
+    }
+    if (issue.snippet) {
+      console.log(`   ${chalk.gray(`> ${issue.snippet}`)}`);
+    }
+    if (issue.layer) {
+      console.log(`   ${chalk.gray(`Layer ${issue.layer}`)}`);
+    }
+    console.log();
+  }
+
+  static fix(results, options = {}) {
+    const { summary, changes } = results;
+
+    console.log();
+
+    // Header
+    console.log(
+      chalk.bold("┌─────────────────────────────────────────────────┐"),
+    );
+    console.log(
+      chalk.bold("│                 Fix Results                     │"),
+    );
+    console.log(
+      chalk.bold("├─────────────────────────────────────────────────┤"),
+    );
+    console.log(this.boxRow(`Files processed: ${summary.filesProcessed}`));
+    console.log(this.boxRow(`Changes applied: ${summary.changesApplied}`));
+    console.log(this.boxRow(`Layers used: [${summary.layersUsed.join(", ")}]`));
+
+    if (summary.dryRun) {
+      console.log(this.boxRow(`Mode: ${chalk.yellow("DRY RUN")}`));
+    }
+
+    console.log(
+      chalk.bold("└─────────────────────────────────────────────────┘"),
+    );
+
+    this.displayPackages(
+      results.packages,
+      "filesProcessed",
+      "changesApplied",
+      "changes",
+    );
+
+    if (changes.length > 0) {
+      console.log();
+      console.log(chalk.bold("Changes Made:"));
+      console.log(chalk.gray("=".repeat(50)));
+
+      const groupedChanges = this.groupChangesByFile(changes);
+
+      Object.entries(groupedChanges)
+        .slice(0, 10)
+        .forEach(([file, fileChanges]) => {
+          console.log(`📝 ${chalk.blue(file)} (${fileChanges.length} changes)`);
+
+          fileChanges.slice(0, 3).forEach((change) => {
+            const changeType = this.getChangeType(change.type);
+            console.log(
+              change.rule
+                ? `   ${changeType} ${chalk.yellow(change.rule)}: ${change.description}`
+                : `   ${changeType} ${change.description || change.type}`,
+            );
+            if (change.layer) {
+              console.log(`      ${chalk.gray(`Layer ${change.layer}`)}`);
+            }
+          });
+
+          if (fileChanges.length > 3) {
+            console.log(
+              `   ${chalk.gray(`... and ${fileChanges.length - 3} more changes`)}`,
+            );
+          }
+          console.log();
+        });
+
+      if (Object.keys(groupedChanges).length > 10) {
+        console.log(
+          chalk.gray(
+            `... and ${Object.keys(groupedChanges).length - 10} more files`,
+          ),
+        );
+      }
+
+      if (options.dryRun) {
+        console.log(
+          chalk.yellow("Run without --dry-run to apply these changes"),
+        );
+      } else {
+        console.log(chalk.green("All fixes have been applied successfully!"));
+      }
+
+      if (summary.runId) {
+        console.log(
+          chalk.gray(`Undo this run with: neurolint undo ${summary.runId}`),
+        );
+      }
+    } else {
+      console.log(
+        chalk.green("\nNo fixes needed! Your code is already optimized."),
+      );
+    }
+  }
+
+  /**
+   * Per-package totals for workspace runs
+   */
+  /**
+   * One line of the summary box, padded to the border by its visible
+   * length so colored text lines up too
+   */
+  static boxRow(text) {
+    const width = text.replace(ANSI_ESCAPE, "").length;
+    return `│ ${text}${" ".repeat(Math.max(0, BOX_WIDTH - width))} │`;
+  }
+
+  static displayPackages(packages, filesKey, countKey, countLabel) {
+    if (!packages || packages.length === 0) return;
+
+    console.log();
+    console.log(chalk.bold("Packages:"));
+    console.log(chalk.gray("=".repeat(50)));
+
+    packages.forEach((pkg) => {
+      const nextApp = pkg.nextApp ? chalk.gray(" (Next.js)") : "";
+      console.log(
+        `📦 ${chalk.blue(pkg.name)}${nextApp} ${chalk.gray(pkg.dir)}: ${pkg[filesKey]} files, ${pkg[countKey]} ${countLabel}`,
+      );
+    });
+  }
+
+  static displayUnusedSuppressions(unusedSuppressions = []) {
+    if (unusedSuppressions.length === 0) return;
+
+    console.log();
+    console.log(chalk.bold("Unused Suppressions:"));
+    console.log(chalk.gray("=".repeat(50)));
+
+    unusedSuppressions.forEach((directive) => {
+      console.log(
+        `${chalk.blue(`${directive.file}:${directive.line}`)} ${chalk.gray(directive.message)}`,
+      );
+    });
+  }
+
+  static groupChangesByFile(changes) {
+    return changes.reduce((groups, change) => {
+      const file = change.file || "unknown";
+      if (!groups[file]) {
+        groups[file] = [];
+      }
+      groups[file].push(change);
+      return groups;
+    }, {});
+  }
+
+  static getSeverityLevel(severity) {
+    switch (severity) {
+      case "critical":
+        return "CRIT";
+      case "high":
+        return "HIGH";
+      case "medium":
+        return "MED ";
+      case "low":
+        return "LOW ";
+      default:
+        return "INFO";
+    }
+  }
+
+  static getChangeType(type) {
+    switch (type) {
+      case "fix":
+        return "[FIX]";
+      case "refactor":
+        return "[REF]";
+      case "optimize":
+        return "[OPT]";
+      case "style":
+        return "[STY]";
+      case "security":
+        return "[SEC]";
+      default:
+        return "[CHG]";
+    }
+  }
+}
+
+export { TableReporter };
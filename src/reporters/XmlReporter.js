@@ -0,0 +1,32 @@
+import { Reporter } from "./Reporter.js";
+
+/**
+ * Shared helpers for XML report formats
+ * Reporters built on it read per-file results shaped like the output of
+ * NeuroLintOrchestrator.analyze: { filePath, issues }
+ */
+class XmlReporter extends Reporter {
+  static HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+  static escape(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  }
+
+  /**
+   * Render an element's attributes, skipping undefined values
+   */
+  static attributes(values) {
+    return Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => ` ${key}="${this.escape(value)}"`)
+      .join("");
+  }
+}
+
+export { XmlReporter };
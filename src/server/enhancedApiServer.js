@@ -5,19 +5,16 @@
 
 import express from "express";
 import cors from "cors";
-import path from "path";
-import fs from "fs";
-import { spawn } from "child_process";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { createEngine } from "../core/NeuroLintEngine.js";
+import { SmartLayerSelector } from "../layers/SmartLayerSelector.js";
 
 class EnhancedNeuroLintApiServer {
-  constructor(port = 8001) {
+  constructor(port = 8001, config = {}) {
     this.app = express();
     this.port = port;
+    this.engine = createEngine(config);
     this.executionHistory = [];
+    // Results stay in memory; the server never touches the CLI's cache
     this.cache = new Map();
 
     this.setupMiddleware();
@@ -109,6 +106,7 @@ class EnhancedNeuroLintApiServer {
 
         // Analyze code and detect issues
         const analysis = this.analyzeCodeForIssues(code, filePath);
+        const { issues } = await this.engine.analyze(code, { filePath });
 
         // Generate layer recommendations
         const recommendations = this.generateLayerRecommendations(
@@ -118,6 +116,8 @@ class EnhancedNeuroLintApiServer {
         const result = {
           recommendedLayers: recommendations.layers,
           detectedIssues: analysis.issues,
+          // Editor-friendly view of the same issues with source ranges
+          issues,
           confidence: this.calculateConfidence(analysis.issues),
           estimatedImpact: this.estimateImpact(analysis.issues),
           reasons: recommendations.reasons,
@@ -154,24 +154,17 @@ class EnhancedNeuroLintApiServer {
 
         console.log(`🚀 Executing layers [${layers.join(", ")}]...`);
 
-        // Check cache first
-        const cacheKey = this.generateCacheKey(code, layers);
-        if (options.useCache && this.cache.has(cacheKey)) {
-          console.log("📦 Using cached result");
-          const cachedResult = this.cache.get(cacheKey);
-          return res.json({
-            ...cachedResult,
-            fromCache: true,
-            timestamp: new Date().toISOString(),
-          });
-        }
-
-        // Execute layers using CLI tools
-        const result = await this.executeLayersWithCLI(code, layers, options);
+        const fixed = await this.engine.fix(code, {
+          layers,
+          filePath: options.filePath,
+          cache: options.useCache ? this.cache : undefined,
+          smart: options.skipUnnecessary,
+        });
+        const result = this.toExecutionResult(fixed);
 
-        // Cache successful results
-        if (result.success && options.useCache) {
-          this.cacheResult(cacheKey, result);
+        // Keep the cache to the 100 most recent results
+        if (this.cache.size > 100) {
+          this.cache.delete(this.cache.keys().next().value);
         }
 
         // Store in execution history
@@ -190,6 +183,7 @@ class EnhancedNeuroLintApiServer {
 
         res.json({
           ...result,
+          fromCache: fixed.fromCache,
           timestamp: new Date().toISOString(),
         });
       } catch (error) {
@@ -327,90 +321,7 @@ class EnhancedNeuroLintApiServer {
    * Analyze code and detect issues for layer recommendations
    */
   analyzeCodeForIssues(code, filePath) {
-    const issues = [];
-
-    // Configuration issues
-    if (
-      filePath &&
-      (filePath.includes("tsconfig") || filePath.includes("next.config"))
-    ) {
-      if (code.includes('"target": "es5"')) {
-        issues.push({
-          type: "config",
-          severity: "high",
-          description: "Outdated TypeScript target detected",
-          fixedByLayer: 1,
-          pattern: "TypeScript configuration",
-        });
-      }
-    }
-
-    // Entity and pattern issues
-    const htmlEntities = code.match(/&(quot|amp|lt|gt|#x27);/g);
-    if (htmlEntities) {
-      issues.push({
-        type: "pattern",
-        severity: "medium",
-        description: `${htmlEntities.length} HTML entities found`,
-        fixedByLayer: 2,
-        pattern: "HTML entities",
-        count: htmlEntities.length,
-      });
-    }
-
-    const consoleUsage = code.match(/console\.log\(/g);
-    if (consoleUsage) {
-      issues.push({
-        type: "pattern",
-        severity: "low",
-        description: `${consoleUsage.length} console.log statements found`,
-        fixedByLayer: 2,
-        pattern: "Console statements",
-        count: consoleUsage.length,
-      });
-    }
-
-    // Component issues
-    const mapWithoutKey = code.match(
-      /\.map\s*\([^)]*\)\s*=>\s*<[^>]*(?!.*key=)/g,
-    );
-    if (mapWithoutKey) {
-      issues.push({
-        type: "component",
-        severity: "high",
-        description: `${mapWithoutKey.length} missing key props in map operations`,
-        fixedByLayer: 3,
-        pattern: "Missing key props",
-        count: mapWithoutKey.length,
-      });
-    }
-
-    const imgWithoutAlt = code.match(/<img(?![^>]*alt=)[^>]*>/g);
-    if (imgWithoutAlt) {
-      issues.push({
-        type: "component",
-        severity: "medium",
-        description: `${imgWithoutAlt.length} images missing alt attributes`,
-        fixedByLayer: 3,
-        pattern: "Accessibility issues",
-        count: imgWithoutAlt.length,
-      });
-    }
-
-    // Hydration issues
-    if (code.includes("localStorage") && !code.includes("typeof window")) {
-      const localStorageUsage = code.match(/localStorage\./g);
-      issues.push({
-        type: "hydration",
-        severity: "high",
-        description: `${localStorageUsage?.length || 1} unguarded localStorage usage`,
-        fixedByLayer: 4,
-        pattern: "SSR safety",
-        count: localStorageUsage?.length || 1,
-      });
-    }
-
-    return { issues };
+    return { issues: SmartLayerSelector.detectIssues(code, filePath) };
   }
 
   /**
@@ -455,152 +366,26 @@ class EnhancedNeuroLintApiServer {
   }
 
   /**
-   * Execute layers using CLI tools
+   * Shape an engine.fix result the way the web dashboard reads it
    */
-  async executeLayersWithCLI(code, layers, options) {
-    const startTime = Date.now();
-    const results = [];
-    let currentCode = code;
-
-    // Save code to temporary file
-    const tempFile = `/tmp/neurolint-${Date.now()}.js`;
-    fs.writeFileSync(tempFile, code);
-
-    try {
-      for (const layerId of layers) {
-        const layerStartTime = Date.now();
-        const previousCode = currentCode;
-
-        try {
-          // Execute individual layer
-          const layerFile = path.join(
-            __dirname,
-            `../../fix-layer-${layerId}-*.js`,
-          );
-          const layerResult = await this.executeLayerFile(
-            layerFile,
-            tempFile,
-            options,
-          );
-
-          if (layerResult.success) {
-            currentCode = layerResult.code;
-
-            results.push({
-              layerId,
-              success: true,
-              code: currentCode,
-              executionTime: Date.now() - layerStartTime,
-              changeCount: this.calculateChanges(previousCode, currentCode),
-              improvements: layerResult.improvements || [
-                `Layer ${layerId} transformations applied`,
-              ],
-            });
-          } else {
-            results.push({
-              layerId,
-              success: false,
-              code: previousCode,
-              executionTime: Date.now() - layerStartTime,
-              changeCount: 0,
-              improvements: [],
-              error: layerResult.error,
-            });
-          }
-        } catch (error) {
-          results.push({
-            layerId,
-            success: false,
-            code: previousCode,
-            executionTime: Date.now() - layerStartTime,
-            changeCount: 0,
-            improvements: [],
-            error: error.message,
-          });
-        }
-      }
-
-      // Calculate summary
-      const totalExecutionTime = Date.now() - startTime;
-      const successfulLayers = results.filter((r) => r.success).length;
-      const totalChanges = results.reduce((sum, r) => sum + r.changeCount, 0);
-
-      return {
-        success: successfulLayers > 0,
-        finalCode: currentCode,
-        originalCode: code,
-        results,
-        summary: {
-          totalLayers: layers.length,
-          successfulLayers,
-          failedLayers: layers.length - successfulLayers,
-          totalExecutionTime,
-          totalChanges,
-          cacheHitRate: 0,
-        },
-      };
-    } finally {
-      // Clean up temporary file
-      try {
-        fs.unlinkSync(tempFile);
-      } catch (err) {
-        console.warn("Failed to clean up temp file:", err.message);
-      }
-    }
-  }
-
-  /**
-   * Execute a single layer file
-   */
-  async executeLayerFile(layerFile, inputFile, options) {
-    return new Promise((resolve) => {
-      // For now, return a simulated result
-      // In production, this would execute the actual layer scripts
-      const code = fs.readFileSync(inputFile, "utf8");
-
-      // Simulate layer transformations
-      let transformedCode = code;
-      const improvements = [];
-
-      // Simple transformations for demo
-      if (code.includes("&quot;")) {
-        transformedCode = transformedCode.replace(/&quot;/g, '"');
-        improvements.push("Fixed HTML quote entities");
-      }
-
-      if (code.includes("console.log")) {
-        transformedCode = transformedCode.replace(
-          /console\.log/g,
-          "console.debug",
-        );
-        improvements.push("Upgraded console statements");
-      }
-
-      if (code.includes(".map(") && !code.includes("key=")) {
-        transformedCode = transformedCode.replace(
-          /(\w+)\.map\s*\(\s*\(([^)]+)\)\s*=>\s*<(\w+)([^>]*?)>/g,
-          "$1.map(($2, index) => <$3 key={index}$4>",
-        );
-        improvements.push("Added missing key props");
-      }
-
-      if (code.includes("localStorage") && !code.includes("typeof window")) {
-        transformedCode = transformedCode.replace(
-          /(const|let|var)\s+(\w+)\s*=\s*localStorage\./g,
-          '$1 $2 = typeof window !== "undefined" ? localStorage.',
-        );
-        improvements.push("Added SSR safety guards");
-      }
-
-      // Write transformed code back to file
-      fs.writeFileSync(inputFile, transformedCode);
-
-      resolve({
-        success: true,
-        code: transformedCode,
-        improvements,
-      });
-    });
+  toExecutionResult(fixed) {
+    return {
+      success: fixed.summary.successfulLayers > 0,
+      finalCode: fixed.code,
+      originalCode: fixed.originalCode,
+      results: fixed.layers.map(({ layer, ...layerResult }) => ({
+        layerId: layer,
+        ...layerResult,
+      })),
+      summary: {
+        totalLayers: fixed.summary.totalLayers,
+        successfulLayers: fixed.summary.successfulLayers,
+        failedLayers: fixed.summary.failedLayers,
+        totalExecutionTime: fixed.executionTime,
+        totalChanges: fixed.summary.totalChanges,
+        cacheHitRate: 0,
+      },
+    };
   }
 
   /**
@@ -642,19 +427,6 @@ class EnhancedNeuroLintApiServer {
   /**
    * Utility methods
    */
-  calculateChanges(before, after) {
-    const beforeLines = before.split("\n");
-    const afterLines = after.split("\n");
-    let changes = Math.abs(beforeLines.length - afterLines.length);
-
-    const minLength = Math.min(beforeLines.length, afterLines.length);
-    for (let i = 0; i < minLength; i++) {
-      if (beforeLines[i] !== afterLines[i]) changes++;
-    }
-
-    return changes;
-  }
-
   calculateConfidence(issues) {
     if (issues.length === 0) return 0.5;
     const criticalCount = issues.filter((i) => i.severity === "high").length;
@@ -673,22 +445,6 @@ class EnhancedNeuroLintApiServer {
     return "Minimal impact - code appears well-structured";
   }
 
-  generateCacheKey(code, layers) {
-    const hash = require("crypto")
-      .createHash("md5")
-      .update(code.slice(0, 1000))
-      .digest("hex");
-    return `${hash}-${layers.join(",")}`;
-  }
-
-  cacheResult(key, result) {
-    if (this.cache.size >= 100) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    this.cache.set(key, result);
-  }
-
   addToHistory(execution) {
     this.executionHistory.push(execution);
     if (this.executionHistory.length > 100) {
@@ -1,8 +1,15 @@
 /**
  * Web Layer Orchestrator - Production-Ready Integration
- * Connects React dashboard to real NeuroLint CLI layers using implementation patterns
+ * Connects the React dashboard to the NeuroLint engine behind the API
+ * server (src/server/enhancedApiServer.js). When the server is offline,
+ * the same layer transforms the engine uses run in the browser instead.
  */
 
+import { LayerDependencyManager } from "../layers/LayerDependencyManager";
+import { SmartLayerSelector } from "../layers/SmartLayerSelector";
+import { TransformationValidator } from "../layers/TransformationValidator";
+import { transformLayer } from "../layers/transforms/index";
+
 export interface LayerInfo {
   id: number;
   name: string;
@@ -68,7 +75,7 @@ class WebLayerOrchestrator {
   private cache = new Map<string, OrchestrationResult>();
   private readonly CACHE_SIZE_LIMIT = 50;
 
-  // Layer configuration matching CLI implementation
+  // Layer descriptions for the dashboard, as GET /api/layers lists them
   private readonly LAYERS: LayerInfo[] = [
     {
       id: 1,
@@ -136,7 +143,8 @@ class WebLayerOrchestrator {
   }
 
   /**
-   * Analyze code and recommend layers using smart detection
+   * Detect issues and recommend layers with the server's engine, or in
+   * the browser when the server is offline
    */
   async analyzeCode(request: AnalysisRequest): Promise<{
     recommendedLayers: number[];
@@ -146,20 +154,11 @@ class WebLayerOrchestrator {
     reasons: string[];
   }> {
     try {
-      // Check cache first
-      const cacheKey = this.generateCacheKey(request.code, "analysis");
-
-      // Use smart detection patterns from the document
-      const issues = this.detectIssues(request.code, request.filePath);
-      const recommendations = this.generateRecommendations(issues);
-
-      return {
-        recommendedLayers: recommendations.layers,
-        detectedIssues: issues,
-        confidence: this.calculateConfidence(issues),
-        estimatedImpact: this.estimateImpact(issues),
-        reasons: recommendations.reasons,
-      };
+      const analysis = await this.post("/api/analyze", {
+        code: request.code,
+        filePath: request.filePath,
+      });
+      return analysis || this.analyzeClientSide(request);
     } catch (error) {
       console.error("Analysis failed:", error);
       throw new Error(`Code analysis failed: ${error.message}`);
@@ -167,39 +166,29 @@ class WebLayerOrchestrator {
   }
 
   /**
-   * Execute layers with comprehensive safety and monitoring
+   * Run the selected layers with the server's engine, or in the browser
+   * when the server is offline; either way the layers they depend on are
+   * added and any layer that fails is rolled back
    */
   async executeLayers(request: AnalysisRequest): Promise<OrchestrationResult> {
     const startTime = performance.now();
+    const layers = request.selectedLayers || [1, 2, 3, 4];
 
     try {
       console.log("🚀 Starting NeuroLint Layer Orchestration...");
 
-      // Validate and correct layer selection
-      const correctedLayers = this.validateAndCorrectLayers(
-        request.selectedLayers || [1, 2, 3, 4],
-      );
-
-      if (correctedLayers.warnings.length > 0) {
-        console.warn("Layer selection warnings:", correctedLayers.warnings);
-      }
-
-      // Check cache
-      const cacheKey = this.generateCacheKey(
-        request.code,
-        correctedLayers.correctedLayers,
-      );
+      const cacheKey = await this.generateCacheKey(request.code, layers);
       if (request.options?.useCache && this.cache.has(cacheKey)) {
         console.log("📦 Using cached orchestration result");
         return this.cache.get(cacheKey)!;
       }
 
-      // Execute layers with safety patterns
-      const result = await this.executeWithSafety(
-        request.code,
-        correctedLayers.correctedLayers,
-        request.options,
-      );
+      const result: OrchestrationResult =
+        (await this.post("/api/execute", {
+          code: request.code,
+          layers,
+          options: { ...request.options, filePath: request.filePath },
+        })) || this.executeClientSide(request, layers);
 
       // Cache successful results
       if (result.success && request.options?.useCache) {
@@ -218,598 +207,132 @@ class WebLayerOrchestrator {
   }
 
   /**
-   * Safe layer execution with rollback capability
+   * POST a JSON body to the API server, returning null when it cannot be
+   * reached and throwing when it answers with an error
    */
-  private async executeWithSafety(
-    code: string,
-    layers: number[],
-    options: any = {},
-  ): Promise<OrchestrationResult> {
-    let current = code;
-    const results: LayerExecutionResult[] = [];
-    const states: string[] = [code]; // Track all intermediate states
-    let cacheHits = 0;
-
-    for (const layerId of layers) {
-      const previous = current;
-      const startTime = performance.now();
-
-      console.log(
-        `🔧 Executing Layer ${layerId} (${this.getLayerName(layerId)})...`,
-      );
-
-      try {
-        // Check individual layer cache
-        const layerCacheKey = this.generateCacheKey(current, [layerId]);
-        if (options.useCache && this.cache.has(layerCacheKey)) {
-          const cached = this.cache.get(layerCacheKey)!;
-          current = cached.finalCode;
-          cacheHits++;
-
-          results.push({
-            layerId,
-            success: true,
-            code: current,
-            executionTime: performance.now() - startTime,
-            changeCount: this.calculateChanges(previous, current),
-            improvements: [`Used cached result for Layer ${layerId}`],
-            fromCache: true,
-          });
-          continue;
-        }
-
-        // Skip if layer won't make changes (performance optimization)
-        if (
-          options.skipUnnecessary &&
-          !this.layerWillMakeChanges(current, layerId)
-        ) {
-          console.log(`⏭️  Skipping Layer ${layerId} (no changes needed)`);
-          results.push({
-            layerId,
-            success: true,
-            code: current,
-            executionTime: performance.now() - startTime,
-            changeCount: 0,
-            improvements: ["No changes needed - layer skipped"],
-          });
-          continue;
-        }
-
-        // Execute transformation
-        const transformed = await this.executeLayer(layerId, current, options);
-
-        // Validate transformation safety
-        const validation = this.validateTransformation(previous, transformed);
-
-        if (validation.shouldRevert) {
-          console.warn(`⚠️  Reverting Layer ${layerId}: ${validation.reason}`);
-          current = previous; // Rollback to safe state
-
-          results.push({
-            layerId,
-            success: false,
-            code: previous,
-            executionTime: performance.now() - startTime,
-            changeCount: 0,
-            improvements: [],
-            revertReason: validation.reason,
-          });
-        } else {
-          current = transformed; // Accept changes
-          states.push(current);
-
-          results.push({
-            layerId,
-            success: true,
-            code: current,
-            executionTime: performance.now() - startTime,
-            changeCount: this.calculateChanges(previous, transformed),
-            improvements: this.detectImprovements(previous, transformed),
-          });
-        }
-      } catch (error) {
-        console.error(`❌ Layer ${layerId} failed:`, error.message);
-
-        results.push({
-          layerId,
-          success: false,
-          code: previous, // Keep previous safe state
-          executionTime: performance.now() - startTime,
-          changeCount: 0,
-          improvements: [],
-          error: error.message,
-        });
-
-        current = previous; // Continue with previous safe state
-      }
-    }
-
-    const successfulLayers = results.filter((r) => r.success).length;
-    const totalExecutionTime = results.reduce(
-      (sum, r) => sum + r.executionTime,
-      0,
-    );
-    const totalChanges = results.reduce((sum, r) => sum + r.changeCount, 0);
-
-    return {
-      success: successfulLayers > 0,
-      finalCode: current,
-      originalCode: code,
-      results,
-      summary: {
-        totalLayers: layers.length,
-        successfulLayers,
-        failedLayers: layers.length - successfulLayers,
-        totalExecutionTime,
-        totalChanges,
-        cacheHitRate: (cacheHits / layers.length) * 100,
-      },
-      recommendations: this.generatePostExecutionRecommendations(results),
-      errors: results.filter((r) => r.error).map((r) => r.error!),
-    };
-  }
-
-  /**
-   * Execute individual layer with API or fallback to local execution
-   */
-  private async executeLayer(
-    layerId: number,
-    code: string,
-    options: any,
-  ): Promise<string> {
+  private async post(route: string, body: unknown): Promise<any> {
+    let response: Response;
     try {
-      // Try API first if available
-      const apiUrl = this.baseUrl
-        ? `${this.baseUrl}/api/execute`
-        : "/api/execute";
-      const response = await fetch(apiUrl, {
+      response = await fetch(`${this.baseUrl}${route}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          code,
-          layers: [layerId],
-          options,
-        }),
+        body: JSON.stringify(body),
       });
-
-      if (response.ok) {
-        const result = await response.json();
-        return result.finalCode || code;
-      }
-
-      // Fallback to client-side transformation
-      return await this.executeLayerClientSide(layerId, code);
     } catch (error) {
       console.warn(
-        `API execution failed for layer ${layerId}, using fallback:`,
+        "API server unreachable, using client-side mode:",
         error.message,
       );
-      return await this.executeLayerClientSide(layerId, code);
+      return null;
     }
-  }
-
-  /**
-   * Client-side layer execution fallback
-   */
-  private async executeLayerClientSide(
-    layerId: number,
-    code: string,
-  ): Promise<string> {
-    switch (layerId) {
-      case 1: // Configuration
-        return this.executeConfigLayer(code);
-      case 2: // Entity Cleanup
-        return this.executeEntityLayer(code);
-      case 3: // Components
-        return this.executeComponentLayer(code);
-      case 4: // Hydration
-        return this.executeHydrationLayer(code);
-      case 5: // Next.js
-        return this.executeNextJsLayer(code);
-      case 6: // Testing
-        return this.executeTestingLayer(code);
-      default:
-        throw new Error(`Unknown layer: ${layerId}`);
-    }
-  }
 
-  /**
-   * Layer 1: Configuration transformations
-   */
-  private executeConfigLayer(code: string): string {
-    let transformed = code;
-
-    // Upgrade TypeScript target
-    if (code.includes('"target": "es5"')) {
-      transformed = transformed.replace(
-        '"target": "es5"',
-        '"target": "ES2020"',
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        data.message || `Server responded with ${response.status}`,
       );
     }
-
-    // Enable strict mode
-    if (code.includes('"strict": false')) {
-      transformed = transformed.replace('"strict": false', '"strict": true');
-    }
-
-    return transformed;
+    return data;
   }
 
   /**
-   * Layer 2: Entity cleanup transformations
+   * Layer recommendations from the engine's own issue detection
    */
-  private executeEntityLayer(code: string): string {
-    let transformed = code;
-
-    // Fix HTML entities
-    transformed = transformed.replace(/&quot;/g, '"');
-    transformed = transformed.replace(/&#x27;/g, "'");
-    transformed = transformed.replace(/&amp;/g, "&");
-    transformed = transformed.replace(/&lt;/g, "<");
-    transformed = transformed.replace(/&gt;/g, ">");
-
-    // Replace console.log with console.debug
-    transformed = transformed.replace(/console\.log\(/g, "console.debug(");
-
-    return transformed;
-  }
-
-  /**
-   * Layer 3: Component transformations
-   */
-  private executeComponentLayer(code: string): string {
-    let transformed = code;
-
-    // Add missing key props to map operations
-    const mapPattern = /(\w+)\.map\s*\(\s*\(([^)]+)\)\s*=>\s*<(\w+)([^>]*?)>/g;
-    transformed = transformed.replace(
-      mapPattern,
-      (match, array, param, tag, props) => {
-        if (!props.includes("key=")) {
-          const keyProp = ` key={${param}.id || ${param}.key || index}`;
-          return `${array}.map((${param}, index) => <${tag}${keyProp}${props}>`;
-        }
-        return match;
-      },
-    );
-
-    // Add missing alt attributes to images
-    transformed = transformed.replace(
-      /<img([^>]*?)(?!\s*alt=)([^>]*?)>/g,
-      '<img$1 alt=""$2>',
+  private analyzeClientSide(request: AnalysisRequest) {
+    const analysis = SmartLayerSelector.analyzeAndRecommend(
+      request.code,
+      request.filePath,
     );
 
-    return transformed;
-  }
-
-  /**
-   * Layer 4: Hydration safety transformations
-   */
-  private executeHydrationLayer(code: string): string {
-    let transformed = code;
-
-    // Add SSR guards to localStorage usage
-    const localStoragePattern = /(const|let|var)\s+(\w+)\s*=\s*localStorage\./g;
-    transformed = transformed.replace(
-      localStoragePattern,
-      '$1 $2 = typeof window !== "undefined" ? localStorage.',
-    );
-
-    // Guard window object access
-    const windowPattern = /(\w+)\s*=\s*window\./g;
-    transformed = transformed.replace(
-      windowPattern,
-      '$1 = typeof window !== "undefined" ? window.',
-    );
-
-    return transformed;
-  }
-
-  /**
-   * Layer 5: Next.js optimizations
-   */
-  private executeNextJsLayer(code: string): string {
-    let transformed = code;
-
-    // Upgrade to App Router patterns
-    if (code.includes("pages/") && code.includes("getServerSideProps")) {
-      // This would require more complex AST transformations
-      console.log(
-        "Next.js App Router migration detected - complex transformation needed",
-      );
-    }
-
-    return transformed;
-  }
-
-  /**
-   * Layer 6: Testing enhancements
-   */
-  private executeTestingLayer(code: string): string {
-    let transformed = code;
-
-    // Add basic error boundaries if missing
-    if (
-      code.includes("function ") &&
-      code.includes("return (") &&
-      !code.includes("ErrorBoundary")
-    ) {
-      console.log("Error boundary recommendations available");
-    }
-
-    return transformed;
-  }
-
-  /**
-   * Detect issues in code for smart layer recommendation
-   */
-  private detectIssues(code: string, filePath?: string): DetectedIssue[] {
-    const issues: DetectedIssue[] = [];
-
-    // Configuration issues
-    if (
-      filePath &&
-      (filePath.includes("tsconfig") || filePath.includes("next.config"))
-    ) {
-      if (code.includes('"target": "es5"')) {
-        issues.push({
-          type: "config",
-          severity: "high",
-          description: "Outdated TypeScript target",
-          fixedByLayer: 1,
-          pattern: "TypeScript configuration",
-        });
-      }
-    }
-
-    // Entity issues
-    const htmlEntities = code.match(/&(quot|amp|lt|gt|#x27);/g);
-    if (htmlEntities) {
-      issues.push({
-        type: "pattern",
-        severity: "medium",
-        description: `${htmlEntities.length} HTML entities found`,
-        fixedByLayer: 2,
-        pattern: "HTML entities",
-        count: htmlEntities.length,
-      });
-    }
-
-    // Component issues
-    const mapWithoutKey = code.match(
-      /\.map\s*\([^)]*\)\s*=>\s*<[^>]*(?!.*key=)/g,
-    );
-    if (mapWithoutKey) {
-      issues.push({
-        type: "component",
-        severity: "high",
-        description: `${mapWithoutKey.length} missing key props`,
-        fixedByLayer: 3,
-        pattern: "Missing key props",
-        count: mapWithoutKey.length,
-      });
-    }
-
-    // Hydration issues
-    if (code.includes("localStorage") && !code.includes("typeof window")) {
-      const localStorageUsage = code.match(/localStorage\./g);
-      issues.push({
-        type: "hydration",
-        severity: "high",
-        description: `${localStorageUsage?.length || 1} unguarded localStorage usage`,
-        fixedByLayer: 4,
-        pattern: "SSR safety",
-        count: localStorageUsage?.length || 1,
-      });
-    }
-
-    return issues;
-  }
-
-  /**
-   * Generate layer recommendations based on detected issues
-   */
-  private generateRecommendations(issues: DetectedIssue[]): {
-    layers: number[];
-    reasons: string[];
-  } {
-    const layers = new Set<number>([1]); // Always include foundation layer
-    const reasons = ["Configuration layer provides essential foundation"];
-
-    // Add layers based on detected issues
-    const issuesByLayer = issues.reduce(
-      (acc, issue) => {
-        if (!acc[issue.fixedByLayer]) acc[issue.fixedByLayer] = [];
-        acc[issue.fixedByLayer].push(issue);
-        return acc;
-      },
-      {} as Record<number, DetectedIssue[]>,
-    );
-
-    Object.entries(issuesByLayer).forEach(([layerId, layerIssues]) => {
-      const id = parseInt(layerId);
-      layers.add(id);
-
-      const criticalCount = layerIssues.filter(
-        (i) => i.severity === "high",
-      ).length;
-      if (criticalCount > 0) {
-        reasons.push(`Layer ${id}: ${criticalCount} critical issues detected`);
-      }
-    });
-
     return {
-      layers: Array.from(layers).sort(),
-      reasons,
+      recommendedLayers: analysis.recommendedLayers,
+      detectedIssues: analysis.detectedIssues,
+      confidence: analysis.confidence,
+      estimatedImpact: analysis.estimatedImpact,
+      reasons: analysis.reasoning,
     };
   }
 
   /**
-   * Validate transformation safety
+   * Run the layers with the engine's transforms, as engine.fix does: the
+   * layers they depend on are added, and a layer that throws or whose
+   * output fails validation is rolled back
    */
-  private validateTransformation(
-    before: string,
-    after: string,
-  ): { shouldRevert: boolean; reason?: string } {
-    if (before === after) return { shouldRevert: false };
-
-    // Basic syntax validation
-    try {
-      // Simple bracket matching
-      const beforeBrackets = (before.match(/[{}]/g) || []).length;
-      const afterBrackets = (after.match(/[{}]/g) || []).length;
-
-      if (Math.abs(beforeBrackets - afterBrackets) > 2) {
-        return { shouldRevert: true, reason: "Bracket mismatch detected" };
-      }
+  private executeClientSide(
+    request: AnalysisRequest,
+    requestedLayers: number[],
+  ): OrchestrationResult {
+    const startTime = performance.now();
+    const filePath = request.filePath || "";
+    const { correctedLayers } =
+      LayerDependencyManager.validateAndCorrectLayers(requestedLayers);
+    const layers: number[] = request.options?.skipUnnecessary
+      ? SmartLayerSelector.getRelevantLayers(
+          request.code,
+          filePath,
+          correctedLayers,
+        )
+      : correctedLayers;
+    const validate = TransformationValidator.canValidate(filePath);
+    const results: LayerExecutionResult[] = [];
+    let current = request.code;
 
-      // Check for corruption patterns
-      if (after.includes("()()") && !before.includes("()()")) {
-        return { shouldRevert: true, reason: "Double function call detected" };
-      }
-    } catch (error) {
-      return {
-        shouldRevert: true,
-        reason: `Validation error: ${error.message}`,
+    for (const layerId of layers) {
+      const layerStart = performance.now();
+      const result: LayerExecutionResult = {
+        layerId,
+        success: true,
+        code: current,
+        executionTime: 0,
+        changeCount: 0,
+        improvements: [],
       };
-    }
 
-    return { shouldRevert: false };
-  }
+      try {
+        const transformed = transformLayer(layerId, current, { filePath });
+        const validation = validate
+          ? TransformationValidator.validateTransformation(
+              current,
+              transformed.code,
+            )
+          : { shouldRevert: false };
 
-  /**
-   * Utility methods
-   */
-  private validateAndCorrectLayers(requestedLayers: number[]): {
-    correctedLayers: number[];
-    warnings: string[];
-  } {
-    const warnings: string[] = [];
-    let correctedLayers = [...requestedLayers];
-
-    // Add missing dependencies
-    for (const layerId of requestedLayers) {
-      const layer = this.LAYERS.find((l) => l.id === layerId);
-      if (layer) {
-        const missingDeps = layer.dependencies.filter(
-          (dep) => !correctedLayers.includes(dep),
-        );
-        if (missingDeps.length > 0) {
-          correctedLayers.push(...missingDeps);
-          warnings.push(
-            `Auto-added dependencies for Layer ${layerId}: ${missingDeps.join(", ")}`,
+        if (validation.shouldRevert) {
+          result.success = false;
+          result.revertReason = validation.reason;
+        } else {
+          result.code = transformed.code;
+          result.changeCount = transformed.changes.length;
+          result.improvements = transformed.changes.map(
+            (change: { description: string }) => change.description,
           );
+          current = transformed.code;
         }
+      } catch (error) {
+        result.success = false;
+        result.error = error.message;
       }
-    }
 
-    return {
-      correctedLayers: [...new Set(correctedLayers)].sort(),
-      warnings,
-    };
-  }
-
-  private layerWillMakeChanges(code: string, layerId: number): boolean {
-    switch (layerId) {
-      case 1:
-        return code.includes("tsconfig") || code.includes('"target": "es5"');
-      case 2:
-        return /&(quot|amp|lt|gt);|console\.log/.test(code);
-      case 3:
-        return code.includes(".map(") || code.includes("<img");
-      case 4:
-        return code.includes("localStorage") && !code.includes("typeof window");
-      case 5:
-        return code.includes("getServerSideProps") || code.includes("pages/");
-      case 6:
-        return true; // Testing layer can always provide insights
-      default:
-        return true;
-    }
-  }
-
-  private calculateChanges(before: string, after: string): number {
-    const beforeLines = before.split("\n");
-    const afterLines = after.split("\n");
-    let changes = Math.abs(beforeLines.length - afterLines.length);
-
-    const minLength = Math.min(beforeLines.length, afterLines.length);
-    for (let i = 0; i < minLength; i++) {
-      if (beforeLines[i] !== afterLines[i]) changes++;
-    }
-
-    return changes;
-  }
-
-  private detectImprovements(before: string, after: string): string[] {
-    const improvements: string[] = [];
-
-    if (before.includes("&quot;") && !after.includes("&quot;")) {
-      improvements.push("Fixed HTML quote entities");
-    }
-    if (before.includes("console.log") && after.includes("console.debug")) {
-      improvements.push("Upgraded console statements");
-    }
-    if (before.includes(".map(") && after.includes("key=")) {
-      improvements.push("Added missing key props");
-    }
-    if (before.includes("localStorage") && after.includes("typeof window")) {
-      improvements.push("Added SSR safety guards");
-    }
-
-    return improvements.length > 0
-      ? improvements
-      : ["Code transformation applied"];
-  }
-
-  private calculateConfidence(issues: DetectedIssue[]): number {
-    if (issues.length === 0) return 0.5;
-    const criticalCount = issues.filter((i) => i.severity === "high").length;
-    return Math.min(0.95, 0.6 + (criticalCount / issues.length) * 0.35);
-  }
-
-  private estimateImpact(issues: DetectedIssue[]): string {
-    const totalIssues = issues.length;
-    const criticalCount = issues.filter((i) => i.severity === "high").length;
-
-    if (criticalCount > 5)
-      return "High impact - significant improvements possible";
-    if (criticalCount > 2)
-      return "Medium impact - notable improvements expected";
-    if (totalIssues > 0) return "Low impact - minor optimizations available";
-    return "Minimal impact - code appears well-structured";
-  }
-
-  private generatePostExecutionRecommendations(
-    results: LayerExecutionResult[],
-  ): string[] {
-    const recommendations: string[] = [];
-    const failed = results.filter((r) => !r.success);
-
-    if (failed.length === 0) {
-      recommendations.push(
-        "✅ All layers executed successfully! Your code has been optimized.",
-      );
-    } else {
-      recommendations.push(
-        `⚠️ ${failed.length} layers had issues. Review the error details for manual fixes.`,
-      );
-    }
-
-    const totalChanges = results.reduce((sum, r) => sum + r.changeCount, 0);
-    if (totalChanges > 10) {
-      recommendations.push(
-        "📝 Significant changes made. Consider reviewing the transformed code before committing.",
-      );
+      result.executionTime = performance.now() - layerStart;
+      results.push(result);
     }
 
-    return recommendations;
-  }
+    const successfulLayers = results.filter((r) => r.success).length;
 
-  private getLayerName(layerId: number): string {
-    return (
-      this.LAYERS.find((l) => l.id === layerId)?.name || `Layer ${layerId}`
-    );
+    return {
+      success: successfulLayers > 0,
+      finalCode: current,
+      originalCode: request.code,
+      results,
+      summary: {
+        totalLayers: results.length,
+        successfulLayers,
+        failedLayers: results.length - successfulLayers,
+        totalExecutionTime: performance.now() - startTime,
+        totalChanges: results.reduce((sum, r) => sum + r.changeCount, 0),
+        cacheHitRate: 0,
+      },
+    };
   }
 
   private createFailureResult(
@@ -833,20 +356,22 @@ class WebLayerOrchestrator {
     };
   }
 
-  private generateCacheKey(code: string, layers: number[] | string): string {
-    const hash = this.simpleHash(code.slice(0, 1000)); // Use first 1000 chars for hash
-    const layerKey = Array.isArray(layers) ? layers.join(",") : layers;
-    return `${hash}-${layerKey}`;
-  }
-
-  private simpleHash(str: string): string {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString(36);
+  /**
+   * SHA-256 of the whole code, so files sharing a prefix cannot collide
+   * The browser has no access to the CLI's disk cache; results stay in memory
+   */
+  private async generateCacheKey(
+    code: string,
+    layers: number[],
+  ): Promise<string> {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(code),
+    );
+    const hash = Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+    return `${hash}-${[...layers].sort((a, b) => a - b).join(",")}`;
   }
 
   private cacheResult(key: string, result: OrchestrationResult): void {
@@ -1,104 +1,305 @@
 import fs from "fs";
 import path from "path";
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+import { ResultCache } from "./ResultCache.js";
+import { ConfigPresets } from "./ConfigPresets.js";
+import { ConfigSchema } from "./ConfigSchema.js";
+import { createRequire } from "module";
+const require = createRequire(import.meta.url);
 
 class ConfigManager {
-  static getConfigPath() {
-    return path.join(process.cwd(), ".neurolint.json");
+  // Checked in this order; package.json counts when it has a "neurolint" key
+  static CONFIG_FILES = [
+    "neurolint.config.js",
+    "neurolint.config.mjs",
+    "neurolint.config.cjs",
+    "neurolint.config.json",
+    ".neurolint.json",
+  ];
+
+  /**
+   * The config file that applies to a directory: the nearest one walking
+   * up from it, or a new .neurolint.json in the directory itself
+   */
+  static getConfigPath(cwd = process.cwd()) {
+    return this.findConfigFiles(cwd)[0] || path.join(cwd, ".neurolint.json");
   }
 
-  static getConfig() {
-    const configPath = this.getConfigPath();
+  /**
+   * The config file a directory declares itself, if any
+   */
+  static findConfigFile(dir) {
+    for (const name of this.CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return file;
+    }
 
-    if (!fs.existsSync(configPath)) {
-      throw new Error('NeuroLint not initialized. Run "neurolint init" first.');
+    const manifest = path.join(dir, "package.json");
+    try {
+      const pkg = JSON.parse(fs.readFileSync(manifest, "utf8"));
+      return pkg.neurolint !== undefined ? manifest : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Config files from a directory up to the filesystem root, nearest first
+   */
+  static findConfigFiles(cwd = process.cwd()) {
+    const files = [];
+    let dir = path.resolve(cwd);
+
+    while (true) {
+      const file = this.findConfigFile(dir);
+      if (file) files.push(file);
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return files;
+      dir = parent;
     }
+  }
+
+  /**
+   * The configs that cascade into a directory, outermost first; the walk
+   * up stops at a config with "root": true
+   */
+  static getConfigChain(cwd = process.cwd()) {
+    const chain = [];
+
+    for (const file of this.findConfigFiles(cwd)) {
+      const config = this.loadConfigFile(file);
+      chain.unshift({ path: file, config });
+      if (config.root) break;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Read one config file as written, without cascading or "extends"
+   */
+  static loadConfigFile(configPath) {
+    let config;
 
     try {
-      const configContent = fs.readFileSync(configPath, "utf8");
-      const config = JSON.parse(configContent);
+      if (/\.[cm]?js$/.test(configPath)) {
+        delete require.cache[configPath];
+        const exported = require(configPath);
+        config = exported?.default !== undefined ? exported.default : exported;
+      } else {
+        config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+        if (path.basename(configPath) === "package.json") {
+          config = config.neurolint;
+        }
+      }
+    } catch (error) {
+      throw new Error(
+        `Invalid configuration file ${configPath}: ${error.message}`,
+      );
+    }
 
-      // Validate and migrate config if needed
-      return this.validateAndMigrate(config);
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error(
+        `Invalid configuration file ${configPath}: expected an object`,
+      );
+    }
+
+    ConfigSchema.assertValid(config, `configuration file ${configPath}`);
+
+    return config;
+  }
+
+  /**
+   * Apply a config's "extends" list: built-in presets, relative paths or
+   * npm packages, each overriding the one before it and all overridden by
+   * the config's own settings
+   */
+  static resolveExtends(config, configPath, seen = [configPath]) {
+    const { extends: bases = [], root, ...own } = config;
+
+    const inherited = [].concat(bases).reduce((merged, name) => {
+      const base = this.loadPreset(name, configPath);
+
+      if (seen.includes(base.path)) {
+        throw new Error(
+          `Circular "extends": ${[...seen, base.path].join(" -> ")}`,
+        );
+      }
+
+      return this.mergeWithDefaults(
+        this.resolveExtends(base.config, base.path, [...seen, base.path]),
+        merged,
+      );
+    }, {});
+
+    return this.mergeWithDefaults(own, inherited);
+  }
+
+  /**
+   * Find an "extends" entry relative to the config that names it
+   */
+  static loadPreset(name, configPath) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error(
+        `Invalid "extends" in ${configPath}: expected preset names`,
+      );
+    }
+
+    if (ConfigPresets.has(name)) {
+      return { path: `preset:${name}`, config: ConfigPresets.get(name) };
+    }
+
+    let presetPath;
+    try {
+      presetPath =
+        name.startsWith(".") || path.isAbsolute(name)
+          ? require.resolve(path.resolve(path.dirname(configPath), name))
+          : createRequire(configPath).resolve(name);
     } catch (error) {
-      throw new Error(`Invalid configuration file: ${error.message}`);
+      throw new Error(
+        `Cannot find preset "${name}" extended by ${configPath}. Built-in presets are: ${ConfigPresets.list().join(", ")}`,
+      );
     }
+
+    return { path: presetPath, config: this.loadConfigFile(presetPath) };
   }
 
-  static saveConfig(config) {
-    const configPath = this.getConfigPath();
+  /**
+   * Read and migrate the configuration for a directory: every config file
+   * from the nearest "root" one down, with presets applied. Each file is
+   * checked against the schema as it is read.
+   */
+  static getConfig(cwd = process.cwd()) {
+    const chain = this.getConfigChain(cwd);
+
+    if (chain.length === 0) {
+      throw new Error('NeuroLint not initialized. Run "neurolint init" first.');
+    }
+
+    const config = chain.reduce(
+      (merged, source) =>
+        this.mergeWithDefaults(
+          this.resolveExtends(source.config, source.path),
+          merged,
+        ),
+      {},
+    );
+
+    return this.migrate(config);
+  }
+
+  /**
+   * A workspace package's config: the config files between the root and
+   * the package cascade over the root config, merged one section deep so
+   * a package only lists what differs
+   */
+  static getPackageConfig(rootConfig, packageDir, root = process.cwd()) {
+    const nested = this.getConfigChain(packageDir).filter((source) =>
+      path.dirname(source.path).startsWith(`${path.resolve(root)}${path.sep}`),
+    );
+
+    if (nested.length === 0) {
+      return rootConfig;
+    }
+
+    const base = nested[0].config.root ? this.migrate({}) : rootConfig;
 
+    return nested.reduce(
+      (merged, source) =>
+        this.mergeWithDefaults(
+          this.resolveExtends(source.config, source.path),
+          merged,
+        ),
+      base,
+    );
+  }
+
+  static saveConfig(config, cwd = process.cwd()) {
     try {
       // Validate config before saving
       this.validateConfig(config);
 
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      this.writeConfigFile(this.getConfigPath(cwd), config);
     } catch (error) {
       throw new Error(`Failed to save configuration: ${error.message}`);
     }
   }
 
-  static validateConfig(config) {
-    // Check required fields
-    if (!config.version) {
-      throw new Error("Missing version in configuration");
-    }
+  /**
+   * Change some sections of the nearest config file, merged one section
+   * deep into what it already sets; inherited settings stay where they are
+   */
+  static updateConfig(changes, cwd = process.cwd()) {
+    const configPath = this.getConfigPath(cwd);
 
-    if (!config.layers || !config.layers.enabled) {
-      throw new Error("Missing layers configuration");
-    }
+    try {
+      const config = this.mergeWithDefaults(changes, this.getConfig(cwd));
+      this.validateConfig(config);
 
-    if (!Array.isArray(config.layers.enabled)) {
-      throw new Error("layers.enabled must be an array");
+      const own = fs.existsSync(configPath)
+        ? this.loadConfigFile(configPath)
+        : {};
+      this.writeConfigFile(configPath, this.mergeWithDefaults(changes, own));
+    } catch (error) {
+      throw new Error(`Failed to save configuration: ${error.message}`);
     }
+  }
 
-    // Validate layer numbers
-    const validLayers = [1, 2, 3, 4, 5, 6];
-    const invalidLayers = config.layers.enabled.filter(
-      (layer) => !validLayers.includes(layer),
-    );
-
-    if (invalidLayers.length > 0) {
+  static writeConfigFile(configPath, config) {
+    if (/\.[cm]?js$/.test(configPath)) {
       throw new Error(
-        `Invalid layers: ${invalidLayers.join(", ")}. Valid layers are: ${validLayers.join(", ")}`,
+        `${path.basename(configPath)} is JavaScript; edit it by hand`,
       );
     }
 
-    // Validate file patterns
-    if (!config.files || !config.files.include || !config.files.exclude) {
-      throw new Error("Missing file pattern configuration");
+    if (path.basename(configPath) === "package.json") {
+      const pkg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      pkg.neurolint = config;
+      fs.writeFileSync(configPath, `${JSON.stringify(pkg, null, 2)}\n`);
+      return;
     }
 
-    if (
-      !Array.isArray(config.files.include) ||
-      !Array.isArray(config.files.exclude)
-    ) {
-      throw new Error("File patterns must be arrays");
-    }
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  }
 
-    // Validate API configuration
-    if (!config.api || !config.api.url) {
-      throw new Error("Missing API configuration");
+  /**
+   * Delete a directory's own config file, or its "neurolint" key in
+   * package.json
+   */
+  static removeConfig(cwd = process.cwd()) {
+    const configPath = this.findConfigFile(cwd);
+    if (!configPath) return null;
+
+    if (path.basename(configPath) === "package.json") {
+      const pkg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      delete pkg.neurolint;
+      fs.writeFileSync(configPath, `${JSON.stringify(pkg, null, 2)}\n`);
+    } else {
+      fs.unlinkSync(configPath);
     }
 
-    try {
-      new URL(config.api.url);
-    } catch {
-      throw new Error("Invalid API URL");
-    }
+    return configPath;
+  }
 
+  /**
+   * Check a config against the schema, throwing with the path of every
+   * bad value
+   */
+  static validateConfig(config) {
+    ConfigSchema.assertValid(config);
     return true;
   }
 
-  static validateAndMigrate(config) {
-    // Migrate from older versions
+  /**
+   * Bring a config from an older version up to date and fill in defaults
+   */
+  static migrate(config) {
     if (config.version === "0.9.0") {
       config = this.migrateFromV09(config);
     }
 
-    // Ensure all required fields exist with defaults
-    const defaultConfig = this.getDefaultConfig();
-
-    return this.mergeWithDefaults(config, defaultConfig);
+    return this.mergeWithDefaults(config, this.getDefaultConfig());
   }
 
   static migrateFromV09(config) {
@@ -187,6 +388,10 @@ class ConfigManager {
           },
         },
       },
+      rules: {},
+      hooks: {
+        preCommit: this.getDefaultHookConfig(),
+      },
       files: {
         include: [
           "**/*.{ts,tsx,js,jsx}",
@@ -220,6 +425,7 @@ class ConfigManager {
         maxFileSize: 10485760,
         maxFiles: 1000,
         parallelProcessing: true,
+        cache: ResultCache.getDefaultCacheConfig(),
       },
       advanced: {
         enableExperimentalFeatures: false,
@@ -233,6 +439,38 @@ class ConfigManager {
     };
   }
 
+  static getDefaultHookConfig() {
+    return {
+      mode: "analyze",
+      failOn: "high",
+      layers: null,
+    };
+  }
+
+  static validateHookConfig(hook) {
+    ConfigSchema.assertValid({ hooks: { preCommit: hook } });
+  }
+
+  /**
+   * Pre-commit hook settings; layers default to the enabled layers
+   */
+  static getHookConfig(config = this.getConfig()) {
+    const hook = {
+      ...this.getDefaultHookConfig(),
+      ...config.hooks?.preCommit,
+    };
+
+    return { ...hook, layers: hook.layers || config.layers.enabled };
+  }
+
+  static updateHookConfig(changes) {
+    const config = this.getConfig();
+
+    this.updateConfig({
+      hooks: { preCommit: { ...config.hooks?.preCommit, ...changes } },
+    });
+  }
+
   static createConfig(options = {}) {
     const config = this.getDefaultConfig();
 
@@ -252,8 +490,8 @@ class ConfigManager {
     return config;
   }
 
-  static isInitialized() {
-    return fs.existsSync(this.getConfigPath());
+  static isInitialized(cwd = process.cwd()) {
+    return this.findConfigFiles(cwd).length > 0;
   }
 
   static getLayerConfig(layerNumber) {
@@ -278,7 +516,7 @@ class ConfigManager {
       config.layers.config[layerNumber.toString()].enabled = true;
     }
 
-    this.saveConfig(config);
+    this.updateConfig({ layers: config.layers });
   }
 
   static disableLayer(layerNumber) {
@@ -292,7 +530,40 @@ class ConfigManager {
       config.layers.config[layerNumber.toString()].enabled = false;
     }
 
-    this.saveConfig(config);
+    this.updateConfig({ layers: config.layers });
+  }
+
+  static getRuleSetting(ruleId) {
+    return RuleRegistry.getRuleSetting(ruleId, this.getConfig());
+  }
+
+  static isRuleEnabled(ruleId) {
+    return this.getRuleSetting(ruleId).enabled;
+  }
+
+  static enableRule(ruleId) {
+    this.updateRule(ruleId, { enabled: true });
+  }
+
+  static disableRule(ruleId) {
+    this.updateRule(ruleId, { enabled: false });
+  }
+
+  static setRuleSeverity(ruleId, severity) {
+    this.updateRule(ruleId, { enabled: true, severity });
+  }
+
+  static updateRule(ruleId, changes) {
+    if (!RuleRegistry.getRule(ruleId)) {
+      throw new Error(`Unknown rule: ${ruleId}`);
+    }
+
+    const config = this.getConfig();
+    const next = { ...RuleRegistry.getRuleSetting(ruleId, config), ...changes };
+
+    this.updateConfig({
+      rules: { [ruleId]: next.enabled ? next.severity : "off" },
+    });
   }
 }
 
@@ -0,0 +1,54 @@
+/**
+ * Built-in configurations that a config can name in "extends"
+ * Presets are partial configs; they may extend each other by name.
+ */
+class ConfigPresets {
+  static PRESETS = {
+    recommended: {
+      layers: {
+        enabled: [1, 2, 3, 4],
+      },
+      hooks: {
+        preCommit: { mode: "analyze", failOn: "high", layers: null },
+      },
+    },
+    "nextjs-app-router": {
+      extends: "recommended",
+      layers: {
+        enabled: [1, 2, 3, 4, 5],
+      },
+    },
+    strict: {
+      layers: {
+        enabled: [1, 2, 3, 4, 5, 6],
+      },
+      rules: {
+        "L2/console-log": "high",
+        "L2/var-declarations": "high",
+        "L3/missing-key": "critical",
+      },
+      hooks: {
+        preCommit: { mode: "analyze", failOn: "medium", layers: null },
+      },
+    },
+  };
+
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(this.PRESETS, name);
+  }
+
+  /**
+   * A copy of a preset, safe for the caller to modify
+   */
+  static get(name) {
+    return this.has(name)
+      ? JSON.parse(JSON.stringify(this.PRESETS[name]))
+      : null;
+  }
+
+  static list() {
+    return Object.keys(this.PRESETS);
+  }
+}
+
+export { ConfigPresets };
@@ -0,0 +1,369 @@
+import { RuleRegistry } from "../layers/RuleRegistry.js";
+
+const TYPE_NAMES = {
+  object: "an object",
+  array: "an array",
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "a boolean",
+  null: "null",
+};
+
+/**
+ * JSON Schema for NeuroLint config files, and a validator for the subset of
+ * the draft-07 keywords it uses
+ *
+ * The published copy in schema/neurolint.schema.json is generated from
+ * getSchema() by `npm run build:schema`, so rule IDs stay in sync with
+ * RuleRegistry. Errors name the JSON path of the bad value, e.g.
+ * "layers.config.3.timeout must be a number".
+ */
+class ConfigSchema {
+  static getSchema() {
+    const layerId = { type: "integer", enum: [1, 2, 3, 4, 5, 6] };
+    const stringList = { type: "array", items: { type: "string" } };
+    const positiveInteger = { type: "integer", minimum: 1 };
+
+    return {
+      $schema: "http://json-schema.org/draft-07/schema#",
+      title: "NeuroLint configuration",
+      type: "object",
+      additionalProperties: false,
+      definitions: {
+        severity: {
+          type: "string",
+          enum: RuleRegistry.SEVERITIES,
+        },
+        ruleSetting: {
+          anyOf: [
+            { type: "string", enum: ["off", "on"] },
+            { $ref: "#/definitions/severity" },
+            { type: "boolean" },
+            {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                enabled: { type: "boolean" },
+                severity: { $ref: "#/definitions/severity" },
+              },
+            },
+          ],
+        },
+      },
+      properties: {
+        $schema: { type: "string" },
+        version: { type: "string", description: "Config format version" },
+        root: {
+          type: "boolean",
+          description: "Stop looking for config files in parent directories",
+        },
+        extends: {
+          description:
+            "Built-in presets, relative paths or npm packages to build on",
+          anyOf: [{ type: "string" }, stringList],
+        },
+        layers: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            enabled: {
+              type: "array",
+              items: layerId,
+              description: "Layers analyze and fix run by default",
+            },
+            config: {
+              type: "object",
+              additionalProperties: false,
+              patternProperties: {
+                "^[1-6]$": {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: {
+                    name: { type: "string" },
+                    description: { type: "string" },
+                    timeout: { type: "number", minimum: 0 },
+                    enabled: { type: "boolean" },
+                  },
+                },
+              },
+            },
+          },
+        },
+        rules: {
+          type: "object",
+          description: 'Per-rule settings: "off", "on" or a severity',
+          additionalProperties: false,
+          properties: Object.fromEntries(
+            RuleRegistry.getRules().map((rule) => [
+              rule.id,
+              {
+                $ref: "#/definitions/ruleSetting",
+                description: rule.description,
+              },
+            ]),
+          ),
+        },
+        hooks: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            preCommit: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                mode: { type: "string", enum: ["analyze", "fix"] },
+                failOn: {
+                  anyOf: [{ $ref: "#/definitions/severity" }, { type: "null" }],
+                },
+                layers: {
+                  anyOf: [{ type: "array", items: layerId }, { type: "null" }],
+                },
+              },
+            },
+          },
+        },
+        files: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            include: stringList,
+            exclude: stringList,
+          },
+        },
+        output: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            format: { type: "string" },
+            verbose: { type: "boolean" },
+            showSuccessfulLayers: { type: "boolean" },
+          },
+        },
+        api: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            url: { type: "string", format: "uri" },
+            timeout: { type: "number", minimum: 0 },
+            retries: { type: "integer", minimum: 0 },
+          },
+        },
+        performance: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            maxFileSize: positiveInteger,
+            maxFiles: positiveInteger,
+            parallelProcessing: { type: "boolean" },
+            cache: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                enabled: { type: "boolean" },
+                dir: { type: "string" },
+                maxEntries: positiveInteger,
+                maxSize: positiveInteger,
+              },
+            },
+          },
+        },
+        plugins: {
+          ...stringList,
+          description: "Plugin packages or paths loaded with --plugins",
+        },
+        advanced: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            enableExperimentalFeatures: { type: "boolean" },
+            customRulesPath: { type: ["string", "null"] },
+            integrations: {
+              type: "object",
+              additionalProperties: { type: "boolean" },
+            },
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Every place a config breaks the schema, as { path, message }
+   */
+  static validate(config, schema = this.getSchema()) {
+    const errors = [];
+    this.check(config, schema, "", schema, errors);
+    return errors;
+  }
+
+  /**
+   * Throw one error listing every problem, prefixed with where the config
+   * came from
+   */
+  static assertValid(config, source = "configuration") {
+    const errors = this.validate(config);
+    if (errors.length === 0) return;
+
+    const details = errors.map((error) => `${error.path} ${error.message}`);
+    throw new Error(
+      errors.length === 1
+        ? `Invalid ${source}: ${details[0]}`
+        : `Invalid ${source}:\n${details.map((d) => `  - ${d}`).join("\n")}`,
+    );
+  }
+
+  static check(value, schema, at, root, errors) {
+    if (schema.$ref) {
+      const target = this.resolveRef(root, schema.$ref);
+      return this.check(value, target, at, root, errors);
+    }
+
+    const fail = (message) => errors.push({ path: at || "config", message });
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(
+        (option) => this.validateAt(value, option, at, root).length === 0,
+      );
+      if (!matches) {
+        fail(`must be ${this.describe(schema, root)}`);
+      }
+      return;
+    }
+
+    if (schema.type && !this.isType(value, schema.type)) {
+      fail(`must be ${this.describe(schema, root)}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be ${this.describe(schema, root)}`);
+      return;
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+
+    if (schema.format === "uri" && !this.isUrl(value)) {
+      fail("must be a valid URL");
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        this.check(item, schema.items, `${at}[${index}]`, root, errors);
+      });
+    }
+
+    if (this.isType(value, "object")) {
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = at ? `${at}.${key}` : key;
+        const childSchema = this.getPropertySchema(schema, key);
+
+        if (childSchema === false) {
+          errors.push({ path: childPath, message: "is not a known setting" });
+        } else if (childSchema) {
+          this.check(child, childSchema, childPath, root, errors);
+        }
+      });
+    }
+  }
+
+  static validateAt(value, schema, at, root) {
+    const errors = [];
+    this.check(value, schema, at, root, errors);
+    return errors;
+  }
+
+  /**
+   * The schema for one key of an object, false when the key is not allowed,
+   * or null when anything goes
+   */
+  static getPropertySchema(schema, key) {
+    if (schema.properties?.[key]) {
+      return schema.properties[key];
+    }
+
+    const pattern = Object.keys(schema.patternProperties || {}).find((p) =>
+      new RegExp(p).test(key),
+    );
+    if (pattern) {
+      return schema.patternProperties[pattern];
+    }
+
+    if (schema.additionalProperties === false) return false;
+    return typeof schema.additionalProperties === "object"
+      ? schema.additionalProperties
+      : null;
+  }
+
+  static resolve(root, schema) {
+    return schema.$ref ? this.resolveRef(root, schema.$ref) : schema;
+  }
+
+  static resolveRef(root, ref) {
+    return ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((schema, key) => schema[key], root);
+  }
+
+  /**
+   * Plain-English form of what a schema accepts, for error messages
+   */
+  static describe(schema, root) {
+    if (schema.enum) {
+      return `one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`;
+    }
+    if (schema.anyOf) {
+      // Options listing values read as one list: one of: "off", "on", ...
+      const options = schema.anyOf.map((option) => this.resolve(root, option));
+      const values = options.flatMap((option) => option.enum || []);
+      return [
+        ...(values.length > 0 ? [this.describe({ enum: values }, root)] : []),
+        ...options
+          .filter((option) => !option.enum)
+          .map((option) => this.describe(option, root)),
+      ].join(" or ");
+    }
+    if (schema.type === "array" && schema.items) {
+      const items = this.resolve(root, schema.items);
+      return items.type ? `an array of ${items.type}s` : "an array";
+    }
+    return [].concat(schema.type).map((type) => TYPE_NAMES[type]).join(" or ");
+  }
+
+  static isType(value, type) {
+    if (Array.isArray(type)) {
+      return type.some((t) => this.isType(value, t));
+    }
+
+    switch (type) {
+      case "object":
+        return (
+          typeof value === "object" && value !== null && !Array.isArray(value)
+        );
+      case "array":
+        return Array.isArray(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "null":
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  static isUrl(value) {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export { ConfigSchema };
@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+import { glob } from "glob";
+import { Minimatch } from "minimatch";
+
+/**
+ * Watches the files matching the config include globs under a directory
+ * and reports batches of changed files
+ *
+ * Uses one fs.watch per directory, since recursive watching is not
+ * available on Linux before Node 19.
+ */
+class FileWatcher {
+  static DEBOUNCE_MS = 150;
+
+  constructor(root, { include, exclude }, onChange) {
+    this.root = path.resolve(root);
+    this.include = include;
+    this.exclude = exclude;
+    this.onChange = onChange;
+    this.includeMatchers = include.map((pattern) => new Minimatch(pattern));
+    this.excludeMatchers = exclude.map((pattern) => new Minimatch(pattern));
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = Promise.resolve();
+  }
+
+  /**
+   * Start watching; resolves with the files currently matched
+   */
+  async start() {
+    this.watchDirectories();
+    return this.matchFiles();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers.clear();
+  }
+
+  async matchFiles() {
+    const files = await glob(this.include, {
+      cwd: this.root,
+      ignore: this.exclude,
+      absolute: true,
+      nodir: true,
+    });
+    return new Set(files);
+  }
+
+  /**
+   * Whether a path matches the include globs and none of the exclude ones,
+   * as the initial glob would have found it
+   */
+  matches(filePath) {
+    const relative = path
+      .relative(this.root, filePath)
+      .split(path.sep)
+      .join("/");
+
+    return (
+      this.includeMatchers.some((matcher) => matcher.match(relative)) &&
+      !this.excludeMatchers.some((matcher) => matcher.match(relative))
+    );
+  }
+
+  isExcluded(relative) {
+    return relative
+      .split(path.sep)
+      .some((part) => part === "node_modules" || part.startsWith("."));
+  }
+
+  watchDirectories(dir = this.root) {
+    const relative = path.relative(this.root, dir);
+
+    if (this.watchers.has(dir) || (relative && this.isExcluded(relative))) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(dir, (event, filename) => {
+        if (filename) this.queue(path.join(dir, filename.toString()));
+      });
+      watcher.on("error", () => {
+        watcher.close();
+        this.watchers.delete(dir);
+      });
+      this.watchers.set(dir, watcher);
+
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .forEach((entry) =>
+          this.watchDirectories(path.join(dir, entry.name)),
+        );
+    } catch (error) {
+      // The directory disappeared while walking it
+    }
+  }
+
+  queue(filePath) {
+    this.pending.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), FileWatcher.DEBOUNCE_MS);
+  }
+
+  /**
+   * Report queued paths that still exist and match the include globs
+   * Batches run one at a time so results print in order
+   */
+  flush() {
+    const changed = [...this.pending];
+    this.pending.clear();
+
+    this.running = this.running.then(async () => {
+      const files = changed.filter((filePath) => {
+        const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+
+        if (stat?.isDirectory()) {
+          this.watchDirectories(filePath);
+        }
+        return stat?.isFile() && this.matches(filePath);
+      });
+
+      if (files.length > 0) {
+        try {
+          await this.onChange(files);
+        } catch (error) {
+          console.error(error.message);
+        }
+      }
+    });
+  }
+}
+
+export { FileWatcher };
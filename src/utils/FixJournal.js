@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Journal of fix runs under .neurolint/history, one JSON file per run,
+ * holding each file's original content so a run can be undone
+ */
+class FixJournal {
+  static getHistoryDir() {
+    return path.join(process.cwd(), ".neurolint", "history");
+  }
+
+  static hash(content) {
+    return content === null
+      ? null
+      : crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  static createRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, "");
+    return `${timestamp}-${crypto.randomBytes(2).toString("hex")}`;
+  }
+
+  /**
+   * Record a run's writes before they happen
+   * `writes` is a list of { file, before, after }; `before` is null for
+   * files the run creates. Returns the stored run, or null if nothing changed.
+   */
+  static record(writes, details = {}) {
+    const files = writes
+      .filter((write) => write.before !== write.after)
+      .map((write) => ({
+        file: path.relative(process.cwd(), path.resolve(write.file)),
+        before: write.before,
+        beforeHash: this.hash(write.before),
+        afterHash: this.hash(write.after),
+      }));
+
+    if (files.length === 0) return null;
+
+    const run = {
+      id: this.createRunId(),
+      timestamp: new Date().toISOString(),
+      ...details,
+      files,
+    };
+
+    fs.mkdirSync(this.getHistoryDir(), { recursive: true });
+    this.save(run);
+    return run;
+  }
+
+  static save(run) {
+    fs.writeFileSync(
+      path.join(this.getHistoryDir(), `${run.id}.json`),
+      JSON.stringify(run, null, 2),
+    );
+  }
+
+  /**
+   * All recorded runs, newest first
+   */
+  static list() {
+    const dir = this.getHistoryDir();
+
+    if (!fs.existsSync(dir)) return [];
+
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")));
+  }
+
+  /**
+   * Find a run by ID (or unique ID prefix), defaulting to the latest run
+   * that has not been undone
+   */
+  static getRun(runId) {
+    const runs = this.list();
+
+    if (!runId) {
+      const run = runs.find((candidate) => !candidate.undoneAt);
+      if (!run) throw new Error("No fix runs to undo");
+      return run;
+    }
+
+    const matches = runs.filter((run) => run.id.startsWith(runId));
+    if (matches.length === 0) throw new Error(`Fix run not found: ${runId}`);
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous fix run ID: ${runId}`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Files whose current content no longer matches what the run wrote
+   */
+  static findConflicts(run) {
+    return run.files.filter((entry) => {
+      const filePath = path.resolve(entry.file);
+      const current = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, "utf8")
+        : null;
+      return this.hash(current) !== entry.afterHash;
+    });
+  }
+
+  /**
+   * Restore every file from a run, deleting the files it created
+   * Refuses when files changed after the run unless `force` is set
+   */
+  static undo(run, { force = false } = {}) {
+    if (run.undoneAt && !force) {
+      throw new Error(`Fix run ${run.id} was already undone`);
+    }
+
+    const conflicts = this.findConflicts(run);
+
+    if (conflicts.length > 0 && !force) {
+      const error = new Error(
+        `Files changed after fix run ${run.id}: ${conflicts
+          .map((entry) => entry.file)
+          .join(", ")}. Use --force to undo anyway.`,
+      );
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    run.files.forEach((entry) => {
+      const filePath = path.resolve(entry.file);
+
+      if (entry.before === null) {
+        fs.rmSync(filePath, { force: true });
+        this.removeEmptyDirs(path.dirname(filePath));
+      } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, entry.before);
+      }
+    });
+
+    run.undoneAt = new Date().toISOString();
+    this.save(run);
+
+    return { run, conflicts };
+  }
+
+  /**
+   * Remove directories a run created once they are empty again
+   */
+  static removeEmptyDirs(dir) {
+    const root = process.cwd();
+
+    while (dir.startsWith(root + path.sep) && fs.existsSync(dir)) {
+      if (fs.readdirSync(dir).length > 0) return;
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+export { FixJournal };
@@ -0,0 +1,107 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Scratch copy of the files a fix touches, so layer scripts can run against
+ * it and their edits can be reviewed as diffs before anything is written
+ *
+ * `read` supplies the content to copy for a path relative to the root,
+ * e.g. its staged version; files it returns null for are copied from disk.
+ */
+class FixWorkspace {
+  // Project files layer 1 edits alongside the target files
+  static PROJECT_FILES = ["tsconfig.json", "next.config.js", "package.json"];
+
+  constructor(files, root = process.cwd(), read = null) {
+    this.root = root;
+    this.read = read;
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-"));
+    this.files = [];
+    this.skipped = [];
+    this.originals = new Map();
+
+    files.forEach((file) => {
+      const relative = path.relative(root, path.resolve(root, file));
+
+      if (relative.startsWith("..") || path.isAbsolute(relative)) {
+        this.skipped.push(file);
+        return;
+      }
+
+      this.copy(relative);
+      this.files.push(relative);
+    });
+
+    FixWorkspace.PROJECT_FILES.forEach((file) => {
+      if (!this.originals.has(file) && fs.existsSync(path.join(root, file))) {
+        this.copy(file);
+      }
+    });
+  }
+
+  /**
+   * Paths of some of the target files inside the scratch copy, leaving out
+   * those skipped as outside the project
+   */
+  getFiles(files) {
+    return files
+      .map((file) => path.relative(this.root, path.resolve(this.root, file)))
+      .filter((relative) => this.files.includes(relative));
+  }
+
+  copy(relative) {
+    const target = path.join(this.dir, relative);
+    const content = this.read?.(relative) ?? null;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (content === null) {
+      fs.copyFileSync(path.join(this.root, relative), target);
+    } else {
+      fs.writeFileSync(target, content);
+    }
+    this.originals.set(relative, fs.readFileSync(target, "utf8"));
+  }
+
+  /**
+   * Every file the scripts changed or created, relative to the project root
+   * `before` is null for files that do not exist in the project yet
+   */
+  collectChanges() {
+    const changes = [];
+
+    this.walk(this.dir).forEach((relative) => {
+      const after = fs.readFileSync(path.join(this.dir, relative), "utf8");
+
+      if (this.originals.has(relative)) {
+        const before = this.originals.get(relative);
+        if (before !== after) {
+          changes.push({ file: relative, before, after });
+        }
+        return;
+      }
+
+      // Scaffolding the project already has would not be created by a real run
+      if (!fs.existsSync(path.join(this.root, relative))) {
+        changes.push({ file: relative, before: null, after });
+      }
+    });
+
+    return changes.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  walk(dir, prefix = "") {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const relative = path.join(prefix, entry.name);
+      return entry.isDirectory()
+        ? this.walk(path.join(dir, entry.name), relative)
+        : [relative];
+    });
+  }
+
+  dispose() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
+export { FixWorkspace };
@@ -0,0 +1,236 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+
+/**
+ * Git queries behind --staged, --changed and --since, which restrict a run
+ * to the files (and optionally lines) touched in the working tree
+ */
+class GitFiles {
+  static isIncremental(options) {
+    return Boolean(options.staged || options.changed || options.since);
+  }
+
+  static git(args, cwd = process.cwd(), input = undefined) {
+    try {
+      return execFileSync("git", args, {
+        cwd,
+        input,
+        encoding: "utf8",
+        stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+        maxBuffer: 64 * 1024 * 1024,
+      });
+    } catch (error) {
+      const message = error.stderr?.toString().trim() || error.message;
+      throw new Error(`git ${args[0]} failed: ${message}`);
+    }
+  }
+
+  static getRoot() {
+    return this.git(["rev-parse", "--show-toplevel"]).trim();
+  }
+
+  static hasHead() {
+    try {
+      this.git(["rev-parse", "--verify", "--quiet", "HEAD"]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The `git diff` arguments comparing against the base each option implies
+   * --staged compares the index with HEAD; --changed and --since compare the
+   * working tree with HEAD or the given ref
+   */
+  static getDiffBases(options) {
+    const bases = [];
+    const head = this.hasHead();
+
+    if (options.staged) {
+      bases.push(["--cached"]);
+    }
+    if (options.changed) {
+      // Before the first commit everything staged or modified counts
+      bases.push(head ? ["HEAD"] : ["--cached"]);
+      if (!head) bases.push([]);
+    }
+    if (options.since) {
+      // A ref starting with "-" must not be read as an option
+      bases.push(["--end-of-options", options.since]);
+    }
+
+    return bases;
+  }
+
+  /**
+   * Absolute paths of the files selected by --staged, --changed and --since
+   */
+  static getChangedFiles(options) {
+    const root = this.getRoot();
+    const files = new Set();
+    const add = (output) =>
+      output
+        .split("\n")
+        .filter(Boolean)
+        .forEach((file) => files.add(path.resolve(root, file)));
+
+    this.getDiffBases(options).forEach((base) => {
+      add(
+        this.git(
+          ["diff", "--name-only", "--diff-filter=ACMR", ...base, "--"],
+          root,
+        ),
+      );
+    });
+
+    // Untracked files are new in the working tree
+    if (options.changed || options.since) {
+      add(this.git(["ls-files", "--others", "--exclude-standard"], root));
+    }
+
+    return files;
+  }
+
+  /**
+   * Changed line numbers (1-based) per absolute file path
+   * Untracked files are missing from the map; treat every line as changed
+   */
+  static getChangedLines(options) {
+    const root = this.getRoot();
+    const lines = new Map();
+
+    this.getDiffBases(options).forEach((base) => {
+      const output = this.git(
+        ["diff", "--unified=0", "--no-color", "--diff-filter=ACMR", ...base],
+        root,
+      );
+      let current = null;
+
+      output.split("\n").forEach((line) => {
+        const file = line.match(/^\+\+\+ b\/(.+)$/);
+        if (file) {
+          current = path.resolve(root, file[1]);
+          if (!lines.has(current)) lines.set(current, new Set());
+          return;
+        }
+
+        const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (hunk && current) {
+          const start = parseInt(hunk[1]);
+          const count = hunk[2] === undefined ? 1 : parseInt(hunk[2]);
+          for (let i = start; i < start + count; i++) {
+            lines.get(current).add(i);
+          }
+        }
+      });
+    });
+
+    return lines;
+  }
+
+  // A path git resolves against the current directory, even from a subdirectory
+  static toPathspec(file) {
+    const relative = path.relative(process.cwd(), path.resolve(file));
+    return `./${relative.split(path.sep).join("/")}`;
+  }
+
+  /**
+   * A file's content in the index, or null when the index has no such file
+   */
+  static readStaged(file) {
+    try {
+      return this.git(["show", `:${this.toPathspec(file)}`]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The staged content of each file, for --staged runs, which check what
+   * is about to be committed rather than the working tree
+   */
+  static readStagedFiles(files) {
+    return new Map(files.map((file) => [file, this.readStaged(file)]));
+  }
+
+  /**
+   * Replace a file's content in the index, leaving the working tree alone
+   */
+  static stageContent(file, content) {
+    const root = this.getRoot();
+    const relative = path
+      .relative(root, path.resolve(file))
+      .split(path.sep)
+      .join("/");
+    // New files get a regular file's mode
+    const staged = this.git(["ls-files", "--stage", "--", relative], root);
+    const mode = staged.split(" ")[0] || "100644";
+    const hash = this.git(
+      ["hash-object", "-w", "--stdin", "--path", relative],
+      root,
+      content,
+    ).trim();
+
+    this.git(
+      [
+        "update-index",
+        "--add",
+        "--cacheinfo",
+        `${mode},${hash},${relative}`,
+      ],
+      root,
+    );
+  }
+
+  /**
+   * Apply the change from base to other to content that has diverged from
+   * base, the way `git merge-file` does; null when the two conflict
+   */
+  static mergeContent(content, base, other) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-merge-"));
+
+    try {
+      const files = Object.entries({ content, base, other }).map(
+        ([name, text]) => {
+          const file = path.join(dir, name);
+          fs.writeFileSync(file, text);
+          return file;
+        },
+      );
+      return this.git(["merge-file", "-p", ...files]);
+    } catch (error) {
+      return null;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Keep only files selected by --staged, --changed or --since
+   */
+  static filterFiles(files, options) {
+    if (!this.isIncremental(options)) return files;
+
+    const changed = this.getChangedFiles(options);
+    return files.filter((file) => changed.has(path.resolve(file)));
+  }
+
+  /**
+   * Keep only issues on changed lines; issues without a line are kept
+   * `changedLines` comes from getChangedLines
+   */
+  static filterIssuesToChangedLines(issues, changedLines) {
+    return issues.filter((issue) => {
+      if (!issue.line) return true;
+
+      const lines = changedLines.get(path.resolve(issue.file));
+      // Files with no diff against the base are new, so every line counts
+      return !lines || lines.has(issue.line);
+    });
+  }
+}
+
+export { GitFiles };
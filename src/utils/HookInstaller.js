@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import { GitFiles } from "./GitFiles.js";
+
+/**
+ * Installs the NeuroLint pre-commit hook, cooperating with husky and
+ * lefthook when a project already uses one of them
+ */
+class HookInstaller {
+  static HOOK_COMMAND = "npx --no-install neurolint hooks run";
+  static LEFTHOOK_FILES = [
+    "lefthook.yml",
+    "lefthook.yaml",
+    ".lefthook.yml",
+    ".lefthook.yaml",
+  ];
+
+  static getLefthookBlock() {
+    return [
+      "pre-commit:",
+      "  commands:",
+      "    neurolint:",
+      `      run: ${this.HOOK_COMMAND}`,
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Work out which hook manager owns the pre-commit hook
+   */
+  static detect(root = process.cwd()) {
+    if (fs.existsSync(path.join(root, ".husky"))) {
+      return {
+        manager: "husky",
+        path: path.join(root, ".husky", "pre-commit"),
+      };
+    }
+
+    const lefthookFile = this.LEFTHOOK_FILES.find((file) =>
+      fs.existsSync(path.join(root, file)),
+    );
+    if (lefthookFile) {
+      return { manager: "lefthook", path: path.join(root, lefthookFile) };
+    }
+
+    // Respects core.hooksPath
+    const hooksDir = path.resolve(
+      root,
+      GitFiles.git(["rev-parse", "--git-path", "hooks"]).trim(),
+    );
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+      throw new Error(
+        `Git hooks path ${hooksDir} is not a directory; check core.hooksPath`,
+      );
+    }
+
+    return {
+      manager: "git",
+      path: path.join(hooksDir, "pre-commit"),
+    };
+  }
+
+  static isInstalled(content) {
+    return content.includes("neurolint hooks run");
+  }
+
+  /**
+   * Install the hook; existing plain git hooks are only replaced with force
+   */
+  static install({ force = false } = {}) {
+    const target = this.detect();
+    const existing = fs.existsSync(target.path)
+      ? fs.readFileSync(target.path, "utf8")
+      : null;
+
+    if (existing !== null && this.isInstalled(existing)) {
+      return { ...target, status: "already-installed" };
+    }
+
+    if (target.manager === "husky") {
+      const content =
+        existing === null
+          ? `#!/usr/bin/env sh\n${this.HOOK_COMMAND}\n`
+          : `${existing.replace(/\n*$/, "\n")}${this.HOOK_COMMAND}\n`;
+      fs.writeFileSync(target.path, content, { mode: 0o755 });
+      return { ...target, status: "installed" };
+    }
+
+    if (target.manager === "lefthook") {
+      // Without a YAML parser, an existing pre-commit section is left alone
+      if (/^pre-commit:/m.test(existing)) {
+        return {
+          ...target,
+          status: "manual",
+          snippet: `    neurolint:\n      run: ${this.HOOK_COMMAND}`,
+        };
+      }
+
+      fs.writeFileSync(
+        target.path,
+        `${existing.replace(/\n*$/, "\n")}\n${this.getLefthookBlock()}`,
+      );
+      return { ...target, status: "installed" };
+    }
+
+    if (existing !== null) {
+      if (!force) {
+        throw new Error(
+          `A pre-commit hook already exists at ${target.path}. Use --force to replace it; the existing hook is kept as pre-commit.neurolint-backup.`,
+        );
+      }
+      fs.renameSync(target.path, `${target.path}.neurolint-backup`);
+    }
+
+    fs.mkdirSync(path.dirname(target.path), { recursive: true });
+    fs.writeFileSync(
+      target.path,
+      `#!/bin/sh\n# Installed by neurolint hooks install\n${this.HOOK_COMMAND}\n`,
+      { mode: 0o755 },
+    );
+    return { ...target, status: "installed" };
+  }
+
+  /**
+   * Remove the hook, restoring a plain git hook it replaced
+   */
+  static uninstall() {
+    const target = this.detect();
+    const existing = fs.existsSync(target.path)
+      ? fs.readFileSync(target.path, "utf8")
+      : null;
+
+    if (existing === null || !this.isInstalled(existing)) {
+      return { ...target, status: "not-installed" };
+    }
+
+    if (target.manager === "husky") {
+      const remaining = existing
+        .split("\n")
+        .filter((line) => !this.isInstalled(line))
+        .join("\n");
+
+      if (remaining.replace(/^#!.*$/m, "").trim() === "") {
+        fs.rmSync(target.path);
+      } else {
+        fs.writeFileSync(target.path, remaining);
+      }
+      return { ...target, status: "removed" };
+    }
+
+    if (target.manager === "lefthook") {
+      const block = this.getLefthookBlock();
+      if (!existing.includes(block)) {
+        return { ...target, status: "manual" };
+      }
+
+      fs.writeFileSync(
+        target.path,
+        existing.replace(`\n${block}`, "").replace(block, ""),
+      );
+      return { ...target, status: "removed" };
+    }
+
+    fs.rmSync(target.path);
+    const backup = `${target.path}.neurolint-backup`;
+    if (fs.existsSync(backup)) {
+      fs.renameSync(backup, target.path);
+    }
+    return { ...target, status: "removed" };
+  }
+}
+
+export { HookInstaller };
@@ -0,0 +1,289 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { spawnSync } from "child_process";
+import chalk from "chalk";
+import { UnifiedDiff } from "./UnifiedDiff.js";
+
+const HELP = [
+  "y - apply this hunk",
+  "n - do not apply this hunk",
+  "a - apply this hunk and all later hunks in the file",
+  "d - do not apply this hunk or any later hunks in the file",
+  "e - manually edit this hunk",
+  "q - quit; do not apply this hunk or any remaining ones",
+  "? - print help",
+];
+
+const EDIT_GUIDE = [
+  "# ---",
+  "# To remove '-' lines, make them ' ' lines (context).",
+  "# To remove '+' lines, delete them.",
+  "# Lines starting with # will be removed.",
+  "# If the edited hunk no longer matches the original lines, it is rejected.",
+];
+
+/**
+ * Walk through proposed fixes hunk by hunk, the way `git add -p` does
+ */
+class HunkReview {
+  /**
+   * Color a patch or hunk for the terminal
+   */
+  static colorize(text) {
+    return text
+      .split("\n")
+      .map((line) => {
+        if (line.startsWith("diff --git") || /^(---|\+\+\+) /.test(line)) {
+          return chalk.bold(line);
+        }
+        if (line.startsWith("@@")) return chalk.cyan(line);
+        if (line.startsWith("+")) return chalk.green(line);
+        if (line.startsWith("-")) return chalk.red(line);
+        return line;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Review every hunk of every change
+   * Returns the content to write for each file plus hunk counts
+   */
+  static async review(changes, output = process.stdout) {
+    const prompt = this.createPrompt(output);
+    const contents = new Map();
+    let accepted = 0;
+    let skipped = 0;
+    let quit = false;
+
+    try {
+      for (const change of changes) {
+        const before = change.before || "";
+        const hunks = UnifiedDiff.createHunks(before, change.after);
+        const chosen = new Set();
+        const replacements = new Map();
+        let rest = null;
+
+        if (!quit) {
+          output.write(
+            `${chalk.bold(
+              change.before === null
+                ? `new file ${change.file}`
+                : `diff ${change.file}`,
+            )}\n`,
+          );
+        }
+
+        for (let index = 0; index < hunks.length; index++) {
+          const hunk = hunks[index];
+          let answer = quit ? "n" : rest;
+
+          while (!answer) {
+            output.write(`${this.colorize(UnifiedDiff.formatHunk(hunk))}\n`);
+            const reply = (
+              await prompt.ask(
+                chalk.blue(
+                  `(${index + 1}/${hunks.length}) Apply this hunk to ${change.file} [y,n,a,d,e,q,?]? `,
+                ),
+              )
+            )
+              .trim()
+              .toLowerCase();
+
+            if (reply === "y" || reply === "n") {
+              answer = reply;
+            } else if (reply === "a" || reply === "d") {
+              rest = reply === "a" ? "y" : "n";
+              answer = rest;
+            } else if (reply === "q") {
+              quit = true;
+              answer = "n";
+            } else if (reply === "e") {
+              prompt.pause();
+              const replacement = this.editHunk(hunk);
+              prompt.resume();
+
+              if (replacement === null) {
+                output.write(
+                  chalk.yellow(
+                    "Your edited hunk does not match the original lines.\n",
+                  ),
+                );
+              } else {
+                replacements.set(index, replacement);
+                answer = "y";
+              }
+            } else {
+              output.write(`${chalk.gray(HELP.join("\n"))}\n`);
+            }
+          }
+
+          if (answer === "y") {
+            chosen.add(index);
+            accepted++;
+          } else {
+            skipped++;
+          }
+        }
+
+        const content = UnifiedDiff.applyHunks(
+          before,
+          hunks,
+          chosen,
+          replacements,
+        );
+
+        if (
+          chosen.size > 0 &&
+          (change.before === null || content !== change.before)
+        ) {
+          contents.set(change.file, content);
+        }
+      }
+    } finally {
+      prompt.close();
+    }
+
+    return { contents, accepted, skipped };
+  }
+
+  /**
+   * Line-by-line prompt that survives piped input and pauses for an editor
+   * End of input is treated as "q"
+   */
+  static createPrompt(output) {
+    let rl = null;
+    const buffered = [];
+    const waiting = [];
+
+    const open = () => {
+      rl = readline.createInterface({ input: process.stdin, output });
+      rl.on("line", (line) => {
+        if (waiting.length === 0) {
+          buffered.push(line);
+          return;
+        }
+        // Piped answers are not echoed by the terminal
+        if (!process.stdin.isTTY) output.write(`${line}\n`);
+        waiting.shift()(line);
+      });
+      rl.on("close", () => {
+        rl = null;
+        if (waiting.length > 0) output.write("\n");
+        waiting.splice(0).forEach((resolve) => resolve("q"));
+      });
+    };
+
+    open();
+
+    return {
+      ask(question) {
+        if (buffered.length > 0) {
+          output.write(`${question}${buffered[0]}\n`);
+          return Promise.resolve(buffered.shift());
+        }
+        if (!rl) return Promise.resolve("q");
+
+        output.write(question);
+        return new Promise((resolve) => waiting.push(resolve));
+      },
+      pause() {
+        // The editor needs the terminal to itself
+        if (rl) {
+          rl.removeAllListeners("close");
+          rl.close();
+          rl = null;
+        }
+      },
+      resume() {
+        open();
+      },
+      close() {
+        if (rl) rl.close();
+      },
+    };
+  }
+
+  /**
+   * Open a hunk in $EDITOR and return its new-side text, or null when the
+   * edited hunk no longer matches the original lines
+   */
+  static editHunk(hunk) {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-")),
+      "hunk.diff",
+    );
+    const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+
+    try {
+      fs.writeFileSync(
+        file,
+        [
+          "# Manual hunk edit mode - see bottom for a quick guide.",
+          UnifiedDiff.formatHunk(hunk),
+          ...EDIT_GUIDE,
+          "",
+        ].join("\n"),
+      );
+
+      const result = spawnSync(editor, [file], {
+        stdio: "inherit",
+        shell: true,
+      });
+      if (result.status !== 0) return null;
+
+      return this.parseEditedHunk(fs.readFileSync(file, "utf8"), hunk);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  }
+
+  static parseEditedHunk(text, hunk) {
+    const oldSide = [];
+    const newSide = [];
+    let previous = null;
+
+    const lines = text.split("\n");
+    if (lines[lines.length - 1] === "") lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith("#") || line.startsWith("@@")) continue;
+
+      if (line.startsWith("\\")) {
+        // "\ No newline at end of file" applies to the line before it
+        previous?.forEach((side) => {
+          side[side.length - 1] = side[side.length - 1].replace(/\n$/, "");
+        });
+        continue;
+      }
+
+      // Editors often strip the space from empty context lines
+      const type = line === "" ? " " : line[0];
+      const content = `${line.slice(1)}\n`;
+
+      if (type === " ") {
+        oldSide.push(content);
+        newSide.push(content);
+        previous = [oldSide, newSide];
+      } else if (type === "-") {
+        oldSide.push(content);
+        previous = [oldSide];
+      } else if (type === "+") {
+        newSide.push(content);
+        previous = [newSide];
+      } else {
+        return null;
+      }
+    }
+
+    const original = hunk.lines
+      .filter((line) => line.type !== "+")
+      .map((line) => line.text)
+      .join("");
+
+    return oldSide.join("") === original ? newSide.join("") : null;
+  }
+}
+
+export { HunkReview };
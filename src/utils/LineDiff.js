@@ -0,0 +1,174 @@
+/**
+ * Line-based diff using the Myers O(ND) algorithm
+ * Pure and dependency-free so it can run in the CLI and the browser
+ */
+class LineDiff {
+  // Beyond this many edits the changed region is treated as one hunk
+  static MAX_EDIT_DISTANCE = 4000;
+
+  static splitLines(text) {
+    return text === "" ? [] : text.split("\n");
+  }
+
+  /**
+   * Compute change hunks between two texts
+   * Each hunk covers [oldStart, oldEnd) in the old lines and
+   * [newStart, newEnd) in the new lines (0-based, half-open)
+   */
+  static diff(before, after) {
+    return this.diffLines(this.splitLines(before), this.splitLines(after));
+  }
+
+  /**
+   * Same as diff, for texts already split into lines
+   */
+  static diffLines(oldLines, newLines) {
+    // Trim the common prefix and suffix so Myers only sees the changed region
+    let prefix = 0;
+    while (
+      prefix < oldLines.length &&
+      prefix < newLines.length &&
+      oldLines[prefix] === newLines[prefix]
+    ) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < oldLines.length - prefix &&
+      suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] ===
+        newLines[newLines.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+    if (oldMiddle.length === 0 && newMiddle.length === 0) {
+      return { oldLines, newLines, hunks: [] };
+    }
+
+    const ops = this.myers(oldMiddle, newMiddle);
+    const hunks = ops
+      ? this.opsToHunks(ops, prefix)
+      : [
+          {
+            oldStart: prefix,
+            oldEnd: oldLines.length - suffix,
+            newStart: prefix,
+            newEnd: newLines.length - suffix,
+          },
+        ];
+
+    return { oldLines, newLines, hunks };
+  }
+
+  /**
+   * Myers shortest edit script; returns null when the distance is too large
+   */
+  static myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, this.MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          return this.backtrack(trace, a, b, offset);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static backtrack(trace, a, b, offset) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? k + 1
+          : k - 1;
+      const prevX = v[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: "equal", oldIndex: x - 1, newIndex: y - 1 });
+        x--;
+        y--;
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          ops.push({ type: "insert", oldIndex: x, newIndex: y - 1 });
+        } else {
+          ops.push({ type: "delete", oldIndex: x - 1, newIndex: y });
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return ops.reverse();
+  }
+
+  static opsToHunks(ops, base) {
+    const hunks = [];
+    let current = null;
+
+    for (const op of ops) {
+      if (op.type === "equal") {
+        current = null;
+        continue;
+      }
+
+      if (!current) {
+        current = {
+          oldStart: base + op.oldIndex,
+          oldEnd: base + op.oldIndex,
+          newStart: base + op.newIndex,
+          newEnd: base + op.newIndex,
+        };
+        hunks.push(current);
+      }
+
+      if (op.type === "delete") {
+        current.oldEnd = base + op.oldIndex + 1;
+      } else {
+        current.newEnd = base + op.newIndex + 1;
+      }
+    }
+
+    return hunks;
+  }
+}
+
+export { LineDiff };
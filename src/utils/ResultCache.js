@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { version: TOOL_VERSION } = require("../../package.json");
+
+/**
+ * Persistent result cache under .neurolint/cache, shared by the CLI and
+ * the orchestrators
+ *
+ * Entries are JSON files named by a SHA-256 key of the file content, the
+ * layer set, the rule config and the tool version. Reading an entry
+ * touches its mtime, which drives least-recently-used eviction once the
+ * entry count or total size passes the configured limits.
+ */
+class ResultCache {
+  static DEFAULT_MAX_ENTRIES = 5000;
+  static DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+  static STATS_FILE = "stats.json";
+
+  static getCacheDir() {
+    return path.join(process.cwd(), ".neurolint", "cache");
+  }
+
+  static getDefaultCacheConfig() {
+    return {
+      enabled: true,
+      maxEntries: this.DEFAULT_MAX_ENTRIES,
+      maxSize: this.DEFAULT_MAX_SIZE,
+    };
+  }
+
+  /**
+   * Cache settings live under performance.cache in .neurolint.json;
+   * --no-cache sets options.cache to false for a single run
+   */
+  static fromConfig(config = {}, options = {}) {
+    const settings = config.performance?.cache || {};
+    return new ResultCache({
+      ...settings,
+      enabled: settings.enabled !== false && options.cache !== false,
+    });
+  }
+
+  /**
+   * `scope` separates callers caching different kinds of results for the
+   * same content, and is part of the key
+   */
+  static createKey(content, { layers = [], rules = {}, scope = "" } = {}) {
+    const context = this.stableStringify({
+      version: TOOL_VERSION,
+      scope,
+      layers: [...layers].sort((a, b) => a - b),
+      rules: rules || {},
+    });
+
+    return crypto
+      .createHash("sha256")
+      .update(context)
+      .update("\0")
+      .update(content)
+      .digest("hex");
+  }
+
+  /**
+   * JSON with sorted object keys, so reordering the config keeps the key
+   */
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this.stableStringify(item)).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.keys(value)
+        .sort()
+        .map(
+          (key) => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`,
+        );
+      return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value) ?? "null";
+  }
+
+  constructor(options = {}) {
+    const settings = { ...ResultCache.getDefaultCacheConfig(), ...options };
+
+    this.dir = settings.dir || ResultCache.getCacheDir();
+    this.enabled = settings.enabled !== false;
+    this.maxEntries = settings.maxEntries;
+    this.maxSize = settings.maxSize;
+    this.hits = 0;
+    this.misses = 0;
+    this.usage = null;
+  }
+
+  getEntryPath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Cached value for a key, or undefined
+   */
+  get(key) {
+    if (!this.enabled) return undefined;
+
+    const entryPath = this.getEntryPath(key);
+    try {
+      const { value } = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+      this.hits++;
+      return value;
+    } catch (error) {
+      // Missing, or a partial write from an interrupted run
+      if (error.code !== "ENOENT") fs.rmSync(entryPath, { force: true });
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  has(key) {
+    return this.enabled && fs.existsSync(this.getEntryPath(key));
+  }
+
+  set(key, value) {
+    if (!this.enabled) return;
+
+    const entryPath = this.getEntryPath(key);
+    const content = JSON.stringify({ value });
+    const usage = this.getUsage();
+    // An entry being replaced no longer counts
+    const previousSize = this.getEntrySize(entryPath);
+
+    // Write then rename, so concurrent readers never see half an entry
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, entryPath);
+
+    if (previousSize === null) {
+      usage.entries++;
+    }
+    usage.size += Buffer.byteLength(content) - (previousSize || 0);
+
+    if (usage.entries > this.maxEntries || usage.size > this.maxSize) {
+      this.prune();
+    }
+  }
+
+  // Size in bytes of the entry file, or null when there is none
+  getEntrySize(entryPath) {
+    try {
+      return fs.statSync(entryPath).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Entry count and size, scanned once and then tracked as entries are set
+   */
+  getUsage() {
+    if (!this.usage) {
+      const entries = this.listEntries();
+      this.usage = {
+        entries: entries.length,
+        size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      };
+    }
+    return this.usage;
+  }
+
+  get size() {
+    return this.getUsage().entries;
+  }
+
+  listEntries() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs
+      .readdirSync(this.dir, { withFileTypes: true })
+      .filter((shard) => shard.isDirectory())
+      .flatMap((shard) => {
+        const shardDir = path.join(this.dir, shard.name);
+        return fs
+          .readdirSync(shardDir)
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => {
+            const filePath = path.join(shardDir, name);
+            try {
+              const stat = fs.statSync(filePath);
+              return { path: filePath, size: stat.size, used: stat.mtimeMs };
+            } catch (error) {
+              // Evicted by another process while listing
+              return null;
+            }
+          })
+          .filter(Boolean);
+      });
+  }
+
+  /**
+   * Evict least recently used entries until both limits are met
+   */
+  prune() {
+    const entries = this.listEntries().sort((a, b) => a.used - b.used);
+    let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+    let evicted = 0;
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && size <= this.maxSize) break;
+
+      fs.rmSync(entry.path, { force: true });
+      count--;
+      size -= entry.size;
+      evicted++;
+    }
+
+    this.usage = { entries: count, size };
+    return evicted;
+  }
+
+  /**
+   * Add this run's hits and misses to the totals shown by `cache stats`
+   */
+  flush() {
+    if (!this.enabled || (this.hits === 0 && this.misses === 0)) return;
+
+    const totals = this.readTotals();
+    totals.hits += this.hits;
+    totals.misses += this.misses;
+    this.hits = 0;
+    this.misses = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.dir, ResultCache.STATS_FILE),
+      JSON.stringify(totals, null, 2),
+    );
+  }
+
+  readTotals() {
+    try {
+      const totals = JSON.parse(
+        fs.readFileSync(path.join(this.dir, ResultCache.STATS_FILE), "utf8"),
+      );
+      return { hits: totals.hits || 0, misses: totals.misses || 0 };
+    } catch (error) {
+      return { hits: 0, misses: 0 };
+    }
+  }
+
+  getStats() {
+    const entries = this.listEntries();
+    const totals = this.readTotals();
+    const used = entries.map((entry) => entry.used);
+
+    return {
+      dir: this.dir,
+      enabled: this.enabled,
+      entries: entries.length,
+      size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      hits: totals.hits + this.hits,
+      misses: totals.misses + this.misses,
+      oldest: used.length > 0 ? new Date(Math.min(...used)) : null,
+      newest: used.length > 0 ? new Date(Math.max(...used)) : null,
+    };
+  }
+
+  /**
+   * Remove every entry and the hit/miss totals; returns the entry count
+   */
+  clear() {
+    const removed = this.listEntries().length;
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    this.usage = { entries: 0, size: 0 };
+    this.hits = 0;
+    this.misses = 0;
+    return removed;
+  }
+}
+
+export { ResultCache };
@@ -0,0 +1,160 @@
+import { LineDiff } from "./LineDiff.js";
+
+/**
+ * Unified diffs in the format `git apply` accepts, plus hunk-level
+ * application for interactive review
+ */
+class UnifiedDiff {
+  static CONTEXT_LINES = 3;
+
+  /**
+   * Split text into lines that keep their "\n", so a missing newline at
+   * the end of a file shows up as a change to the last line
+   */
+  static splitLines(text) {
+    return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+  }
+
+  /**
+   * Group line changes into hunks with surrounding context
+   * Each hunk carries its 0-based old/new ranges and its diff lines
+   */
+  static createHunks(before, after, context = this.CONTEXT_LINES) {
+    const oldLines = this.splitLines(before);
+    const newLines = this.splitLines(after);
+    const { hunks: regions } = LineDiff.diffLines(oldLines, newLines);
+    const hunks = [];
+
+    regions.forEach((region) => {
+      const last = hunks[hunks.length - 1];
+
+      // Regions whose context would overlap share a hunk
+      const previous = last && last.regions[last.regions.length - 1];
+      if (previous && region.oldStart - previous.oldEnd <= context * 2) {
+        last.regions.push(region);
+        last.oldEnd = Math.min(oldLines.length, region.oldEnd + context);
+        last.newEnd = Math.min(newLines.length, region.newEnd + context);
+        return;
+      }
+
+      hunks.push({
+        oldStart: Math.max(0, region.oldStart - context),
+        newStart: Math.max(0, region.newStart - context),
+        oldEnd: Math.min(oldLines.length, region.oldEnd + context),
+        newEnd: Math.min(newLines.length, region.newEnd + context),
+        regions: [region],
+      });
+    });
+
+    return hunks.map((hunk) => ({
+      oldStart: hunk.oldStart,
+      oldEnd: hunk.oldEnd,
+      newStart: hunk.newStart,
+      newEnd: hunk.newEnd,
+      lines: this.createHunkLines(hunk, oldLines, newLines),
+    }));
+  }
+
+  static createHunkLines(hunk, oldLines, newLines) {
+    const lines = [];
+    let oldIndex = hunk.oldStart;
+
+    hunk.regions.forEach((region) => {
+      for (; oldIndex < region.oldStart; oldIndex++) {
+        lines.push({ type: " ", text: oldLines[oldIndex] });
+      }
+      for (let i = region.oldStart; i < region.oldEnd; i++) {
+        lines.push({ type: "-", text: oldLines[i] });
+      }
+      for (let i = region.newStart; i < region.newEnd; i++) {
+        lines.push({ type: "+", text: newLines[i] });
+      }
+      oldIndex = region.oldEnd;
+    });
+
+    for (; oldIndex < hunk.oldEnd; oldIndex++) {
+      lines.push({ type: " ", text: oldLines[oldIndex] });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Render one hunk, including its @@ header
+   */
+  static formatHunk(hunk) {
+    const oldCount = hunk.oldEnd - hunk.oldStart;
+    const newCount = hunk.newEnd - hunk.newStart;
+    // Empty ranges point at the line before them, as in diff(1)
+    const oldStart = oldCount === 0 ? hunk.oldStart : hunk.oldStart + 1;
+    const newStart = newCount === 0 ? hunk.newStart : hunk.newStart + 1;
+
+    const body = hunk.lines.map((line) => {
+      const text = `${line.type}${line.text.replace(/\n$/, "")}`;
+      return line.text.endsWith("\n")
+        ? text
+        : `${text}\n\\ No newline at end of file`;
+    });
+
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...body,
+    ].join("\n");
+  }
+
+  /**
+   * Create a git-style patch for one file
+   * `before` is null for files the fix creates
+   */
+  static createPatch(file, before, after) {
+    const name = file.split("\\").join("/");
+    const hunks = this.createHunks(before || "", after);
+
+    if (hunks.length === 0) return "";
+
+    const header =
+      before === null
+        ? [
+            `diff --git a/${name} b/${name}`,
+            "new file mode 100644",
+            "--- /dev/null",
+            `+++ b/${name}`,
+          ]
+        : [`diff --git a/${name} b/${name}`, `--- a/${name}`, `+++ b/${name}`];
+
+    return [...header, ...hunks.map((hunk) => this.formatHunk(hunk))].join(
+      "\n",
+    );
+  }
+
+  /**
+   * Rebuild a file from its original text, applying only the hunks chosen
+   * `replacements` maps a hunk index to the new-side text to use instead
+   */
+  static applyHunks(before, hunks, accepted, replacements = new Map()) {
+    const oldLines = this.splitLines(before);
+    const result = [];
+    let oldIndex = 0;
+
+    hunks.forEach((hunk, index) => {
+      result.push(...oldLines.slice(oldIndex, hunk.oldStart));
+
+      if (replacements.has(index)) {
+        result.push(replacements.get(index));
+      } else if (accepted.has(index)) {
+        hunk.lines
+          .filter((line) => line.type !== "-")
+          .forEach((line) => result.push(line.text));
+      } else {
+        result.push(...oldLines.slice(hunk.oldStart, hunk.oldEnd));
+      }
+
+      oldIndex = hunk.oldEnd;
+    });
+
+    result.push(...oldLines.slice(oldIndex));
+    return result.join("");
+  }
+}
+
+export { UnifiedDiff };
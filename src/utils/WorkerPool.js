@@ -0,0 +1,137 @@
+import os from "os";
+import { Worker } from "worker_threads";
+
+/**
+ * Fixed-size pool of worker threads that all run the same module
+ *
+ * Workers start on demand, up to the concurrency limit, and stay alive
+ * between tasks so whatever the module loads is loaded once per thread.
+ * A worker receives { id, type, payload } messages and answers each with
+ * { id, result } or { id, error }.
+ */
+class WorkerPool {
+  static getDefaultConcurrency() {
+    // os.availableParallelism is missing before Node 18.14
+    return typeof os.availableParallelism === "function"
+      ? os.availableParallelism()
+      : os.cpus().length;
+  }
+
+  /**
+   * Validate a --concurrency value, defaulting to the CPU count
+   */
+  static resolveConcurrency(value) {
+    if (value === undefined || value === null) {
+      return this.getDefaultConcurrency();
+    }
+
+    const concurrency = Number(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(
+        `Invalid concurrency: ${value}. Use a positive whole number.`,
+      );
+    }
+    return concurrency;
+  }
+
+  /**
+   * Concurrency for a run: --concurrency wins, and setting
+   * performance.parallelProcessing to false in the config means one thread
+   */
+  static getConcurrency(config = {}, options = {}) {
+    if (options.concurrency === undefined) {
+      if (config.performance?.parallelProcessing === false) return 1;
+    }
+    return this.resolveConcurrency(options.concurrency);
+  }
+
+  /**
+   * Starting threads costs more than a handful of files take to process
+   */
+  static shouldUse(taskCount, concurrency) {
+    return concurrency > 1 && taskCount > concurrency;
+  }
+
+  constructor(workerPath, { concurrency, workerData } = {}) {
+    this.workerPath = workerPath;
+    this.workerData = workerData;
+    this.concurrency = WorkerPool.resolveConcurrency(concurrency);
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 0;
+  }
+
+  run(type, payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Run one task per item, resolving with the results in item order
+   */
+  map(items, type, toPayload = (item) => item) {
+    return Promise.all(items.map((item) => this.run(type, toPayload(item))));
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || this.spawn();
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.postMessage({
+        id: task.id,
+        type: task.type,
+        payload: task.payload,
+      });
+    }
+  }
+
+  spawn() {
+    if (this.workers.size >= this.concurrency) return null;
+
+    const worker = new Worker(this.workerPath, { workerData: this.workerData });
+
+    worker.on("message", ({ result, error }) => {
+      const { task } = worker;
+      worker.task = null;
+      this.idle.push(worker);
+
+      if (error) {
+        task.reject(Object.assign(new Error(error.message), error));
+      } else {
+        task.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task; the next task gets a fresh thread
+    worker.on("error", (error) => {
+      worker.task?.reject(error);
+      worker.task = null;
+    });
+    worker.on("exit", () => {
+      this.workers.delete(worker);
+      this.idle = this.idle.filter((idle) => idle !== worker);
+      worker.task?.reject(new Error("Worker exited before finishing a task"));
+      this.dispatch();
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  async destroy() {
+    const workers = [...this.workers];
+    this.queue = [];
+    this.idle = [];
+    this.workers.clear();
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+export { WorkerPool };
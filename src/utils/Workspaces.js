@@ -0,0 +1,222 @@
+import fs from "fs";
+import path from "path";
+import { glob } from "glob";
+import { ConfigManager } from "./ConfigManager.js";
+
+/**
+ * npm, yarn and pnpm workspace detection
+ *
+ * In a workspace, files are grouped by the package they belong to. Each
+ * package runs with its own config files over the root config, and the
+ * Next.js layer only runs in packages that are Next.js apps.
+ */
+class Workspaces {
+  static ROOT_PACKAGE = "(root)";
+  static NEXT_LAYER = 5;
+  static NEXT_CONFIG_FILES = [
+    "next.config.js",
+    "next.config.mjs",
+    "next.config.cjs",
+    "next.config.ts",
+  ];
+
+  /**
+   * The workspace rooted at a directory, or null when it is not one
+   */
+  static async detect(root = process.cwd()) {
+    const declared = this.getPatterns(root);
+    if (!declared) return null;
+
+    const include = declared.patterns.filter((p) => !p.startsWith("!"));
+    const exclude = declared.patterns
+      .filter((p) => p.startsWith("!"))
+      .map((p) => `${p.slice(1)}/package.json`);
+
+    const manifests = await glob(
+      include.map((pattern) => `${pattern.replace(/\/$/, "")}/package.json`),
+      { cwd: root, ignore: ["**/node_modules/**", ...exclude] },
+    );
+
+    const packages = manifests
+      .map((manifest) => this.readPackage(root, path.dirname(manifest)))
+      .filter((pkg) => pkg.dir !== ".")
+      .sort((a, b) => a.dir.localeCompare(b.dir));
+
+    return { root, manager: declared.manager, packages };
+  }
+
+  /**
+   * Package globs from pnpm-workspace.yaml or the package.json
+   * "workspaces" field (an array, or yarn's { packages })
+   */
+  static getPatterns(root) {
+    const pnpmFile = path.join(root, "pnpm-workspace.yaml");
+    if (fs.existsSync(pnpmFile)) {
+      return {
+        manager: "pnpm",
+        patterns: this.parsePnpmPackages(fs.readFileSync(pnpmFile, "utf8")),
+      };
+    }
+
+    const manifest = this.readManifest(root);
+    const workspaces = Array.isArray(manifest?.workspaces)
+      ? manifest.workspaces
+      : manifest?.workspaces?.packages;
+
+    if (!Array.isArray(workspaces) || workspaces.length === 0) return null;
+
+    return {
+      manager: fs.existsSync(path.join(root, "yarn.lock")) ? "yarn" : "npm",
+      patterns: workspaces,
+    };
+  }
+
+  /**
+   * Read the `packages:` list of pnpm-workspace.yaml
+   */
+  static parsePnpmPackages(text) {
+    const patterns = [];
+    let inPackages = false;
+
+    text.split("\n").forEach((line) => {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+        return;
+      }
+      if (!inPackages) return;
+
+      const item = line.match(/^\s+-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      }
+    });
+
+    return patterns;
+  }
+
+  static readManifest(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static readPackage(root, dir) {
+    const absolute = path.resolve(root, dir);
+    const manifest = this.readManifest(absolute) || {};
+
+    return {
+      name: manifest.name || dir,
+      dir: path.relative(root, absolute) || ".",
+      path: absolute,
+      nextApp: this.isNextApp(absolute, manifest),
+    };
+  }
+
+  /**
+   * A package is a Next.js app when it depends on next or has a next.config
+   */
+  static isNextApp(dir, manifest = {}) {
+    return (
+      Boolean(manifest.dependencies?.next || manifest.devDependencies?.next) ||
+      this.NEXT_CONFIG_FILES.some((file) => fs.existsSync(path.join(dir, file)))
+    );
+  }
+
+  /**
+   * The innermost package containing a file, or null for files outside
+   * every package
+   */
+  static findPackage(workspace, file) {
+    const absolute = path.resolve(workspace.root, file);
+
+    return workspace.packages.reduce((found, pkg) => {
+      const inside = absolute.startsWith(`${pkg.path}${path.sep}`);
+      return inside && (!found || pkg.path.length > found.path.length)
+        ? pkg
+        : found;
+    }, null);
+  }
+
+  /**
+   * Look up packages for --workspace, by name or directory
+   */
+  static selectPackages(workspace, names) {
+    return names.map((name) => {
+      const pkg = workspace.packages.find(
+        (candidate) => candidate.name === name || candidate.dir === name,
+      );
+
+      if (!pkg) {
+        throw new Error(
+          `Unknown workspace: ${name}. Available workspaces: ${workspace.packages
+            .map((candidate) => candidate.name)
+            .join(", ")}`,
+        );
+      }
+      return pkg;
+    });
+  }
+
+  /**
+   * Split files into per-package runs, each with its package's config and
+   * layers. Without a workspace everything is one run with the root config.
+   * options.workspace (--workspace) keeps only the named packages' files.
+   */
+  static groupFiles(files, workspace, config, layers, options = {}) {
+    if (!workspace) {
+      return [{ package: null, config, layers, files }];
+    }
+
+    const selected = options.workspace
+      ? this.selectPackages(
+          workspace,
+          options.workspace.split(",").map((name) => name.trim()),
+        )
+      : null;
+    const rootPackage = {
+      ...this.readPackage(workspace.root, "."),
+      name: this.ROOT_PACKAGE,
+    };
+    const groups = new Map();
+
+    files.forEach((file) => {
+      const pkg = this.findPackage(workspace, file) || rootPackage;
+      if (selected && !selected.includes(pkg)) return;
+
+      const key = pkg.path;
+      if (!groups.has(key)) {
+        groups.set(key, this.createGroup(pkg, config, layers));
+      }
+      groups.get(key).files.push(file);
+    });
+
+    return [...groups.values()];
+  }
+
+  static createGroup(pkg, config, layers) {
+    const packageConfig =
+      pkg.dir === "."
+        ? config
+        : ConfigManager.getPackageConfig(config, pkg.path);
+    // Layers the package's own config enables narrow the requested ones
+    const packageLayers =
+      packageConfig.layers?.enabled !== config.layers?.enabled
+        ? layers.filter((layer) => packageConfig.layers.enabled.includes(layer))
+        : layers;
+
+    return {
+      package: pkg,
+      config: packageConfig,
+      layers: pkg.nextApp
+        ? packageLayers
+        : packageLayers.filter((layer) => layer !== this.NEXT_LAYER),
+      files: [],
+    };
+  }
+}
+
+export { Workspaces };
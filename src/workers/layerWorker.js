@@ -0,0 +1,62 @@
+import fs from "fs";
+import { parentPort, workerData } from "worker_threads";
+import { LayerExecutor } from "../layers/LayerExecutor.js";
+import { ResultCache } from "../utils/ResultCache.js";
+
+/**
+ * Worker thread for WorkerPool: loads the layer transforms once and then
+ * analyzes or fixes one file per task
+ *
+ * workerData holds the config and the result cache settings shared by
+ * every task.
+ */
+const { config = {}, cache: cacheSettings } = workerData || {};
+
+const layerExecutor = new LayerExecutor();
+const cache = new ResultCache({ ...cacheSettings });
+
+const handlers = {
+  /**
+   * Detect a file's issues for each layer, in the code sent with the task
+   * or else on disk; cache hits and misses go back to the main thread,
+   * which owns the hit/miss totals
+   */
+  analyze({ file, layers, code }) {
+    code = code ?? fs.readFileSync(file, "utf8");
+    const results = {};
+
+    layers.forEach((layer) => {
+      results[layer] = layerExecutor.detectLayerIssues(layer, file, code, {
+        config,
+        cache,
+      });
+    });
+
+    const { hits, misses } = cache;
+    cache.hits = 0;
+    cache.misses = 0;
+
+    return { layers: results, hits, misses };
+  },
+
+  /**
+   * Apply one layer's fixes to a file, for LayerExecutor.executeLayerFixes
+   */
+  fix(task) {
+    return layerExecutor.fixFile({ ...task, config });
+  },
+};
+
+parentPort.on("message", async ({ id, type, payload }) => {
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown worker task: ${type}`);
+    }
+    parentPort.postMessage({ id, result: await handlers[type](payload) });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, stack: error.stack, code: error.code },
+    });
+  }
+});
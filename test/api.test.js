@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+// Import the library entry through the package's own exports map in a
+// fresh process whose argv looks like a CLI invocation
+const SCRIPT = `
+const api = await import("@neurolint/cli/api");
+const engine = api.createEngine();
+const { issues } = await engine.analyze("console.log(1);\\n", {
+  filePath: "a.js",
+  layers: [2],
+});
+process.stderr.write(JSON.stringify({
+  exports: Object.keys(api).sort(),
+  rules: issues.map((issue) => issue.rule),
+  exitCode: process.exitCode ?? null,
+}));
+`;
+
+describe("library entry", () => {
+  it("imports without reading argv, printing or exiting", () => {
+    const result = spawnSync(
+      process.execPath,
+      ["--input-type=module", "-e", SCRIPT, "fix", "--help"],
+      { cwd: ROOT, encoding: "utf8", timeout: 60000 },
+    );
+    const report = JSON.parse(result.stderr);
+
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, "");
+    assert.equal(report.exitCode, null);
+    assert.deepEqual(report.rules, ["L2/console-log"]);
+    assert.ok(report.exports.includes("createEngine"));
+  });
+
+  it("declares a type for every runtime export", async () => {
+    const api = await import("../src/api.js");
+    const declarations = fs.readFileSync(
+      new URL("../src/api.d.ts", import.meta.url),
+      "utf8",
+    );
+    const declared = [
+      ...declarations.matchAll(/^export (?:class|function|const) (\w+)/gm),
+    ].map(([, name]) => name);
+
+    assert.deepEqual([...new Set(declared)].sort(), Object.keys(api).sort());
+  });
+
+  it("serves what the editor's local engine mode uses", async () => {
+    // A workspace with this package installed, as the extension finds it
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-local-"));
+    const file = path.join(dir, "src", "list.jsx");
+    const code = `export const L = ({ items }) => (
+  <ul>{items.map((item) => <li>{item}</li>)}</ul>
+);
+`;
+    fs.mkdirSync(path.join(dir, "node_modules", "@neurolint"), {
+      recursive: true,
+    });
+    fs.symlinkSync(ROOT, path.join(dir, "node_modules", "@neurolint", "cli"));
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, code);
+
+    try {
+      const modulePath = createRequire(file).resolve("@neurolint/cli/api");
+      const api = await import(pathToFileURL(modulePath).href);
+      const engine = api.createEngine(api.ConfigManager.migrate({}));
+      const { issues } = await engine.analyze(code, {
+        filePath: file,
+        layers: [3],
+      });
+      const fixed = await engine.fix(code, { filePath: file, layers: [3] });
+      const recommendation = api.SmartLayerSelector.analyzeAndRecommend(
+        code,
+        file,
+      );
+
+      assert.equal(modulePath, path.join(ROOT, "src", "api.js"));
+      assert.equal(api.ConfigManager.isInitialized(path.dirname(file)), false);
+      assert.deepEqual(
+        issues.map((issue) => issue.rule),
+        ["L3/missing-key"],
+      );
+      assert.match(fixed.code, /<li key=/);
+      assert.equal(fixed.summary.successfulLayers, fixed.summary.totalLayers);
+      assert.equal(fixed.summary.failedLayers, 0);
+      assert.ok(fixed.summary.totalChanges > 0);
+      assert.ok(Number.isFinite(fixed.executionTime));
+      // Fixes stay in memory
+      assert.equal(fs.readFileSync(file, "utf8"), code);
+      assert.ok(recommendation.recommendedLayers.includes(3));
+      assert.ok(recommendation.reasoning.length > 0);
+      assert.ok(
+        recommendation.confidence >= 0 && recommendation.confidence <= 1,
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,85 @@
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const CLI = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+/**
+ * Run git in a directory, returning its output; the identity is set here
+ * so commits work without a global git config
+ */
+function git(cwd, ...args) {
+  const identity = ["user.name=NeuroLint", "user.email=test@neurolint.dev"];
+
+  return execFileSync(
+    "git",
+    [...identity.flatMap((setting) => ["-c", setting]), ...args],
+    { cwd, encoding: "utf8" },
+  );
+}
+
+/**
+ * A scratch project in a temporary directory, with an empty config and
+ * the given { path: content } files; with commit, a git repository whose
+ * first commit holds them
+ */
+function createProject(files, { commit = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-cli-"));
+
+  writeFiles(dir, { ".neurolint.json": "{}\n", ...files });
+  if (commit) {
+    git(dir, "init", "-q");
+    git(dir, "add", "-A");
+    git(dir, "commit", "-q", "-m", "init");
+  }
+
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+}
+
+/**
+ * Run the CLI in a directory; returns { status, stdout, stderr }
+ */
+function runCli(cwd, ...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: "utf8",
+    timeout: 60000,
+    env: { ...process.env, NO_COLOR: "1", CI: "1" },
+  });
+
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+  };
+}
+
+/**
+ * A project's files as { path: content }, leaving out git and NeuroLint's
+ * own state
+ */
+function readTree(dir, relative = "") {
+  return Object.fromEntries(
+    fs
+      .readdirSync(path.join(dir, relative), { withFileTypes: true })
+      .filter((entry) => ![".git", ".neurolint"].includes(entry.name))
+      .flatMap((entry) => {
+        const file = path.posix.join(relative, entry.name);
+        return entry.isDirectory()
+          ? Object.entries(readTree(dir, file))
+          : [[file, fs.readFileSync(path.join(dir, file), "utf8")]];
+      })
+      .sort(([a], [b]) => a.localeCompare(b)),
+  );
+}
+
+export { createProject, git, readTree, runCli, writeFiles };
@@ -0,0 +1,146 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ConfigManager } from "../src/utils/ConfigManager.js";
+import { ConfigPresets } from "../src/utils/ConfigPresets.js";
+import { writeFiles } from "./cli.js";
+
+const json = (value) => JSON.stringify(value);
+const rules = (setting) => ({ rules: { "L2/console-log": setting } });
+
+describe("ConfigManager", () => {
+  let dir;
+
+  // A project in its own directory, marked as the root of the cascade so
+  // nothing above the temporary directory leaks in
+  const project = (name, files) => {
+    const root = path.join(dir, name);
+    writeFiles(root, { ".neurolint.json": json({ root: true }), ...files });
+    return root;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads neurolint.config before .neurolint.json and package.json", () => {
+    const root = project("formats", {
+      "js/neurolint.config.js": `module.exports = ${json(rules("off"))};`,
+      "js/.neurolint.json": json(rules("high")),
+      "mjs/neurolint.config.mjs": `export default ${json(rules("low"))};`,
+      "pkg/package.json": json({ name: "pkg", neurolint: { rules: {} } }),
+      "plain/package.json": json({ name: "plain" }),
+    });
+    const find = (sub) =>
+      path.relative(root, ConfigManager.findConfigFile(path.join(root, sub)));
+
+    assert.equal(find("js"), path.join("js", "neurolint.config.js"));
+    assert.equal(find("pkg"), path.join("pkg", "package.json"));
+    assert.equal(ConfigManager.findConfigFile(path.join(root, "plain")), null);
+    assert.deepEqual(
+      ConfigManager.getConfig(path.join(root, "js")).rules,
+      rules("off").rules,
+    );
+    assert.deepEqual(
+      ConfigManager.getConfig(path.join(root, "mjs")).rules,
+      rules("low").rules,
+    );
+  });
+
+  it("cascades directory configs over their parents by section", () => {
+    const root = project("cascade", {
+      ".neurolint.json": json({
+        root: true,
+        layers: { enabled: [1, 2] },
+        rules: { "L2/console-log": "off", "L2/var-declarations": "high" },
+      }),
+      "app/package.json": json({
+        neurolint: { rules: { "L2/console-log": "low" } },
+      }),
+      "app/nested/.neurolint.json": json({
+        root: true,
+        rules: { "L3/missing-key": "off" },
+      }),
+    });
+
+    const app = ConfigManager.getConfig(path.join(root, "app", "src"));
+    assert.deepEqual(app.layers.enabled, [1, 2]);
+    assert.deepEqual(app.rules, {
+      "L2/console-log": "low",
+      "L2/var-declarations": "high",
+    });
+    assert.equal(
+      ConfigManager.getConfigPath(path.join(root, "app", "src")),
+      path.join(root, "app", "package.json"),
+    );
+
+    // "root": true stops the walk up
+    const nested = ConfigManager.getConfig(path.join(root, "app", "nested"));
+    assert.deepEqual(nested.rules, { "L3/missing-key": "off" });
+    assert.deepEqual(
+      nested.layers.enabled,
+      ConfigManager.getDefaultConfig().layers.enabled,
+    );
+  });
+
+  it("applies built-in, relative and npm presets under its own", () => {
+    const root = project("extends", {
+      ".neurolint.json": json({
+        root: true,
+        extends: [
+          "nextjs-app-router",
+          "./shared/base.json",
+          "@acme/neurolint-config",
+        ],
+        rules: { "L2/console-log": "off" },
+      }),
+      "shared/base.json": json({
+        rules: { "L2/console-log": "high", "L2/var-declarations": "low" },
+      }),
+      "node_modules/@acme/neurolint-config/package.json": json({
+        name: "@acme/neurolint-config",
+        main: "index.js",
+      }),
+      "node_modules/@acme/neurolint-config/index.js":
+        "module.exports = { rules: { 'L3/missing-key': 'critical' } };",
+    });
+    const config = ConfigManager.getConfig(root);
+
+    assert.equal(config.extends, undefined);
+    assert.deepEqual(config.layers.enabled, [1, 2, 3, 4, 5]);
+    // From "recommended", which nextjs-app-router extends
+    assert.deepEqual(
+      config.hooks.preCommit,
+      ConfigPresets.get("recommended").hooks.preCommit,
+    );
+    assert.deepEqual(config.rules, {
+      "L2/console-log": "off",
+      "L2/var-declarations": "low",
+      "L3/missing-key": "critical",
+    });
+  });
+
+  it("rejects circular and unknown presets", () => {
+    const circular = project("circular", {
+      ".neurolint.json": json({ root: true, extends: "./a.json" }),
+      "a.json": json({ extends: "./b.json" }),
+      "b.json": json({ extends: "./a.json" }),
+    });
+    const unknown = project("unknown", {
+      ".neurolint.json": json({ root: true, extends: "recomended" }),
+    });
+
+    assert.throws(() => ConfigManager.getConfig(circular), {
+      message: /^Circular "extends": .*a\.json -> .*b\.json -> .*a\.json$/,
+    });
+    assert.throws(() => ConfigManager.getConfig(unknown), {
+      message: /Cannot find preset "recomended" .*Built-in presets are: rec/,
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { ConfigManager } from "../src/utils/ConfigManager.js";
+import { ConfigPresets } from "../src/utils/ConfigPresets.js";
+import { ConfigSchema } from "../src/utils/ConfigSchema.js";
+import { createProject, runCli } from "./cli.js";
+
+const errorsFor = (config) =>
+  ConfigSchema.validate(config).map(
+    (error) => `${error.path} ${error.message}`,
+  );
+
+describe("ConfigSchema", () => {
+  it("publishes the schema getSchema builds", () => {
+    const published = JSON.parse(
+      fs.readFileSync(
+        new URL("../schema/neurolint.schema.json", import.meta.url),
+        "utf8",
+      ),
+    );
+
+    assert.deepEqual(published, ConfigSchema.getSchema());
+  });
+
+  it("accepts the default config and every preset", () => {
+    assert.deepEqual(errorsFor(ConfigManager.getDefaultConfig()), []);
+    ConfigPresets.list().forEach((name) => {
+      assert.deepEqual(errorsFor(ConfigPresets.get(name)), [], name);
+    });
+  });
+
+  it("names the JSON path of each bad value", () => {
+    assert.deepEqual(
+      errorsFor({
+        layers: {
+          enabled: [1, 7],
+          config: { 3: { timeout: "fast" }, 9: {} },
+        },
+        rules: {
+          "L2/console-log": "loud",
+          "L3/missing-key": { enabled: "yes" },
+          "L9/nope": "off",
+        },
+        performance: { maxFiles: 0, cache: { dir: 1 } },
+        api: { url: "not a url" },
+        plugins: "neurolint-plugin-a",
+        colour: true,
+      }),
+      [
+        "layers.enabled[1] must be one of: 1, 2, 3, 4, 5, 6",
+        "layers.config.3.timeout must be a number",
+        "layers.config.9 is not a known setting",
+        'rules.L2/console-log must be one of: "off", "on", "critical", ' +
+          '"high", "medium", "low", "info" or a boolean or an object',
+        'rules.L3/missing-key must be one of: "off", "on", "critical", ' +
+          '"high", "medium", "low", "info" or a boolean or an object',
+        "rules.L9/nope is not a known setting",
+        "performance.maxFiles must be at least 1",
+        "performance.cache.dir must be a string",
+        "api.url must be a valid URL",
+        "plugins must be an array of strings",
+        "colour is not a known setting",
+      ],
+    );
+    assert.deepEqual(errorsFor([]), ["config must be an object"]);
+  });
+
+  it("lists every problem with the file it came from", () => {
+    assert.throws(
+      () => ConfigSchema.assertValid({ root: "yes" }, "a.json"),
+      { message: "Invalid a.json: root must be a boolean" },
+    );
+    assert.throws(
+      () => ConfigSchema.assertValid({ root: 1, version: 1 }, "a.json"),
+      {
+        message:
+          "Invalid a.json:\n" +
+          "  - root must be a boolean\n" +
+          "  - version must be a string",
+      },
+    );
+  });
+
+  it("stops the CLI on an invalid config file", () => {
+    const dir = createProject(
+      {
+        ".neurolint.json": JSON.stringify({
+          layers: { config: { 3: { timeout: "fast" } } },
+        }),
+        "a.js": "console.log(1);\n",
+      },
+      { commit: false },
+    );
+
+    try {
+      const { status, stdout, stderr } = runCli(dir, "analyze", "a.js");
+      const output = stdout + stderr;
+
+      assert.notEqual(status, 0);
+      assert.match(output, /Invalid configuration file .*\.neurolint\.json: /);
+      assert.match(output, /layers\.config\.3\.timeout must be a number/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
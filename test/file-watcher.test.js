@@ -0,0 +1,70 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileWatcher } from "../src/utils/FileWatcher.js";
+
+describe("FileWatcher", () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-watch-"));
+    const files = [
+      "src/a.tsx",
+      "src/b.d.ts",
+      "node_modules/x/index.js",
+      "README.md",
+    ];
+
+    files.forEach((file) => {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), "");
+    });
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("reports changed files the include and exclude globs match", async () => {
+    const batches = [];
+    const watcher = new FileWatcher(
+      root,
+      {
+        include: ["**/*.{ts,tsx,js}"],
+        exclude: ["node_modules/**", "**/*.d.ts"],
+      },
+      async (files) => batches.push(files),
+    );
+
+    [
+      "src/a.tsx",
+      "src/b.d.ts",
+      "node_modules/x/index.js",
+      "README.md",
+      "src/deleted.ts",
+    ].forEach((file) => watcher.pending.add(path.join(root, file)));
+    watcher.flush();
+    await watcher.running;
+
+    assert.deepEqual(batches, [[path.join(root, "src/a.tsx")]]);
+  });
+
+  it("starts with the files the globs match", async () => {
+    const watcher = new FileWatcher(
+      root,
+      { include: ["**/*.tsx"], exclude: [] },
+      async () => {},
+    );
+
+    try {
+      assert.deepEqual(
+        [...(await watcher.start())],
+        [path.join(root, "src/a.tsx")],
+      );
+    } finally {
+      watcher.stop();
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+
+/**
+ * Apply the fixes attached to issues the way the editors do: each fix's
+ * text over the issue's range plus its other edits, all in one pass over
+ * the original code. Overlapping edits fail the test, as VS Code would
+ * reject them.
+ */
+function applyIssueFixes(code, issues) {
+  const lineStarts = [0];
+  code.split("\n").forEach((line, index) => {
+    lineStarts.push(lineStarts[index] + line.length + 1);
+  });
+  const toOffset = (line, column) => lineStarts[line - 1] + column - 1;
+  const toEdit = (range, text) => ({
+    start: toOffset(range.line, range.column),
+    end: toOffset(range.endLine, range.endColumn),
+    text,
+  });
+
+  const edits = issues
+    .filter((issue) => issue.fix)
+    .flatMap((issue) => [
+      toEdit(issue, issue.fix.text),
+      ...(issue.fix.edits || []).map((edit) => toEdit(edit, edit.text)),
+    ])
+    .sort((a, b) => b.start - a.start);
+
+  edits.forEach((edit, index) => {
+    const next = edits[index - 1];
+    assert.ok(!next || edit.end <= next.start, "fix edits overlap");
+  });
+
+  return edits.reduce(
+    (result, { start, end, text }) =>
+      result.slice(0, start) + text + result.slice(end),
+    code,
+  );
+}
+
+export { applyIssueFixes };
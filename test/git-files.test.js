@@ -0,0 +1,108 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createProject, git, runCli, writeFiles } from "./cli.js";
+
+const CLEAN = "export const a = 1;\n";
+const LOGS = "console.log(1);\n";
+
+// Files and issues an analyze run reports, relative to the project
+function analyze(dir, ...args) {
+  const run = runCli(
+    dir,
+    ...["analyze", "src", "--recursive", "--layers", "2"],
+    ...["--reporter", "json", "--no-cache", ...args],
+  );
+  assert.equal(run.status, 0, run.stderr);
+
+  const results = JSON.parse(run.stdout);
+  const relative = (file) => path.relative(dir, path.resolve(dir, file));
+  return {
+    files: results.files.map((file) => relative(file.filePath)).sort(),
+    issues: results.issues.map(
+      (issue) => `${relative(issue.file)}:${issue.line}`,
+    ),
+  };
+}
+
+describe("--staged and --since", () => {
+  const dirs = [];
+  const project = (files) => {
+    const dir = createProject(files);
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(() => {
+    dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it("--staged analyzes the staged content of staged files", () => {
+    const dir = project({ "src/staged.js": CLEAN, "src/modified.js": CLEAN });
+
+    writeFiles(dir, { "src/staged.js": LOGS });
+    git(dir, "add", "src/staged.js");
+    // Neither the unstaged fix nor the unstaged or untracked files count
+    writeFiles(dir, {
+      "src/staged.js": CLEAN,
+      "src/modified.js": LOGS,
+      "src/untracked.js": LOGS,
+    });
+
+    assert.deepEqual(analyze(dir, "--staged"), {
+      files: ["src/staged.js"],
+      issues: ["src/staged.js:1"],
+    });
+  });
+
+  it("--since selects files changed since a ref, committed or not", () => {
+    const dir = project({
+      "src/committed.js": CLEAN,
+      "src/modified.js": CLEAN,
+      "src/unchanged.js": LOGS,
+    });
+    const base = git(dir, "rev-parse", "HEAD").trim();
+
+    writeFiles(dir, { "src/committed.js": LOGS });
+    git(dir, "commit", "-q", "-am", "log");
+    writeFiles(dir, { "src/modified.js": LOGS, "src/untracked.js": LOGS });
+
+    assert.deepEqual(analyze(dir, "--since", base).files, [
+      "src/committed.js",
+      "src/modified.js",
+      "src/untracked.js",
+    ]);
+    assert.deepEqual(analyze(dir, "--since", "HEAD").files, [
+      "src/modified.js",
+      "src/untracked.js",
+    ]);
+  });
+
+  it("--changed-lines keeps issues on the lines changed since the ref", () => {
+    const dir = project({ "src/app.js": `${LOGS}${CLEAN}` });
+
+    writeFiles(dir, { "src/app.js": `${LOGS}${CLEAN}${LOGS}` });
+
+    assert.deepEqual(analyze(dir, "--since", "HEAD").issues, [
+      "src/app.js:1",
+      "src/app.js:3",
+    ]);
+    assert.deepEqual(
+      analyze(dir, "--since", "HEAD", "--changed-lines").issues,
+      ["src/app.js:3"],
+    );
+  });
+
+  it("--since never passes the ref to git as an option", () => {
+    const dir = project({ "src/app.js": LOGS });
+    const run = runCli(
+      dir,
+      ...["analyze", "src", "--recursive", "--layers", "2"],
+      "--since=--output=written.txt",
+    );
+
+    assert.notEqual(run.status, 0);
+    assert.equal(fs.existsSync(path.join(dir, "written.txt")), false);
+  });
+});
@@ -0,0 +1,358 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { PassThrough } from "node:stream";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { JsonRpcConnection } from "../src/integration/JsonRpcConnection.js";
+import { LanguageServer } from "../src/integration/LanguageServer.js";
+
+const CLI = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+const frame = (message) => {
+  const body = Buffer.from(JSON.stringify(message), "utf8");
+  return Buffer.concat([
+    Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, "ascii"),
+    body,
+  ]);
+};
+
+/**
+ * The client end of an LSP connection: sends framed messages to the
+ * server's input and collects what it writes back
+ */
+class TestClient {
+  constructor(input, output) {
+    this.input = input;
+    this.buffer = Buffer.alloc(0);
+    this.messages = [];
+    this.waiters = [];
+    this.nextId = 1;
+
+    output.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.read();
+    });
+  }
+
+  read() {
+    while (true) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.subarray(0, headerEnd).toString("ascii");
+      const length = Number(header.match(/Content-Length: (\d+)/)[1]);
+      const bodyEnd = headerEnd + 4 + length;
+      if (this.buffer.length < bodyEnd) return;
+
+      this.messages.push(
+        JSON.parse(this.buffer.subarray(headerEnd + 4, bodyEnd).toString()),
+      );
+      this.buffer = this.buffer.subarray(bodyEnd);
+      this.waiters = this.waiters.filter((waiter) => !waiter());
+    }
+  }
+
+  // The first message, now or later, that matches
+  waitFor(matches) {
+    return new Promise((resolve) => {
+      const check = () => {
+        const index = this.messages.findIndex(matches);
+        if (index === -1) return false;
+        resolve(this.messages.splice(index, 1)[0]);
+        return true;
+      };
+      if (!check()) this.waiters.push(check);
+    });
+  }
+
+  request(method, params) {
+    const id = this.nextId++;
+    this.input.write(frame({ jsonrpc: "2.0", id, method, params }));
+    return this.waitFor((message) => message.id === id);
+  }
+
+  notify(method, params) {
+    this.input.write(frame({ jsonrpc: "2.0", method, params }));
+  }
+
+  diagnostics(uri) {
+    return this.waitFor(
+      (message) =>
+        message.method === "textDocument/publishDiagnostics" &&
+        message.params.uri === uri,
+    );
+  }
+}
+
+// Apply LSP text edits to a document, last first
+function applyEdits(text, edits) {
+  const lines = text.split("\n");
+  const offset = ({ line, character }) =>
+    lines.slice(0, line).join("\n").length + (line > 0) + character;
+
+  return edits
+    .map((edit) => ({ ...edit, start: offset(edit.range.start) }))
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) +
+        edit.newText +
+        result.slice(offset(edit.range.end)),
+      text,
+    );
+}
+
+describe("JsonRpcConnection", () => {
+  it("reads messages split across chunks by their byte length", async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const connection = new JsonRpcConnection(input, output);
+    const client = new TestClient(input, output);
+    const received = [];
+
+    connection.listen((method, params) => {
+      received.push(params.text);
+      return params.text.length;
+    });
+
+    const bytes = Buffer.concat([
+      Buffer.from("Content-Length: 3\r\n\r\n{]}"),
+      frame({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "echo",
+        params: { text: "é✓" },
+      }),
+    ]);
+    // Split inside the header and inside a multi-byte character
+    const split = bytes.length - 5;
+    input.write(bytes.subarray(0, 10));
+    input.write(bytes.subarray(10, split));
+    input.write(bytes.subarray(split));
+
+    const parseError = await client.waitFor((message) => message.error);
+    const response = await client.waitFor((message) => message.id === 1);
+
+    assert.equal(parseError.error.code, JsonRpcConnection.PARSE_ERROR);
+    assert.deepEqual(received, ["é✓"]);
+    assert.equal(response.result, 2);
+  });
+});
+
+const LOG = "export function f() {\n  console.log(1);\n}\n";
+
+describe("LanguageServer", () => {
+  let dir;
+  let uri;
+  let server;
+  let client;
+  let exitCode;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-lsp-"));
+    fs.writeFileSync(path.join(dir, ".neurolint.json"), "{}\n");
+    uri = pathToFileURL(path.join(dir, "log.js")).href;
+
+    const input = new PassThrough();
+    const output = new PassThrough();
+    server = new LanguageServer(input, output);
+    server.onExit = (code) => {
+      exitCode = code;
+    };
+    server.start();
+    client = new TestClient(input, output);
+  });
+
+  after(() => {
+    server.pending.forEach((timer) => clearTimeout(timer));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("refuses requests before initialize", async () => {
+    const response = await client.request("textDocument/formatting", {
+      textDocument: { uri },
+    });
+
+    assert.equal(response.error.code, -32002);
+  });
+
+  it("reports its capabilities on initialize", async () => {
+    const { result } = await client.request("initialize", {
+      processId: null,
+      rootUri: pathToFileURL(dir).href,
+      capabilities: {},
+    });
+    client.notify("initialized", {});
+
+    assert.equal(result.serverInfo.name, "neurolint");
+    assert.equal(result.capabilities.textDocumentSync.change, 1);
+    assert.equal(result.capabilities.documentFormattingProvider, true);
+    assert.deepEqual(result.capabilities.codeActionProvider.codeActionKinds, [
+      "quickfix",
+      "source.fixAll.neurolint",
+    ]);
+  });
+
+  it("publishes diagnostics for opened and changed documents", async () => {
+    client.notify("textDocument/didOpen", {
+      textDocument: { uri, languageId: "javascript", version: 1, text: LOG },
+    });
+    const opened = await client.diagnostics(uri);
+
+    assert.equal(opened.params.version, 1);
+    assert.deepEqual(
+      opened.params.diagnostics.map(({ code, source, range }) => ({
+        code,
+        source,
+        line: range.start.line,
+      })),
+      [{ code: "L2/console-log", source: "neurolint", line: 1 }],
+    );
+
+    client.notify("textDocument/didChange", {
+      textDocument: { uri, version: 2 },
+      contentChanges: [{ text: "export const a = 1;\n" }],
+    });
+    const changed = await client.diagnostics(uri);
+
+    assert.equal(changed.params.version, 2);
+    assert.deepEqual(changed.params.diagnostics, []);
+
+    client.notify("textDocument/didChange", {
+      textDocument: { uri, version: 3 },
+      contentChanges: [{ text: LOG }],
+    });
+    assert.equal((await client.diagnostics(uri)).params.diagnostics.length, 1);
+  });
+
+  it("offers a quick fix and a suppression for a diagnostic", async () => {
+    client.notify("textDocument/didSave", { textDocument: { uri } });
+    const [diagnostic] = (await client.diagnostics(uri)).params.diagnostics;
+    const { result: actions } = await client.request(
+      "textDocument/codeAction",
+      {
+        textDocument: { uri },
+        range: diagnostic.range,
+        context: { diagnostics: [diagnostic] },
+      },
+    );
+    const edited = (title) =>
+      applyEdits(
+        LOG,
+        actions.find((action) => action.title.startsWith(title)).edit
+          .changes[uri],
+      );
+
+    assert.equal(
+      edited("Fix: "),
+      "export function f() {\n  console.debug(1);\n}\n",
+    );
+    assert.equal(
+      edited("Disable L2/console-log"),
+      "export function f() {\n" +
+        "  // neurolint-disable-next-line L2/console-log\n" +
+        "  console.log(1);\n}\n",
+    );
+    assert.ok(
+      actions.some((action) => action.kind === "source.fixAll.neurolint"),
+    );
+  });
+
+  it("fixes every issue of one rule and no other", async () => {
+    const logs = pathToFileURL(path.join(dir, "logs.jsx")).href;
+    const text = `export const A = () => {
+  console.log(1);
+  console.log(2);
+  return <React.Fragment>a</React.Fragment>;
+};
+`;
+
+    client.notify("textDocument/didOpen", {
+      textDocument: { uri: logs, languageId: "javascript", version: 1, text },
+    });
+    const published = await client.diagnostics(logs);
+    const diagnostics = published.params.diagnostics.filter(
+      (diagnostic) => diagnostic.code === "L2/console-log",
+    );
+    const { result: actions } = await client.request(
+      "textDocument/codeAction",
+      {
+        textDocument: { uri: logs },
+        range: diagnostics[0].range,
+        context: { diagnostics: diagnostics.slice(0, 1), only: ["quickfix"] },
+      },
+    );
+    const fixRule = actions.find(
+      (action) => action.title === "Fix all L2/console-log issues in this file",
+    );
+
+    assert.equal(diagnostics.length, 2);
+    assert.equal(
+      applyEdits(text, fixRule.edit.changes[logs]),
+      text.replace(/console\.log/g, "console.debug"),
+    );
+    assert.ok(
+      actions.every((action) => action.kind === "quickfix"),
+      "only the kinds asked for",
+    );
+    client.notify("textDocument/didClose", { textDocument: { uri: logs } });
+    await client.diagnostics(logs);
+  });
+
+  it("formats a document by applying every fix", async () => {
+    const { result: edits } = await client.request(
+      "textDocument/formatting",
+      { textDocument: { uri }, options: { tabSize: 2, insertSpaces: true } },
+    );
+
+    assert.equal(
+      applyEdits(LOG, edits),
+      "export function f() {\n  console.debug(1);\n}\n",
+    );
+  });
+
+  it("clears diagnostics on close and exits after shutdown", async () => {
+    client.notify("textDocument/didClose", { textDocument: { uri } });
+    assert.deepEqual((await client.diagnostics(uri)).params.diagnostics, []);
+
+    const unknown = await client.request("workspace/executeCommand", {});
+    assert.equal(unknown.error.code, -32601);
+
+    assert.equal((await client.request("shutdown")).result, null);
+    client.notify("exit");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(exitCode, 0);
+  });
+
+  it("serves LSP over stdio from neurolint lsp", async () => {
+    const child = spawn(process.execPath, [CLI, "lsp"], {
+      cwd: dir,
+      stdio: ["pipe", "pipe", "ignore"],
+    });
+    const stdio = new TestClient(child.stdin, child.stdout);
+    const exited = new Promise((resolve) => child.on("exit", resolve));
+    const timer = setTimeout(() => child.kill(), 30000);
+
+    try {
+      await stdio.request("initialize", { processId: null, capabilities: {} });
+      stdio.notify("textDocument/didOpen", {
+        textDocument: { uri, languageId: "javascript", version: 1, text: LOG },
+      });
+      const { params } = await stdio.diagnostics(uri);
+
+      assert.deepEqual(
+        params.diagnostics.map(({ code }) => code),
+        ["L2/console-log"],
+      );
+
+      await stdio.request("shutdown");
+      stdio.notify("exit");
+      assert.equal(await exited, 0);
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+});
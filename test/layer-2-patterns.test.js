@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { transformLayer } from "../src/layers/transforms/index.js";
+import { applyIssueFixes } from "./fixes.js";
+
+// Each fixture's output is what both the transform and the fixes on its
+// reported issues must produce
+const FIXTURES = [
+  {
+    name: "unescapes entities in JSX text only",
+    input: `const a = "&quot;x&quot; &amp; y";
+const b = \`&amp; \${a}\`;
+// <p>&quot;</p>
+export const C = () => <p>&quot;Hi&quot; &amp; bye &amp;copy;</p>;
+`,
+    output: `const a = "&quot;x&quot; &amp; y";
+const b = \`&amp; \${a}\`;
+// <p>&quot;</p>
+export const C = () => <p>"Hi" & bye &amp;copy;</p>;
+`,
+  },
+  {
+    name: "converts React.Fragment to the shorthand",
+    input: `export const F = () => (
+  <React.Fragment>
+    <a />
+  </React.Fragment>
+);
+export const K = ({ id }) => <React.Fragment key={id} />;
+`,
+    output: `export const F = () => (
+  <>
+    <a />
+  </>
+);
+export const K = ({ id }) => <React.Fragment key={id} />;
+`,
+  },
+  {
+    name: "rewrites console.log calls but not strings or comments",
+    input: `export function f() {
+  // console.log(debugging)
+  console.log("console.log(x)", \`console.log\`);
+  console?.log(1);
+}
+`,
+    output: `export function f() {
+  // console.log(debugging)
+  console.debug("console.log(x)", \`console.log\`);
+  console?.debug(1);
+}
+`,
+  },
+  {
+    name: "leaves a locally declared console alone",
+    input: `const console = { log() {} };
+console.log(1);
+`,
+    output: `const console = { log() {} };
+console.log(1);
+`,
+  },
+  {
+    name: "removes an unused React import",
+    filePath: "util.ts",
+    input: `import React from "react";
+export const two = 2;
+`,
+    output: `export const two = 2;
+`,
+  },
+  {
+    name: "keeps named imports next to an unused React default",
+    filePath: "hooks.ts",
+    input: `import React, { useState } from "react";
+export const useCount = () => useState(0);
+`,
+    output: `import { useState } from "react";
+export const useCount = () => useState(0);
+`,
+  },
+  {
+    name: "keeps React when JSX or code uses it",
+    input: `import React from "react";
+export const A = () => <div />;
+`,
+    output: `import React from "react";
+export const A = () => <div />;
+`,
+  },
+];
+
+describe("layer 2 codemods", () => {
+  FIXTURES.forEach(({ name, filePath = "fixture.jsx", input, output }) => {
+    describe(name, () => {
+      const result = transformLayer(2, input, { filePath });
+
+      it("transforms the input", () => {
+        assert.equal(result.code, output);
+      });
+
+      it("reports issues whose fixes make the same change", () => {
+        assert.equal(applyIssueFixes(input, result.issues), output);
+      });
+
+      it("leaves its own output unchanged", () => {
+        const again = transformLayer(2, output, { filePath });
+        assert.equal(again.code, output);
+        assert.deepEqual(again.changes, []);
+      });
+    });
+  });
+
+  it("reports bracket entities in JSX text without a fix", () => {
+    const code = `const a = "&lt;";
+export const C = () => <p>&lt;b&gt; &amp; more</p>;
+`;
+    const { code: output, issues } = transformLayer(2, code, {
+      filePath: "c.jsx",
+    });
+
+    assert.equal(
+      output,
+      `const a = "&lt;";
+export const C = () => <p>&lt;b&gt; & more</p>;
+`,
+    );
+    assert.deepEqual(
+      issues.map(({ column, fix }) => ({ column, fixed: Boolean(fix) })),
+      [
+        { column: 37, fixed: true },
+        { column: 27, fixed: false },
+        { column: 32, fixed: false },
+      ],
+    );
+  });
+
+  it("reports var declarations without a fix", () => {
+    const { code, issues } = transformLayer(2, "var a = 1;\n", {
+      filePath: "a.js",
+    });
+
+    assert.equal(code, "var a = 1;\n");
+    assert.deepEqual(
+      issues.map(({ rule, line, column, fix }) => ({
+        rule,
+        line,
+        column,
+        fix,
+      })),
+      [{ rule: "L2/var-declarations", line: 1, column: 1, fix: undefined }],
+    );
+  });
+});
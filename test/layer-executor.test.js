@@ -0,0 +1,50 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+
+describe("LayerExecutor", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-executor-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("rolls back file fixes that fail validation like engine.fix", async () => {
+    // Removing an unused React import is a critical import removal
+    const code = `import React from "react";\nexport const two = 2;\n`;
+    const file = path.join(dir, "util.ts");
+    fs.writeFileSync(file, code);
+
+    const engine = createEngine();
+    const fixed = await engine.fix(code, { filePath: file, layers: [2] });
+    const layer2 = fixed.layers.find(({ layer }) => layer === 2);
+    const results = await engine.fixFiles([file], { layers: [2] });
+
+    assert.equal(fixed.code, code);
+    assert.match(layer2.revertReason, /Critical imports removed/);
+    assert.equal(fs.readFileSync(file, "utf8"), code);
+    assert.deepEqual(results.changes, []);
+    assert.deepEqual(
+      results.errors.map(({ file, layer }) => ({ file, layer })),
+      [{ file, layer: 2 }],
+    );
+    assert.match(results.errors[0].message, /^Reverted: Logical issue/);
+  });
+
+  it("writes fixes that pass validation", async () => {
+    const file = path.join(dir, "log.js");
+    fs.writeFileSync(file, "console.log(1);\n");
+
+    const results = await createEngine().fixFiles([file], { layers: [2] });
+
+    assert.equal(fs.readFileSync(file, "utf8"), "console.debug(1);\n");
+    assert.deepEqual(results.errors, []);
+  });
+});
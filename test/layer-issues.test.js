@@ -0,0 +1,180 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+import { RuleRegistry } from "../src/layers/RuleRegistry.js";
+import { parseCode } from "../src/layers/transforms/ast.js";
+import { transformLayer } from "../src/layers/transforms/index.js";
+import { applyIssueFixes } from "./fixes.js";
+
+const rulesOf = (items) => items.map((item) => item.rule);
+
+describe("layer issues", () => {
+  // The editor's findings tree groups issues by layer, rule and file,
+  // and fixes a selection of them from different layers in one edit
+  it("locates issues and lets fixes across layers apply together", async () => {
+    const code = `'use client';
+export default function Page({ items }) {
+  console.log(items);
+  const theme = localStorage.getItem("theme");
+  return <React.Fragment>{items.map((i) => <b>{i}</b>)}</React.Fragment>;
+}
+`;
+    const engine = createEngine();
+    const { issues } = await engine.analyze(code, { filePath: "page.jsx" });
+    const lines = code.split("\n");
+
+    assert.deepEqual(
+      [...new Set(issues.map((issue) => issue.layer))].sort(),
+      [2, 3, 4],
+    );
+    issues.forEach((issue) => {
+      assert.equal(issue.layer, RuleRegistry.getRule(issue.rule).layer);
+      assert.ok(RuleRegistry.SEVERITIES.includes(issue.severity));
+      assert.ok(issue.message);
+      assert.ok(issue.line >= 1 && issue.line <= lines.length);
+      assert.ok(issue.column >= 1);
+      assert.ok(issue.column <= lines[issue.line - 1].length + 1);
+    });
+
+    const fixed = applyIssueFixes(code, issues);
+    const rerun = await engine.analyze(fixed, { filePath: "page.jsx" });
+
+    assert.doesNotThrow(() => parseCode(fixed, "jsx"));
+    assert.deepEqual(rerun.issues, []);
+  });
+
+  it("reports what fix changes", async () => {
+    const code = `export function A({items}){ return <ul>{items.map(i => <li>{i}</li>)}</ul> }
+const x = typeof window; export const v = localStorage.getItem("k");
+`;
+    const engine = createEngine();
+    const { issues } = await engine.analyze(code, { filePath: "a.jsx" });
+    const { changes } = await engine.fix(code, { filePath: "a.jsx" });
+
+    assert.deepEqual(rulesOf(issues), [
+      "L3/missing-key",
+      "L4/localstorage-ssr-guard",
+    ]);
+    assert.deepEqual(rulesOf(issues), rulesOf(changes));
+  });
+
+  it("only adds default exports to components not exported by name", () => {
+    const defaultExport = (code) =>
+      transformLayer(6, code, { filePath: "a.jsx" }).issues.filter(
+        (issue) => issue.rule === "L6/default-export",
+      );
+    const named = "export function A() {\n  return <p />;\n}\n";
+    const unexported = "function A() {\n  return <p />;\n}\n";
+
+    assert.deepEqual(defaultExport(named), []);
+    assert.deepEqual(
+      defaultExport(named.replace("function", "async function")),
+      [],
+    );
+    assert.equal(defaultExport(unexported).length, 1);
+    assert.match(
+      transformLayer(6, unexported, { filePath: "a.jsx" }).code,
+      /export default A;$/,
+    );
+  });
+
+  it("reports every rule each layer applies", () => {
+    const code = `import { useState } from "react";
+'use client';
+export default function Page({ items }) {
+  const [open] = useState(false);
+  return <Button size="lg">{items.map((item) => <b>{item}</b>)}</Button>;
+}
+`;
+    let current = code;
+
+    [3, 5, 6].forEach((layer) => {
+      const result = transformLayer(layer, current, { filePath: "page.tsx" });
+      assert.deepEqual(
+        [...new Set(rulesOf(result.issues))],
+        rulesOf(result.changes),
+      );
+      current = result.code;
+    });
+  });
+
+  it("gives issues fixes that make the layer's changes", () => {
+    const code = `export const L = ({ items }) => (
+  <Card>{items.map((item) => <b>{item}</b>)}</Card>
+);
+export const v = localStorage.getItem("k");
+`;
+    let current = code;
+
+    [3, 4].forEach((layer) => {
+      const result = transformLayer(layer, current, { filePath: "l.jsx" });
+      assert.equal(applyIssueFixes(current, result.issues), result.code);
+      current = result.code;
+    });
+  });
+
+  it("reports each match a pattern fix changes on a line", () => {
+    const code = `export const B = () => <Button size="md">Go</Button>;\n`;
+    const { issues } = transformLayer(3, code, { filePath: "b.tsx" });
+
+    assert.deepEqual(
+      issues.map(({ rule, column, fix }) => ({ rule, column, fixed: !!fix })),
+      [
+        { rule: "L3/button-variant", column: 24, fixed: true },
+        // Its fix would overlap the variant one, so it waits for a rerun
+        { rule: "L3/shadcn-size", column: 32, fixed: false },
+        { rule: "L3/missing-component-imports", column: 1, fixed: true },
+      ],
+    );
+  });
+
+  it("reports fixes to code an earlier fix wrote without a fix", () => {
+    const code = `interface Props {
+  file: File;
+}
+export default function Upload({ file }: Props) {
+  const [name, setName] = useState("");
+  return <p>{name} PDF</p>;
+}
+`;
+    const result = transformLayer(6, code, { filePath: "upload.tsx" });
+    const [strictAny] = result.issues.filter(
+      (issue) => issue.rule === "L6/strict-any",
+    );
+
+    // The error boundary wrapper's `props: any` is what becomes unknown
+    assert.match(result.code, /props: unknown/);
+    assert.equal(strictAny.line, 4);
+    assert.equal(strictAny.fix, undefined);
+  });
+
+  it("reports hooks that are neither imported nor declared", () => {
+    const imported = `import { useEffect, useState } from "react";
+export const useOpen = () => useState(useEffect);
+`;
+    const missing = `export function useOpen() {
+  const [open] = useState(false);
+  useState(true);
+  return open;
+}
+`;
+
+    assert.deepEqual(
+      transformLayer(3, imported, { filePath: "open.ts" }).issues,
+      [],
+    );
+    assert.deepEqual(
+      transformLayer(3, missing, { filePath: "open.ts" }).issues.map(
+        ({ rule, line, column, fix }) => ({ rule, line, column, fix }),
+      ),
+      [
+        {
+          rule: "L3/missing-hook-imports",
+          line: 2,
+          column: 18,
+          fix: undefined,
+        },
+      ],
+    );
+  });
+});
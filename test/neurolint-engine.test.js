@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+
+const CODE = `export const L = ({ items }) => {
+  console.log(items);
+  return <ul>{items.map((item) => <li>{item}</li>)}</ul>;
+};
+`;
+const FILE = "/project/src/list.jsx";
+
+describe("NeuroLintEngine.fix", () => {
+  // The editor's fix preview toggles layers and shows each one's changes
+  it("reports each layer's changes and runs only those asked for", async () => {
+    const engine = createEngine();
+    const both = await engine.fix(CODE, { filePath: FILE, layers: [2, 3] });
+    const patterns = await engine.fix(CODE, { filePath: FILE, layers: [2] });
+    const changeCount = (result, id) =>
+      result.layers.find(({ layer }) => layer === id)?.changeCount;
+
+    assert.equal(changeCount(both, 2), 1);
+    assert.equal(changeCount(both, 3), 1);
+    assert.equal(
+      both.summary.totalChanges,
+      both.layers.reduce((sum, layer) => sum + layer.changeCount, 0),
+    );
+    assert.equal(changeCount(patterns, 3), undefined);
+    assert.equal(patterns.code, CODE.replace("console.log", "console.debug"));
+    assert.match(both.code, /console\.debug\(items\)/);
+    assert.match(both.code, /<li key=/);
+  });
+
+  it("adds the layers a requested layer depends on", async () => {
+    const result = await createEngine().fix(CODE, {
+      filePath: FILE,
+      layers: [3],
+    });
+
+    assert.deepEqual(result.layers.map(({ layer }) => layer), [1, 2, 3]);
+    assert.match(result.code, /console\.debug/);
+  });
+
+  it("returns the original code when nothing changes", async () => {
+    const code = "export const a = 1;\n";
+    const result = await createEngine().fix(code, {
+      filePath: "/project/src/a.js",
+      layers: [2],
+    });
+
+    assert.equal(result.code, code);
+    assert.equal(result.originalCode, code);
+    assert.equal(result.summary.totalChanges, 0);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PluginManager } from "../src/plugins/PluginManager.js";
+import { ReporterRegistry } from "../src/reporters/ReporterRegistry.js";
+
+const dirs = [];
+
+function writePlugin(source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-plugin-"));
+  const file = path.join(dir, "plugin.cjs");
+  dirs.push(dir);
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+describe("PluginManager", () => {
+  afterEach(() => {
+    dirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true }));
+    ReporterRegistry.unregisterSource("dupes");
+    ReporterRegistry.unregisterSource("lines");
+  });
+
+  it("rejects a plugin whose reporter name is taken", async () => {
+    const manager = new PluginManager();
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+
+    try {
+      await manager.loadPlugin(
+        writePlugin(`module.exports = {
+  name: "dupes",
+  reporters: {
+    mine: { analyze: () => "mine" },
+    json: { analyze: () => "not json" },
+  },
+};
+`),
+      );
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.equal(manager.plugins.has("dupes"), false);
+    assert.equal(ReporterRegistry.has("mine"), false);
+    assert.equal(ReporterRegistry.get("json").source, "builtin");
+    assert.match(warnings.join("\n"), /json is already registered/);
+  });
+
+  it("keeps its progress messages off stdout", async () => {
+    const manager = new PluginManager();
+    manager.pluginDirs = [];
+    const stdout = [];
+    const log = console.log;
+    const error = console.error;
+    console.log = (message) => stdout.push(message);
+    console.error = () => {};
+
+    try {
+      await manager.loadPlugins();
+      await manager.loadPlugin(
+        writePlugin(`module.exports = {
+  name: "lines",
+  reporters: [{ name: "lines", analyze: () => "" }],
+};
+`),
+      );
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+
+    assert.deepEqual(stdout, []);
+    assert.equal(ReporterRegistry.get("lines").source, "lines");
+  });
+});
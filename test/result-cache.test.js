@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+import { ResultCache } from "../src/utils/ResultCache.js";
+
+describe("ResultCache", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Make an entry look last used `age` seconds ago
+  const age = (cache, key, seconds) => {
+    const time = new Date(Date.now() - seconds * 1000);
+    fs.utimesSync(cache.getEntryPath(key), time, time);
+  };
+
+  it("counts hits and misses and adds them to the totals on flush", () => {
+    const cache = new ResultCache({ dir });
+
+    assert.equal(cache.get("aa1"), undefined);
+    cache.set("aa1", { issues: [] });
+    assert.deepEqual(cache.get("aa1"), { issues: [] });
+    assert.deepEqual(cache.get("aa1"), { issues: [] });
+    assert.deepEqual([cache.hits, cache.misses], [2, 1]);
+
+    cache.flush();
+    assert.deepEqual([cache.hits, cache.misses], [0, 0]);
+
+    const next = new ResultCache({ dir });
+    next.get("bb1");
+    next.flush();
+
+    const { hits, misses, entries } = next.getStats();
+    assert.deepEqual({ hits, misses, entries }, {
+      hits: 2,
+      misses: 2,
+      entries: 1,
+    });
+  });
+
+  it("evicts the least recently used entries past maxEntries", () => {
+    const cache = new ResultCache({ dir, maxEntries: 2 });
+
+    cache.set("aa1", 1);
+    cache.set("bb1", 2);
+    age(cache, "aa1", 20);
+    age(cache, "bb1", 10);
+    // Reading an entry makes it the most recently used
+    cache.get("aa1");
+    cache.set("cc1", 3);
+
+    assert.deepEqual(
+      ["aa1", "bb1", "cc1"].map((key) => cache.has(key)),
+      [true, false, true],
+    );
+    assert.equal(cache.size, 2);
+  });
+
+  it("evicts entries until the total size fits maxSize", () => {
+    const entrySize = JSON.stringify({ value: "x".repeat(100) }).length;
+    const cache = new ResultCache({ dir, maxSize: entrySize * 2 });
+
+    ["aa1", "bb1", "cc1"].forEach((key, index) => {
+      cache.set(key, "x".repeat(100));
+      age(cache, key, 30 - index * 10);
+    });
+
+    assert.deepEqual(
+      ["aa1", "bb1", "cc1"].map((key) => cache.has(key)),
+      [false, true, true],
+    );
+    assert.equal(cache.getStats().size, entrySize * 2);
+  });
+
+  it("treats a corrupt entry as a miss and removes it", () => {
+    const cache = new ResultCache({ dir });
+
+    cache.set("aa1", 1);
+    fs.writeFileSync(cache.getEntryPath("aa1"), '{"value":');
+
+    assert.equal(cache.get("aa1"), undefined);
+    assert.equal(cache.misses, 1);
+    assert.equal(cache.has("aa1"), false);
+  });
+
+  it("keys on content, layers, rules and scope but not key order", () => {
+    const key = (content, options) => ResultCache.createKey(content, options);
+    const base = { layers: [2, 3], rules: { a: 1, b: 2 }, scope: "fix" };
+
+    assert.equal(
+      key("x", base),
+      key("x", { ...base, layers: [3, 2], rules: { b: 2, a: 1 } }),
+    );
+    [
+      key("y", base),
+      key("x", { ...base, layers: [2] }),
+      key("x", { ...base, rules: { a: 2, b: 2 } }),
+      key("x", { ...base, scope: "issues" }),
+    ].forEach((other) => assert.notEqual(other, key("x", base)));
+  });
+
+  it("serves a repeated analysis from the cache", async () => {
+    const file = path.join(dir, "log.js");
+    fs.writeFileSync(file, "console.log(1);\n");
+    const cache = new ResultCache({ dir: path.join(dir, "cache") });
+    const engine = createEngine();
+    const analyze = () =>
+      engine.analyzeFiles([file], { layers: [2, 3], cache });
+
+    const first = await analyze();
+    assert.deepEqual([cache.hits, cache.misses], [0, 2]);
+
+    const second = await analyze();
+    assert.deepEqual([cache.hits, cache.misses], [2, 2]);
+    assert.deepEqual(second.issues, first.issues);
+  });
+});
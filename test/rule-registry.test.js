@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RuleRegistry } from "../src/layers/RuleRegistry.js";
+import { SmartLayerSelector } from "../src/layers/SmartLayerSelector.js";
+import { transformLayer } from "../src/layers/transforms/index.js";
+
+// Code with findings for rules that fix and rules that only report
+const SAMPLES = [
+  {
+    filePath: "page.tsx",
+    code: `'use client';
+import React from "react";
+export default function Page({ items }) {
+  var count = 0;
+  const [open] = useState(false);
+  console.log(count, open);
+  return (
+    <Card>
+      <p>&quot;Hi&quot; &lt;3</p>
+      <img src="/a.png" />
+      {items.map(({ id }) => <b>{id}</b>)}
+      {items.map((item) => <Button variant="primary">{item}</Button>)}
+      <button onClick={() => localStorage.getItem("k")}>Go</button>
+    </Card>
+  );
+}
+`,
+  },
+  {
+    filePath: "store.js",
+    code: `export function save(value) {
+  localStorage.setItem("k", value);
+  return localStorage.getItem("k");
+}
+`,
+  },
+];
+
+function detectAll({ code, filePath }) {
+  return [
+    ...[1, 2, 3, 4, 5, 6].flatMap(
+      (layer) => transformLayer(layer, code, { filePath }).issues,
+    ),
+    ...SmartLayerSelector.detectIssues(code, filePath),
+  ];
+}
+
+describe("RuleRegistry", () => {
+  it("registers every rule the layers report", () => {
+    SAMPLES.flatMap(detectAll).forEach((issue) => {
+      assert.ok(RuleRegistry.getRule(issue.rule), issue.rule);
+    });
+  });
+
+  it("only attaches fixes to issues from fixable rules", () => {
+    const issues = SAMPLES.flatMap(detectAll);
+    const reportOnly = issues.filter(
+      (issue) => !RuleRegistry.getRule(issue.rule).fixable,
+    );
+
+    assert.deepEqual(
+      [...new Set(reportOnly.map((issue) => issue.rule))].sort(),
+      ["L2/var-declarations", "L3/img-alt", "L3/missing-hook-imports"],
+    );
+    reportOnly.forEach((issue) => {
+      assert.equal(issue.fix, undefined, `${issue.rule} carries a fix`);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+import { transformLayer } from "../src/layers/transforms/index.js";
+import { SarifReporter } from "../src/reporters/SarifReporter.js";
+
+const LEVELS = ["none", "note", "warning", "error"];
+
+const LIST = `export const L = ({ items }) => (
+  <Card>{items.map((item) => <b>{item}</b>)}</Card>
+);
+`;
+const LOG = `export function f() {
+  // neurolint-disable-next-line L2/console-log
+  console.log(1);
+}
+`;
+
+// Apply a SARIF fix's replacements, whose regions are 1-based with
+// end-exclusive columns, to the original text
+function applyReplacements(code, replacements) {
+  const lines = code.split("\n");
+  const toOffset = (line, column) =>
+    lines.slice(0, line - 1).join("\n").length + (line > 1) + column - 1;
+
+  return replacements
+    .map(({ deletedRegion: region, insertedContent }) => ({
+      start: toOffset(region.startLine, region.startColumn),
+      end: toOffset(region.endLine ?? region.startLine, region.endColumn),
+      text: insertedContent.text,
+    }))
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, { start, end, text }) =>
+        result.slice(0, start) + text + result.slice(end),
+      code,
+    );
+}
+
+describe("SarifReporter", () => {
+  let dir;
+  let log;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-sarif-"));
+    fs.mkdirSync(path.join(dir, "src app"));
+    fs.writeFileSync(path.join(dir, "src app", "list.jsx"), LIST);
+    fs.writeFileSync(path.join(dir, "log.js"), LOG);
+
+    const results = await createEngine().analyzeFiles(
+      [path.join(dir, "src app", "list.jsx"), path.join(dir, "log.js")],
+      { layers: [2, 3] },
+    );
+    log = JSON.parse(SarifReporter.analyze(results, { cwd: dir }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes a single run with the 2.1.0 version and schema", () => {
+    assert.equal(log.version, "2.1.0");
+    assert.match(log.$schema, /sarif-2\.1\.0/);
+    assert.equal(log.runs.length, 1);
+    assert.equal(log.runs[0].tool.driver.name, "NeuroLint");
+  });
+
+  it("describes each rule once with a valid default level", () => {
+    const { rules } = log.runs[0].tool.driver;
+    const ids = rules.map((rule) => rule.id);
+
+    assert.equal(new Set(ids).size, ids.length);
+    rules.forEach((rule) => {
+      assert.ok(LEVELS.includes(rule.defaultConfiguration.level));
+      assert.ok(rule.shortDescription.text);
+    });
+  });
+
+  it("points results at their rule and a relative artifact", () => {
+    const [run] = log.runs;
+    const base = run.originalUriBaseIds.SRCROOT.uri;
+
+    // A base URI must be absolute and end with a slash
+    assert.match(base, /^file:\/\/.*\/$/);
+    assert.ok(run.results.length > 0);
+
+    run.results.forEach((result) => {
+      const { artifactLocation, region } = result.locations[0].physicalLocation;
+
+      assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+      assert.ok(LEVELS.includes(result.level));
+      assert.ok(result.message.text);
+      assert.equal(artifactLocation.uriBaseId, "SRCROOT");
+      assert.doesNotMatch(artifactLocation.uri, /^[a-z]+:|^\/|\\/);
+      assert.ok(Number.isInteger(region.startLine) && region.startLine >= 1);
+      assert.ok(region.startColumn >= 1);
+    });
+
+    assert.ok(
+      run.results.some(
+        ({ locations: [location] }) =>
+          location.physicalLocation.artifactLocation.uri ===
+          "src%20app/list.jsx",
+      ),
+    );
+  });
+
+  it("marks suppressed issues as suppressed in source", () => {
+    const suppressed = log.runs[0].results.filter(
+      (result) => result.suppressions,
+    );
+
+    assert.deepEqual(
+      suppressed.map(({ ruleId, suppressions }) => ({ ruleId, suppressions })),
+      [{ ruleId: "L2/console-log", suppressions: [{ kind: "inSource" }] }],
+    );
+  });
+
+  it("gives fixes whose replacements make the layer's changes", () => {
+    const fixes = log.runs[0].results
+      .filter((result) => !result.suppressions)
+      .flatMap((result) => result.fixes || []);
+    const replacements = fixes.flatMap((fix) =>
+      fix.artifactChanges.flatMap((change) => {
+        assert.equal(change.artifactLocation.uri, "src%20app/list.jsx");
+        return change.replacements;
+      }),
+    );
+
+    assert.ok(fixes.length > 0);
+    assert.equal(
+      applyReplacements(LIST, replacements),
+      transformLayer(3, LIST, { filePath: "list.jsx" }).code,
+    );
+  });
+});
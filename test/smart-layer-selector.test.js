@@ -0,0 +1,168 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseCode } from "../src/layers/transforms/ast.js";
+import { transformLayer } from "../src/layers/transforms/index.js";
+import { SmartLayerSelector } from "../src/layers/SmartLayerSelector.js";
+import { applyIssueFixes } from "./fixes.js";
+
+function findIssues(code, filePath, rule) {
+  return SmartLayerSelector.detectIssues(code, filePath).filter(
+    (issue) => issue.rule === rule,
+  );
+}
+
+describe("SmartLayerSelector", () => {
+  describe("L3/missing-key", () => {
+    it("leaves elements that already have a key", () => {
+      const code = `export const L = ({ items }) => (
+  <ul>{items.map((item) => <li key={item.id}>{item.name}</li>)}</ul>
+);
+`;
+
+      assert.deepEqual(findIssues(code, "list.jsx", "L3/missing-key"), []);
+      assert.equal(
+        transformLayer(3, code, { filePath: "list.jsx" }).code,
+        code,
+      );
+    });
+
+    it("keys elements by index, else by item, and never twice", () => {
+      const code = `export const L = ({ items }) => (
+  <ul>
+    {items.map((item, i) => <li>{item}</li>)}
+    {items.map(function (item) {
+      return <li>{item.name}</li>;
+    })}
+  </ul>
+);
+`;
+      const output = `export const L = ({ items }) => (
+  <ul>
+    {items.map((item, i) => <li key={i}>{item}</li>)}
+    {items.map(function (item) {
+      return <li key={item.id || item}>{item.name}</li>;
+    })}
+  </ul>
+);
+`;
+      const issues = findIssues(code, "list.jsx", "L3/missing-key");
+
+      assert.equal(issues.length, 2);
+      assert.equal(applyIssueFixes(code, issues), output);
+      assert.equal(
+        transformLayer(3, output, { filePath: "list.jsx" }).code,
+        output,
+      );
+    });
+
+    it("reports destructured items without a fix and skips spreads", () => {
+      const code = `export const L = ({ items }) => (
+  <ul>
+    {items.map(({ id }) => <b>{id}</b>)}
+    {items.map((item) => <Row {...item} />)}
+  </ul>
+);
+`;
+      const issues = findIssues(code, "list.jsx", "L3/missing-key");
+
+      assert.deepEqual(
+        issues.map(({ line, column, fix }) => ({ line, column, fix })),
+        [{ line: 3, column: 28, fix: undefined }],
+      );
+    });
+  });
+
+  describe("L4/localstorage-ssr-guard", () => {
+    const code = `export function load() {
+  localStorage.theme = "dark";
+  localStorage.setItem("a", "1");
+  const value = localStorage.getItem("a") || "light";
+  return value;
+}
+`;
+    const output = `export function load() {
+  localStorage.theme = "dark";
+  localStorage.setItem("a", "1");
+  const value = (typeof window !== "undefined" && localStorage.getItem("a")) || "light";
+  return value;
+}
+`;
+
+    it("guards reads and reports writes without a fix", () => {
+      const issues = findIssues(
+        code,
+        "storage.js",
+        "L4/localstorage-ssr-guard",
+      );
+
+      assert.deepEqual(
+        issues.map(({ line, fix }) => ({ line, fixed: Boolean(fix) })),
+        [
+          { line: 2, fixed: false },
+          { line: 3, fixed: false },
+          { line: 4, fixed: true },
+        ],
+      );
+      assert.equal(applyIssueFixes(code, issues), output);
+    });
+
+    it("produces code that still parses and is not guarded twice", () => {
+      const { code: fixed } = transformLayer(4, code, {
+        filePath: "storage.js",
+      });
+
+      assert.equal(fixed, output);
+      assert.doesNotThrow(() => parseCode(fixed, "js"));
+      assert.equal(
+        SmartLayerSelector.addStorageGuards(fixed, "storage.js"),
+        fixed,
+      );
+    });
+  });
+
+  describe("L5/misplaced-use-client", () => {
+    const RULE = "L5/misplaced-use-client";
+
+    it("moves the directive above the first line of code", () => {
+      const code = `// Counter
+import { useState } from "react";
+'use client';
+export default function C() {}
+`;
+      const issues = findIssues(code, "c.jsx", RULE);
+      const fixed = applyIssueFixes(code, issues);
+
+      assert.equal(issues.length, 1);
+      assert.equal(issues[0].line, 3);
+      assert.equal(
+        fixed,
+        `// Counter
+'use client';
+
+import { useState } from "react";
+export default function C() {}
+`,
+      );
+      assert.deepEqual(findIssues(fixed, "c.jsx", RULE), []);
+    });
+
+    it("leaves a directive below only comments", () => {
+      const code = `// Counter\n'use client';\nimport a from "a";\n`;
+
+      assert.deepEqual(findIssues(code, "c.jsx", RULE), []);
+    });
+  });
+
+  it("ignores code in string literals and comments", () => {
+    const code = `const doc = "items.map((item) => <li>{item}</li>); localStorage.getItem('x')";
+// localStorage.setItem("a", 1)
+export const L = () => <p>{doc}</p>;
+`;
+    const rules = SmartLayerSelector.detectIssues(code, "doc.jsx").map(
+      (issue) => issue.rule,
+    );
+
+    assert.ok(!rules.includes("L3/missing-key"));
+    assert.ok(!rules.includes("L4/localstorage-ssr-guard"));
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { transformLayer } from "../src/layers/transforms/index.js";
+import { SuppressionManager } from "../src/layers/SuppressionManager.js";
+
+describe("SuppressionManager", () => {
+  it("keeps other rules' fixes on a line suppressed for one rule", () => {
+    const code = `export const C = () => (
+  // neurolint-disable-next-line L2/console-log
+  <p onClick={() => console.log(1)}>&quot;x&quot;</p>
+);
+`;
+    const result = transformLayer(2, code, { filePath: "c.jsx" });
+
+    assert.equal(
+      result.code,
+      `export const C = () => (
+  // neurolint-disable-next-line L2/console-log
+  <p onClick={() => console.log(1)}>"x"</p>
+);
+`,
+    );
+    assert.deepEqual(
+      result.suppressed.map((issue) => issue.rule),
+      ["L2/console-log"],
+    );
+  });
+
+  it("reads directives from comments, not strings", () => {
+    const code = `const url = "http://x/* neurolint-disable */";
+console.log(url);
+`;
+
+    assert.deepEqual(SuppressionManager.parse(code, "url.js"), []);
+    assert.equal(
+      transformLayer(2, code, { filePath: "url.js" }).code,
+      `const url = "http://x/* neurolint-disable */";
+console.debug(url);
+`,
+    );
+  });
+
+  it("parses line, block and JSX directives", () => {
+    const code = `/* neurolint-disable L6 */
+const a = 1; // neurolint-disable-line L2/console-log
+/* neurolint-enable L6 */
+export const C = () => (
+  <div>
+    {/* neurolint-disable-next-line L3 -- static list */}
+    <p />
+  </div>
+);
+`;
+
+    assert.deepEqual(
+      SuppressionManager.parse(code, "c.jsx").map(
+        ({ type, startLine, endLine, rules }) => ({
+          type,
+          startLine,
+          endLine,
+          rules,
+        }),
+      ),
+      [
+        { type: "disable", startLine: 1, endLine: 3, rules: ["L6"] },
+        {
+          type: "disable-line",
+          startLine: 2,
+          endLine: 2,
+          rules: ["L2/console-log"],
+        },
+        { type: "disable-next-line", startLine: 7, endLine: 7, rules: ["L3"] },
+      ],
+    );
+  });
+
+  it("reports directives that suppress nothing", () => {
+    const code = `// neurolint-disable-next-line L2/console-log
+const a = 1;
+`;
+    const { unused } = SuppressionManager.filterIssues([], code, [2], "a.js");
+
+    assert.deepEqual(
+      unused.map(({ line, type }) => ({ line, type })),
+      [{ line: 1, type: "disable-next-line" }],
+    );
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import chalk from "chalk";
+import { TableReporter } from "../src/reporters/TableReporter.js";
+
+const ANSI_ESCAPE = /\x1b\[[0-9;]*m/g;
+
+// The lines a reporter prints, with colors on and then stripped
+function capture(report) {
+  const lines = [];
+  const { log } = console;
+  const { level } = chalk;
+
+  console.log = (line = "") => lines.push(String(line));
+  chalk.level = 1;
+  try {
+    report();
+  } finally {
+    console.log = log;
+    chalk.level = level;
+  }
+
+  return lines.map((line) => line.replace(ANSI_ESCAPE, ""));
+}
+
+// The summary box: from its top border to its bottom one
+const box = (lines) =>
+  lines.slice(
+    lines.findIndex((line) => line.startsWith("┌")),
+    lines.findIndex((line) => line.startsWith("└")) + 1,
+  );
+
+describe("TableReporter", () => {
+  it("lines up the analysis summary box", () => {
+    const lines = box(
+      capture(() =>
+        TableReporter.analyze({
+          summary: { filesAnalyzed: 12, issuesFound: 3, layersUsed: [4] },
+          issues: [],
+        }),
+      ),
+    );
+
+    assert.ok(lines.includes(`│ Layers used: [4]${" ".repeat(32)}│`));
+    lines.forEach((line) => assert.equal(line.length, lines[0].length, line));
+  });
+
+  it("lines up the fix summary box, colored dry run row included", () => {
+    const lines = box(
+      capture(() =>
+        TableReporter.fix({
+          summary: {
+            filesProcessed: 1234,
+            changesApplied: 0,
+            layersUsed: [1, 2, 3, 4, 5, 6],
+            dryRun: true,
+          },
+          changes: [],
+        }),
+      ),
+    );
+
+    assert.equal(lines.length, 8);
+    lines.forEach((line) => assert.equal(line.length, lines[0].length, line));
+  });
+});
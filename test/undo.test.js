@@ -0,0 +1,63 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createProject, readTree, runCli } from "./cli.js";
+
+const FILES = {
+  "src/list.jsx": `export const L = ({ items }) => (
+  <ul>{items.map((i) => <li>{i}</li>)}</ul>
+);
+export const v = localStorage.getItem("k");
+`,
+  "src/log.js": "console.log(1);\n",
+};
+
+describe("undo", () => {
+  const dirs = [];
+  const fixedProject = () => {
+    const dir = createProject(FILES, { commit: false });
+    dirs.push(dir);
+
+    const run = runCli(dir, "fix", "src", "--recursive", "--layers", "2,3,4");
+    assert.equal(run.status, 0, run.stderr);
+    return dir;
+  };
+
+  after(() => {
+    dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it("restores fixed files and removes the files a run created", () => {
+    const dir = fixedProject();
+    const original = { ".neurolint.json": "{}\n", ...FILES };
+
+    assert.notDeepEqual(readTree(dir), original);
+
+    const undo = runCli(dir, "undo");
+    assert.equal(undo.status, 0, undo.stderr);
+    assert.match(undo.stdout, /Undid fix run/);
+    assert.deepEqual(readTree(dir), original);
+
+    const again = runCli(dir, "undo");
+    assert.equal(again.status, 1);
+    assert.match(again.stderr, /No fix runs to undo/);
+  });
+
+  it("refuses to overwrite later changes without --force", () => {
+    const dir = fixedProject();
+    const log = path.join(dir, "src/log.js");
+    fs.appendFileSync(log, "// edited after the fix\n");
+    const edited = readTree(dir);
+
+    const undo = runCli(dir, "undo");
+    assert.equal(undo.status, 1);
+    assert.match(undo.stderr, /Files changed after fix run .*src\/log\.js/);
+    assert.deepEqual(readTree(dir), edited);
+
+    const forced = runCli(dir, "undo", "--force");
+    assert.equal(forced.status, 0, forced.stderr);
+    assert.match(forced.stdout, /Overwrote later changes to src\/log\.js/);
+    assert.deepEqual(readTree(dir), { ".neurolint.json": "{}\n", ...FILES });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+import { ResultCache } from "../src/utils/ResultCache.js";
+
+const FILES = {
+  "list.jsx": `export const L = ({ items }) => (
+  <ul>{items.map((i) => <li>{i}</li>)}</ul>
+);
+`,
+  "storage.js": `export const v = localStorage.getItem("k");\n`,
+  "log.js": `// neurolint-disable-next-line L2/console-log
+console.log(1);
+console.log(2);
+`,
+  "page.tsx": `export default function Page({ file }: { file: any }) {
+  return <Button size="md">{file.name}</Button>;
+}
+`,
+  "broken.js": "export const = ;\n",
+  "clean.js": "export const a = 1;\n",
+};
+const LAYERS = [2, 3, 4, 6];
+
+describe("worker pool", () => {
+  let dir;
+
+  // A fresh copy of the fixture files in a directory of their own
+  const copyFiles = (name) => {
+    const copy = path.join(dir, name);
+    fs.mkdirSync(copy);
+    Object.entries(FILES).forEach(([file, content]) => {
+      fs.writeFileSync(path.join(copy, file), content);
+    });
+    return Object.keys(FILES).map((file) => path.join(copy, file));
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-pool-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("analyzes files in workers as it does in process", async () => {
+    const files = copyFiles("analyze");
+    const engine = createEngine();
+    const [inProcess, pooled] = await Promise.all(
+      [1, 2].map((concurrency) =>
+        engine.analyzeFiles(files, { layers: LAYERS, concurrency }),
+      ),
+    );
+
+    assert.ok(inProcess.issues.length > 0);
+    assert.ok(inProcess.suppressed.length > 0);
+    assert.deepEqual(pooled.issues, inProcess.issues);
+    assert.deepEqual(pooled.suppressed, inProcess.suppressed);
+    assert.deepEqual(pooled.files, inProcess.files);
+  });
+
+  it("fixes files in workers as it does in process", async () => {
+    const engine = createEngine();
+    const runs = [];
+
+    for (const concurrency of [1, 2]) {
+      const files = copyFiles(`fix-${concurrency}`);
+      const results = await engine.fixFiles(files, {
+        layers: LAYERS,
+        concurrency,
+        scaffold: false,
+      });
+      const relative = (file) => path.basename(file);
+
+      runs.push({
+        changes: results.changes.map((change) => ({
+          ...change,
+          file: relative(change.file),
+        })),
+        errors: results.errors.map((error) => ({
+          ...error,
+          file: relative(error.file),
+        })),
+        contents: files.map((file) => fs.readFileSync(file, "utf8")),
+      });
+    }
+
+    assert.ok(runs[0].changes.length > 0);
+    assert.deepEqual(
+      [...new Set(runs[0].errors.map(({ file }) => file))],
+      ["broken.js"],
+    );
+    assert.deepEqual(runs[1], runs[0]);
+  });
+
+  it("adds the workers' cache hits to the main thread's counts", async () => {
+    const files = copyFiles("cache");
+    const cache = new ResultCache({ dir: path.join(dir, "cache") });
+    const engine = createEngine();
+    const analyze = () =>
+      engine.analyzeFiles(files, { layers: LAYERS, cache, concurrency: 2 });
+
+    await analyze();
+    assert.deepEqual(
+      [cache.hits, cache.misses],
+      [0, files.length * LAYERS.length],
+    );
+
+    await analyze();
+    assert.equal(cache.hits, files.length * LAYERS.length);
+  });
+});
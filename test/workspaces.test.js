@@ -0,0 +1,191 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { Workspaces } from "../src/utils/Workspaces.js";
+import { createProject, runCli } from "./cli.js";
+
+const WORKSPACE = {
+  "package.json": JSON.stringify({
+    name: "root",
+    private: true,
+    workspaces: ["packages/*", "!packages/ignored"],
+  }),
+  "packages/web/package.json": JSON.stringify({
+    name: "web",
+    dependencies: { next: "14.0.0" },
+  }),
+  // The package's config builds on the root one
+  "packages/web/.neurolint.json": JSON.stringify({
+    rules: { "L2/console-log": "off" },
+  }),
+  "packages/web/app/page.jsx": `console.log(1);
+export default function Page() {
+  return <div>{[1].map((i) => <b>{i}</b>)}</div>;
+}
+`,
+  "packages/lib/package.json": JSON.stringify({ name: "lib" }),
+  "packages/lib/src/index.js": "console.log(2);\n",
+  "packages/ignored/package.json": JSON.stringify({ name: "ignored" }),
+  "scripts/build.js": "console.log(3);\n",
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+describe("Workspaces", () => {
+  let dir;
+
+  before(() => {
+    dir = createProject(WORKSPACE, { commit: false });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("detects npm workspace packages and which are Next.js apps", async () => {
+    const workspace = await Workspaces.detect(dir);
+
+    assert.equal(workspace.manager, "npm");
+    assert.deepEqual(
+      workspace.packages.map(({ name, dir, nextApp }) => ({
+        name,
+        dir,
+        nextApp,
+      })),
+      [
+        { name: "lib", dir: path.join("packages", "lib"), nextApp: false },
+        { name: "web", dir: path.join("packages", "web"), nextApp: true },
+      ],
+    );
+  });
+
+  it("reads pnpm-workspace.yaml package globs", () => {
+    const yaml = `packages:
+  - "apps/*"
+  - 'packages/**' # shared code
+  - "!**/test/**"
+catalog:
+  - nope
+`;
+
+    assert.deepEqual(Workspaces.parsePnpmPackages(yaml), [
+      "apps/*",
+      "packages/**",
+      "!**/test/**",
+    ]);
+  });
+
+  it("finds the innermost package containing a file", () => {
+    const workspace = {
+      root: dir,
+      packages: [
+        { name: "web", path: path.join(dir, "packages/web") },
+        { name: "docs", path: path.join(dir, "packages/web/docs") },
+      ],
+    };
+    const find = (file) => Workspaces.findPackage(workspace, file)?.name;
+
+    assert.equal(find("packages/web/app/page.jsx"), "web");
+    assert.equal(find("packages/web/docs/index.js"), "docs");
+    assert.equal(find("packages/website/index.js"), undefined);
+    assert.equal(find("scripts/build.js"), undefined);
+  });
+
+  it("groups analysis output by package with package configs", () => {
+    const { status, stdout } = runCli(
+      dir,
+      "analyze",
+      ".",
+      "--recursive",
+      "--layers",
+      "2,3,5",
+      "--reporter",
+      "json",
+      "--no-cache",
+    );
+    const results = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.deepEqual(
+      results.packages
+        .map(({ name, layersUsed, issuesFound }) => ({
+          name,
+          layersUsed,
+          issuesFound,
+        }))
+        .sort(byName),
+      [
+        { name: Workspaces.ROOT_PACKAGE, layersUsed: [2, 3], issuesFound: 1 },
+        { name: "lib", layersUsed: [2, 3], issuesFound: 1 },
+        // Only the Next.js app runs the Next.js layer
+        { name: "web", layersUsed: [2, 3, 5], issuesFound: 1 },
+      ],
+    );
+    assert.deepEqual(
+      results.issues
+        .map(({ rule, package: name }) => ({ rule, name }))
+        .sort(byName),
+      [
+        { rule: "L2/console-log", name: Workspaces.ROOT_PACKAGE },
+        { rule: "L2/console-log", name: "lib" },
+        { rule: "L3/missing-key", name: "web" },
+      ],
+    );
+  });
+
+  it("keeps only the packages --workspace names", () => {
+    const { stdout } = runCli(
+      dir,
+      "analyze",
+      ".",
+      "--recursive",
+      "--layers",
+      "2",
+      "--workspace",
+      "lib",
+      "--reporter",
+      "json",
+      "--no-cache",
+    );
+    const results = JSON.parse(stdout);
+
+    assert.deepEqual(
+      results.packages.map(({ name }) => name),
+      ["lib"],
+    );
+    assert.deepEqual(
+      results.files.map(({ filePath }) => filePath),
+      [path.join("packages", "lib", "src", "index.js")],
+    );
+  });
+
+  it("fails on unknown --workspace names and outside workspaces", () => {
+    const unknown = runCli(
+      dir,
+      "analyze",
+      ".",
+      "--recursive",
+      "--workspace",
+      "api",
+    );
+    const single = createProject({ "a.js": "" }, { commit: false });
+
+    try {
+      const outside = runCli(single, "analyze", ".", "--workspace", "lib");
+
+      assert.equal(unknown.status, 1);
+      assert.match(
+        unknown.stdout + unknown.stderr,
+        /Unknown workspace: api\. Available workspaces: lib, web/,
+      );
+      assert.equal(outside.status, 1);
+      assert.match(
+        outside.stdout + outside.stderr,
+        /--workspace requires an npm, yarn or pnpm workspace/,
+      );
+    } finally {
+      fs.rmSync(single, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createProject, git, readTree, runCli } from "./cli.js";
+
+const FILES = {
+  "src/list.jsx": `export const L = ({ items }) => (
+  <ul>{items.map((i) => <li>{i}</li>)}</ul>
+);
+export const v = localStorage.getItem("k");
+`,
+  "src/crlf.js": "console.log(1);\r\nconsole.log(2);\r\n",
+  "src/no-newline.js": "const a = 1;\nconsole.log(a);",
+};
+
+describe("fix --write-patch", () => {
+  const dirs = [];
+  const project = () => {
+    const dir = createProject(FILES);
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(() => {
+    dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it("writes a patch git applies to make the same fixes", () => {
+    const previewed = project();
+    const fixed = project();
+    const patch = path.join(previewed, "fixes.patch");
+    const args = ["fix", "src", "--recursive", "--layers", "2,3,4"];
+
+    const preview = runCli(
+      previewed,
+      ...args,
+      "--dry-run",
+      "--write-patch",
+      patch,
+    );
+    assert.equal(preview.status, 0, preview.stderr);
+    assert.deepEqual(readTree(previewed), {
+      ...readTree(fixed),
+      "fixes.patch": fs.readFileSync(patch, "utf8"),
+    });
+
+    git(previewed, "apply", "--check", patch);
+    git(previewed, "apply", patch);
+    fs.rmSync(patch);
+
+    const run = runCli(fixed, ...args);
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(readTree(fixed)["src/list.jsx"], /key=/);
+    assert.deepEqual(readTree(previewed), readTree(fixed));
+  });
+
+  it("keeps line endings and missing final newlines", () => {
+    const dir = project();
+    const patch = path.join(dir, "fixes.patch");
+
+    runCli(
+      dir,
+      ...["fix", "src", "--recursive", "--layers", "2", "--dry-run"],
+      ...["--write-patch", patch],
+    );
+    git(dir, "apply", patch);
+
+    assert.equal(
+      fs.readFileSync(path.join(dir, "src/crlf.js"), "utf8"),
+      "console.debug(1);\r\nconsole.debug(2);\r\n",
+    );
+    assert.equal(
+      fs.readFileSync(path.join(dir, "src/no-newline.js"), "utf8"),
+      "const a = 1;\nconsole.debug(a);",
+    );
+  });
+});
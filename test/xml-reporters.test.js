@@ -0,0 +1,181 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEngine } from "../src/core/NeuroLintEngine.js";
+import { JUnitReporter } from "../src/reporters/JUnitReporter.js";
+import { CheckstyleReporter } from "../src/reporters/CheckstyleReporter.js";
+
+const ENTITY = /&(?!(?:amp|lt|gt|quot|apos);)/;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const unescape = (value) =>
+  value.replace(/&(\w+);/g, (entity, name) => ENTITIES[name]);
+
+/**
+ * Parse the XML the reporters write into { name, attributes, children,
+ * text } elements, failing on anything that is not well-formed: unbalanced
+ * tags, unquoted attributes, bare ampersands or control characters
+ */
+function parseXml(xml) {
+  const declaration = /^<\?xml version="1\.0" encoding="UTF-8"\?>\n/;
+  const token =
+    /<(\/?)([\w:-]+)((?:\s+[\w:-]+="[^"<]*")*)\s*(\/?)>|([^<]+)/y;
+  const root = { children: [] };
+  const stack = [root];
+
+  assert.match(xml, declaration);
+  assert.doesNotMatch(xml, /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+  token.lastIndex = xml.match(declaration)[0].length;
+
+  while (token.lastIndex < xml.length) {
+    const start = token.lastIndex;
+    const match = token.exec(xml);
+    assert.ok(match, `malformed XML at ${start}: ${xml.slice(start, 40)}`);
+
+    const [, closing, name, attributes, selfClosing, text] = match;
+    const parent = stack.at(-1);
+
+    if (text !== undefined) {
+      assert.doesNotMatch(text, ENTITY);
+      if (text.trim()) parent.text = (parent.text || "") + unescape(text);
+    } else if (closing) {
+      assert.equal(stack.pop().name, name);
+    } else {
+      assert.doesNotMatch(attributes, ENTITY);
+      const element = {
+        name,
+        attributes: Object.fromEntries(
+          [...attributes.matchAll(/([\w:-]+)="([^"]*)"/g)].map(
+            ([, key, value]) => [key, unescape(value)],
+          ),
+        ),
+        children: [],
+      };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  assert.equal(stack.length, 1, "unclosed elements");
+  assert.equal(root.children.length, 1, "one root element");
+  return root.children[0];
+}
+
+const children = (element, name) =>
+  element.children.filter((child) => child.name === name);
+
+describe("XML reporters", () => {
+  let dir;
+  let results;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neurolint-xml-"));
+    fs.writeFileSync(
+      path.join(dir, "list.jsx"),
+      "export const L = ({ items }) => items.map((i) => <li>{i}</li>);\n",
+    );
+    fs.writeFileSync(path.join(dir, "clean.js"), "export const a = 1;\n");
+
+    results = await createEngine().analyzeFiles(
+      [path.join(dir, "list.jsx"), path.join(dir, "clean.js")],
+      { layers: [2, 3] },
+    );
+    // Text the formats must escape
+    results.files.push({
+      filePath: `a&b <"c">.js`,
+      issues: [
+        {
+          rule: "L2/console-log",
+          severity: "low",
+          message: `Use "debug" & not <log>\u0001`,
+          line: 2,
+          column: 3,
+          snippet: "if (a && b) console.log(']]>');",
+        },
+      ],
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes JUnit XML with consistent suite counts", () => {
+    const root = parseXml(JUnitReporter.analyze(results));
+    const [suite] = children(root, "testsuite");
+    const testcases = children(suite, "testcase");
+    const failing = testcases.filter(
+      (testcase) => children(testcase, "failure").length > 0,
+    );
+
+    assert.equal(root.name, "testsuites");
+    assert.equal(children(root, "testsuite").length, 1);
+    // xs:dateTime without a time zone, as the JUnit schema expects
+    assert.match(
+      suite.attributes.timestamp,
+      /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d$/,
+    );
+    assert.equal(Number(suite.attributes.tests), testcases.length);
+    assert.equal(Number(suite.attributes.failures), failing.length);
+    assert.equal(failing.length, 2);
+    assert.equal(root.attributes.tests, suite.attributes.tests);
+    assert.equal(root.attributes.failures, suite.attributes.failures);
+    ["errors", "skipped"].forEach((count) => {
+      assert.equal(suite.attributes[count], "0");
+    });
+    assert.deepEqual(
+      testcases.map((testcase) => testcase.attributes.name),
+      results.files.map((file) => file.filePath),
+    );
+  });
+
+  it("gives each JUnit failure a type, message and details", () => {
+    const root = parseXml(JUnitReporter.analyze(results));
+    const failures = children(root, "testsuite")[0].children.flatMap(
+      (testcase) => children(testcase, "failure"),
+    );
+
+    assert.equal(
+      failures.length,
+      results.files.reduce((sum, file) => sum + file.issues.length, 0),
+    );
+    failures.forEach((failure) => {
+      assert.ok(failure.attributes.type);
+      assert.ok(failure.attributes.message.startsWith(failure.attributes.type));
+      assert.ok(failure.text);
+    });
+  });
+
+  it("writes Checkstyle XML with one error per issue", () => {
+    const root = parseXml(CheckstyleReporter.analyze(results));
+    const files = children(root, "file");
+
+    assert.equal(root.name, "checkstyle");
+    assert.ok(root.attributes.version);
+    assert.deepEqual(
+      files.map((file) => file.attributes.name),
+      results.files.map((file) => file.filePath),
+    );
+
+    files.forEach((file, index) => {
+      const errors = children(file, "error");
+      assert.equal(errors.length, results.files[index].issues.length);
+
+      errors.forEach(({ attributes }) => {
+        assert.match(attributes.line, /^[1-9]\d*$/);
+        if (attributes.column) assert.match(attributes.column, /^[1-9]\d*$/);
+        assert.ok(
+          ["error", "warning", "info", "ignore"].includes(attributes.severity),
+        );
+        assert.ok(attributes.message);
+        assert.match(attributes.source, /^neurolint\./);
+      });
+    });
+    assert.equal(
+      children(files.at(-1), "error")[0].attributes.message,
+      `Use "debug" & not <log>`,
+    );
+  });
+});
@@ -1,10 +1,14 @@
 
 import * as vscode from "vscode";
-import { ApiClient } from "./utils/ApiClient";
+import { AnalysisBackend, ApiClient } from "./utils/ApiClient";
+import { LocalEngine } from "./utils/LocalEngine";
+import { WorkspaceAnalyzer } from "./utils/WorkspaceAnalyzer";
 import { ConfigurationManager } from "./utils/ConfigurationManager";
 import { NeuroLintProvider } from "./providers/NeuroLintProvider";
 import { EnhancedDiagnosticProvider } from "./providers/EnhancedDiagnosticProvider";
 import { CodeActionProvider } from "./providers/CodeActionProvider";
+import { FixPreviewProvider } from "./providers/FixPreviewProvider";
+import { FindingsTreeProvider } from "./providers/FindingsTreeProvider";
 import { HoverProvider } from "./providers/HoverProvider";
 import { CompletionProvider } from "./providers/CompletionProvider";
 import { NeuroLintOrchestrationProvider } from "./providers/NeuroLintOrchestrationProvider";
@@ -12,9 +16,13 @@ import { StatusBar } from "./ui/StatusBar";
 import { EnterpriseManager } from "./enterprise/EnterpriseManager";
 
 let apiClient: ApiClient;
+let backend: AnalysisBackend;
 let configManager: ConfigurationManager;
 let orchestrationProvider: NeuroLintOrchestrationProvider;
 let diagnosticProvider: EnhancedDiagnosticProvider;
+let fixPreviewProvider: FixPreviewProvider;
+let workspaceAnalyzer: WorkspaceAnalyzer;
+let findingsProvider: FindingsTreeProvider;
 let statusBar: StatusBar;
 let outputChannel: vscode.OutputChannel;
 
@@ -37,13 +45,21 @@ export async function activate(context: vscode.ExtensionContext) {
     
     apiClient = new ApiClient(apiUrl, apiKey);
 
+    // Analysis and fixes run on the workspace's own engine unless the API
+    // server is chosen; in local mode no source is sent anywhere
+    const localMode = LocalEngine.isEnabled();
+    backend = localMode ? new LocalEngine(outputChannel) : apiClient;
+    const backendName = localMode
+      ? "local NeuroLint engine"
+      : "NeuroLint server";
+
     // Test connection in background
-    apiClient.checkConnection().then(connected => {
+    backend.checkConnection().then(connected => {
       if (connected) {
-        outputChannel.appendLine("✅ Connected to NeuroLint server");
+        outputChannel.appendLine(`✅ Connected to ${backendName}`);
         statusBar?.updateConnectionStatus(true);
       } else {
-        outputChannel.appendLine("⚠️  Could not connect to NeuroLint server");
+        outputChannel.appendLine(`⚠️  Could not connect to ${backendName}`);
         statusBar?.updateConnectionStatus(false);
       }
     });
@@ -51,15 +67,24 @@ export async function activate(context: vscode.ExtensionContext) {
     // Initialize status bar
     statusBar = new StatusBar();
 
-    // Initialize orchestration provider
-    orchestrationProvider = new NeuroLintOrchestrationProvider(apiClient, outputChannel);
+    // Initialize fix preview and orchestration providers
+    fixPreviewProvider = new FixPreviewProvider(backend, outputChannel);
+    orchestrationProvider = new NeuroLintOrchestrationProvider(
+      backend,
+      outputChannel,
+      fixPreviewProvider
+    );
 
     // Initialize diagnostic provider
-    diagnosticProvider = new EnhancedDiagnosticProvider(apiClient, outputChannel);
+    diagnosticProvider = new EnhancedDiagnosticProvider(backend, outputChannel);
+
+    // Initialize workspace analysis and its findings view
+    workspaceAnalyzer = new WorkspaceAnalyzer(backend, outputChannel);
+    findingsProvider = new FindingsTreeProvider(workspaceAnalyzer, outputChannel);
 
     // Initialize other providers
-    const neuroLintProvider = new NeuroLintProvider(apiClient, outputChannel);
-    const codeActionProvider = new CodeActionProvider(apiClient);
+    const neuroLintProvider = new NeuroLintProvider(backend, outputChannel);
+    const codeActionProvider = new CodeActionProvider(diagnosticProvider);
     const hoverProvider = new HoverProvider(apiClient);
     const completionProvider = new CompletionProvider(apiClient);
 
@@ -82,11 +107,27 @@ export async function activate(context: vscode.ExtensionContext) {
         if (supportedLanguages.includes(document.languageId)) {
           await diagnosticProvider.updateDiagnostics(document);
         }
+      }),
+
+      // The backend is chosen at activation
+      vscode.workspace.onDidChangeConfiguration(async (event) => {
+        if (event.affectsConfiguration("neurolint.engine")) {
+          const action = await vscode.window.showInformationMessage(
+            "Reload the window to switch the NeuroLint engine",
+            "Reload Window"
+          );
+          if (action === "Reload Window") {
+            vscode.commands.executeCommand("workbench.action.reloadWindow");
+          }
+        }
       })
     );
 
     // Register commands
     registerCommands(context);
+    CodeActionProvider.registerCommands(context, neuroLintProvider);
+    FixPreviewProvider.registerCommands(context, fixPreviewProvider);
+    FindingsTreeProvider.registerCommands(context, findingsProvider);
 
     // Initialize enterprise features if enabled
     const enterpriseEnabled = config.get<boolean>("enterpriseFeatures.enabled", false);
@@ -150,7 +191,8 @@ function registerCommands(context: vscode.ExtensionContext) {
     vscode.commands.registerCommand("neurolint.analyzeWorkspace", async () => {
       statusBar?.show("Analyzing workspace...", true);
       try {
-        await diagnosticProvider.forceAnalyzeWorkspace();
+        await vscode.commands.executeCommand(`${FindingsTreeProvider.viewId}.focus`);
+        await workspaceAnalyzer.analyzeWorkspace();
         statusBar?.show("Workspace analysis complete");
       } catch (error) {
         statusBar?.show("Workspace analysis failed", false, true);
@@ -217,6 +259,9 @@ export function deactivate() {
   
   // Clean up resources
   orchestrationProvider?.dispose();
+  fixPreviewProvider?.dispose();
+  findingsProvider?.dispose();
+  workspaceAnalyzer?.dispose();
   diagnosticProvider?.dispose();
   statusBar?.dispose();
   outputChannel?.dispose();
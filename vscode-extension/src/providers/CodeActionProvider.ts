@@ -1,8 +1,10 @@
 import * as vscode from "vscode";
+import { Issue } from "../utils/ApiClient";
+import { EnhancedDiagnosticProvider } from "./EnhancedDiagnosticProvider";
 import { NeuroLintProvider } from "./NeuroLintProvider";
 
 export class CodeActionProvider implements vscode.CodeActionProvider {
-  constructor(private neurolintProvider: NeuroLintProvider) {}
+  constructor(private diagnosticProvider: EnhancedDiagnosticProvider) {}
 
   async provideCodeActions(
     document: vscode.TextDocument,
@@ -29,6 +31,22 @@ export class CodeActionProvider implements vscode.CodeActionProvider {
       }
     }
 
+    // Add fix-all actions for each rule with a diagnostic in range
+    const ruleIds = new Set<string>(
+      neurolintDiagnostics.map((diagnostic) => String(diagnostic.code)),
+    );
+    for (const ruleId of ruleIds) {
+      actions.push(
+        ...this.createFixRuleActions(
+          document,
+          ruleId,
+          neurolintDiagnostics.filter(
+            (diagnostic) => String(diagnostic.code) === ruleId,
+          ),
+        ),
+      );
+    }
+
     // Add file-level actions
     actions.push(
       this.createAnalyzeFileAction(document),
@@ -46,6 +64,11 @@ export class CodeActionProvider implements vscode.CodeActionProvider {
     document: vscode.TextDocument,
     diagnostic: vscode.Diagnostic,
   ): vscode.CodeAction | undefined {
+    const issue = this.diagnosticProvider.getIssue(document, diagnostic);
+    if (!issue?.fix) {
+      return undefined;
+    }
+
     const action = new vscode.CodeAction(
       `Fix: ${diagnostic.message}`,
       vscode.CodeActionKind.QuickFix,
@@ -53,17 +76,92 @@ export class CodeActionProvider implements vscode.CodeActionProvider {
 
     action.diagnostics = [diagnostic];
     action.isPreferred = true;
-
-    // Create a command that will trigger the fix
-    action.command = {
-      command: "neurolint.quickFix",
-      title: "Apply NeuroLint Quick Fix",
-      arguments: [document.uri, diagnostic],
-    };
+    action.edit = CodeActionProvider.createFixEdit(
+      new Map([[document.uri, [issue]]]),
+    );
 
     return action;
   }
 
+  /**
+   * Fix every issue of a rule in the file, and in every open file, when
+   * that covers more than the single issue's own quick fix
+   */
+  private createFixRuleActions(
+    document: vscode.TextDocument,
+    ruleId: string,
+    diagnostics: vscode.Diagnostic[],
+  ): vscode.CodeAction[] {
+    const actions: vscode.CodeAction[] = [];
+    const fileIssues = this.diagnosticProvider.getFixableIssues(
+      ruleId,
+      document,
+    );
+    const openIssues = this.diagnosticProvider.getFixableIssues(ruleId);
+    const fileCount = this.countIssues(fileIssues);
+    const openCount = this.countIssues(openIssues);
+
+    if (fileCount > 1) {
+      const action = new vscode.CodeAction(
+        `Fix all ${ruleId} issues in this file (${fileCount})`,
+        vscode.CodeActionKind.QuickFix,
+      );
+      action.diagnostics = diagnostics;
+      action.edit = CodeActionProvider.createFixEdit(fileIssues);
+      actions.push(action);
+    }
+
+    if (openCount > fileCount) {
+      const action = new vscode.CodeAction(
+        `Fix all ${ruleId} issues in open files (${openCount})`,
+        vscode.CodeActionKind.QuickFix,
+      );
+      action.diagnostics = diagnostics;
+      action.edit = CodeActionProvider.createFixEdit(openIssues);
+      actions.push(action);
+    }
+
+    return actions;
+  }
+
+  /**
+   * One edit applying each issue's fix: its text over the issue's range,
+   * plus the fix's edits elsewhere in the file
+   */
+  static createFixEdit(
+    issues: Map<vscode.Uri, Issue[]>,
+  ): vscode.WorkspaceEdit {
+    const edit = new vscode.WorkspaceEdit();
+
+    issues.forEach((fileIssues, uri) => {
+      fileIssues.forEach((issue) => {
+        const { text, edits = [] } = issue.fix!;
+        edit.replace(
+          uri,
+          EnhancedDiagnosticProvider.getIssueRange(issue),
+          text,
+        );
+        edits.forEach((fixEdit) => {
+          edit.replace(
+            uri,
+            EnhancedDiagnosticProvider.getIssueRange(fixEdit),
+            fixEdit.text,
+          );
+        });
+      });
+    });
+
+    return edit;
+  }
+
+  private countIssues(issues: Map<vscode.Uri, Issue[]>): number {
+    let count = 0;
+    issues.forEach((fileIssues) => {
+      count += fileIssues.length;
+    });
+    return count;
+  }
+
   private createAnalyzeFileAction(
     document: vscode.TextDocument,
   ): vscode.CodeAction {
@@ -169,37 +267,6 @@ export class CodeActionProvider implements vscode.CodeActionProvider {
     context: vscode.ExtensionContext,
     provider: NeuroLintProvider,
   ): void {
-    // Quick fix command
-    const quickFixCommand = vscode.commands.registerCommand(
-      "neurolint.quickFix",
-      async (uri: vscode.Uri, diagnostic: vscode.Diagnostic) => {
-        const document = await vscode.workspace.openTextDocument(uri);
-
-        try {
-          // This would ideally get a specific fix for the diagnostic
-          // For now, we'll analyze and apply fixes
-          await provider.fixDocument(document);
-          vscode.window.showInformationMessage("Quick fix applied");
-        } catch (error) {
-          vscode.window.showErrorMessage(`Quick fix failed: ${error}`);
-        }
-      },
-    );
-
-    // Preview fixes command
-    const previewFixesCommand = vscode.commands.registerCommand(
-      "neurolint.previewFixes",
-      async (uri: vscode.Uri) => {
-        const document = await vscode.workspace.openTextDocument(uri);
-
-        try {
-          await provider.fixDocument(document, true);
-        } catch (error) {
-          vscode.window.showErrorMessage(`Preview failed: ${error}`);
-        }
-      },
-    );
-
     // Analyze specific layer command
     const analyzeLayerCommand = vscode.commands.registerCommand(
       "neurolint.analyzeLayer",
@@ -238,10 +305,6 @@ export class CodeActionProvider implements vscode.CodeActionProvider {
       },
     );
 
-    context.subscriptions.push(
-      quickFixCommand,
-      previewFixesCommand,
-      analyzeLayerCommand,
-    );
+    context.subscriptions.push(analyzeLayerCommand);
   }
 }
@@ -1,6 +1,7 @@
 
 import * as vscode from "vscode";
 import { ApiClient } from "../utils/ApiClient";
+import { LocalEngine } from "../utils/LocalEngine";
 
 interface CompletionCache {
   [key: string]: {
@@ -203,6 +204,11 @@ export class NeuroLintCompletionProvider implements vscode.CompletionItemProvide
     document: vscode.TextDocument,
     position: vscode.Position
   ): Promise<vscode.CompletionItem[]> {
+    // These send the surrounding code to the API server
+    if (LocalEngine.isEnabled()) {
+      return [];
+    }
+
     try {
       const context = this.getCodeContext(document, position);
       const suggestions = await this.apiClient.getCompletionSuggestions({
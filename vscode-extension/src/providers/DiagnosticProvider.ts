@@ -71,14 +71,18 @@ export class DiagnosticProvider implements vscode.Disposable {
     return issues
       .filter((issue) => this.shouldIncludeIssue(issue, diagnosticsLevel))
       .map((issue) => {
+        // Issue positions are 1-based; the end points just past the match
+        const start = new vscode.Position(
+          Math.max(0, issue.line - 1),
+          Math.max(0, issue.column - 1),
+        );
         const range = new vscode.Range(
+          start,
           new vscode.Position(
-            Math.max(0, issue.line),
-            Math.max(0, issue.column),
-          ),
-          new vscode.Position(
-            Math.max(0, issue.line),
-            Math.max(0, issue.column + 1),
+            Math.max(0, (issue.endLine ?? issue.line) - 1),
+            issue.endColumn !== undefined
+              ? Math.max(0, issue.endColumn - 1)
+              : start.character + (issue.length ?? 1),
           ),
         );
 
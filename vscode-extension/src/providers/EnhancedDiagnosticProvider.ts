@@ -1,5 +1,5 @@
 import * as vscode from "vscode";
-import { ApiClient } from "../utils/ApiClient";
+import { AnalysisBackend, Issue } from "../utils/ApiClient";
 
 interface DiagnosticCache {
   [uri: string]: {
@@ -9,6 +9,12 @@ interface DiagnosticCache {
   };
 }
 
+interface DocumentIssues {
+  // Document version the issues were found in
+  version: number;
+  entries: { diagnostic: vscode.Diagnostic; issue: Issue }[];
+}
+
 interface AnalysisQueue {
   [uri: string]: {
     timer: NodeJS.Timeout;
@@ -20,12 +26,14 @@ export class EnhancedDiagnosticProvider {
   private diagnosticCollection: vscode.DiagnosticCollection;
   private cache: DiagnosticCache = {};
   private analysisQueue: AnalysisQueue = {};
+  // Issues behind the diagnostics shown for each open document
+  private issues = new Map<string, DocumentIssues>();
   private isAnalyzing = false;
   private readonly CACHE_TTL = 5 * 60 * 1000; // 5 minutes
   private readonly DEBOUNCE_DELAY = 1000; // 1 second
 
   constructor(
-    private apiClient: ApiClient,
+    private apiClient: AnalysisBackend,
     private outputChannel: vscode.OutputChannel
   ) {
     this.diagnosticCollection = vscode.languages.createDiagnosticCollection("neurolint");
@@ -122,13 +130,22 @@ export class EnhancedDiagnosticProvider {
     try {
       this.outputChannel.appendLine(`Analyzing: ${document.fileName}`);
       
+      const version = document.version;
       const result = await this.apiClient.analyzeCode({
         code: document.getText(),
         filePath: document.fileName,
         layers: this.getEnabledLayers()
       });
 
-      const diagnostics = this.convertToDiagnostics(result.issues || []);
+      const issues = result.issues || [];
+      const diagnostics = this.convertToDiagnostics(issues);
+      this.issues.set(uri, {
+        version,
+        entries: diagnostics.map((diagnostic, index) => ({
+          diagnostic,
+          issue: issues[index]
+        }))
+      });
       
       // Update cache
       this.cache[uri] = {
@@ -150,6 +167,7 @@ export class EnhancedDiagnosticProvider {
       // Clear diagnostics on error but keep old cache if available
       if (!cached) {
         this.diagnosticCollection.set(document.uri, []);
+        this.issues.delete(uri);
       }
     } finally {
       this.isAnalyzing = false;
@@ -158,12 +176,7 @@ export class EnhancedDiagnosticProvider {
 
   private convertToDiagnostics(issues: any[]): vscode.Diagnostic[] {
     return issues.map(issue => {
-      const range = new vscode.Range(
-        Math.max(0, (issue.line || 1) - 1),
-        Math.max(0, issue.column || 0),
-        Math.max(0, (issue.endLine || issue.line || 1) - 1),
-        Math.max(0, issue.endColumn || (issue.column || 0) + (issue.length || 1))
-      );
+      const range = EnhancedDiagnosticProvider.getIssueRange(issue);
 
       const diagnostic = new vscode.Diagnostic(
         range,
@@ -194,10 +207,73 @@ export class EnhancedDiagnosticProvider {
     });
   }
 
+  /**
+   * The issue a diagnostic was made from, while the document is unchanged
+   * since it was analyzed. Code action contexts carry copies of the
+   * published diagnostics, so they are matched by range, rule and message.
+   */
+  public getIssue(
+    document: vscode.TextDocument,
+    diagnostic: vscode.Diagnostic
+  ): Issue | undefined {
+    return this.getCurrentIssues(document).find(entry =>
+      entry.diagnostic.range.isEqual(diagnostic.range) &&
+      entry.diagnostic.code === diagnostic.code &&
+      entry.diagnostic.message === diagnostic.message
+    )?.issue;
+  }
+
+  /**
+   * Issues of one rule that carry a fix, in one document or in every open
+   * document, skipping documents edited since they were analyzed
+   */
+  public getFixableIssues(
+    ruleId: string,
+    document?: vscode.TextDocument
+  ): Map<vscode.Uri, Issue[]> {
+    const fixable = new Map<vscode.Uri, Issue[]>();
+    const documents = document ? [document] : vscode.workspace.textDocuments;
+
+    documents.forEach(doc => {
+      const issues = this.getCurrentIssues(doc)
+        .map(entry => entry.issue)
+        .filter(issue => issue.rule === ruleId && issue.fix);
+      if (issues.length > 0) {
+        fixable.set(doc.uri, issues);
+      }
+    });
+
+    return fixable;
+  }
+
+  private getCurrentIssues(document: vscode.TextDocument) {
+    const issues = this.issues.get(document.uri.toString());
+    return issues && issues.version === document.version
+      ? issues.entries
+      : [];
+  }
+
+  /**
+   * Issue lines and columns are 1-based and endLine/endColumn point just
+   * past the match, so both ends shift by one to become VS Code positions.
+   * Fix edits use the same positions.
+   */
+  public static getIssueRange(issue: any): vscode.Range {
+    const startLine = Math.max(0, (issue.line || 1) - 1);
+    const startColumn = Math.max(0, (issue.column || 1) - 1);
+    const endLine = Math.max(0, (issue.endLine || issue.line || 1) - 1);
+    const endColumn = issue.endColumn
+      ? Math.max(0, issue.endColumn - 1)
+      : startColumn + (issue.length || 1);
+
+    return new vscode.Range(startLine, startColumn, endLine, endColumn);
+  }
+
   private getSeverity(severity: string): vscode.DiagnosticSeverity {
     switch (severity?.toLowerCase()) {
       case 'error':
       case 'critical':
+      case 'high':
         return vscode.DiagnosticSeverity.Error;
       case 'warning':
       case 'medium':
@@ -229,6 +305,7 @@ export class EnhancedDiagnosticProvider {
 
   private clearDocumentCache(uri: string) {
     delete this.cache[uri];
+    this.issues.delete(uri);
     if (this.analysisQueue[uri]) {
       clearTimeout(this.analysisQueue[uri].timer);
       delete this.analysisQueue[uri];
@@ -257,6 +334,7 @@ export class EnhancedDiagnosticProvider {
   public clearAllDiagnostics(): void {
     this.diagnosticCollection.clear();
     this.cache = {};
+    this.issues.clear();
     this.analysisQueue = {};
   }
 
@@ -0,0 +1,396 @@
+import * as vscode from "vscode";
+import { Issue } from "../utils/ApiClient";
+import { WorkspaceAnalyzer } from "../utils/WorkspaceAnalyzer";
+import { CodeActionProvider } from "./CodeActionProvider";
+import { EnhancedDiagnosticProvider } from "./EnhancedDiagnosticProvider";
+import { LAYER_NAMES } from "./FixPreviewProvider";
+
+interface Finding {
+  uri: vscode.Uri;
+  issue: Issue;
+}
+
+type FindingNode =
+  | { kind: "layer"; layer: number; findings: Finding[] }
+  | { kind: "rule"; layer: number; rule: string; findings: Finding[] }
+  | { kind: "file"; rule: string; uri: vscode.Uri; findings: Finding[] }
+  | { kind: "issue"; findings: [Finding] };
+
+/**
+ * The workspace analyzer's findings in the sidebar, grouped by layer, then
+ * rule, then file. Issues open at their location; any selection of nodes
+ * can be fixed at once with the fixes the engine attached to its issues.
+ */
+export class FindingsTreeProvider
+  implements vscode.TreeDataProvider<FindingNode>
+{
+  static readonly viewId = "neurolint.findings";
+
+  private changeEmitter = new vscode.EventEmitter<FindingNode | undefined>();
+  readonly onDidChangeTreeData = this.changeEmitter.event;
+  private view?: vscode.TreeView<FindingNode>;
+  private filter = "";
+
+  constructor(
+    private analyzer: WorkspaceAnalyzer,
+    private outputChannel: vscode.OutputChannel,
+  ) {
+    analyzer.onDidChange(() => this.refresh());
+  }
+
+  getTreeItem(node: FindingNode): vscode.TreeItem {
+    const fixable = node.findings.some(({ issue }) => issue.fix)
+      ? ".fixable"
+      : "";
+
+    switch (node.kind) {
+      case "layer": {
+        const item = new vscode.TreeItem(
+          `Layer ${node.layer}: ${LAYER_NAMES[node.layer] || "Unknown"}`,
+          vscode.TreeItemCollapsibleState.Expanded,
+        );
+        item.description = `${node.findings.length}`;
+        item.iconPath = new vscode.ThemeIcon("layers");
+        item.contextValue = `layer${fixable}`;
+        return item;
+      }
+      case "rule": {
+        const item = new vscode.TreeItem(
+          node.rule,
+          vscode.TreeItemCollapsibleState.Collapsed,
+        );
+        item.description = `${node.findings.length}`;
+        item.tooltip = node.findings[0].issue.message;
+        item.iconPath = new vscode.ThemeIcon("symbol-event");
+        item.contextValue = `rule${fixable}`;
+        return item;
+      }
+      case "file": {
+        const item = new vscode.TreeItem(
+          node.uri,
+          vscode.TreeItemCollapsibleState.Collapsed,
+        );
+        item.description = `${vscode.workspace.asRelativePath(node.uri)} · ${node.findings.length}`;
+        item.command = {
+          command: "vscode.open",
+          title: "Open File",
+          arguments: [node.uri],
+        };
+        item.contextValue = `file${fixable}`;
+        return item;
+      }
+      case "issue": {
+        const [{ uri, issue }] = node.findings;
+        const item = new vscode.TreeItem(
+          issue.message,
+          vscode.TreeItemCollapsibleState.None,
+        );
+        item.description = `Ln ${issue.line}, Col ${issue.column}`;
+        item.tooltip = `${issue.rule}: ${issue.message}`;
+        item.iconPath = this.getSeverityIcon(issue.severity);
+        item.command = {
+          command: "vscode.open",
+          title: "Go to Finding",
+          arguments: [
+            uri,
+            { selection: EnhancedDiagnosticProvider.getIssueRange(issue) },
+          ],
+        };
+        item.contextValue = `issue${fixable}`;
+        return item;
+      }
+    }
+  }
+
+  getChildren(node?: FindingNode): FindingNode[] {
+    if (!node) {
+      return this.groupBy(this.getFindings(), ({ issue }) => issue.layer)
+        .sort(([a], [b]) => a - b)
+        .map(([layer, findings]) => ({ kind: "layer", layer, findings }));
+    }
+
+    switch (node.kind) {
+      case "layer":
+        return this.groupBy(node.findings, ({ issue }) => issue.rule)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([rule, findings]) => ({
+            kind: "rule",
+            layer: node.layer,
+            rule,
+            findings,
+          }));
+      case "rule":
+        return this.groupBy(node.findings, ({ uri }) => uri.toString())
+          .map(([, findings]) => findings)
+          .sort((a, b) => a[0].uri.path.localeCompare(b[0].uri.path))
+          .map((findings) => ({
+            kind: "file",
+            rule: node.rule,
+            uri: findings[0].uri,
+            findings,
+          }));
+      case "file":
+        return [...node.findings]
+          .sort(
+            (a, b) =>
+              a.issue.line - b.issue.line || a.issue.column - b.issue.column,
+          )
+          .map((finding) => ({ kind: "issue", findings: [finding] }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Show only findings whose rule, message or file path contains the text
+   */
+  async setFilter(): Promise<void> {
+    const filter = await vscode.window.showInputBox({
+      prompt: "Show findings whose rule, message or file path contains",
+      placeHolder: "e.g. missing-key or components/",
+      value: this.filter,
+    });
+
+    if (filter !== undefined) {
+      this.applyFilter(filter.trim());
+    }
+  }
+
+  clearFilter(): void {
+    this.applyFilter("");
+  }
+
+  /**
+   * Apply the fixes under the selected nodes in one edit. Files changed
+   * since they were analyzed, and fixes overlapping an earlier one in the
+   * same file, are skipped; the fixed files are analyzed again afterwards.
+   */
+  async fixSelected(nodes: readonly FindingNode[]): Promise<void> {
+    const selected = new Set<Issue>();
+    const files = new Map<string, { uri: vscode.Uri; issues: Issue[] }>();
+
+    nodes.forEach((node) => {
+      node.findings.forEach(({ uri, issue }) => {
+        if (!issue.fix || selected.has(issue)) {
+          return;
+        }
+        selected.add(issue);
+
+        const file = files.get(uri.toString()) || { uri, issues: [] };
+        file.issues.push(issue);
+        files.set(uri.toString(), file);
+      });
+    });
+
+    if (selected.size === 0) {
+      vscode.window.showInformationMessage(
+        "The selected findings have no automatic fixes",
+      );
+      return;
+    }
+
+    const fixes = new Map<vscode.Uri, Issue[]>();
+    let skipped = 0;
+
+    for (const { uri, issues } of files.values()) {
+      if (!(await this.analyzer.isCurrent(uri))) {
+        skipped += issues.length;
+        continue;
+      }
+
+      const { applicable, overlapping } = this.removeOverlaps(issues);
+      fixes.set(uri, applicable);
+      skipped += overlapping;
+    }
+
+    const fixed = selected.size - skipped;
+    if (fixed > 0) {
+      const edit = CodeActionProvider.createFixEdit(fixes);
+      if (!(await vscode.workspace.applyEdit(edit))) {
+        vscode.window.showErrorMessage("Failed to apply NeuroLint fixes");
+        return;
+      }
+    }
+
+    this.outputChannel.appendLine(
+      `Fixed ${fixed} findings in ${fixes.size} files, skipped ${skipped}`,
+    );
+    // Changed files are refreshed too, so skipped fixes can be retried
+    await this.analyzer.reanalyze([...files.values()].map(({ uri }) => uri));
+
+    if (skipped > 0) {
+      vscode.window.showWarningMessage(
+        `Fixed ${fixed} findings. Skipped ${skipped} that changed or overlap another fix; run the fix again to apply them.`,
+      );
+    } else {
+      vscode.window.showInformationMessage(`Fixed ${fixed} findings`);
+    }
+  }
+
+  private refresh(): void {
+    this.changeEmitter.fire(undefined);
+
+    if (this.view) {
+      const count = this.getFindings().length;
+      this.view.badge =
+        count > 0 ? { value: count, tooltip: `${count} findings` } : undefined;
+      this.view.message =
+        this.filter && count === 0
+          ? `No findings match "${this.filter}"`
+          : undefined;
+    }
+  }
+
+  private applyFilter(filter: string): void {
+    this.filter = filter;
+    if (this.view) {
+      this.view.description = filter ? `Filter: ${filter}` : undefined;
+    }
+    vscode.commands.executeCommand(
+      "setContext",
+      "neurolint.findingsFiltered",
+      filter !== "",
+    );
+    this.refresh();
+  }
+
+  private getFindings(): Finding[] {
+    const filter = this.filter.toLowerCase();
+
+    return this.analyzer.getFindings().flatMap(({ uri, issues }) =>
+      issues
+        .filter(
+          (issue) =>
+            !filter ||
+            [issue.rule, issue.message, vscode.workspace.asRelativePath(uri)]
+              .join("\n")
+              .toLowerCase()
+              .includes(filter),
+        )
+        .map((issue) => ({ uri, issue })),
+    );
+  }
+
+  /**
+   * Keep the fixes, in document order, whose edits don't overlap an
+   * earlier kept fix's
+   */
+  private removeOverlaps(issues: Issue[]): {
+    applicable: Issue[];
+    overlapping: number;
+  } {
+    const taken: vscode.Range[] = [];
+    const applicable: Issue[] = [];
+
+    const sorted = [...issues].sort(
+      (a, b) => a.line - b.line || a.column - b.column,
+    );
+    for (const issue of sorted) {
+      const ranges = [issue, ...(issue.fix!.edits || [])].map((edit) =>
+        EnhancedDiagnosticProvider.getIssueRange(edit),
+      );
+      const overlaps = ranges.some((range) =>
+        taken.some(
+          (other) =>
+            range.start.isBefore(other.end) && other.start.isBefore(range.end),
+        ),
+      );
+
+      if (!overlaps) {
+        taken.push(...ranges);
+        applicable.push(issue);
+      }
+    }
+
+    return { applicable, overlapping: issues.length - applicable.length };
+  }
+
+  private groupBy<K>(
+    findings: Finding[],
+    key: (finding: Finding) => K,
+  ): [K, Finding[]][] {
+    const groups = new Map<K, Finding[]>();
+    findings.forEach((finding) => {
+      const group = groups.get(key(finding)) || [];
+      group.push(finding);
+      groups.set(key(finding), group);
+    });
+    return [...groups.entries()];
+  }
+
+  private getSeverityIcon(severity: string): vscode.ThemeIcon {
+    switch (severity?.toLowerCase()) {
+      case "error":
+      case "critical":
+      case "high":
+        return new vscode.ThemeIcon(
+          "error",
+          new vscode.ThemeColor("problemsErrorIcon.foreground"),
+        );
+      case "warning":
+      case "medium":
+        return new vscode.ThemeIcon(
+          "warning",
+          new vscode.ThemeColor("problemsWarningIcon.foreground"),
+        );
+      default:
+        return new vscode.ThemeIcon(
+          "info",
+          new vscode.ThemeColor("problemsInfoIcon.foreground"),
+        );
+    }
+  }
+
+  static registerCommands(
+    context: vscode.ExtensionContext,
+    provider: FindingsTreeProvider,
+  ): void {
+    const view = vscode.window.createTreeView(FindingsTreeProvider.viewId, {
+      treeDataProvider: provider,
+      canSelectMany: true,
+      showCollapseAll: true,
+    });
+    provider.view = view;
+
+    context.subscriptions.push(
+      view,
+
+      vscode.commands.registerCommand("neurolint.refreshFindings", () =>
+        provider.analyzer.analyzeWorkspace(),
+      ),
+
+      vscode.commands.registerCommand("neurolint.filterFindings", () =>
+        provider.setFilter(),
+      ),
+
+      vscode.commands.registerCommand("neurolint.clearFindingsFilter", () =>
+        provider.clearFilter(),
+      ),
+
+      // Run from a node's context menu, VS Code passes the clicked node and
+      // the whole selection; from the title bar, neither
+      vscode.commands.registerCommand(
+        "neurolint.fixSelectedFindings",
+        async (node?: FindingNode, nodes?: FindingNode[]) => {
+          const targets = nodes || (node ? [node] : view.selection);
+          if (targets.length === 0) {
+            vscode.window.showInformationMessage(
+              "Select the findings to fix in the NeuroLint Findings view",
+            );
+            return;
+          }
+
+          try {
+            await provider.fixSelected(targets);
+          } catch (error) {
+            vscode.window.showErrorMessage(`Fix failed: ${error}`);
+          }
+        },
+      ),
+    );
+  }
+
+  dispose(): void {
+    this.changeEmitter.dispose();
+  }
+}
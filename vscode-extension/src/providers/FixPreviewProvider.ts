@@ -0,0 +1,382 @@
+import * as path from "path";
+import * as vscode from "vscode";
+import { AnalysisBackend } from "../utils/ApiClient";
+
+interface LayerResult {
+  layerId: number;
+  success: boolean;
+  changeCount: number;
+}
+
+interface FixPreview {
+  document: vscode.TextDocument;
+  // Document version the proposed code was computed from
+  version: number;
+  layers: number[];
+  proposed: string;
+  layerResults: LayerResult[];
+}
+
+export const LAYER_NAMES: { [id: number]: string } = {
+  1: "Configuration",
+  2: "Patterns",
+  3: "Components",
+  4: "Hydration",
+  5: "Next.js",
+  6: "Testing",
+};
+
+/**
+ * Shows proposed fixes in VS Code's diff editor, the current buffer on the
+ * left and the fixed code on the right. The right side is a read-only
+ * virtual document; nothing touches the file until the preview is applied,
+ * and then only the changed span is replaced.
+ */
+export class FixPreviewProvider implements vscode.TextDocumentContentProvider {
+  static readonly scheme = "neurolint-preview";
+
+  private previews = new Map<string, FixPreview>();
+  private changeEmitter = new vscode.EventEmitter<vscode.Uri>();
+  readonly onDidChange = this.changeEmitter.event;
+
+  constructor(
+    private apiClient: AnalysisBackend,
+    private outputChannel: vscode.OutputChannel,
+  ) {}
+
+  provideTextDocumentContent(uri: vscode.Uri): string {
+    return this.previews.get(uri.toString())?.proposed ?? "";
+  }
+
+  /**
+   * Run the fixes for the given layers without applying them, and open the
+   * diff between the buffer and the result
+   */
+  async preview(
+    document: vscode.TextDocument,
+    layers: number[] = this.getEnabledLayers(),
+  ): Promise<void> {
+    const result = await this.runFixes(document, layers);
+    await this.show(document, layers, result);
+  }
+
+  /**
+   * Open the diff for fixes already computed for the document's current
+   * version, such as an orchestration result
+   */
+  async show(
+    document: vscode.TextDocument,
+    layers: number[],
+    result: any,
+  ): Promise<void> {
+    if (result.finalCode === document.getText()) {
+      vscode.window.showInformationMessage("No fixes available for this file");
+      return;
+    }
+
+    const previewUri = this.getPreviewUri(document.uri);
+    this.previews.set(previewUri.toString(), {
+      document,
+      version: document.version,
+      layers,
+      proposed: result.finalCode,
+      layerResults: result.layers || result.results || [],
+    });
+    this.changeEmitter.fire(previewUri);
+
+    await vscode.commands.executeCommand(
+      "vscode.diff",
+      document.uri,
+      previewUri,
+      `${path.basename(document.fileName)} ↔ NeuroLint fixes`,
+      { preview: true },
+    );
+
+    const action = await vscode.window.showInformationMessage(
+      "Review the NeuroLint fixes. Nothing is changed until you apply them.",
+      "Apply",
+      "Choose Layers",
+      "Discard",
+    );
+
+    switch (action) {
+      case "Apply":
+        await this.apply(previewUri);
+        break;
+      case "Choose Layers":
+        await this.chooseLayers(previewUri);
+        break;
+      case "Discard":
+        await this.discard(previewUri);
+        break;
+    }
+  }
+
+  /**
+   * Replace the span the fixes change, unless the buffer was edited after
+   * the preview was made; then the preview is refreshed instead
+   */
+  async apply(previewUri: vscode.Uri): Promise<void> {
+    const preview = this.previews.get(previewUri.toString());
+    if (!preview) {
+      return;
+    }
+
+    const { document } = preview;
+    if (document.version !== preview.version) {
+      vscode.window.showWarningMessage(
+        "The file changed since the preview was made. Review the updated preview before applying.",
+      );
+      await this.refresh(previewUri, preview.layers);
+      return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const { range, text } = this.getChangedSpan(document, preview.proposed);
+    edit.replace(document.uri, range, text);
+
+    if (await vscode.workspace.applyEdit(edit)) {
+      this.outputChannel.appendLine(
+        `✅ Applied NeuroLint fixes to ${document.fileName}`,
+      );
+      await this.discard(previewUri);
+    } else {
+      vscode.window.showErrorMessage("Failed to apply NeuroLint fixes");
+    }
+  }
+
+  /**
+   * Toggle layers on and off and recompute the preview with the ones left
+   */
+  async chooseLayers(previewUri: vscode.Uri): Promise<void> {
+    const preview = this.previews.get(previewUri.toString());
+    if (!preview) {
+      return;
+    }
+
+    const items = Object.entries(LAYER_NAMES).map(([id, name]) => {
+      const layerId = Number(id);
+      const layerResult = preview.layerResults.find(
+        (layer) => layer.layerId === layerId,
+      );
+
+      return {
+        label: `Layer ${layerId}: ${name}`,
+        description: layerResult
+          ? `${layerResult.changeCount} changes`
+          : undefined,
+        picked: preview.layers.includes(layerId),
+        layerId,
+      };
+    });
+
+    const picked = await vscode.window.showQuickPick(items, {
+      canPickMany: true,
+      title: "Layers to include in the NeuroLint fix preview",
+    });
+    if (!picked) {
+      return;
+    }
+    if (picked.length === 0) {
+      vscode.window.showWarningMessage("Choose at least one layer");
+      return;
+    }
+
+    await this.refresh(
+      previewUri,
+      picked.map((item) => item.layerId),
+    );
+  }
+
+  async discard(previewUri: vscode.Uri): Promise<void> {
+    this.previews.delete(previewUri.toString());
+
+    const tabs = vscode.window.tabGroups.all
+      .flatMap((group) => group.tabs)
+      .filter(
+        (tab) =>
+          tab.input instanceof vscode.TabInputTextDiff &&
+          tab.input.modified.toString() === previewUri.toString(),
+      );
+    await vscode.window.tabGroups.close(tabs);
+  }
+
+  private async refresh(
+    previewUri: vscode.Uri,
+    layers: number[],
+  ): Promise<void> {
+    const preview = this.previews.get(previewUri.toString());
+    if (!preview) {
+      return;
+    }
+
+    try {
+      const result = await this.runFixes(preview.document, layers);
+      this.previews.set(previewUri.toString(), {
+        ...preview,
+        version: preview.document.version,
+        layers,
+        proposed: result.finalCode,
+        layerResults: result.layers || result.results || [],
+      });
+      this.changeEmitter.fire(previewUri);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Preview failed: ${error}`);
+    }
+  }
+
+  private async runFixes(
+    document: vscode.TextDocument,
+    layers: number[],
+  ): Promise<any> {
+    this.outputChannel.appendLine(
+      `Previewing fixes for ${document.fileName} (layers ${layers.join(", ")})`,
+    );
+
+    const result = await this.apiClient.executeOrchestration({
+      code: document.getText(),
+      filePath: document.fileName,
+      layers,
+      options: { dryRun: true },
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || "No layer could fix this file");
+    }
+
+    return result;
+  }
+
+  /**
+   * The span between the common prefix and suffix of the buffer and the
+   * proposed code, so text and cursors outside it stay put
+   */
+  private getChangedSpan(
+    document: vscode.TextDocument,
+    proposed: string,
+  ): { range: vscode.Range; text: string } {
+    const current = document.getText();
+
+    let start = 0;
+    while (
+      start < current.length &&
+      start < proposed.length &&
+      current[start] === proposed[start]
+    ) {
+      start++;
+    }
+
+    let end = 0;
+    while (
+      end < current.length - start &&
+      end < proposed.length - start &&
+      current[current.length - 1 - end] === proposed[proposed.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    return {
+      range: new vscode.Range(
+        document.positionAt(start),
+        document.positionAt(current.length - end),
+      ),
+      text: proposed.slice(start, proposed.length - end),
+    };
+  }
+
+  private getPreviewUri(uri: vscode.Uri): vscode.Uri {
+    // Keep the path so the preview gets the file's language
+    return vscode.Uri.from({
+      scheme: FixPreviewProvider.scheme,
+      path: uri.path,
+      query: uri.toString(),
+    });
+  }
+
+  private getEnabledLayers(): number[] {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    return config.get<number[]>("enabledLayers", [1, 2, 3, 4]);
+  }
+
+  /**
+   * Find the preview for a command run from the diff editor's title bar,
+   * or for the active editor's file
+   */
+  private resolvePreviewUri(uri?: vscode.Uri): vscode.Uri | undefined {
+    const target = uri || vscode.window.activeTextEditor?.document.uri;
+    if (!target) {
+      return undefined;
+    }
+    return target.scheme === FixPreviewProvider.scheme
+      ? target
+      : this.getPreviewUri(target);
+  }
+
+  static registerCommands(
+    context: vscode.ExtensionContext,
+    provider: FixPreviewProvider,
+  ): void {
+    const withPreview =
+      (action: (previewUri: vscode.Uri) => Promise<void>) =>
+      async (uri?: vscode.Uri) => {
+        const previewUri = provider.resolvePreviewUri(uri);
+        if (previewUri && provider.previews.has(previewUri.toString())) {
+          await action(previewUri);
+        } else {
+          vscode.window.showWarningMessage("No NeuroLint fix preview is open");
+        }
+      };
+
+    context.subscriptions.push(
+      vscode.workspace.registerTextDocumentContentProvider(
+        FixPreviewProvider.scheme,
+        provider,
+      ),
+
+      vscode.commands.registerCommand(
+        "neurolint.previewFixes",
+        async (uri?: vscode.Uri) => {
+          const target = uri || vscode.window.activeTextEditor?.document.uri;
+          if (!target) {
+            vscode.window.showWarningMessage("No active editor");
+            return;
+          }
+
+          try {
+            const document = await vscode.workspace.openTextDocument(target);
+            await provider.preview(document);
+          } catch (error) {
+            vscode.window.showErrorMessage(`Preview failed: ${error}`);
+          }
+        },
+      ),
+
+      vscode.commands.registerCommand(
+        "neurolint.applyPreview",
+        withPreview((previewUri) => provider.apply(previewUri)),
+      ),
+
+      vscode.commands.registerCommand(
+        "neurolint.choosePreviewLayers",
+        withPreview((previewUri) => provider.chooseLayers(previewUri)),
+      ),
+
+      vscode.commands.registerCommand(
+        "neurolint.discardPreview",
+        withPreview((previewUri) => provider.discard(previewUri)),
+      ),
+
+      // Forget previews whose diff was closed by hand
+      vscode.workspace.onDidCloseTextDocument((document) => {
+        if (document.uri.scheme === FixPreviewProvider.scheme) {
+          provider.previews.delete(document.uri.toString());
+        }
+      }),
+    );
+  }
+
+  dispose(): void {
+    this.changeEmitter.dispose();
+    this.previews.clear();
+  }
+}
@@ -1,6 +1,7 @@
 
 import * as vscode from "vscode";
-import { ApiClient } from "../utils/ApiClient";
+import { AnalysisBackend } from "../utils/ApiClient";
+import { FixPreviewProvider } from "./FixPreviewProvider";
 
 interface OrchestrationResult {
   success: boolean;
@@ -31,8 +32,9 @@ export class NeuroLintOrchestrationProvider {
   private isProcessing = false;
 
   constructor(
-    private apiClient: ApiClient,
-    private outputChannel: vscode.OutputChannel
+    private apiClient: AnalysisBackend,
+    private outputChannel: vscode.OutputChannel,
+    private fixPreview: FixPreviewProvider
   ) {
     this.statusBarItem = vscode.window.createStatusBarItem(
       vscode.StatusBarAlignment.Right,
@@ -62,6 +64,7 @@ export class NeuroLintOrchestrationProvider {
       this.outputChannel.appendLine(`📋 Enabled layers: ${enabledLayers.join(", ")}`);
 
       // Call the orchestration API
+      const version = document.version;
       const result = await this.apiClient.executeOrchestration({
         code: document.getText(),
         filePath: document.fileName,
@@ -73,7 +76,7 @@ export class NeuroLintOrchestrationProvider {
       });
 
       if (result.success) {
-        await this.handleSuccessfulOrchestration(document, result);
+        await this.handleSuccessfulOrchestration(document, version, enabledLayers, result);
       } else {
         await this.handleFailedOrchestration(result);
       }
@@ -89,6 +92,8 @@ export class NeuroLintOrchestrationProvider {
 
   private async handleSuccessfulOrchestration(
     document: vscode.TextDocument,
+    version: number,
+    enabledLayers: number[],
     result: OrchestrationResult
   ): Promise<void> {
     const { summary, layers } = result;
@@ -98,7 +103,7 @@ export class NeuroLintOrchestrationProvider {
     
     const action = await vscode.window.showInformationMessage(
       message,
-      "Apply Changes",
+      "Preview Changes",
       "Show Details",
       "Revert"
     );
@@ -136,8 +141,14 @@ export class NeuroLintOrchestrationProvider {
 
     // Handle user action
     switch (action) {
-      case "Apply Changes":
-        await this.applyChanges(document, result.finalCode);
+      case "Preview Changes":
+        // Changes are only applied from the preview, never over the buffer
+        // unseen; recompute them if the file was edited in the meantime
+        if (document.version === version) {
+          await this.fixPreview.show(document, enabledLayers, result);
+        } else {
+          await this.fixPreview.preview(document, enabledLayers);
+        }
         break;
       case "Show Details":
         this.showDetailedResults(result);
@@ -171,26 +182,6 @@ export class NeuroLintOrchestrationProvider {
     vscode.window.showErrorMessage("NeuroLint orchestration failed. Check output for details.");
   }
 
-  private async applyChanges(document: vscode.TextDocument, newCode: string): Promise<void> {
-    const edit = new vscode.WorkspaceEdit();
-    const fullRange = new vscode.Range(
-      document.positionAt(0),
-      document.positionAt(document.getText().length)
-    );
-    
-    edit.replace(document.uri, fullRange, newCode);
-    
-    const success = await vscode.workspace.applyEdit(edit);
-    
-    if (success) {
-      this.outputChannel.appendLine("✅ Changes applied successfully");
-      vscode.window.showInformationMessage("NeuroLint changes applied");
-    } else {
-      this.outputChannel.appendLine("❌ Failed to apply changes");
-      vscode.window.showErrorMessage("Failed to apply NeuroLint changes");
-    }
-  }
-
   private showDetailedResults(result: OrchestrationResult): void {
     // Create and show detailed results in a new document
     const content = this.generateDetailedReport(result);
@@ -1,17 +1,40 @@
 
 import axios, { AxiosInstance, AxiosRequestConfig } from "axios";
 
+/** Text replacing a 1-based range; the end points just past it */
+export interface FixEdit {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  text: string;
+}
+
+/**
+ * How to fix one issue: text replacing the issue's own range, plus any
+ * edits elsewhere in the file the fix needs
+ */
+export interface IssueFix {
+  text: string;
+  edits?: FixEdit[];
+}
+
 export interface Issue {
+  /** 1-based line of the first character */
   line: number;
+  /** 1-based column of the first character */
   column: number;
+  /** 1-based line and column just past the last character */
   endLine?: number;
   endColumn?: number;
+  snippet?: string;
   message: string;
   severity: "error" | "warning" | "info";
   rule: string;
   layer: number;
   file?: string;
   length?: number;
+  fix?: IssueFix;
 }
 
 export interface AnalysisResult {
@@ -48,7 +71,22 @@ export interface LayerSuggestionResult {
   };
 }
 
-export class ApiClient {
+/**
+ * Where analysis and fixes run: the NeuroLint API server (ApiClient), or
+ * the engine installed in the workspace (LocalEngine)
+ */
+export interface AnalysisBackend {
+  checkConnection(): Promise<boolean>;
+  analyzeCode(request: {
+    code: string;
+    filePath: string;
+    layers: number[];
+  }): Promise<AnalysisResult>;
+  executeOrchestration(request: OrchestrationRequest): Promise<any>;
+  suggestLayers(request: LayerSuggestionRequest): Promise<LayerSuggestionResult>;
+}
+
+export class ApiClient implements AnalysisBackend {
   private client: AxiosInstance;
   private isConnected = false;
   private lastConnectionCheck = 0;
@@ -0,0 +1,185 @@
+import * as path from "path";
+import { pathToFileURL } from "url";
+import * as vscode from "vscode";
+import {
+  AnalysisBackend,
+  AnalysisResult,
+  LayerSuggestionRequest,
+  LayerSuggestionResult,
+  OrchestrationRequest,
+} from "./ApiClient";
+
+const ENGINE_MODULE = "@neurolint/cli/api";
+
+// TypeScript compiles import() to require() for CommonJS output, and
+// require() cannot load the engine's ES modules
+const importModule = new Function(
+  "specifier",
+  "return import(specifier)",
+) as (specifier: string) => Promise<any>;
+
+/**
+ * Runs analysis and fixes with the NeuroLint engine installed in the
+ * workspace's node_modules, so no source leaves the machine
+ *
+ * Each file uses the engine found from its directory upwards, as Node
+ * resolves it for the CLI, and the NeuroLint config that applies there.
+ * Workspace code only runs in trusted workspaces.
+ */
+export class LocalEngine implements AnalysisBackend {
+  private modules = new Map<string, Promise<any>>();
+
+  constructor(private outputChannel: vscode.OutputChannel) {}
+
+  /**
+   * Whether the extension is set to use the local engine rather than the
+   * API server
+   */
+  static isEnabled(): boolean {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    return config.get<string>("engine", "local") === "local";
+  }
+
+  async checkConnection(): Promise<boolean> {
+    const folders = vscode.workspace.workspaceFolders || [];
+
+    for (const folder of folders) {
+      try {
+        await this.loadEngine(folder.uri.fsPath);
+        return true;
+      } catch (error) {
+        this.outputChannel.appendLine(`${folder.name}: ${error}`);
+      }
+    }
+
+    return false;
+  }
+
+  async analyzeCode(request: {
+    code: string;
+    filePath: string;
+    layers: number[];
+  }): Promise<AnalysisResult> {
+    const startTime = Date.now();
+    const engine = await this.createEngine(request.filePath);
+    const { issues } = await engine.analyze(request.code, {
+      filePath: request.filePath,
+      layers: request.layers,
+    });
+
+    return {
+      success: true,
+      issues,
+      metadata: {
+        executionTime: Date.now() - startTime,
+        layersAnalyzed: request.layers,
+      },
+    };
+  }
+
+  /**
+   * Fix the code in memory; the result has the shape the orchestration
+   * endpoint returns, and nothing is written to disk
+   */
+  async executeOrchestration(request: OrchestrationRequest): Promise<any> {
+    const engine = await this.createEngine(request.filePath);
+    const fixed = await engine.fix(request.code, {
+      filePath: request.filePath,
+      layers: request.layers,
+    });
+
+    return {
+      success: fixed.summary.successfulLayers > 0,
+      finalCode: fixed.code,
+      layers: fixed.layers.map(({ layer, code, ...layerResult }: any) => ({
+        layerId: layer,
+        ...layerResult,
+      })),
+      summary: {
+        totalSteps: fixed.summary.totalLayers,
+        successfulLayers: fixed.summary.successfulLayers,
+        failedLayers: fixed.summary.failedLayers,
+        totalExecutionTime: fixed.executionTime,
+        totalChanges: fixed.summary.totalChanges,
+      },
+    };
+  }
+
+  async suggestLayers(
+    request: LayerSuggestionRequest,
+  ): Promise<LayerSuggestionResult> {
+    const api = await this.loadEngine(this.getDirectory(request.filePath));
+    const recommendation = api.SmartLayerSelector.analyzeAndRecommend(
+      request.code,
+      request.filePath,
+    );
+
+    return {
+      success: true,
+      recommendations: {
+        recommended: recommendation.recommendedLayers,
+        reasons: recommendation.reasoning,
+        confidence: recommendation.confidence,
+      },
+    };
+  }
+
+  /**
+   * An engine bound to the config for the file's directory, or the
+   * defaults when there is none
+   */
+  private async createEngine(filePath: string): Promise<any> {
+    const dir = this.getDirectory(filePath);
+    const { ConfigManager, createEngine } = await this.loadEngine(dir);
+
+    return createEngine(
+      ConfigManager.isInitialized(dir)
+        ? ConfigManager.getConfig(dir)
+        : ConfigManager.migrate({}),
+    );
+  }
+
+  private async loadEngine(dir: string): Promise<any> {
+    if (!vscode.workspace.isTrusted) {
+      throw new Error(
+        "Trust this workspace to run the NeuroLint engine from its node_modules",
+      );
+    }
+
+    let modulePath: string;
+    try {
+      modulePath = require.resolve(ENGINE_MODULE, { paths: [dir] });
+    } catch {
+      throw new Error(
+        `${ENGINE_MODULE} is not installed; run "npm install --save-dev @neurolint/cli" to analyze locally`,
+      );
+    }
+
+    if (!this.modules.has(modulePath)) {
+      this.outputChannel.appendLine(`Using NeuroLint engine: ${modulePath}`);
+      this.modules.set(
+        modulePath,
+        importModule(pathToFileURL(modulePath).href).catch((error) => {
+          // Let the next call try again, e.g. after a reinstall
+          this.modules.delete(modulePath);
+          throw error;
+        }),
+      );
+    }
+
+    return this.modules.get(modulePath)!;
+  }
+
+  /**
+   * The directory to resolve a file's engine and config from; unsaved
+   * files have no directory, so they use the first workspace folder's
+   */
+  private getDirectory(filePath: string): string {
+    if (path.isAbsolute(filePath)) {
+      return path.dirname(filePath);
+    }
+    return (
+      vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || process.cwd()
+    );
+  }
+}
@@ -0,0 +1,270 @@
+import * as vscode from "vscode";
+import { AnalysisBackend, Issue } from "./ApiClient";
+
+export interface FileFindings {
+  uri: vscode.Uri;
+  // The text the issues were found in
+  text: string;
+  issues: Issue[];
+}
+
+// Notify listeners every this many files during a scan, not on each one
+const SCAN_BATCH_SIZE = 20;
+
+/**
+ * Findings for every matching file in the workspace
+ *
+ * analyzeWorkspace() scans the files the neurolint.workspace settings
+ * select. After that, files are re-analyzed one at a time as they are
+ * saved or otherwise change on disk, and dropped when deleted. Open files
+ * are analyzed from their buffers.
+ */
+export class WorkspaceAnalyzer implements vscode.Disposable {
+  private findings = new Map<string, FileFindings>();
+  private changeEmitter = new vscode.EventEmitter<void>();
+  readonly onDidChange = this.changeEmitter.event;
+  private watchers: vscode.FileSystemWatcher[];
+  private scan?: Promise<void>;
+  private scanning?: Promise<void>;
+
+  constructor(
+    private apiClient: AnalysisBackend,
+    private outputChannel: vscode.OutputChannel,
+  ) {
+    // Saving writes the file, so this also covers saves from the editor
+    this.watchers = this.getIncludePatterns().map((pattern) => {
+      const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+      watcher.onDidChange((uri) => this.update(uri));
+      watcher.onDidCreate((uri) => this.update(uri));
+      watcher.onDidDelete((uri) => {
+        if (this.findings.delete(uri.toString())) {
+          this.changeEmitter.fire();
+        }
+      });
+      return watcher;
+    });
+  }
+
+  getFindings(): FileFindings[] {
+    return [...this.findings.values()];
+  }
+
+  get hasScanned(): boolean {
+    return this.scan !== undefined;
+  }
+
+  /**
+   * Analyze every matching file from scratch; a scan already running is
+   * returned rather than started again
+   */
+  analyzeWorkspace(): Promise<void> {
+    if (!this.scanning) {
+      this.scanning = this.runScan().finally(() => {
+        this.scanning = undefined;
+      });
+      this.scan = this.scanning;
+    }
+    return this.scanning;
+  }
+
+  /**
+   * Re-analyze some files, e.g. after fixes were applied to their buffers
+   */
+  async reanalyze(uris: vscode.Uri[]): Promise<void> {
+    for (const uri of uris) {
+      await this.analyzeFile(uri);
+    }
+    this.changeEmitter.fire();
+  }
+
+  /**
+   * Whether a file still has the text its findings came from
+   */
+  async isCurrent(uri: vscode.Uri): Promise<boolean> {
+    const findings = this.findings.get(uri.toString());
+    return (
+      findings !== undefined && (await this.readText(uri)) === findings.text
+    );
+  }
+
+  private async runScan(): Promise<void> {
+    const files = await this.findFiles();
+    if (files.length === 0) {
+      vscode.window.showInformationMessage("No files found to analyze");
+      return;
+    }
+
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Analyzing workspace",
+        cancellable: true,
+      },
+      async (progress, token) => {
+        this.findings.clear();
+        this.changeEmitter.fire();
+
+        for (const [index, file] of files.entries()) {
+          if (token.isCancellationRequested) {
+            break;
+          }
+
+          progress.report({
+            increment: 100 / files.length,
+            message: `${index + 1}/${files.length} files`,
+          });
+          await this.analyzeFile(file);
+
+          if ((index + 1) % SCAN_BATCH_SIZE === 0) {
+            this.changeEmitter.fire();
+          }
+        }
+
+        this.changeEmitter.fire();
+        this.outputChannel.appendLine(
+          `Workspace analysis complete: ${this.countIssues()} issues in ${this.findings.size} files`,
+        );
+      },
+    );
+  }
+
+  private async analyzeFile(uri: vscode.Uri): Promise<void> {
+    try {
+      const text = await this.readText(uri);
+      const result = await this.apiClient.analyzeCode({
+        code: text,
+        filePath: uri.fsPath,
+        layers: this.getEnabledLayers(),
+      });
+
+      if (result.issues.length > 0) {
+        this.findings.set(uri.toString(), {
+          uri,
+          text,
+          issues: result.issues,
+        });
+      } else {
+        this.findings.delete(uri.toString());
+      }
+    } catch (error) {
+      this.outputChannel.appendLine(
+        `Analysis failed for ${uri.fsPath}: ${error}`,
+      );
+    }
+  }
+
+  /**
+   * Re-analyze a file that changed on disk, once the workspace has been
+   * scanned and only if it isn't excluded
+   */
+  private async update(uri: vscode.Uri): Promise<void> {
+    if (!this.hasScanned || (await this.isExcluded(uri))) {
+      return;
+    }
+
+    await this.reanalyze([uri]);
+  }
+
+  private async findFiles(): Promise<vscode.Uri[]> {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    const maxFiles = config.get<number>("workspace.maxFiles", 1000);
+    const maxFileSize = config.get<number>("workspace.maxFileSize", 10485760);
+    const files = new Map<string, vscode.Uri>();
+
+    for (const pattern of this.getIncludePatterns()) {
+      const foundFiles = await vscode.workspace.findFiles(
+        pattern,
+        this.getExcludeGlob(),
+      );
+      for (const file of foundFiles) {
+        if (files.size >= maxFiles) {
+          break;
+        }
+
+        try {
+          const stat = await vscode.workspace.fs.stat(file);
+          if (stat.size <= maxFileSize) {
+            files.set(file.toString(), file);
+          }
+        } catch (error) {
+          this.outputChannel.appendLine(
+            `Skipping file ${file.fsPath}: ${error}`,
+          );
+        }
+      }
+    }
+
+    return [...files.values()];
+  }
+
+  /**
+   * Whether the exclude patterns rule a file out, checked with the same
+   * search a scan uses
+   */
+  private async isExcluded(uri: vscode.Uri): Promise<boolean> {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) {
+      return true;
+    }
+
+    const found = await vscode.workspace.findFiles(
+      new vscode.RelativePattern(
+        folder,
+        vscode.workspace.asRelativePath(uri, false),
+      ),
+      this.getExcludeGlob(),
+      1,
+    );
+    return found.length === 0;
+  }
+
+  private async readText(uri: vscode.Uri): Promise<string> {
+    const document = vscode.workspace.textDocuments.find(
+      (doc) => doc.uri.toString() === uri.toString(),
+    );
+    if (document) {
+      return document.getText();
+    }
+
+    const content = await vscode.workspace.fs.readFile(uri);
+    return Buffer.from(content).toString("utf8");
+  }
+
+  private countIssues(): number {
+    let count = 0;
+    this.findings.forEach((file) => {
+      count += file.issues.length;
+    });
+    return count;
+  }
+
+  private getIncludePatterns(): string[] {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    return config.get<string[]>("workspace.includePatterns", [
+      "**/*.ts",
+      "**/*.tsx",
+      "**/*.js",
+      "**/*.jsx",
+    ]);
+  }
+
+  private getExcludeGlob(): string {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    const excludePatterns = config.get<string[]>(
+      "workspace.excludePatterns",
+      ["**/node_modules/**"],
+    );
+    return `{${excludePatterns.join(",")}}`;
+  }
+
+  private getEnabledLayers(): number[] {
+    const config = vscode.workspace.getConfiguration("neurolint");
+    return config.get<number[]>("enabledLayers", [1, 2, 3, 4]);
+  }
+
+  dispose(): void {
+    this.watchers.forEach((watcher) => watcher.dispose());
+    this.changeEmitter.dispose();
+    this.findings.clear();
+  }
+}